@@ -0,0 +1,219 @@
+/**
+ * Stake Account Controller
+ *
+ * Manages the stake account page functionality:
+ * - Account balances and delegation status
+ * - Paginated reward, stake, delegation and withdrawal history
+ * - Per-epoch charts for rewards and active stake
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * @module account
+ */
+
+import { getAccount, getAccountList, search } from './api.js';
+import {
+  ACCOUNT_TABS,
+  renderAccountOverview,
+  renderAccountTabs,
+  renderAccountTab,
+} from './renderers/accounts.js';
+import { renderError, renderLoading } from './renderers/shared.js';
+import { validators } from './utils.js';
+import { withNetwork } from './network.js';
+import { getAdaQuote } from './currency.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'account-content',
+      DETAIL_TYPE: '.detail-type',
+      TAB_CONTENT: 'account-tab-content',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+    },
+    CLASSES: {
+      TAB: 'account-tab',
+      PAGE_BTN: 'account-page-btn',
+    },
+  },
+  // Large enough pages for the per-epoch charts to show a useful range
+  PAGE_SIZE: 50,
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+    STAKE_ADDRESS_REGEX: /^(stake|stake_test)1[0-9a-z]+$/,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+/**
+ * Loads and displays one page of the selected tab
+ * @param {string} stakeAddress - Bech32 stake address
+ * @param {string} tab - One of ACCOUNT_TABS
+ * @param {number} [page=1] - Page number
+ */
+const loadTab = async (stakeAddress, tab, page = 1) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.TAB_CONTENT);
+
+  document.querySelectorAll(`.${CONFIG.UI.CLASSES.TAB}`).forEach((btn) => {
+    const isActive = btn.dataset.tab === tab;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-selected', isActive);
+  });
+
+  try {
+    container.innerHTML = renderLoading('Loading account history...');
+    const data = await getAccountList(
+      stakeAddress,
+      tab,
+      page,
+      CONFIG.PAGE_SIZE
+    );
+    container.innerHTML = renderAccountTab(tab, data);
+
+    container
+      .querySelectorAll(`.${CONFIG.UI.CLASSES.PAGE_BTN}`)
+      .forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const target = parseInt(btn.dataset.page);
+          if (!btn.disabled && target > 0) loadTab(stakeAddress, tab, target);
+        });
+      });
+  } catch (error) {
+    console.error('Error loading account tab:', { stakeAddress, tab, error });
+    container.innerHTML = renderError(
+      'Failed to load account data',
+      error.message
+    );
+  }
+};
+
+/**
+ * Initializes the account page
+ */
+const initAccountPage = async () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  const stakeAddress = new URLSearchParams(window.location.search).get('stake');
+  if (!CONFIG.VALIDATION.STAKE_ADDRESS_REGEX.test(stakeAddress || '')) {
+    contentElement.innerHTML = renderError(
+      'Invalid stake address',
+      "Please provide a valid stake address starting with 'stake1' or 'stake_test1'"
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Loading stake account...');
+    const [account, quote] = await Promise.all([
+      getAccount(stakeAddress),
+      getAdaQuote(),
+    ]);
+
+    contentElement.innerHTML = `
+      <div class="section">
+        <div class="card">
+          ${renderAccountOverview(account, quote)}
+          ${renderAccountTabs(ACCOUNT_TABS[0])}
+          <div id="${CONFIG.UI.ELEMENTS.TAB_CONTENT}"></div>
+        </div>
+      </div>
+    `;
+
+    document.querySelectorAll(`.${CONFIG.UI.CLASSES.TAB}`).forEach((btn) => {
+      btn.addEventListener('click', () =>
+        loadTab(stakeAddress, btn.dataset.tab)
+      );
+    });
+    loadTab(stakeAddress, ACCOUNT_TABS[0]);
+  } catch (error) {
+    console.error('Error loading stake account:', error);
+    contentElement.innerHTML = renderError(
+      'Failed to load stake account',
+      error.message
+    );
+  }
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+
+  if (!validators.isValidSearchQuery(query)) {
+    contentElement.innerHTML = renderError(
+      'Invalid search query',
+      `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Searching...');
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    contentElement.innerHTML = renderError('Search failed', error.message);
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initAccountPage();
+  setupEventListeners();
+});
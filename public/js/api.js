@@ -5,15 +5,23 @@
  * - Block information retrieval
  * - Transaction details and history
  * - Address information and UTXO data
+ * - Accounting ledger file downloads
+ * - Epoch details, blocks and stake distribution
+ * - Stake pool listings, details, history and blocks
+ * - Stake account rewards, delegations and withdrawals
+ * - Native asset details and mint/burn history
  * - Search functionality across multiple entity types
+ * - Live block feed (Server-Sent Events)
+ * - Network-scoped requests (mainnet, preprod, preview)
  * - Error handling and data validation
  *
  * @module api
  */
 
+import { apiPath } from './network.js';
+
 // API Configuration
 const API_CONFIG = {
-  BASE_URL: '/api',
   DEFAULT_PAGE_SIZE: 10,
   ENDPOINTS: {
     BLOCKS: '/blocks',
@@ -21,11 +29,48 @@ const API_CONFIG = {
     BLOCK_BY_HASH: (hash) => `/blocks/${hash}`,
     BLOCK_TRANSACTIONS: (hash) => `/blocks/${hash}/transactions`,
     TRANSACTION: (hash) => `/tx/${hash}`,
+    TRANSACTION_CBOR: (hash) => `/tx/${hash}/cbor`,
+    TRANSACTION_DECODE: '/tx/decode',
+    TRANSACTION_SUBMIT: '/tx/submit',
     SEARCH: '/blocks/search',
     ADDRESS: (address) => `/blocks/address/${address}`,
+    ADDRESS_DECODE: (address) => `/addresses/${address}/decode`,
+    ADDRESS_UTXOS: (address) => `/addresses/${address}/utxos`,
+    ADDRESS_TRANSACTIONS: (address) => `/addresses/${address}/transactions`,
+    ADDRESS_BALANCE_HISTORY: (address) =>
+      `/addresses/${address}/balance-history`,
+    ADDRESS_LEDGER: (address, format) =>
+      `/addresses/${address}/ledger.${format}`,
+    ACCOUNT_LEDGER: (stake, format) => `/accounts/${stake}/ledger.${format}`,
+    LATEST_EPOCH: '/epochs/latest',
+    EPOCH: (number) => `/epochs/${number}`,
+    EPOCH_BLOCKS: (number) => `/epochs/${number}/blocks`,
+    EPOCH_STAKES: (number) => `/epochs/${number}/stakes`,
+    POOLS: '/pools',
+    POOL: (id) => `/pools/${id}`,
+    POOL_HISTORY: (id) => `/pools/${id}/history`,
+    POOL_BLOCKS: (id) => `/pools/${id}/blocks`,
+    ACCOUNT: (stake) => `/accounts/${stake}`,
+    ACCOUNT_LIST: (stake, list) => `/accounts/${stake}/${list}`,
+    ASSET: (unit) => `/assets/${unit}`,
+    ASSET_HISTORY: (unit) => `/assets/${unit}/history`,
+    POLICY: (policyId) => `/policies/${policyId}`,
+    SCRIPT: (hash) => `/scripts/${hash}`,
+    DATUM: (hash) => `/datums/${hash}`,
+    PRICES: '/prices',
+    PRICE_CURRENCIES: '/prices/currencies',
+    TAX_REPORT: '/reports/tax',
+    TAX_REPORT_CSV: '/reports/tax.csv',
+    BLOCK_STREAM: '/stream/blocks',
   },
   VALIDATION: {
     HASH_REGEX: /^[0-9a-fA-F]{64}$/,
+    EPOCH_REGEX: /^\d+$/,
+    POOL_ID_REGEX: /^pool1[0-9a-z]+$/,
+    STAKE_ADDRESS_REGEX: /^(stake|stake_test)1[0-9a-z]+$/,
+    ASSET_UNIT_REGEX: /^[0-9a-fA-F]{56}([0-9a-fA-F]{2}){0,32}$/,
+    POLICY_ID_REGEX: /^[0-9a-fA-F]{56}$/,
+    SCRIPT_HASH_REGEX: /^[0-9a-fA-F]{56}$/,
     MIN_SEARCH_LENGTH: 3,
     MAX_TRANSACTIONS_DISPLAY: 20,
   },
@@ -36,7 +81,7 @@ const ERROR_MESSAGES = {
   'No block or transaction found':
     'No results found for this hash. Please verify the hash and try again.',
   'Invalid search format':
-    'Please enter a valid block hash, transaction hash, address, epoch number, or pool ID.',
+    'Please enter a valid block hash, transaction hash, address, ADA Handle ($name), epoch number, pool ID, or policy ID.',
   'Search query too short': 'Please enter at least 3 characters to search.',
   'Resource not found': 'No results found. Please try a different search term.',
   'Invalid response format': 'Something went wrong. Please try again later.',
@@ -49,6 +94,23 @@ const ERROR_MESSAGES = {
     'The provided transaction hash is invalid. Please check the format.',
   'Invalid address format':
     'The provided address format is invalid. Please check the address.',
+  'Invalid epoch number': 'The provided epoch number is invalid.',
+  'Invalid pool ID': 'The provided pool ID is invalid.',
+  'Pool not found': 'No stake pool found with this ID.',
+  'Invalid stake address': 'The provided stake address is invalid.',
+  'Stake address not found':
+    'This stake address has not been seen on chain yet.',
+  'Invalid asset': 'The provided asset ID is invalid.',
+  'Asset not found': 'No native asset found with this ID.',
+  'Invalid policy ID': 'The provided policy ID is invalid.',
+  'Policy not found': 'No assets have been minted under this policy.',
+  'Invalid handle':
+    'ADA Handles are 1-15 letters, digits, "-", "_" or ".", e.g. $name.',
+  'Handle not found': 'No address currently holds this ADA Handle.',
+  'Invalid script hash': 'The provided script hash is invalid.',
+  'Script not found': 'No script with this hash has been seen on chain.',
+  'Invalid datum hash': 'The provided datum hash is invalid.',
+  'Datum not found': 'No datum with this hash has been seen on chain.',
   'Empty response': 'The server returned an empty response. Please try again.',
   default: 'An unexpected error occurred. Please try again.',
 };
@@ -118,7 +180,7 @@ const handleApiError = (error, context = {}) => {
 async function apiRequest(endpoint, options = {}) {
   try {
     const baseUrl = getBaseUrl();
-    const url = `${baseUrl}${API_CONFIG.BASE_URL}${endpoint}`;
+    const url = `${baseUrl}${apiPath(endpoint)}`;
 
     console.log('Making API request:', { url, options });
 
@@ -131,7 +193,15 @@ async function apiRequest(endpoint, options = {}) {
     });
 
     if (!response.ok) {
-      const error = new Error(`HTTP error! status: ${response.status}`);
+      // Error bodies carry the server's reason, e.g. why a submitted
+      // transaction was rejected
+      const body = await response.json().catch(() => null);
+      const serverMessage = typeof body?.error === 'string' ? body.error : null;
+      const error = new Error(
+        serverMessage
+          ? ERROR_MESSAGES[serverMessage] || serverMessage
+          : `HTTP error! status: ${response.status}`
+      );
       error.status = response.status;
       throw error;
     }
@@ -267,39 +337,49 @@ export async function getBlockDetails(hashOrHeight) {
 }
 
 /**
- * Retrieves a list of blocks
+ * Retrieves a list of blocks, newest first
  * @param {number} [page=1] - Page number
  * @param {number} [limit=API_CONFIG.DEFAULT_PAGE_SIZE] - Results per page
+ * @param {number} [before] - Only list blocks below this height (takes
+ *   precedence over page)
  * @returns {Promise<Object>} Paginated block list
  */
 export async function getBlocks(
   page = 1,
-  limit = API_CONFIG.DEFAULT_PAGE_SIZE
+  limit = API_CONFIG.DEFAULT_PAGE_SIZE,
+  before
 ) {
-  const query = createQueryString({ page, limit });
+  const query = createQueryString({ page, limit, before });
   return apiRequest(`${API_CONFIG.ENDPOINTS.BLOCKS}${query}`);
 }
 
 /**
- * Retrieves transactions for a specific block
+ * Retrieves a page of transactions for a specific block
  * @param {string} blockHash - Block hash
- * @returns {Promise<Array>} List of transactions
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Transactions per page (server default when omitted)
+ * @returns {Promise<Object>} Transactions, any that failed to load, and pagination
  * @throws {Error} If block hash is invalid
  */
-export async function getBlockTransactions(blockHash) {
+export async function getBlockTransactions(blockHash, page = 1, limit) {
   if (!blockHash || !API_CONFIG.VALIDATION.HASH_REGEX.test(blockHash)) {
     throw new Error(ERROR_MESSAGES['Invalid block hash']);
   }
 
   try {
+    const query = createQueryString({ page, limit });
     const data = await apiRequest(
-      API_CONFIG.ENDPOINTS.BLOCK_TRANSACTIONS(blockHash)
+      `${API_CONFIG.ENDPOINTS.BLOCK_TRANSACTIONS(blockHash)}${query}`
     );
     if (!data?.transactions) {
       console.warn('Unexpected response format:', data);
-      return [];
+      return { transactions: [], failed: [], pagination: null };
     }
-    return data.transactions;
+    return {
+      transactions: data.transactions,
+      failed: data.failed || [],
+      pagination: data.pagination || null,
+    };
   } catch (error) {
     console.error('Error fetching block transactions:', {
       blockHash,
@@ -334,6 +414,46 @@ export async function getTransactionDetails(txHash) {
   return data;
 }
 
+/**
+ * Retrieves a transaction's raw CBOR
+ * @param {string} txHash - Transaction hash
+ * @returns {Promise<{hash: string, cbor: string}>} Hex-encoded CBOR
+ * @throws {Error} If transaction hash is invalid
+ */
+export async function getTransactionCbor(txHash) {
+  if (!txHash || !API_CONFIG.VALIDATION.HASH_REGEX.test(txHash)) {
+    throw new Error(ERROR_MESSAGES['Invalid transaction hash']);
+  }
+  return apiRequest(API_CONFIG.ENDPOINTS.TRANSACTION_CBOR(txHash));
+}
+
+/**
+ * Decodes transaction CBOR on the server without touching the chain, e.g.
+ * to inspect an unsigned transaction
+ * @param {string} cbor - Hex-encoded transaction CBOR
+ * @returns {Promise<Object>} Hash, decoded body, witness set and
+ *   auxiliary data
+ */
+export async function decodeTransaction(cbor) {
+  return apiRequest(API_CONFIG.ENDPOINTS.TRANSACTION_DECODE, {
+    method: 'POST',
+    body: JSON.stringify({ cbor }),
+  });
+}
+
+/**
+ * Submits a signed transaction after the server's pre-flight checks
+ * @param {string} cbor - Hex-encoded signed transaction
+ * @returns {Promise<{hash: string, status_url: string}>} Transaction hash
+ *   and the API URL reporting it once it is in a block
+ */
+export async function submitTransaction(cbor) {
+  return apiRequest(API_CONFIG.ENDPOINTS.TRANSACTION_SUBMIT, {
+    method: 'POST',
+    body: JSON.stringify({ cbor }),
+  });
+}
+
 /**
  * Performs a search across multiple entity types
  * @param {string} query - Search query
@@ -405,3 +525,412 @@ export async function getAddressDetails(address) {
     throw new Error(getFriendlyErrorMessage(error));
   }
 }
+
+/**
+ * Retrieves an address's UTXOs with their tokens and minimum ADA
+ * @param {string} address - Cardano address
+ * @returns {Promise<Object>} UTXOs, the coins per UTXO byte they were
+ *   priced at and whether all of them were loaded
+ * @throws {Error} If address format is invalid
+ */
+export async function getAddressUtxos(address) {
+  if (!address) {
+    throw new Error(ERROR_MESSAGES['Invalid address format']);
+  }
+  return apiRequest(API_CONFIG.ENDPOINTS.ADDRESS_UTXOS(address));
+}
+
+/**
+ * Retrieves one page of an address's full transaction history
+ * @param {string} address - Cardano address
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit] - Page size, at most 100
+ * @param {string} [options.order] - `asc` or `desc` (default)
+ * @param {string} [options.from] - Earliest block height or ISO date
+ * @param {string} [options.to] - Latest block height or ISO date
+ * @returns {Promise<Object>} Transactions and pagination with nextCursor
+ * @throws {Error} If address format is invalid
+ */
+export async function getAddressTransactions(
+  address,
+  { cursor, limit, order, from, to } = {}
+) {
+  if (!address) {
+    throw new Error(ERROR_MESSAGES['Invalid address format']);
+  }
+  const query = createQueryString({ cursor, limit, order, from, to });
+  return apiRequest(
+    `${API_CONFIG.ENDPOINTS.ADDRESS_TRANSACTIONS(address)}${query}`
+  );
+}
+
+/**
+ * Retrieves an address's balance at the end of each day or epoch with
+ * transactions
+ * @param {string} address - Cardano address
+ * @param {string} [interval='day'] - `day` or `epoch`
+ * @param {string} [cursor] - Cursor of the previous, incomplete response
+ * @returns {Promise<Object>} Balance points, with complete set once the
+ *   whole history is covered and a cursor to continue from until then
+ * @throws {Error} If the address or interval is invalid
+ */
+export async function getBalanceHistory(address, interval = 'day', cursor) {
+  if (!address) {
+    throw new Error(ERROR_MESSAGES['Invalid address format']);
+  }
+  const query = createQueryString({ interval, cursor });
+  return apiRequest(
+    `${API_CONFIG.ENDPOINTS.ADDRESS_BALANCE_HISTORY(address)}${query}`
+  );
+}
+
+/**
+ * Downloads a file from an export endpoint
+ * @param {string} endpoint - Endpoint path and query, without the network
+ *   prefix
+ * @returns {Promise<Blob>} File contents
+ * @throws {Error} With the server's reason if the export fails
+ */
+const downloadFile = async (endpoint) => {
+  const response = await fetch(`${getBaseUrl()}${apiPath(endpoint)}`);
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => null);
+    throw new Error(
+      typeof body?.error === 'string'
+        ? body.error
+        : `HTTP error! status: ${response.status}`
+    );
+  }
+  return response.blob();
+};
+
+/**
+ * Downloads an accounting ledger file with one row per transaction
+ * @param {string} subject - Address, or stake address to combine all of
+ *   its addresses
+ * @param {string} format - `csv`, `json` or `ofx`
+ * @param {Object} [range] - `from` and `to` block heights or ISO 8601 times
+ * @returns {Promise<{blob: Blob, filename: string}>} File contents and name
+ * @throws {Error} With the server's reason if the export fails
+ */
+export async function downloadLedger(subject, format, { from, to } = {}) {
+  const endpoint = subject.startsWith('stake')
+    ? API_CONFIG.ENDPOINTS.ACCOUNT_LEDGER(subject, format)
+    : API_CONFIG.ENDPOINTS.ADDRESS_LEDGER(subject, format);
+  return {
+    blob: await downloadFile(`${endpoint}${createQueryString({ from, to })}`),
+    filename: `ledger-${subject}.${format}`,
+  };
+}
+
+/**
+ * Decodes an address into its network, payment and stake credentials
+ * @param {string} address - Shelley or Byron address
+ * @returns {Promise<Object>} Decoded address structure
+ * @throws {Error} If the address is malformed or its checksum is wrong
+ */
+export async function decodeAddress(address) {
+  if (!address) {
+    throw new Error(ERROR_MESSAGES['Invalid address format']);
+  }
+  return apiRequest(API_CONFIG.ENDPOINTS.ADDRESS_DECODE(address));
+}
+
+/**
+ * Retrieves the current epoch
+ * @returns {Promise<Object>} Epoch data with progress
+ */
+export async function getLatestEpoch() {
+  return apiRequest(API_CONFIG.ENDPOINTS.LATEST_EPOCH);
+}
+
+/**
+ * Validates an epoch number
+ * @param {number|string} number - Epoch number
+ * @throws {Error} If the epoch number is invalid
+ */
+const assertEpochNumber = (number) => {
+  if (!API_CONFIG.VALIDATION.EPOCH_REGEX.test(String(number))) {
+    throw new Error(ERROR_MESSAGES['Invalid epoch number']);
+  }
+};
+
+/**
+ * Retrieves epoch details
+ * @param {number|string} number - Epoch number
+ * @returns {Promise<Object>} Epoch data with progress
+ * @throws {Error} If the epoch number is invalid
+ */
+export async function getEpoch(number) {
+  assertEpochNumber(number);
+  return apiRequest(API_CONFIG.ENDPOINTS.EPOCH(number));
+}
+
+/**
+ * Retrieves a page of an epoch's blocks, newest first
+ * @param {number|string} number - Epoch number
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Blocks per page (server default when omitted)
+ * @returns {Promise<Object>} Blocks, any that failed to load, and pagination
+ * @throws {Error} If the epoch number is invalid
+ */
+export async function getEpochBlocks(number, page = 1, limit) {
+  assertEpochNumber(number);
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.EPOCH_BLOCKS(number)}${query}`);
+}
+
+/**
+ * Retrieves a page of an epoch's stake distribution
+ * @param {number|string} number - Epoch number
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Entries per page (server default when omitted)
+ * @returns {Promise<Object>} Stake entries, active stake and pagination
+ * @throws {Error} If the epoch number is invalid
+ */
+export async function getEpochStakes(number, page = 1, limit) {
+  assertEpochNumber(number);
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.EPOCH_STAKES(number)}${query}`);
+}
+
+/**
+ * Retrieves a page of registered stake pools
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Pools per page (server default when omitted)
+ * @returns {Promise<Object>} Pools with tickers and pagination
+ */
+export async function getPools(page = 1, limit) {
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.POOLS}${query}`);
+}
+
+/**
+ * Validates a bech32 pool ID
+ * @param {string} poolId - Pool ID
+ * @throws {Error} If the pool ID is invalid
+ */
+const assertPoolId = (poolId) => {
+  if (!API_CONFIG.VALIDATION.POOL_ID_REGEX.test(poolId || '')) {
+    throw new Error(ERROR_MESSAGES['Invalid pool ID']);
+  }
+};
+
+/**
+ * Retrieves stake pool details
+ * @param {string} poolId - Bech32 pool ID
+ * @returns {Promise<Object>} Pool parameters, metadata and relays
+ * @throws {Error} If the pool ID is invalid
+ */
+export async function getPool(poolId) {
+  assertPoolId(poolId);
+  return apiRequest(API_CONFIG.ENDPOINTS.POOL(poolId));
+}
+
+/**
+ * Retrieves a page of a pool's per-epoch history, newest first
+ * @param {string} poolId - Bech32 pool ID
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Epochs per page (server default when omitted)
+ * @returns {Promise<Object>} History entries and pagination
+ * @throws {Error} If the pool ID is invalid
+ */
+export async function getPoolHistory(poolId, page = 1, limit) {
+  assertPoolId(poolId);
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.POOL_HISTORY(poolId)}${query}`);
+}
+
+/**
+ * Retrieves a page of blocks produced by a pool, newest first
+ * @param {string} poolId - Bech32 pool ID
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Blocks per page (server default when omitted)
+ * @returns {Promise<Object>} Blocks, any that failed to load, and pagination
+ * @throws {Error} If the pool ID is invalid
+ */
+export async function getPoolBlocks(poolId, page = 1, limit) {
+  assertPoolId(poolId);
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.POOL_BLOCKS(poolId)}${query}`);
+}
+
+/**
+ * Validates a bech32 stake address
+ * @param {string} stakeAddress - Stake address
+ * @throws {Error} If the stake address is invalid
+ */
+const assertStakeAddress = (stakeAddress) => {
+  if (!API_CONFIG.VALIDATION.STAKE_ADDRESS_REGEX.test(stakeAddress || '')) {
+    throw new Error(ERROR_MESSAGES['Invalid stake address']);
+  }
+};
+
+/**
+ * Retrieves stake account details
+ * @param {string} stakeAddress - Bech32 stake address
+ * @returns {Promise<Object>} Account balances and delegation
+ * @throws {Error} If the stake address is invalid
+ */
+export async function getAccount(stakeAddress) {
+  assertStakeAddress(stakeAddress);
+  return apiRequest(API_CONFIG.ENDPOINTS.ACCOUNT(stakeAddress));
+}
+
+/**
+ * Retrieves a page of one of an account's lists, newest first
+ * @param {string} stakeAddress - Bech32 stake address
+ * @param {string} list - rewards, history, delegations, registrations,
+ *   withdrawals, mirs or addresses
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Entries per page (server default when omitted)
+ * @returns {Promise<Object>} Entries under the list's name, and pagination
+ * @throws {Error} If the stake address is invalid
+ */
+export async function getAccountList(stakeAddress, list, page = 1, limit) {
+  assertStakeAddress(stakeAddress);
+  const query = createQueryString({ page, limit });
+  return apiRequest(
+    `${API_CONFIG.ENDPOINTS.ACCOUNT_LIST(stakeAddress, list)}${query}`
+  );
+}
+
+/**
+ * Validates a native asset unit (policy ID followed by hex asset name)
+ * @param {string} unit - Asset unit
+ * @throws {Error} If the unit is invalid
+ */
+const assertAssetUnit = (unit) => {
+  if (!API_CONFIG.VALIDATION.ASSET_UNIT_REGEX.test(unit || '')) {
+    throw new Error(ERROR_MESSAGES['Invalid asset']);
+  }
+};
+
+/**
+ * Retrieves native asset details with resolved metadata
+ * @param {string} unit - Asset unit
+ * @returns {Promise<Object>} Asset parts, fingerprint, supply and metadata
+ * @throws {Error} If the unit is invalid
+ */
+export async function getAsset(unit) {
+  assertAssetUnit(unit);
+  return apiRequest(API_CONFIG.ENDPOINTS.ASSET(unit));
+}
+
+/**
+ * Retrieves a page of an asset's mint/burn history, newest first
+ * @param {string} unit - Asset unit
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Entries per page (server default when omitted)
+ * @returns {Promise<Object>} History entries and pagination
+ * @throws {Error} If the unit is invalid
+ */
+export async function getAssetHistory(unit, page = 1, limit) {
+  assertAssetUnit(unit);
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.ASSET_HISTORY(unit)}${query}`);
+}
+
+/**
+ * Retrieves a minting policy with its script and a page of its assets
+ * @param {string} policyId - Policy ID (56 hex characters)
+ * @param {number} [page=1] - Page number
+ * @param {number} [limit] - Assets per page (server default when omitted)
+ * @returns {Promise<Object>} Policy totals, script, assets and pagination
+ * @throws {Error} If the policy ID is invalid
+ */
+export async function getPolicy(policyId, page = 1, limit) {
+  if (!API_CONFIG.VALIDATION.POLICY_ID_REGEX.test(policyId || '')) {
+    throw new Error(ERROR_MESSAGES['Invalid policy ID']);
+  }
+  const query = createQueryString({ page, limit });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.POLICY(policyId)}${query}`);
+}
+
+/**
+ * Retrieves a script with its type, size and CBOR or native script JSON
+ * @param {string} hash - Script hash (56 hex characters)
+ * @returns {Promise<Object>} Script details
+ * @throws {Error} If the script hash is invalid
+ */
+export async function getScript(hash) {
+  if (!API_CONFIG.VALIDATION.SCRIPT_HASH_REGEX.test(hash || '')) {
+    throw new Error(ERROR_MESSAGES['Invalid script hash']);
+  }
+  return apiRequest(API_CONFIG.ENDPOINTS.SCRIPT(hash));
+}
+
+/**
+ * Retrieves a datum with its CBOR and decoded Plutus data
+ * @param {string} hash - Datum hash (64 hex characters)
+ * @returns {Promise<Object>} Datum details
+ * @throws {Error} If the datum hash is invalid
+ */
+export async function getDatum(hash) {
+  if (!API_CONFIG.VALIDATION.HASH_REGEX.test(hash || '')) {
+    throw new Error(ERROR_MESSAGES['Invalid datum hash']);
+  }
+  return apiRequest(API_CONFIG.ENDPOINTS.DATUM(hash));
+}
+
+/**
+ * Lists the fiat currencies ADA prices are available in
+ * @returns {Promise<Object>} Lowercase ISO 4217 codes as currencies
+ */
+export async function getPriceCurrencies() {
+  return apiRequest(API_CONFIG.ENDPOINTS.PRICE_CURRENCIES);
+}
+
+/**
+ * Retrieves daily ADA prices in a fiat currency
+ * @param {string} currency - Currency code, e.g. `usd`
+ * @param {string} from - First UTC day (YYYY-MM-DD)
+ * @param {string} [to] - Last UTC day, defaults to from
+ * @returns {Promise<Object>} Prices as `{ date, price }` and their source
+ */
+export async function getAdaPrices(currency, from, to) {
+  const query = createQueryString({ currency, from, to });
+  return apiRequest(`${API_CONFIG.ENDPOINTS.PRICES}${query}`);
+}
+
+/**
+ * Builds a yearly tax report with realized gains and staking income
+ * @param {Object} params - `stake` or comma-separated `addresses`, `year`,
+ *   `method` (fifo, lifo or hifo) and `currency`
+ * @returns {Promise<Object>} Report with summary, disposals, income,
+ *   holdings and warnings
+ */
+export async function getTaxReport(params) {
+  const query = createQueryString(params);
+  return apiRequest(`${API_CONFIG.ENDPOINTS.TAX_REPORT}${query}`);
+}
+
+/**
+ * Downloads a tax report as CSV
+ * @param {Object} params - Parameters as for getTaxReport
+ * @returns {Promise<{blob: Blob, filename: string}>} File contents and name
+ * @throws {Error} With the server's reason if the report fails
+ */
+export async function downloadTaxReport(params) {
+  const query = createQueryString(params);
+  return {
+    blob: await downloadFile(`${API_CONFIG.ENDPOINTS.TAX_REPORT_CSV}${query}`),
+    filename: `tax-${params.year}-${params.method}-${params.currency}.csv`,
+  };
+}
+
+/**
+ * Opens the live feed of new blocks. The browser reconnects by itself
+ * and resumes from the last event it received; pass that event's id when
+ * opening a new feed to resume the same way.
+ * @param {string} [lastEventId] - Id of the last event received
+ * @returns {EventSource} Feed emitting `block` and `reset` events
+ */
+export function openBlockStream(lastEventId) {
+  const query = createQueryString({ lastEventId });
+  return new EventSource(
+    `${getBaseUrl()}${apiPath(API_CONFIG.ENDPOINTS.BLOCK_STREAM)}${query}`
+  );
+}
@@ -0,0 +1,225 @@
+/**
+ * Native Asset Controller
+ *
+ * Manages the native asset page functionality:
+ * - Asset details with resolved CIP-25/CIP-68 metadata
+ * - Paginated mint/burn history
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * @module asset
+ */
+
+import { getAsset, getAssetHistory, search } from './api.js';
+import { renderAssetOverview, renderAssetHistory } from './renderers/assets.js';
+import { renderError, renderLoading } from './renderers/shared.js';
+import { validators } from './utils.js';
+import { withNetwork } from './network.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'asset-content',
+      DETAIL_TYPE: '.detail-type',
+      HISTORY_CONTENT: 'asset-history-content',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+      COPY_BUTTON: '.copy-btn',
+    },
+    CLASSES: {
+      PAGE_BTN: 'asset-page-btn',
+      COPIED: 'copied',
+    },
+    COPY_FEEDBACK_DURATION: 2000,
+  },
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+    ASSET_UNIT_REGEX: /^[0-9a-fA-F]{56}([0-9a-fA-F]{2}){0,32}$/,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+/**
+ * Copies text to clipboard with visual feedback
+ * @param {HTMLElement} btn - Button element that triggered the copy
+ * @param {string} hash - Text to copy
+ */
+const copyToClipboard = async (btn, hash) => {
+  try {
+    await navigator.clipboard.writeText(hash);
+    const originalTitle = btn.title;
+    btn.title = 'Copied!';
+    btn.classList.add(CONFIG.UI.CLASSES.COPIED);
+    setTimeout(() => {
+      btn.title = originalTitle;
+      btn.classList.remove(CONFIG.UI.CLASSES.COPIED);
+    }, CONFIG.UI.COPY_FEEDBACK_DURATION);
+  } catch (err) {
+    console.error('Failed to copy:', err);
+    btn.title = 'Failed to copy';
+  }
+};
+
+/**
+ * Loads and displays one page of the mint/burn history
+ * @param {Object} asset - Asset details
+ * @param {number} [page=1] - Page number
+ */
+const loadHistory = async (asset, page = 1) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.HISTORY_CONTENT);
+
+  try {
+    container.innerHTML = renderLoading('Loading mint/burn history...');
+    container.innerHTML = renderAssetHistory(
+      await getAssetHistory(asset.unit, page),
+      asset.metadata.decimals
+    );
+
+    container
+      .querySelectorAll(`.${CONFIG.UI.CLASSES.PAGE_BTN}`)
+      .forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const target = parseInt(btn.dataset.page);
+          if (!btn.disabled && target > 0) loadHistory(asset, target);
+        });
+      });
+  } catch (error) {
+    console.error('Error loading asset history:', { unit: asset.unit, error });
+    container.innerHTML = renderError(
+      'Failed to load mint/burn history',
+      error.message
+    );
+  }
+};
+
+/**
+ * Initializes the asset page
+ */
+const initAssetPage = async () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  const unit = new URLSearchParams(window.location.search).get('unit');
+  if (!CONFIG.VALIDATION.ASSET_UNIT_REGEX.test(unit || '')) {
+    contentElement.innerHTML = renderError(
+      'Invalid asset',
+      'Please provide an asset ID: the policy ID followed by the hex asset name'
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Loading asset details...');
+    const asset = await getAsset(unit.toLowerCase());
+
+    const detailType = document.querySelector(CONFIG.UI.ELEMENTS.DETAIL_TYPE);
+    if (detailType) detailType.textContent = 'Native Asset';
+
+    contentElement.innerHTML = `
+      <div class="section">
+        <div class="card">
+          ${renderAssetOverview(asset)}
+          <div id="${CONFIG.UI.ELEMENTS.HISTORY_CONTENT}"></div>
+        </div>
+      </div>
+    `;
+
+    contentElement
+      .querySelectorAll(CONFIG.UI.ELEMENTS.COPY_BUTTON)
+      .forEach((btn) =>
+        btn.addEventListener('click', () =>
+          copyToClipboard(btn, btn.dataset.hash)
+        )
+      );
+
+    loadHistory(asset);
+  } catch (error) {
+    console.error('Error loading asset:', error);
+    contentElement.innerHTML = renderError(
+      'Failed to load asset',
+      error.message
+    );
+  }
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+
+  if (!validators.isValidSearchQuery(query)) {
+    contentElement.innerHTML = renderError(
+      'Invalid search query',
+      `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Searching...');
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    contentElement.innerHTML = renderError('Search failed', error.message);
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initAssetPage();
+  setupEventListeners();
+});
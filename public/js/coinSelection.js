@@ -0,0 +1,132 @@
+/**
+ * Coin Selection Simulator
+ *
+ * Picks UTXOs to fund a payment of a target amount of ADA:
+ * - Largest-first: spends the largest UTXOs until the target is covered
+ * - Random-improve (CIP-2): random UTXOs until the target is covered, then
+ *   more random ones while they bring the change closer to the target
+ *
+ * Tokens in a selected UTXO go back to the wallet in a change output, which
+ * must hold their minimum ADA, so that ADA cannot be sent. Fees and the
+ * minimum ADA of an ADA-only change output are not simulated.
+ *
+ * @module coinSelection
+ */
+
+export const SELECTION_STRATEGIES = {
+  LARGEST_FIRST: 'largest-first',
+  RANDOM_IMPROVE: 'random-improve',
+};
+
+const SELECTION_CONFIG = {
+  // Random-improve aims for change equal to the target, and never above
+  // twice the target
+  IDEAL_FACTOR: 2n,
+  UPPER_FACTOR: 3n,
+};
+
+/**
+ * ADA a UTXO's tokens keep back for the change output; unknown minimums
+ * count as nothing
+ * @param {Object} utxo - UTXO from the address UTXO endpoint
+ * @returns {bigint} Lovelace
+ */
+export const getReservedLovelace = (utxo) =>
+  utxo.assets.length ? BigInt(utxo.min_lovelace ?? 0) : 0n;
+
+/**
+ * Lovelace a UTXO contributes towards a payment
+ * @param {Object} utxo - UTXO from the address UTXO endpoint
+ * @returns {bigint} Lovelace
+ */
+export const getSpendableLovelace = (utxo) => {
+  const spendable = BigInt(utxo.lovelace) - getReservedLovelace(utxo);
+  return spendable > 0n ? spendable : 0n;
+};
+
+const sum = (utxos, amount) =>
+  utxos.reduce((total, u) => total + amount(u), 0n);
+
+const distance = (a, b) => (a > b ? a - b : b - a);
+
+const selectLargestFirst = (utxos, target) => {
+  const selected = [];
+  let covered = 0n;
+  const bySize = [...utxos].sort((a, b) =>
+    Number(getSpendableLovelace(b) - getSpendableLovelace(a))
+  );
+  for (const utxo of bySize) {
+    if (covered >= target) break;
+    selected.push(utxo);
+    covered += getSpendableLovelace(utxo);
+  }
+  return selected;
+};
+
+const selectRandomImprove = (utxos, target, random) => {
+  const remaining = [...utxos];
+  const takeRandom = () =>
+    remaining.splice(Math.floor(random() * remaining.length), 1)[0];
+
+  const selected = [];
+  let covered = 0n;
+  while (covered < target && remaining.length) {
+    const utxo = takeRandom();
+    selected.push(utxo);
+    covered += getSpendableLovelace(utxo);
+  }
+  if (covered < target) return selected;
+
+  const ideal = target * SELECTION_CONFIG.IDEAL_FACTOR;
+  const upper = target * SELECTION_CONFIG.UPPER_FACTOR;
+  while (remaining.length) {
+    const utxo = takeRandom();
+    const improved = covered + getSpendableLovelace(utxo);
+    if (
+      improved > upper ||
+      distance(improved, ideal) >= distance(covered, ideal)
+    )
+      continue;
+    selected.push(utxo);
+    covered = improved;
+  }
+  return selected;
+};
+
+/**
+ * Simulates coin selection for a payment
+ * @param {Array<Object>} utxos - UTXOs from the address UTXO endpoint
+ * @param {bigint} target - Payment in lovelace
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - One of SELECTION_STRATEGIES
+ * @param {Function} [options.random=Math.random] - Random number source
+ *   for random-improve
+ * @returns {Object} selected UTXOs; input, reserved (kept back with the
+ *   tokens) and change lovelace; sufficient, and when not the shortfall
+ *   and the most the UTXOs can pay
+ */
+export const selectCoins = (
+  utxos,
+  target,
+  { strategy = SELECTION_STRATEGIES.LARGEST_FIRST, random = Math.random } = {}
+) => {
+  const selected =
+    strategy === SELECTION_STRATEGIES.RANDOM_IMPROVE
+      ? selectRandomImprove(utxos, target, random)
+      : selectLargestFirst(utxos, target);
+
+  const input = sum(selected, (utxo) => BigInt(utxo.lovelace));
+  const reserved = sum(selected, getReservedLovelace);
+  const covered = input - reserved;
+  const sufficient = covered >= target;
+
+  return {
+    selected,
+    input,
+    reserved,
+    change: sufficient ? input - target : 0n,
+    sufficient,
+    shortfall: sufficient ? 0n : target - covered,
+    spendable: sum(utxos, getSpendableLovelace),
+  };
+};
@@ -0,0 +1,153 @@
+/**
+ * Fiat Currency Selection
+ *
+ * Optional fiat valuation of ADA amounts:
+ * - Currency selection persisted across pages (localStorage)
+ * - Header currency selector
+ * - ADA quotes for the day of a transaction, or today
+ * - Fiat amount formatting
+ *
+ * Testnet ADA has no market price, so quotes are only given on mainnet.
+ *
+ * @module currency
+ */
+
+import { getAdaPrices, getPriceCurrencies } from './api.js';
+import { getNetwork } from './network.js';
+
+const CURRENCY_CONFIG = {
+  STORAGE_KEY: 'explorer.currency',
+  PRICED_NETWORK: 'mainnet',
+  // Days to look back when a day has no price yet (e.g. today)
+  LOOKBACK_DAYS: 6,
+  DAY_MS: 24 * 60 * 60 * 1000,
+  LOVELACE_PER_ADA: 1000000,
+  ELEMENTS: {
+    HEADER: '.header',
+    NETWORK_SWITCHER: 'network-switcher',
+    SELECTOR: 'currency-selector',
+  },
+};
+
+const quotes = new Map();
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Returns the selected fiat currency
+ * @returns {string|null} Lowercase currency code, or null to show ADA only
+ */
+export const getCurrency = () => {
+  try {
+    return localStorage.getItem(CURRENCY_CONFIG.STORAGE_KEY) || null;
+  } catch {
+    return null; // Storage disabled by the browser
+  }
+};
+
+const setCurrency = (currency) => {
+  try {
+    if (currency) localStorage.setItem(CURRENCY_CONFIG.STORAGE_KEY, currency);
+    else localStorage.removeItem(CURRENCY_CONFIG.STORAGE_KEY);
+  } catch {
+    // The selection then lasts for this page only
+  }
+};
+
+const loadQuote = async (currency, date) => {
+  const from = toDate(
+    Date.parse(date) - CURRENCY_CONFIG.LOOKBACK_DAYS * CURRENCY_CONFIG.DAY_MS
+  );
+  try {
+    const { prices } = await getAdaPrices(currency, from, date);
+    const latest = prices.at(-1);
+    return latest ? { currency, date: latest.date, price: latest.price } : null;
+  } catch (error) {
+    console.warn('ADA price unavailable:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Retrieves the ADA price in the selected currency on a given day
+ * @param {number} [time] - Unix time in seconds, defaults to now
+ * @returns {Promise<Object|null>} currency, date and price, or null when no
+ *   currency is selected, off mainnet or when no price is available
+ */
+export const getAdaQuote = (time) => {
+  const currency = getCurrency();
+  if (!currency || getNetwork() !== CURRENCY_CONFIG.PRICED_NETWORK) {
+    return Promise.resolve(null);
+  }
+
+  const date = toDate(time === undefined ? Date.now() : time * 1000);
+  const key = `${currency}:${date}`;
+  if (!quotes.has(key)) quotes.set(key, loadQuote(currency, date));
+  return quotes.get(key);
+};
+
+/**
+ * Formats a lovelace amount in a quote's currency
+ * @param {string|number} lovelace - Amount in lovelace
+ * @param {Object} quote - Quote from getAdaQuote
+ * @returns {string} Formatted fiat amount, e.g. `$12.34`
+ */
+export const formatFiat = (lovelace, quote) =>
+  new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: quote.currency.toUpperCase(),
+  }).format(
+    (Number(lovelace) / CURRENCY_CONFIG.LOVELACE_PER_ADA) * quote.price
+  );
+
+/**
+ * Renders the currency selector next to the network switcher
+ */
+const renderCurrencySelector = async () => {
+  const header = document.querySelector(CURRENCY_CONFIG.ELEMENTS.HEADER);
+  if (
+    !header ||
+    getNetwork() !== CURRENCY_CONFIG.PRICED_NETWORK ||
+    document.getElementById(CURRENCY_CONFIG.ELEMENTS.SELECTOR)
+  ) {
+    return;
+  }
+
+  let currencies;
+  try {
+    ({ currencies } = await getPriceCurrencies());
+  } catch (error) {
+    console.warn('Currency selector unavailable:', error.message);
+    return;
+  }
+
+  const selected = getCurrency();
+  const options = ['', ...currencies]
+    .map(
+      (currency) =>
+        `<option value="${currency}" ${
+          currency === (selected || '') ? 'selected' : ''
+        }>${currency ? currency.toUpperCase() : 'ADA only'}</option>`
+    )
+    .join('');
+  const selector = `
+    <select id="${CURRENCY_CONFIG.ELEMENTS.SELECTOR}" class="currency-selector"
+      aria-label="Select fiat currency">${options}</select>
+  `;
+
+  const switcher = document.getElementById(
+    CURRENCY_CONFIG.ELEMENTS.NETWORK_SWITCHER
+  );
+  if (switcher) switcher.insertAdjacentHTML('beforeend', selector);
+  else header.insertAdjacentHTML('afterbegin', selector);
+
+  // Fiat values are rendered with the page, so a new currency reloads it
+  document
+    .getElementById(CURRENCY_CONFIG.ELEMENTS.SELECTOR)
+    .addEventListener('change', (event) => {
+      setCurrency(event.target.value);
+      window.location.reload();
+    });
+};
+
+document.addEventListener('DOMContentLoaded', renderCurrencySelector);
@@ -21,6 +21,7 @@ import { renderBlockDetails, updateDetailType } from './renderers/blocks.js';
 import { renderTransactionDetails } from './renderers/transactions.js';
 import { renderError, renderLoading } from './renderers/shared.js';
 import { getElement } from './utils.js';
+import { withNetwork } from './network.js';
 
 // Configuration Constants
 const CONFIG = {
@@ -36,6 +37,7 @@ const CONFIG = {
       COPY_BUTTON: '.copy-btn',
       BACK_BUTTON: '#back-to-block',
       VIEW_TRANSACTIONS: '#view-transactions',
+      TX_PAGE_BUTTON: '.tx-page-btn',
     },
     MINIMUM_SEARCH_LENGTH: 3,
     COPY_FEEDBACK_DURATION: 2000,
@@ -49,6 +51,10 @@ const CONFIG = {
     WALLET: 'wallet.html',
     TRANSACTION: 'transaction.html',
     DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
   },
 };
 
@@ -82,6 +88,22 @@ const setupCopyButtons = () => {
   });
 };
 
+/**
+ * Sets up transaction page navigation for block transactions view
+ * @param {Object} block - Block data
+ */
+const setupTransactionPagination = (block) => {
+  document
+    .querySelectorAll(CONFIG.UI.SELECTORS.TX_PAGE_BUTTON)
+    .forEach((btn) => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        const page = parseInt(btn.dataset.page);
+        if (page > 0) window.loadBlockTransactions(block.hash, page);
+      });
+    });
+};
+
 /**
  * Sets up event listeners for block details view
  * @param {Object} block - Block data
@@ -92,6 +114,7 @@ const setupBlockEventListeners = (block, hasTransactions) => {
   setupCopyButtons();
 
   if (hasTransactions) {
+    setupTransactionPagination(block);
     const backBtn = document.getElementById(
       CONFIG.UI.SELECTORS.BACK_BUTTON.slice(1)
     );
@@ -189,9 +212,10 @@ const validateBlockData = (blockData) => {
 /**
  * Displays block details in the UI
  * @param {Object} block - Block data to display
- * @param {Array} [transactions] - Optional array of transaction data
+ * @param {Object} [txData] - Optional page of transactions, with any that
+ *   failed to load and pagination
  */
-const displayBlockDetails = (block, transactions = null) => {
+const displayBlockDetails = (block, txData = null) => {
   try {
     if (!block) {
       throw new Error('Invalid block data');
@@ -204,8 +228,8 @@ const displayBlockDetails = (block, transactions = null) => {
       updateDetailType(detailType, block);
     }
 
-    detailsContent.innerHTML = renderBlockDetails(block, transactions);
-    setupBlockEventListeners(block, !!transactions);
+    detailsContent.innerHTML = renderBlockDetails(block, txData);
+    setupBlockEventListeners(block, !!txData);
   } catch (error) {
     console.error('Error displaying block details:', error);
     displayError('Failed to display block details', error.message);
@@ -250,7 +274,7 @@ const displayLoading = () => {
  * @param {string} hash - Entity hash
  */
 const updateBrowserHistory = (type, hash) => {
-  history.pushState({}, '', `?type=${type}&hash=${hash}`);
+  history.pushState({}, '', withNetwork(`?type=${type}&hash=${hash}`));
 };
 
 /**
@@ -271,18 +295,19 @@ window.loadBlockDetails = async (hashOrHeight) => {
 };
 
 /**
- * Loads and displays block transactions
+ * Loads and displays a page of block transactions
  * @param {string} hash - Block hash
+ * @param {number} [page=1] - Transaction page
  */
-window.loadBlockTransactions = async (hash) => {
+window.loadBlockTransactions = async (hash, page = 1) => {
   try {
     displayLoading();
-    const [block, transactions] = await Promise.all([
+    const [block, txData] = await Promise.all([
       getBlockDetails(hash),
-      getBlockTransactions(hash),
+      getBlockTransactions(hash, page),
     ]);
     validateBlockData(block);
-    displayBlockDetails(block, transactions);
+    displayBlockDetails(block, txData);
   } catch (error) {
     console.error('Error loading block transactions:', error);
     displayError('Failed to load block transactions', error);
@@ -345,11 +370,23 @@ const handleSearch = async (query) => {
       case 'block':
         redirectUrl = `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`;
         break;
+      case 'epoch':
+        redirectUrl = `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`;
+        break;
+      case 'pool':
+        redirectUrl = `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`;
+        break;
+      case 'stake_address':
+        redirectUrl = `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`;
+        break;
+      case 'policy':
+        redirectUrl = `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`;
+        break;
       default:
         throw new Error('Unsupported search result type');
     }
 
-    window.location.href = redirectUrl;
+    window.location.href = withNetwork(redirectUrl);
   } catch (error) {
     console.error('Search error:', error);
     displayError('Search failed', error);
@@ -389,7 +426,9 @@ const initDetailsPage = async () => {
     console.log('URL params:', params);
 
     if (params.type === 'address') {
-      window.location.href = `${CONFIG.ROUTES.WALLET}?address=${params.hash}`;
+      window.location.href = withNetwork(
+        `${CONFIG.ROUTES.WALLET}?address=${params.hash}`
+      );
       return;
     }
 
@@ -0,0 +1,231 @@
+/**
+ * Epoch Details Controller
+ *
+ * Manages the epoch details page functionality:
+ * - Epoch summary and progress (latest epoch when none is given)
+ * - Paginated block listing
+ * - Paginated stake distribution
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * @module epoch
+ */
+
+import {
+  getLatestEpoch,
+  getEpoch,
+  getEpochBlocks,
+  getEpochStakes,
+  search,
+} from './api.js';
+import {
+  EPOCH_TABS,
+  renderEpochOverview,
+  renderEpochTabs,
+  renderEpochBlocks,
+  renderEpochStakes,
+} from './renderers/epochs.js';
+import { renderError, renderLoading } from './renderers/shared.js';
+import { validators } from './utils.js';
+import { withNetwork } from './network.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'epoch-content',
+      DETAIL_TYPE: '.detail-type',
+      TAB_CONTENT: 'epoch-tab-content',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+    },
+    CLASSES: {
+      TAB: 'epoch-tab',
+      PAGE_BTN: 'epoch-page-btn',
+    },
+  },
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+const TAB_LOADERS = {
+  [EPOCH_TABS.BLOCKS]: {
+    load: getEpochBlocks,
+    render: renderEpochBlocks,
+    loading: 'Loading blocks...',
+  },
+  [EPOCH_TABS.STAKES]: {
+    load: getEpochStakes,
+    render: renderEpochStakes,
+    loading: 'Loading stake distribution...',
+  },
+};
+
+/**
+ * Loads and displays one page of the selected tab
+ * @param {number} epochNumber - Epoch number
+ * @param {string} tab - One of EPOCH_TABS
+ * @param {number} [page=1] - Page number
+ */
+const loadTab = async (epochNumber, tab, page = 1) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.TAB_CONTENT);
+  const { load, render, loading } = TAB_LOADERS[tab];
+
+  document.querySelectorAll(`.${CONFIG.UI.CLASSES.TAB}`).forEach((btn) => {
+    const isActive = btn.dataset.tab === tab;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-selected', isActive);
+  });
+
+  try {
+    container.innerHTML = renderLoading(loading);
+    container.innerHTML = render(await load(epochNumber, page));
+
+    container
+      .querySelectorAll(`.${CONFIG.UI.CLASSES.PAGE_BTN}`)
+      .forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const target = parseInt(btn.dataset.page);
+          if (!btn.disabled && target > 0) loadTab(epochNumber, tab, target);
+        });
+      });
+  } catch (error) {
+    console.error('Error loading epoch tab:', { epochNumber, tab, error });
+    container.innerHTML = renderError(
+      'Failed to load epoch data',
+      error.message
+    );
+  }
+};
+
+/**
+ * Initializes the epoch page
+ */
+const initEpochPage = async () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  const epochParam = new URLSearchParams(window.location.search).get('epoch');
+  if (epochParam !== null && !/^\d+$/.test(epochParam)) {
+    contentElement.innerHTML = renderError(
+      'Invalid epoch',
+      'Please provide a valid epoch number'
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Loading epoch details...');
+    const epoch =
+      epochParam === null ? await getLatestEpoch() : await getEpoch(epochParam);
+
+    const detailType = document.querySelector(CONFIG.UI.ELEMENTS.DETAIL_TYPE);
+    if (detailType) detailType.textContent = `Epoch ${epoch.epoch}`;
+
+    contentElement.innerHTML = `
+      <div class="section">
+        <div class="card">
+          ${renderEpochOverview(epoch)}
+          ${renderEpochTabs(EPOCH_TABS.BLOCKS)}
+          <div id="${CONFIG.UI.ELEMENTS.TAB_CONTENT}"></div>
+        </div>
+      </div>
+    `;
+
+    document.querySelectorAll(`.${CONFIG.UI.CLASSES.TAB}`).forEach((btn) => {
+      btn.addEventListener('click', () =>
+        loadTab(epoch.epoch, btn.dataset.tab)
+      );
+    });
+    loadTab(epoch.epoch, EPOCH_TABS.BLOCKS);
+  } catch (error) {
+    console.error('Error loading epoch:', error);
+    contentElement.innerHTML = renderError(
+      'Failed to load epoch',
+      error.status === 404 ? 'This epoch has not started yet' : error.message
+    );
+  }
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+
+  if (!validators.isValidSearchQuery(query)) {
+    contentElement.innerHTML = renderError(
+      'Invalid search query',
+      `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Searching...');
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    contentElement.innerHTML = renderError('Search failed', error.message);
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initEpochPage();
+  setupEventListeners();
+});
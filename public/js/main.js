@@ -2,7 +2,7 @@
  * Main Application Controller
  *
  * Manages the main explorer page functionality including:
- * - Latest block updates and auto-refresh
+ * - Live updates of the latest block and block list (Server-Sent Events)
  * - Block list pagination
  * - Search functionality
  * - Navigation to block details
@@ -15,11 +15,13 @@ import {
   getLatestBlock,
   getBlocks,
   getBlockTransactions,
+  openBlockStream,
   search,
 } from './api.js';
 import {
   displayLatestBlock,
   displayBlockList,
+  prependBlock,
   displayTransactions,
   displayError,
   displayLoading,
@@ -27,11 +29,12 @@ import {
   hideBlockContent,
 } from './ui.js';
 import { getElement } from './utils.js';
+import { withNetwork } from './network.js';
 
 // Configuration Constants
 const CONFIG = {
   TIMINGS: {
-    REFRESH_INTERVAL: 20000, // 20 seconds
+    RECONNECT_DELAY: 20000, // 20 seconds, after the server refused the feed
     ERROR_DISPLAY_DURATION: 5000, // 5 seconds
   },
   VALIDATION: {
@@ -52,16 +55,23 @@ const CONFIG = {
     CONTAINER: '.container',
   },
   ROUTES: {
+    WALLET: 'pages/wallet.html',
     DETAILS: 'pages/details.html',
+    EPOCH: 'pages/epoch.html',
+    POOL: 'pages/pool.html',
+    ACCOUNT: 'pages/account.html',
+    POLICY: 'pages/policy.html',
   },
 };
 
 /**
- * Manages application state and auto-refresh functionality
+ * Manages application state and the live feed connection
  */
 class ExplorerState {
   constructor() {
-    this.autoRefreshInterval = null;
+    this.blockStream = null;
+    this.reconnectTimer = null;
+    this.lastEventId = undefined;
     this.currentBlockHash = null;
     this.isLoading = false;
   }
@@ -78,8 +88,8 @@ class ExplorerState {
     this.isLoading = isLoading;
   }
 
-  isAutoRefreshActive() {
-    return !!this.autoRefreshInterval;
+  isLiveFeedActive() {
+    return !!this.blockStream;
   }
 }
 
@@ -137,29 +147,78 @@ const validateTransactionData = (txData) => {
 };
 
 /**
- * Manages auto-refresh functionality
+ * Handles a new block from the live feed
+ * @param {MessageEvent} event - `block` event
  */
-const autoRefresh = {
+const handleStreamBlock = (event) => {
+  state.lastEventId = event.lastEventId;
+  try {
+    const { block, transactions } = JSON.parse(event.data);
+    const validatedBlock = validateBlockData(block, 'streamed block');
+    displayLatestBlock(
+      validatedBlock,
+      Array.isArray(transactions) ? transactions : []
+    );
+    prependBlock(validatedBlock);
+  } catch (error) {
+    console.error('Error handling streamed block:', { error });
+  }
+};
+
+/**
+ * Handles a live feed reset: the chain rolled back or more blocks were
+ * missed than the server keeps, so the shown blocks are reloaded
+ * @param {MessageEvent} event - `reset` event
+ */
+const handleStreamReset = (event) => {
+  state.lastEventId = event.lastEventId;
+  window.fetchLatestBlock();
+
+  // Older windows are addressed by height and remain valid
+  const blockList = getElement(CONFIG.ELEMENTS.BLOCK_LIST);
+  if (blockList?.querySelector('[data-live]')) window.loadBlockList();
+};
+
+/**
+ * Manages the live feed of new blocks. The browser reconnects by itself
+ * after network errors; when the server refuses the feed (e.g. rate
+ * limited) a new one is opened after a delay, resuming where the last
+ * one stopped.
+ */
+const liveFeed = {
   start() {
-    if (!state.isAutoRefreshActive()) {
-      state.autoRefreshInterval = setInterval(
-        window.fetchLatestBlock,
-        CONFIG.TIMINGS.REFRESH_INTERVAL
-      );
-      this.updateButtonText('Stop Auto-Refresh');
+    if (!state.isLiveFeedActive()) {
+      this.connect();
+      this.updateButtonText('Stop Live Updates');
     }
   },
 
   stop() {
-    if (state.isAutoRefreshActive()) {
-      clearInterval(state.autoRefreshInterval);
-      state.autoRefreshInterval = null;
-      this.updateButtonText('Start Auto-Refresh');
+    if (state.isLiveFeedActive()) {
+      state.blockStream.close();
+      state.blockStream = null;
+      clearTimeout(state.reconnectTimer);
+      this.updateButtonText('Start Live Updates');
     }
   },
 
   toggle() {
-    state.isAutoRefreshActive() ? this.stop() : this.start();
+    state.isLiveFeedActive() ? this.stop() : this.start();
+  },
+
+  connect() {
+    const stream = openBlockStream(state.lastEventId);
+    stream.addEventListener('block', handleStreamBlock);
+    stream.addEventListener('reset', handleStreamReset);
+    stream.addEventListener('error', () => {
+      if (stream.readyState !== EventSource.CLOSED) return;
+      console.warn('Live feed closed, reconnecting later');
+      state.reconnectTimer = setTimeout(
+        () => this.connect(),
+        CONFIG.TIMINGS.RECONNECT_DELAY
+      );
+    });
+    state.blockStream = stream;
   },
 
   updateButtonText(text) {
@@ -170,6 +229,7 @@ const autoRefresh = {
 
 /**
  * Fetches and displays the latest block
+ * @returns {Promise<Object|undefined>} Latest block, if it could be loaded
  */
 window.fetchLatestBlock = async function fetchLatestBlock() {
   try {
@@ -179,6 +239,7 @@ window.fetchLatestBlock = async function fetchLatestBlock() {
     const block = await getLatestBlock();
     const validatedBlock = validateBlockData(block, 'latest block');
     displayLatestBlock(validatedBlock);
+    return validatedBlock;
   } catch (error) {
     console.error('Error fetching latest block:', { error });
     displayError(
@@ -231,21 +292,22 @@ window.clearBlockSelection = function clearBlockSelection() {
 /**
  * Loads and displays block list with pagination
  * @param {number} [page=1] - Page number to load
+ * @param {number} [before] - Load the blocks below this height instead
  */
-window.loadBlockList = async function loadBlockList(page = 1) {
+window.loadBlockList = async function loadBlockList(page = 1, before) {
   try {
     state.setLoading(true);
     displayLoading(CONFIG.ELEMENTS.BLOCK_LIST);
     hideBlockContent();
 
-    const blockData = await getBlocks(page);
+    const blockData = await getBlocks(page, undefined, before);
     if (!blockData?.blocks || !Array.isArray(blockData.blocks)) {
       throw new Error('Invalid block list data structure received');
     }
 
     displayBlockList(blockData);
   } catch (error) {
-    console.error('Error loading block list:', { error, page });
+    console.error('Error loading block list:', { error, page, before });
     displayError(
       `Failed to load block list: ${error.message}`,
       CONFIG.ELEMENTS.BLOCK_LIST
@@ -264,7 +326,9 @@ window.loadBlockDetails = function loadBlockDetails(blockHash) {
     displayError('Block hash is required', CONFIG.ELEMENTS.BLOCK_LIST);
     return;
   }
-  window.location.href = `${CONFIG.ROUTES.DETAILS}?hash=${blockHash}&type=block`;
+  window.location.href = withNetwork(
+    `${CONFIG.ROUTES.DETAILS}?hash=${blockHash}&type=block`
+  );
 };
 
 /**
@@ -295,11 +359,42 @@ const handleSearch = async (query) => {
     }
 
     const { type, result } = searchResult;
+    if (type === 'address') {
+      window.location.href = withNetwork(
+        `${CONFIG.ROUTES.WALLET}?address=${result.address}`
+      );
+      return;
+    }
+    if (type === 'epoch') {
+      window.location.href = withNetwork(
+        `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`
+      );
+      return;
+    }
+    if (type === 'pool') {
+      window.location.href = withNetwork(
+        `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`
+      );
+      return;
+    }
+    if (type === 'stake_address') {
+      window.location.href = withNetwork(
+        `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`
+      );
+      return;
+    }
+    if (type === 'policy') {
+      window.location.href = withNetwork(
+        `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`
+      );
+      return;
+    }
+
     const redirectUrl = new URL(CONFIG.ROUTES.DETAILS, window.location.origin);
     redirectUrl.searchParams.set('type', type);
     redirectUrl.searchParams.set('hash', result.hash);
 
-    window.location.href = redirectUrl.toString();
+    window.location.href = withNetwork(redirectUrl.toString());
   } catch (error) {
     console.error('Search error:', error);
     displayError('Search failed', error.message, CONFIG.ELEMENTS.LATEST_BLOCK);
@@ -316,7 +411,7 @@ const setupEventListeners = () => {
   fetchBlockBtn?.addEventListener('click', window.fetchLatestBlock);
 
   const autoRefreshBtn = getElement(CONFIG.ELEMENTS.AUTO_REFRESH);
-  autoRefreshBtn?.addEventListener('click', () => autoRefresh.toggle());
+  autoRefreshBtn?.addEventListener('click', () => liveFeed.toggle());
 
   const searchInput = document.querySelector(CONFIG.ELEMENTS.SEARCH_INPUT);
   const searchButton = document.querySelector(CONFIG.ELEMENTS.SEARCH_BUTTON);
@@ -341,9 +436,14 @@ const initializeApp = async () => {
     state.setLoading(true);
     hideBlockContent();
 
-    await Promise.all([window.fetchLatestBlock(), window.loadBlockList()]);
+    const [latestBlock] = await Promise.all([
+      window.fetchLatestBlock(),
+      window.loadBlockList(),
+    ]);
 
-    autoRefresh.start();
+    // Resume from the loaded tip so no block is missed while connecting
+    if (latestBlock) state.lastEventId = String(latestBlock.height);
+    liveFeed.start();
     setupEventListeners();
   } catch (error) {
     console.error('Error initializing application:', error);
@@ -365,5 +465,5 @@ export {
   initializeApp,
   setupEventListeners,
   CONFIG,
-  autoRefresh as refreshController,
+  liveFeed as refreshController,
 };
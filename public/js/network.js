@@ -0,0 +1,128 @@
+/**
+ * Network Selection
+ *
+ * Keeps the selected Cardano network (mainnet, preprod, preview) in the
+ * page URL:
+ * - Network detection from the `network` query parameter
+ * - Network-scoped API paths
+ * - Network propagation to internal links
+ * - Header network badge and switcher
+ *
+ * @module network
+ */
+
+const NETWORK_CONFIG = {
+  PARAM: 'network',
+  DEFAULT: 'mainnet',
+  NETWORKS: {
+    mainnet: { label: 'Mainnet' },
+    preprod: { label: 'Preprod' },
+    preview: { label: 'Preview' },
+  },
+  ELEMENTS: {
+    HEADER: '.header',
+    SWITCHER: 'network-switcher',
+  },
+  ROUTES: {
+    HOME: '/index.html',
+  },
+};
+
+/**
+ * Returns the network selected in the page URL
+ * @returns {string} Network name
+ */
+export const getNetwork = () => {
+  const network = new URLSearchParams(window.location.search).get(
+    NETWORK_CONFIG.PARAM
+  );
+  return NETWORK_CONFIG.NETWORKS[network] ? network : NETWORK_CONFIG.DEFAULT;
+};
+
+/**
+ * Prefixes an API endpoint with the selected network
+ * @param {string} endpoint - Endpoint path, e.g. `/blocks/latest`
+ * @returns {string} Network-scoped API path
+ */
+export const apiPath = (endpoint) => `/api/${getNetwork()}${endpoint}`;
+
+/**
+ * Adds the selected network to an internal URL
+ * @param {string} url - Absolute or page-relative URL
+ * @returns {string} URL carrying the network parameter
+ */
+export const withNetwork = (url) => {
+  const network = getNetwork();
+  if (network === NETWORK_CONFIG.DEFAULT) return url;
+
+  const target = new URL(url, window.location.href);
+  if (target.origin !== window.location.origin) return url;
+
+  target.searchParams.set(NETWORK_CONFIG.PARAM, network);
+  return `${target.pathname}${target.search}${target.hash}`;
+};
+
+/**
+ * Carries the network over to internal links as they are followed
+ */
+const propagateNetworkToLinks = () => {
+  document.addEventListener('click', (event) => {
+    const link = event.target.closest?.('a[href]');
+    if (!link || link.target === '_blank') return;
+
+    const href = link.getAttribute('href');
+    if (href.startsWith('#') || href.startsWith('javascript:')) return;
+    link.setAttribute('href', withNetwork(href));
+  });
+};
+
+/**
+ * Renders the network badge and switcher into the page header
+ */
+const renderNetworkSwitcher = () => {
+  const header = document.querySelector(NETWORK_CONFIG.ELEMENTS.HEADER);
+  if (!header || document.getElementById(NETWORK_CONFIG.ELEMENTS.SWITCHER)) {
+    return;
+  }
+
+  const network = getNetwork();
+  const options = Object.entries(NETWORK_CONFIG.NETWORKS)
+    .map(
+      ([name, { label }]) =>
+        `<option value="${name}" ${
+          name === network ? 'selected' : ''
+        }>${label}</option>`
+    )
+    .join('');
+
+  header.insertAdjacentHTML(
+    'afterbegin',
+    `
+    <div id="${NETWORK_CONFIG.ELEMENTS.SWITCHER}" class="network-switcher">
+      <span class="network-badge network-${network}">
+        ${NETWORK_CONFIG.NETWORKS[network].label}
+      </span>
+      <select aria-label="Select network">${options}</select>
+    </div>
+  `
+  );
+
+  // Entity hashes differ per network, so switching starts from the home page
+  header
+    .querySelector(`#${NETWORK_CONFIG.ELEMENTS.SWITCHER} select`)
+    .addEventListener('change', (event) => {
+      const target = new URL(
+        NETWORK_CONFIG.ROUTES.HOME,
+        window.location.origin
+      );
+      if (event.target.value !== NETWORK_CONFIG.DEFAULT) {
+        target.searchParams.set(NETWORK_CONFIG.PARAM, event.target.value);
+      }
+      window.location.href = target.toString();
+    });
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  renderNetworkSwitcher();
+  propagateNetworkToLinks();
+});
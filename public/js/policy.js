@@ -0,0 +1,234 @@
+/**
+ * Minting Policy Controller
+ *
+ * Manages the minting policy page functionality:
+ * - Policy totals and native script status
+ * - Paginated list of the policy's assets
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * @module policy
+ */
+
+import { getPolicy, search } from './api.js';
+import {
+  renderPolicyOverview,
+  renderPolicyAssets,
+} from './renderers/policies.js';
+import { renderError, renderLoading } from './renderers/shared.js';
+import { validators } from './utils.js';
+import { withNetwork } from './network.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'policy-content',
+      DETAIL_TYPE: '.detail-type',
+      ASSETS_CONTENT: 'policy-assets-content',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+      COPY_BUTTON: '.copy-btn',
+    },
+    CLASSES: {
+      PAGE_BTN: 'policy-page-btn',
+      COPIED: 'copied',
+    },
+    COPY_FEEDBACK_DURATION: 2000,
+  },
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+    POLICY_ID_REGEX: /^[0-9a-fA-F]{56}$/,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+/**
+ * Copies text to clipboard with visual feedback
+ * @param {HTMLElement} btn - Button element that triggered the copy
+ * @param {string} hash - Text to copy
+ */
+const copyToClipboard = async (btn, hash) => {
+  try {
+    await navigator.clipboard.writeText(hash);
+    const originalTitle = btn.title;
+    btn.title = 'Copied!';
+    btn.classList.add(CONFIG.UI.CLASSES.COPIED);
+    setTimeout(() => {
+      btn.title = originalTitle;
+      btn.classList.remove(CONFIG.UI.CLASSES.COPIED);
+    }, CONFIG.UI.COPY_FEEDBACK_DURATION);
+  } catch (err) {
+    console.error('Failed to copy:', err);
+    btn.title = 'Failed to copy';
+  }
+};
+
+/**
+ * Wires the page buttons rendered inside a container
+ * @param {HTMLElement} container - Container holding the pagination
+ * @param {Function} onPage - Called with the target page number
+ */
+const setupPageButtons = (container, onPage) => {
+  container
+    .querySelectorAll(`.${CONFIG.UI.CLASSES.PAGE_BTN}`)
+    .forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const target = parseInt(btn.dataset.page);
+        if (!btn.disabled && target > 0) onPage(target);
+      });
+    });
+};
+
+/**
+ * Loads and displays one page of the policy's assets
+ * @param {string} policyId - Policy ID
+ * @param {number} page - Page number
+ */
+const loadAssets = async (policyId, page) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.ASSETS_CONTENT);
+
+  try {
+    container.innerHTML = renderLoading('Loading assets...');
+    container.innerHTML = renderPolicyAssets(await getPolicy(policyId, page));
+    setupPageButtons(container, (target) => loadAssets(policyId, target));
+  } catch (error) {
+    console.error('Error loading policy assets:', { policyId, error });
+    container.innerHTML = renderError('Failed to load assets', error.message);
+  }
+};
+
+/**
+ * Initializes the policy page
+ */
+const initPolicyPage = async () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  const policyId = new URLSearchParams(window.location.search).get('id');
+  if (!CONFIG.VALIDATION.POLICY_ID_REGEX.test(policyId || '')) {
+    contentElement.innerHTML = renderError(
+      'Invalid policy ID',
+      'Please provide a policy ID of 56 hexadecimal characters'
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Loading policy...');
+    const policy = await getPolicy(policyId.toLowerCase());
+
+    const detailType = document.querySelector(CONFIG.UI.ELEMENTS.DETAIL_TYPE);
+    if (detailType) detailType.textContent = 'Minting Policy';
+
+    contentElement.innerHTML = `
+      <div class="section">
+        <div class="card">
+          ${renderPolicyOverview(policy)}
+          <div id="${CONFIG.UI.ELEMENTS.ASSETS_CONTENT}">
+            ${renderPolicyAssets(policy)}
+          </div>
+        </div>
+      </div>
+    `;
+
+    contentElement
+      .querySelectorAll(CONFIG.UI.ELEMENTS.COPY_BUTTON)
+      .forEach((btn) =>
+        btn.addEventListener('click', () =>
+          copyToClipboard(btn, btn.dataset.hash)
+        )
+      );
+
+    setupPageButtons(
+      document.getElementById(CONFIG.UI.ELEMENTS.ASSETS_CONTENT),
+      (target) => loadAssets(policy.policy_id, target)
+    );
+  } catch (error) {
+    console.error('Error loading policy:', error);
+    contentElement.innerHTML = renderError(
+      'Failed to load policy',
+      error.message
+    );
+  }
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+
+  if (!validators.isValidSearchQuery(query)) {
+    contentElement.innerHTML = renderError(
+      'Invalid search query',
+      `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Searching...');
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    contentElement.innerHTML = renderError('Search failed', error.message);
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initPolicyPage();
+  setupEventListeners();
+});
@@ -0,0 +1,294 @@
+/**
+ * Stake Pool Controller
+ *
+ * Manages the stake pool page functionality:
+ * - Paginated pool listing (when no pool is given)
+ * - Pool parameters, owners and relays
+ * - Paginated epoch history and produced blocks
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * @module pool
+ */
+
+import {
+  getPools,
+  getPool,
+  getPoolHistory,
+  getPoolBlocks,
+  search,
+} from './api.js';
+import {
+  POOL_TABS,
+  renderPoolList,
+  renderPoolOverview,
+  renderPoolTabs,
+  renderPoolHistory,
+  renderPoolBlocks,
+} from './renderers/pools.js';
+import { renderError, renderLoading } from './renderers/shared.js';
+import { validators } from './utils.js';
+import { withNetwork } from './network.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'pool-content',
+      DETAIL_TYPE: '.detail-type',
+      LIST_CONTENT: 'pool-list-content',
+      TAB_CONTENT: 'pool-tab-content',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+    },
+    CLASSES: {
+      TAB: 'pool-tab',
+      PAGE_BTN: 'pool-page-btn',
+    },
+  },
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+    POOL_ID_REGEX: /^pool1[0-9a-z]+$/,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+const TAB_LOADERS = {
+  [POOL_TABS.HISTORY]: {
+    load: getPoolHistory,
+    render: renderPoolHistory,
+    loading: 'Loading pool history...',
+  },
+  [POOL_TABS.BLOCKS]: {
+    load: getPoolBlocks,
+    render: renderPoolBlocks,
+    loading: 'Loading blocks...',
+  },
+};
+
+/**
+ * Wires the page buttons rendered inside a container
+ * @param {HTMLElement} container - Container holding the pagination
+ * @param {Function} onPage - Called with the target page number
+ */
+const setupPageButtons = (container, onPage) => {
+  container
+    .querySelectorAll(`.${CONFIG.UI.CLASSES.PAGE_BTN}`)
+    .forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const target = parseInt(btn.dataset.page);
+        if (!btn.disabled && target > 0) onPage(target);
+      });
+    });
+};
+
+/**
+ * Loads and displays one page of the pool listing
+ * @param {number} [page=1] - Page number
+ */
+const loadPoolList = async (page = 1) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.LIST_CONTENT);
+
+  try {
+    container.innerHTML = renderLoading('Loading stake pools...');
+    container.innerHTML = renderPoolList(await getPools(page));
+    setupPageButtons(container, loadPoolList);
+  } catch (error) {
+    console.error('Error loading stake pools:', { page, error });
+    container.innerHTML = renderError(
+      'Failed to load stake pools',
+      error.message
+    );
+  }
+};
+
+/**
+ * Loads and displays one page of the selected tab
+ * @param {string} poolId - Bech32 pool ID
+ * @param {string} tab - One of POOL_TABS
+ * @param {number} [page=1] - Page number
+ */
+const loadTab = async (poolId, tab, page = 1) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.TAB_CONTENT);
+  const { load, render, loading } = TAB_LOADERS[tab];
+
+  document.querySelectorAll(`.${CONFIG.UI.CLASSES.TAB}`).forEach((btn) => {
+    const isActive = btn.dataset.tab === tab;
+    btn.classList.toggle('active', isActive);
+    btn.setAttribute('aria-selected', isActive);
+  });
+
+  try {
+    container.innerHTML = renderLoading(loading);
+    container.innerHTML = render(await load(poolId, page));
+    setupPageButtons(container, (target) => loadTab(poolId, tab, target));
+  } catch (error) {
+    console.error('Error loading pool tab:', { poolId, tab, error });
+    container.innerHTML = renderError(
+      'Failed to load pool data',
+      error.message
+    );
+  }
+};
+
+/**
+ * Displays the pool listing
+ * @param {HTMLElement} contentElement - Page content element
+ */
+const initPoolList = (contentElement) => {
+  const detailType = document.querySelector(CONFIG.UI.ELEMENTS.DETAIL_TYPE);
+  if (detailType) detailType.textContent = 'Stake Pools';
+
+  contentElement.innerHTML = `
+    <div class="section">
+      <div class="card">
+        <h3 class="section-title">Stake Pools</h3>
+        <div id="${CONFIG.UI.ELEMENTS.LIST_CONTENT}"></div>
+      </div>
+    </div>
+  `;
+  loadPoolList();
+};
+
+/**
+ * Loads and displays a single pool
+ * @param {HTMLElement} contentElement - Page content element
+ * @param {string} poolId - Bech32 pool ID
+ */
+const initPoolDetails = async (contentElement, poolId) => {
+  try {
+    contentElement.innerHTML = renderLoading('Loading pool details...');
+    const pool = await getPool(poolId);
+
+    const detailType = document.querySelector(CONFIG.UI.ELEMENTS.DETAIL_TYPE);
+    if (detailType && pool.metadata?.ticker) {
+      detailType.textContent = `Stake Pool ${pool.metadata.ticker}`;
+    }
+
+    contentElement.innerHTML = `
+      <div class="section">
+        <div class="card">
+          ${renderPoolOverview(pool)}
+          ${renderPoolTabs(POOL_TABS.HISTORY)}
+          <div id="${CONFIG.UI.ELEMENTS.TAB_CONTENT}"></div>
+        </div>
+      </div>
+    `;
+
+    document.querySelectorAll(`.${CONFIG.UI.CLASSES.TAB}`).forEach((btn) => {
+      btn.addEventListener('click', () => loadTab(poolId, btn.dataset.tab));
+    });
+    loadTab(poolId, POOL_TABS.HISTORY);
+  } catch (error) {
+    console.error('Error loading pool:', error);
+    contentElement.innerHTML = renderError(
+      'Failed to load stake pool',
+      error.message
+    );
+  }
+};
+
+/**
+ * Initializes the pool page
+ */
+const initPoolPage = () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  const poolId = new URLSearchParams(window.location.search).get('id');
+  if (poolId === null) {
+    initPoolList(contentElement);
+    return;
+  }
+
+  if (!CONFIG.VALIDATION.POOL_ID_REGEX.test(poolId)) {
+    contentElement.innerHTML = renderError(
+      'Invalid pool ID',
+      "Please provide a valid pool ID starting with 'pool1'"
+    );
+    return;
+  }
+
+  initPoolDetails(contentElement, poolId);
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+
+  if (!validators.isValidSearchQuery(query)) {
+    contentElement.innerHTML = renderError(
+      'Invalid search query',
+      `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Searching...');
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    contentElement.innerHTML = renderError('Search failed', error.message);
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initPoolPage();
+  setupEventListeners();
+});
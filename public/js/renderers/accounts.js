@@ -0,0 +1,252 @@
+/**
+ * Stake Account Renderer
+ *
+ * Manages the display of Cardano stake account information:
+ * - Account balances and delegation status
+ * - Reward and active stake history with per-epoch charts
+ * - Delegation, registration and withdrawal history
+ * - MIR entries and associated payment addresses
+ *
+ * @module renderers/accounts
+ */
+
+import { formatAda, formatDate, LOVELACE_TO_ADA } from '../utils.js';
+import {
+  renderDetailRow,
+  renderFiatValue,
+  renderPagination,
+  renderPoolLink,
+} from './shared.js';
+import { renderBarChart } from './charts.js';
+
+// Constants
+const PATHS = {
+  TRANSACTION: '../pages/transaction.html',
+  WALLET: '../pages/wallet.html',
+  EPOCH: '../pages/epoch.html',
+  REPORT: '../pages/report.html',
+};
+
+const lovelaceToAda = (lovelace) =>
+  Number(BigInt(lovelace || '0')) / LOVELACE_TO_ADA;
+
+const formatAdaValue = (ada) =>
+  `${ada.toLocaleString(undefined, { maximumFractionDigits: 2 })} ₳`;
+
+const epochCell = (epoch) =>
+  `<a href="${PATHS.EPOCH}?epoch=${epoch}">${epoch}</a>`;
+
+const txCell = (hash) =>
+  `<a href="${PATHS.TRANSACTION}?hash=${hash}" title="${hash}">${hash}</a>`;
+
+const amountCell = (entry) => `${formatAda(entry.amount || '0')} ₳`;
+
+const timeCell = (entry) =>
+  entry.block_time ? formatDate(entry.block_time) : 'N/A';
+
+/**
+ * Account lists shown as tabs, keyed by their API list name. Each tab
+ * lists its columns as [header, cell renderer, cell class] and, for
+ * per-epoch lists, how to chart an entry.
+ */
+const TAB_DEFINITIONS = {
+  rewards: {
+    label: 'Rewards',
+    empty: 'No rewards yet',
+    columns: [
+      ['Epoch', (entry) => epochCell(entry.epoch)],
+      ['Type', (entry) => entry.type],
+      ['Amount', amountCell],
+      ['Pool', (entry) => renderPoolLink(entry.pool_id), 'hash-cell'],
+    ],
+    chart: {
+      title: 'Rewards per epoch',
+      point: (entry) => ({
+        label: `Epoch ${entry.epoch}`,
+        value: lovelaceToAda(entry.amount),
+      }),
+    },
+  },
+  history: {
+    label: 'Active Stake',
+    empty: 'No active stake history yet',
+    columns: [
+      ['Epoch', (entry) => epochCell(entry.active_epoch)],
+      ['Active Stake', amountCell],
+      ['Pool', (entry) => renderPoolLink(entry.pool_id), 'hash-cell'],
+    ],
+    chart: {
+      title: 'Active stake per epoch',
+      point: (entry) => ({
+        label: `Epoch ${entry.active_epoch}`,
+        value: lovelaceToAda(entry.amount),
+      }),
+    },
+  },
+  delegations: {
+    label: 'Delegations',
+    empty: 'No delegations yet',
+    columns: [
+      ['Active From', (entry) => epochCell(entry.active_epoch)],
+      ['Pool', (entry) => renderPoolLink(entry.pool_id), 'hash-cell'],
+      ['Time', timeCell],
+      ['Transaction', (entry) => txCell(entry.tx_hash), 'hash-cell'],
+    ],
+  },
+  registrations: {
+    label: 'Registrations',
+    empty: 'No registrations yet',
+    columns: [
+      ['Action', (entry) => entry.action],
+      ['Time', timeCell],
+      ['Transaction', (entry) => txCell(entry.tx_hash), 'hash-cell'],
+    ],
+  },
+  withdrawals: {
+    label: 'Withdrawals',
+    empty: 'No withdrawals yet',
+    columns: [
+      ['Amount', amountCell],
+      ['Time', timeCell],
+      ['Transaction', (entry) => txCell(entry.tx_hash), 'hash-cell'],
+    ],
+  },
+  mirs: {
+    label: 'MIRs',
+    empty: 'No MIR entries',
+    columns: [
+      ['Amount', amountCell],
+      ['Time', timeCell],
+      ['Transaction', (entry) => txCell(entry.tx_hash), 'hash-cell'],
+    ],
+  },
+  addresses: {
+    label: 'Addresses',
+    empty: 'No associated addresses',
+    columns: [
+      [
+        'Address',
+        (entry) =>
+          `<a href="${PATHS.WALLET}?address=${entry.address}">${entry.address}</a>`,
+        'hash-cell',
+      ],
+    ],
+  },
+};
+
+export const ACCOUNT_TABS = Object.keys(TAB_DEFINITIONS);
+
+/**
+ * Renders the account summary
+ * @param {Object} account - Account details
+ * @param {Object|null} [quote] - Today's ADA price, to show the controlled
+ *   amount in fiat
+ * @returns {string} HTML string
+ */
+export const renderAccountOverview = (account, quote = null) => `
+  <div class="account-overview">
+    <h3 class="section-title">Stake Account</h3>
+    <div class="block-summary">
+      ${renderDetailRow('Stake Address', account.stake_address)}
+      ${renderDetailRow(
+        'Status',
+        account.active ? 'Registered' : 'Not registered'
+      )}
+      ${renderDetailRow(
+        'Delegated To',
+        account.pool_id ? renderPoolLink(account.pool_id) : 'Not delegated'
+      )}
+      ${renderDetailRow(
+        'Controlled Amount',
+        `${formatAda(account.controlled_amount || '0')} ₳${renderFiatValue(
+          account.controlled_amount || '0',
+          quote
+        )}`
+      )}
+      ${renderDetailRow(
+        'Available Rewards',
+        `${formatAda(account.withdrawable_amount || '0')} ₳`
+      )}
+      ${renderDetailRow(
+        'Total Rewards',
+        `${formatAda(account.rewards_sum || '0')} ₳`
+      )}
+      ${renderDetailRow(
+        'Total Withdrawn',
+        `${formatAda(account.withdrawals_sum || '0')} ₳`
+      )}
+      ${renderDetailRow(
+        'Tax Report',
+        `<a href="${PATHS.REPORT}?stake=${account.stake_address}">Realized gains and staking income</a>`
+      )}
+    </div>
+  </div>
+`;
+
+/**
+ * Renders the tab switcher between account lists
+ * @param {string} activeTab - One of ACCOUNT_TABS
+ * @returns {string} HTML string
+ */
+export const renderAccountTabs = (activeTab) => `
+  <div class="epoch-tabs" role="tablist">
+    ${ACCOUNT_TABS.map(
+      (tab) => `
+      <button class="epoch-tab account-tab ${
+        tab === activeTab ? 'active' : ''
+      }" role="tab" data-tab="${tab}" aria-selected="${tab === activeTab}">
+        ${TAB_DEFINITIONS[tab].label}
+      </button>`
+    ).join('')}
+  </div>
+`;
+
+/**
+ * Renders a page of an account list, with a chart for per-epoch lists
+ * @param {string} tab - One of ACCOUNT_TABS
+ * @param {Object} data - Entries under the tab's name, and pagination
+ * @returns {string} HTML string
+ */
+export const renderAccountTab = (tab, data) => {
+  const { empty, columns, chart } = TAB_DEFINITIONS[tab];
+  const entries = data[tab];
+
+  if (!entries?.length) {
+    return `<div class="no-data">${empty}</div>`;
+  }
+
+  const rows = entries
+    .map(
+      (entry) => `
+      <tr>${columns
+        .map(
+          ([, cell, className]) =>
+            `<td${className ? ` class="${className}"` : ''}>${cell(entry)}</td>`
+        )
+        .join('')}</tr>
+    `
+    )
+    .join('');
+
+  return `
+    ${
+      chart
+        ? renderBarChart(
+            // Entries arrive newest first; charts read oldest to newest
+            [...entries].reverse().map(chart.point),
+            { title: chart.title, formatValue: formatAdaValue }
+          )
+        : ''
+    }
+    <table class="data-table">
+      <thead>
+        <tr>${columns.map(([header]) => `<th>${header}</th>`).join('')}</tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(data.pagination, {
+      label: `${TAB_DEFINITIONS[tab].label} pagination`,
+      buttonClass: 'account-page-btn',
+    })}
+  `;
+};
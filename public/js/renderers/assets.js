@@ -0,0 +1,196 @@
+/**
+ * Native Asset Renderer
+ *
+ * Manages the display of Cardano native asset information:
+ * - Asset image, name and description from CIP-25/CIP-68 metadata
+ * - Policy ID, asset name and CIP-14 fingerprint
+ * - Supply scaled by the asset's decimals
+ * - Mint/burn history and raw on-chain metadata
+ *
+ * All metadata is user supplied and is escaped before display.
+ *
+ * @module renderers/assets
+ */
+
+import {
+  renderDetailRow,
+  renderPagination,
+  createHashElement,
+  escapeHtml,
+} from './shared.js';
+
+// Constants
+const PATHS = {
+  TRANSACTION: '../pages/transaction.html',
+  POLICY: '../pages/policy.html',
+};
+
+/**
+ * Formats a raw token quantity using the asset's decimals
+ * @param {string} quantity - Integer quantity
+ * @param {number} [decimals=0] - Decimal places
+ * @returns {string} Formatted amount
+ */
+const formatTokenAmount = (quantity, decimals = 0) => {
+  const value = BigInt(quantity || '0');
+  if (!decimals) return value.toLocaleString();
+
+  const negative = value < 0n;
+  const magnitude = negative ? -value : value;
+  const divisor = 10n ** BigInt(decimals);
+  const fraction = (magnitude % divisor)
+    .toString()
+    .padStart(decimals, '0')
+    .replace(/0+$/, '');
+
+  return `${negative ? '-' : ''}${(magnitude / divisor).toLocaleString()}${
+    fraction ? `.${fraction}` : ''
+  }`;
+};
+
+const renderAssetImage = (metadata) =>
+  metadata.image
+    ? `<img class="asset-image" src="${escapeHtml(metadata.image)}"
+            alt="${escapeHtml(metadata.name || 'Asset image')}"
+            loading="lazy" referrerpolicy="no-referrer">`
+    : '';
+
+const STANDARD_LABELS = {
+  'CIP-25': 'CIP-25 (NFT metadata)',
+  'CIP-68': 'CIP-68 (datum metadata)',
+  registry: 'Token registry',
+};
+
+/**
+ * Renders the asset summary
+ * @param {Object} asset - Asset details with resolved metadata
+ * @returns {string} HTML string
+ */
+export const renderAssetOverview = (asset) => {
+  const { metadata } = asset;
+  const title = metadata.name || asset.name || asset.fingerprint;
+
+  return `
+    <div class="asset-overview">
+      <div class="asset-header">
+        ${renderAssetImage(metadata)}
+        <div>
+          <h3 class="section-title">
+            ${escapeHtml(title)}
+            ${
+              metadata.ticker
+                ? `<span class="epoch-badge">${escapeHtml(
+                    metadata.ticker
+                  )}</span>`
+                : ''
+            }
+          </h3>
+          ${
+            metadata.description
+              ? `<p class="asset-description">${escapeHtml(
+                  metadata.description
+                )}</p>`
+              : ''
+          }
+        </div>
+      </div>
+      <div class="block-summary">
+        ${createHashElement(asset.fingerprint, 'Fingerprint')}
+        ${createHashElement(asset.policy_id, 'Policy ID')}
+        ${renderDetailRow(
+          'Policy',
+          `<a href="${PATHS.POLICY}?id=${asset.policy_id}">View all assets under this policy</a>`
+        )}
+        ${renderDetailRow(
+          'Asset Name',
+          asset.name !== null
+            ? `${escapeHtml(asset.name)} <span class="asset-hex">(${
+                asset.asset_name
+              })</span>`
+            : asset.asset_name || '(empty)'
+        )}
+        ${
+          asset.label !== null
+            ? renderDetailRow('CIP-67 Label', asset.label)
+            : ''
+        }
+        ${renderDetailRow(
+          'Total Supply',
+          formatTokenAmount(asset.quantity, metadata.decimals)
+        )}
+        ${renderDetailRow('Decimals', metadata.decimals ?? 'N/A')}
+        ${renderDetailRow(
+          'Mint/Burn Transactions',
+          (asset.mint_or_burn_count || 0).toLocaleString()
+        )}
+        ${
+          asset.initial_mint_tx_hash
+            ? renderDetailRow(
+                'First Minted In',
+                `<a href="${PATHS.TRANSACTION}?hash=${asset.initial_mint_tx_hash}">${asset.initial_mint_tx_hash}</a>`
+              )
+            : ''
+        }
+        ${renderDetailRow(
+          'Metadata Standard',
+          STANDARD_LABELS[metadata.standard] || 'None'
+        )}
+      </div>
+      ${
+        asset.onchain_metadata
+          ? `
+        <details class="asset-metadata">
+          <summary>On-chain metadata</summary>
+          <pre>${escapeHtml(
+            JSON.stringify(asset.onchain_metadata, null, 2)
+          )}</pre>
+        </details>`
+          : ''
+      }
+    </div>
+  `;
+};
+
+/**
+ * Renders a page of the asset's mint/burn history
+ * @param {Object} data - History entries and pagination
+ * @param {number} [decimals=0] - Decimal places for amounts
+ * @returns {string} HTML string
+ */
+export const renderAssetHistory = ({ history, pagination }, decimals = 0) => {
+  if (!history?.length) {
+    return '<div class="no-data">No mint or burn history</div>';
+  }
+
+  const rows = history
+    .map(
+      (entry) => `
+      <tr>
+        <td class="asset-action ${entry.action}">${entry.action}</td>
+        <td>${formatTokenAmount(entry.amount, decimals)}</td>
+        <td class="hash-cell"><a href="${PATHS.TRANSACTION}?hash=${
+        entry.tx_hash
+      }" title="${entry.tx_hash}">${entry.tx_hash}</a></td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    <h4 class="section-title">Mint/Burn History</h4>
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Action</th>
+          <th>Amount</th>
+          <th>Transaction</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Mint/burn history pagination',
+      buttonClass: 'asset-page-btn',
+    })}
+  `;
+};
@@ -3,7 +3,7 @@
  *
  * Manages the display of Cardano block information:
  * - Block summary and statistics
- * - Transaction listings
+ * - Paginated transaction listings
  * - Navigation controls
  * - Detail type updates
  * - Error handling
@@ -11,8 +11,16 @@
  * @module renderers/blocks
  */
 
-import { SVG_ICONS, formatAda, formatDate } from '../utils.js';
-import { renderDetailRow, createHashElement, renderError } from './shared.js';
+import { formatAda, formatDate } from '../utils.js';
+import {
+  SVG_ICONS,
+  renderDetailRow,
+  createHashElement,
+  renderError,
+  renderWarning,
+  renderPagination,
+  renderPoolLink,
+} from './shared.js';
 import { renderTransactionList } from './transactions.js';
 
 const renderTransactionCount = (count) =>
@@ -33,12 +41,42 @@ const renderBlockSummary = (block) => `
     ${renderDetailRow('Time', formatDate(block.time))}
     ${renderTransactionCount(block.tx_count)}
     ${renderDetailRow('Size', `${block.size.toLocaleString()} bytes`)}
-    ${renderDetailRow('Epoch', block.epoch)}
+    ${renderDetailRow(
+      'Epoch',
+      `<a href="../pages/epoch.html?epoch=${block.epoch}">${block.epoch}</a>`
+    )}
     ${renderDetailRow('Fees', `${formatAda(block.fees)} ₳`)}
+    ${renderDetailRow('Producer', renderPoolLink(block.slot_leader))}
   </div>
 `;
 
-const renderTransactionView = (block, transactions) => {
+const renderFailedTransactions = (failed, loadedCount) =>
+  failed?.length
+    ? renderWarning(
+        `${failed.length} of ${
+          failed.length + loadedCount
+        } transactions could not be loaded`,
+        'The data provider is busy or unavailable. Reload to try again.'
+      )
+    : '';
+
+const renderTransactionPagination = (pagination) => {
+  if (!pagination) return '';
+
+  const { currentPage, totalPages, limit, totalTransactions } = pagination;
+  const first = (currentPage - 1) * limit + 1;
+  const last = Math.min(currentPage * limit, totalTransactions);
+
+  return renderPagination(pagination, {
+    label: 'Block transactions pagination',
+    buttonClass: 'tx-page-btn',
+    summary: `${first.toLocaleString()}–${last.toLocaleString()} of
+      ${totalTransactions.toLocaleString()} (page ${currentPage.toLocaleString()}
+      of ${totalPages.toLocaleString()})`,
+  });
+};
+
+const renderTransactionView = (block, { transactions, failed, pagination }) => {
   document.getElementById('contextual-nav').innerHTML = `
     <button class="back-btn action-btn" id="back-to-block">
       ${SVG_ICONS.leftArrow}
@@ -52,7 +90,9 @@ const renderTransactionView = (block, transactions) => {
         <h3 class="section-title">Block #${block.height.toLocaleString()} Transactions</h3>
         ${createHashElement(block.hash, 'Block Hash')}
       </div>
+      ${renderFailedTransactions(failed, transactions.length)}
       ${renderTransactionList(transactions)}
+      ${renderTransactionPagination(pagination)}
     </div>
   `;
 };
@@ -68,10 +108,10 @@ const renderSummaryView = (block) => {
   `;
 };
 
-export const renderBlockDetails = (block, transactions = null) => {
+export const renderBlockDetails = (block, txData = null) => {
   try {
-    return transactions
-      ? renderTransactionView(block, transactions)
+    return txData
+      ? renderTransactionView(block, txData)
       : renderSummaryView(block);
   } catch (error) {
     console.error('Error rendering block details:', error);
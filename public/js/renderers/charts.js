@@ -0,0 +1,145 @@
+/**
+ * Chart Renderer
+ *
+ * Dependency-free SVG charts for per-epoch and time series data:
+ * - Bar charts with per-bar tooltips
+ * - Step line charts on a time axis, for values that hold until they change
+ * - Axis labels for the first and last points and the maximum value
+ *
+ * @module renderers/charts
+ */
+
+const CHART = {
+  WIDTH: 600,
+  HEIGHT: 200,
+  PADDING: { TOP: 20, RIGHT: 10, BOTTOM: 24, LEFT: 10 },
+  BAR_GAP: 0.2, // Fraction of each slot left empty between bars
+};
+
+/**
+ * Renders a bar chart
+ * @param {Array<{label: string, value: number}>} points - Points in display
+ *   order, left to right
+ * @param {Object} options - Rendering options
+ * @param {string} options.title - Accessible chart title
+ * @param {Function} [options.formatValue=String] - Formats values for
+ *   tooltips and the axis
+ * @returns {string} SVG markup, or an empty string without points
+ */
+export const renderBarChart = (points, { title, formatValue = String }) => {
+  if (!points?.length) return '';
+
+  const { WIDTH, HEIGHT, PADDING, BAR_GAP } = CHART;
+  const plotWidth = WIDTH - PADDING.LEFT - PADDING.RIGHT;
+  const plotHeight = HEIGHT - PADDING.TOP - PADDING.BOTTOM;
+  const max = Math.max(...points.map((point) => point.value), 0);
+  const slot = plotWidth / points.length;
+  const barWidth = slot * (1 - BAR_GAP);
+  const baseline = PADDING.TOP + plotHeight;
+
+  const bars = points
+    .map((point, index) => {
+      const height = max > 0 ? (point.value / max) * plotHeight : 0;
+      const x = PADDING.LEFT + index * slot + (slot - barWidth) / 2;
+      return `
+        <rect class="chart-bar" x="${x.toFixed(2)}"
+              y="${(baseline - height).toFixed(2)}"
+              width="${barWidth.toFixed(2)}" height="${height.toFixed(2)}">
+          <title>${point.label}: ${formatValue(point.value)}</title>
+        </rect>`;
+    })
+    .join('');
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return `
+    <figure class="chart">
+      <figcaption class="chart-title">${title}</figcaption>
+      <svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img"
+           aria-label="${title}">
+        <line class="chart-axis" x1="${PADDING.LEFT}" y1="${baseline}"
+              x2="${WIDTH - PADDING.RIGHT}" y2="${baseline}" />
+        ${bars}
+        <text class="chart-label" x="${PADDING.LEFT}" y="${
+    PADDING.TOP - 6
+  }">Max ${formatValue(max)}</text>
+        <text class="chart-label" x="${PADDING.LEFT}" y="${HEIGHT - 6}">${
+    first.label
+  }</text>
+        <text class="chart-label" x="${WIDTH - PADDING.RIGHT}" y="${
+    HEIGHT - 6
+  }" text-anchor="end">${last.label}</text>
+      </svg>
+    </figure>
+  `;
+};
+
+/**
+ * Renders a step line chart on a time axis: each value holds until the
+ * next point, and the last one until the right edge
+ * @param {Array<{label: string, value: number, time: number}>} points -
+ *   Points in time order, with Unix times in seconds
+ * @param {Object} options - Rendering options
+ * @param {string} options.title - Accessible chart title
+ * @param {Function} [options.formatValue=String] - Formats values for
+ *   tooltips and the axis
+ * @returns {string} SVG markup, or an empty string without points
+ */
+export const renderLineChart = (points, { title, formatValue = String }) => {
+  if (!points?.length) return '';
+
+  const { WIDTH, HEIGHT, PADDING } = CHART;
+  const plotWidth = WIDTH - PADDING.LEFT - PADDING.RIGHT;
+  const plotHeight = HEIGHT - PADDING.TOP - PADDING.BOTTOM;
+  const max = Math.max(...points.map((point) => point.value), 0);
+  const baseline = PADDING.TOP + plotHeight;
+  const first = points[0];
+  const last = points[points.length - 1];
+  const span = last.time - first.time;
+
+  const toX = (time) =>
+    PADDING.LEFT + (span > 0 ? ((time - first.time) / span) * plotWidth : 0);
+  const toY = (value) => baseline - (max > 0 ? (value / max) * plotHeight : 0);
+
+  const path = points
+    .map((point, index) => {
+      const x = toX(point.time).toFixed(2);
+      const y = toY(point.value).toFixed(2);
+      return index === 0 ? `M ${x} ${y}` : `H ${x} V ${y}`;
+    })
+    .concat(`H ${WIDTH - PADDING.RIGHT}`)
+    .join(' ');
+
+  const markers = points
+    .map(
+      (point) => `
+        <circle class="chart-point" cx="${toX(point.time).toFixed(2)}"
+                cy="${toY(point.value).toFixed(2)}" r="3">
+          <title>${point.label}: ${formatValue(point.value)}</title>
+        </circle>`
+    )
+    .join('');
+
+  return `
+    <figure class="chart">
+      <figcaption class="chart-title">${title}</figcaption>
+      <svg class="chart-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img"
+           aria-label="${title}">
+        <line class="chart-axis" x1="${PADDING.LEFT}" y1="${baseline}"
+              x2="${WIDTH - PADDING.RIGHT}" y2="${baseline}" />
+        <path class="chart-line" d="${path}" />
+        ${markers}
+        <text class="chart-label" x="${PADDING.LEFT}" y="${
+    PADDING.TOP - 6
+  }">Max ${formatValue(max)}</text>
+        <text class="chart-label" x="${PADDING.LEFT}" y="${HEIGHT - 6}">${
+    first.label
+  }</text>
+        <text class="chart-label" x="${WIDTH - PADDING.RIGHT}" y="${
+    HEIGHT - 6
+  }" text-anchor="end">${last.label}</text>
+      </svg>
+    </figure>
+  `;
+};
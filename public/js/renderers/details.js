@@ -12,6 +12,7 @@
  */
 
 import { formatDate, formatAda } from '../utils.js';
+import { renderAssetList } from './shared.js';
 
 const SVG_ICONS = {
   copy: `<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -130,31 +131,12 @@ const renderIOItem = (item, index, type) => {
     item.address
   }</a>
         </div>
-        ${!isInput && item.assets?.length ? renderAssets(item.assets) : ''}
+        ${renderAssetList(item.assets)}
       </div>
     </div>
   `;
 };
 
-const renderAssets = (assets) => `
-  <div class="io-assets">
-    <span class="label">Assets:</span>
-    <div class="asset-list">
-      ${assets
-        .map(
-          (asset) => `
-        <div class="asset-item">
-          <span class="asset-policy">${asset.unit.slice(0, 56)}</span>
-          <span class="asset-name">${asset.unit.slice(56)}</span>
-          <span class="asset-amount">${asset.quantity}</span>
-        </div>
-      `
-        )
-        .join('')}
-    </div>
-  </div>
-`;
-
 const renderIOSection = (type, items, count, total) => `
   <div class="io-section ${type.toLowerCase()}-section">
     <div class="io-header">
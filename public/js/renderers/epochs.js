@@ -0,0 +1,230 @@
+/**
+ * Epoch Details Renderer
+ *
+ * Manages the display of Cardano epoch information:
+ * - Epoch summary with progress through the current epoch
+ * - Fee, output and active stake totals
+ * - Paginated block listings
+ * - Paginated stake distribution
+ *
+ * @module renderers/epochs
+ */
+
+import { formatAda, formatDate } from '../utils.js';
+import {
+  renderDetailRow,
+  renderWarning,
+  renderPagination,
+  renderPoolLink,
+} from './shared.js';
+
+// Constants
+const PATHS = {
+  DETAILS: '../pages/details.html',
+  EPOCH: '../pages/epoch.html',
+  ACCOUNT: '../pages/account.html',
+};
+
+export const EPOCH_TABS = {
+  BLOCKS: 'blocks',
+  STAKES: 'stakes',
+};
+
+const renderProgress = (epoch) =>
+  epoch.is_current
+    ? `
+    <div class="epoch-progress" role="progressbar"
+         aria-valuenow="${epoch.progress}" aria-valuemin="0" aria-valuemax="100"
+         aria-label="Epoch progress">
+      <div class="epoch-progress-bar" style="width: ${epoch.progress}%"></div>
+    </div>
+    <div class="epoch-progress-label">
+      ${epoch.progress.toFixed(2)}% complete, ends ${formatDate(epoch.end_time)}
+    </div>
+  `
+    : '';
+
+const renderEpochNavigation = (epoch) => `
+  <nav class="epoch-nav" aria-label="Epoch navigation">
+    ${
+      epoch.epoch > 0
+        ? `<a class="action-btn" href="${PATHS.EPOCH}?epoch=${
+            epoch.epoch - 1
+          }">Epoch ${epoch.epoch - 1}</a>`
+        : ''
+    }
+    ${
+      epoch.is_current
+        ? ''
+        : `<a class="action-btn" href="${PATHS.EPOCH}?epoch=${
+            epoch.epoch + 1
+          }">Epoch ${epoch.epoch + 1}</a>`
+    }
+  </nav>
+`;
+
+/**
+ * Renders the epoch summary
+ * @param {Object} epoch - Epoch data with progress
+ * @returns {string} HTML string
+ */
+export const renderEpochOverview = (epoch) => `
+  <div class="epoch-overview">
+    <div class="epoch-header">
+      <h3 class="section-title">
+        Epoch ${epoch.epoch.toLocaleString()}
+        ${epoch.is_current ? '<span class="epoch-badge">Current</span>' : ''}
+      </h3>
+      ${renderEpochNavigation(epoch)}
+    </div>
+    ${renderProgress(epoch)}
+    <div class="block-summary">
+      ${renderDetailRow('Start Time', formatDate(epoch.start_time))}
+      ${renderDetailRow('End Time', formatDate(epoch.end_time))}
+      ${renderDetailRow('Blocks', (epoch.block_count || 0).toLocaleString())}
+      ${renderDetailRow('Transactions', (epoch.tx_count || 0).toLocaleString())}
+      ${renderDetailRow('Total Output', `${formatAda(epoch.output || '0')} ₳`)}
+      ${renderDetailRow('Fees', `${formatAda(epoch.fees || '0')} ₳`)}
+      ${renderDetailRow(
+        'Active Stake',
+        epoch.active_stake ? `${formatAda(epoch.active_stake)} ₳` : 'N/A'
+      )}
+    </div>
+  </div>
+`;
+
+/**
+ * Renders the tab switcher between epoch blocks and stake distribution
+ * @param {string} activeTab - One of EPOCH_TABS
+ * @returns {string} HTML string
+ */
+export const renderEpochTabs = (activeTab) => `
+  <div class="epoch-tabs" role="tablist">
+    <button class="epoch-tab ${
+      activeTab === EPOCH_TABS.BLOCKS ? 'active' : ''
+    }" role="tab" data-tab="${EPOCH_TABS.BLOCKS}"
+            aria-selected="${activeTab === EPOCH_TABS.BLOCKS}">
+      Blocks
+    </button>
+    <button class="epoch-tab ${
+      activeTab === EPOCH_TABS.STAKES ? 'active' : ''
+    }" role="tab" data-tab="${EPOCH_TABS.STAKES}"
+            aria-selected="${activeTab === EPOCH_TABS.STAKES}">
+      Stake Distribution
+    </button>
+  </div>
+`;
+
+/**
+ * Renders a page of epoch blocks
+ * @param {Object} data - Blocks, failed blocks and pagination
+ * @returns {string} HTML string
+ */
+export const renderEpochBlocks = ({ blocks, failed, pagination }) => {
+  if (!blocks?.length && !failed?.length) {
+    return '<div class="no-data">No blocks in this epoch yet</div>';
+  }
+
+  const rows = blocks
+    .map(
+      (block) => `
+      <tr>
+        <td><a href="${PATHS.DETAILS}?type=block&hash=${block.hash}">
+          #${block.height.toLocaleString()}
+        </a></td>
+        <td>${formatDate(block.time)}</td>
+        <td>${block.tx_count.toLocaleString()}</td>
+        <td>${formatAda(block.fees || '0')} ₳</td>
+        <td class="hash-cell" title="${block.slot_leader}">${renderPoolLink(
+        block.slot_leader
+      )}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    ${
+      failed?.length
+        ? renderWarning(
+            `${failed.length} blocks on this page could not be loaded`,
+            'The data provider is busy or unavailable. Reload to try again.'
+          )
+        : ''
+    }
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Block</th>
+          <th>Time</th>
+          <th>Transactions</th>
+          <th>Fees</th>
+          <th>Producer</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Epoch blocks pagination',
+      buttonClass: 'epoch-page-btn',
+      summary: `Page ${pagination.currentPage.toLocaleString()} of
+        ${pagination.totalPages.toLocaleString()}
+        (${pagination.totalBlocks.toLocaleString()} blocks)`,
+    })}
+  `;
+};
+
+// Share of active stake, in percent; amounts are lovelace strings
+const stakeShare = (amount, activeStake) => {
+  if (!activeStake || BigInt(activeStake) === 0n) return 'N/A';
+  const millionths = (BigInt(amount) * 1000000n) / BigInt(activeStake);
+  return `${(Number(millionths) / 10000).toFixed(4)}%`;
+};
+
+/**
+ * Renders a page of the epoch stake distribution
+ * @param {Object} data - Stake entries, active stake and pagination
+ * @returns {string} HTML string
+ */
+export const renderEpochStakes = ({ stakes, active_stake, pagination }) => {
+  if (!stakes?.length) {
+    return '<div class="no-data">No stake distribution for this page</div>';
+  }
+
+  const rows = stakes
+    .map(
+      (stake) => `
+      <tr>
+        <td class="hash-cell" title="${stake.stake_address}">
+          <a href="${PATHS.ACCOUNT}?stake=${stake.stake_address}">${
+        stake.stake_address
+      }</a>
+        </td>
+        <td class="hash-cell" title="${stake.pool_id}">${renderPoolLink(
+        stake.pool_id
+      )}</td>
+        <td>${formatAda(stake.amount)} ₳</td>
+        <td>${stakeShare(stake.amount, active_stake)}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Stake Address</th>
+          <th>Pool</th>
+          <th>Amount</th>
+          <th>Share</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Stake distribution pagination',
+      buttonClass: 'epoch-page-btn',
+    })}
+  `;
+};
@@ -0,0 +1,175 @@
+/**
+ * Transaction Metadata Renderer
+ *
+ * Manages the display of transaction metadata by label:
+ * - CIP-20 messages
+ * - CIP-25 NFT metadata with images and asset links
+ * - CIP-15/CIP-36 Catalyst registrations and witnesses
+ * - Pretty-printed JSON for every label
+ *
+ * All metadata is user supplied and is escaped before display.
+ *
+ * @module renderers/metadata
+ */
+
+import { renderDetailRow, escapeHtml } from './shared.js';
+
+// Constants
+const PATHS = {
+  ASSET: '../pages/asset.html',
+  ACCOUNT: '../pages/account.html',
+};
+
+const renderJson = (json, summary) => `
+  <details class="asset-metadata" ${summary ? '' : 'open'}>
+    <summary>${summary || 'JSON'}</summary>
+    <pre>${escapeHtml(JSON.stringify(json, null, 2))}</pre>
+  </details>
+`;
+
+const renderHex = (label, hex) =>
+  hex ? renderDetailRow(label, `<span class="metadata-hex">${hex}</span>`) : '';
+
+const renderMessage = (entry) => {
+  if (entry.encryption) {
+    return `<p class="metadata-note">Encrypted message (${escapeHtml(
+      String(entry.encryption)
+    )})</p>`;
+  }
+  return entry.message.length
+    ? `<blockquote class="metadata-message">${entry.message
+        .map(escapeHtml)
+        .join('<br>')}</blockquote>`
+    : '<p class="metadata-note">Empty message</p>';
+};
+
+const renderNft = (nft) => {
+  const title = escapeHtml(
+    nft.display_name || nft.name || nft.fingerprint || 'Unnamed asset'
+  );
+
+  return `
+    <div class="metadata-nft">
+      ${
+        nft.image
+          ? `<img class="asset-image" src="${escapeHtml(nft.image)}"
+                  alt="${title}" loading="lazy" referrerpolicy="no-referrer">`
+          : ''
+      }
+      <div>
+        <div class="asset-name">${
+          nft.unit
+            ? `<a href="${PATHS.ASSET}?unit=${nft.unit}">${title}</a>`
+            : title
+        }</div>
+        ${
+          nft.fingerprint
+            ? `<div class="asset-fingerprint">${nft.fingerprint}</div>`
+            : ''
+        }
+        ${
+          nft.description
+            ? `<p class="asset-description">${escapeHtml(nft.description)}</p>`
+            : ''
+        }
+      </div>
+    </div>
+  `;
+};
+
+const renderNfts = (entry) =>
+  entry.nfts.length
+    ? `<div class="metadata-nfts">${entry.nfts.map(renderNft).join('')}</div>`
+    : '<p class="metadata-note">No assets described</p>';
+
+const renderRegistration = (entry) => `
+  <div class="block-summary">
+    ${renderHex('Voting Key', entry.voting_key)}
+    ${
+      entry.delegations
+        ? renderDetailRow(
+            'Delegations',
+            entry.delegations
+              .map(
+                (delegation) =>
+                  `<span class="metadata-hex">${escapeHtml(
+                    String(delegation.key)
+                  )}</span> (weight ${escapeHtml(String(delegation.weight))})`
+              )
+              .join('<br>')
+          )
+        : ''
+    }
+    ${renderHex('Stake Key', entry.stake_key)}
+    ${
+      entry.reward_address
+        ? renderDetailRow(
+            'Reward Address',
+            entry.reward_address.startsWith('stake')
+              ? `<a href="${PATHS.ACCOUNT}?stake=${entry.reward_address}">${entry.reward_address}</a>`
+              : entry.reward_address
+          )
+        : ''
+    }
+    ${renderDetailRow('Nonce', escapeHtml(String(entry.nonce ?? 'N/A')))}
+    ${renderDetailRow(
+      'Voting Purpose',
+      entry.voting_purpose === 0
+        ? 'Catalyst (0)'
+        : escapeHtml(String(entry.voting_purpose))
+    )}
+  </div>
+`;
+
+const renderWitness = (entry) => `
+  <div class="block-summary">
+    ${renderHex('Signature', entry.signature)}
+  </div>
+`;
+
+const LABEL_VIEWS = {
+  674: renderMessage,
+  721: renderNfts,
+  61284: renderRegistration,
+  61285: renderWitness,
+};
+
+/**
+ * Renders one metadata label, interpreted when its standard is known
+ * @param {Object} entry - Interpreted metadata entry
+ * @returns {string} HTML string
+ */
+const renderMetadataEntry = (entry) => {
+  const view = entry.standard && LABEL_VIEWS[entry.label];
+
+  return `
+    <div class="metadata-entry">
+      <h4 class="metadata-label">
+        Label ${escapeHtml(entry.label)}
+        ${entry.name ? `<span class="epoch-badge">${entry.name}</span>` : ''}
+        ${
+          entry.standard
+            ? `<span class="metadata-standard">${entry.standard}</span>`
+            : ''
+        }
+      </h4>
+      ${
+        view
+          ? `${view(entry)}${renderJson(entry.json, 'Raw JSON')}`
+          : renderJson(entry.json)
+      }
+    </div>
+  `;
+};
+
+/**
+ * Renders all metadata labels of a transaction
+ * @param {Array<Object>} metadata - Interpreted metadata entries
+ * @returns {string} HTML string
+ */
+export const renderTransactionMetadata = (metadata) =>
+  metadata?.length
+    ? `<div class="metadata-list">${metadata
+        .map(renderMetadataEntry)
+        .join('')}</div>`
+    : '<div class="no-data">This transaction has no metadata</div>';
@@ -0,0 +1,140 @@
+/**
+ * Minting Policy Renderer
+ *
+ * Manages the display of minting policy information:
+ * - Asset count and total quantity under the policy
+ * - Native script with its timelock status
+ * - Paginated asset list linking to the asset page
+ *
+ * @module renderers/policies
+ */
+
+import {
+  renderDetailRow,
+  renderPagination,
+  createHashElement,
+  escapeHtml,
+} from './shared.js';
+import { renderScriptType } from './scripts.js';
+
+// Constants
+const PATHS = {
+  ASSET: '../pages/asset.html',
+};
+
+const renderLockStatus = (script) => {
+  if (script.locked_after_slot === null) {
+    return '<span class="policy-status open">Open (no time lock)</span>';
+  }
+  const slot = script.locked_after_slot.toLocaleString();
+  return script.locked
+    ? `<span class="policy-status locked">Locked since slot ${slot}</span>`
+    : `<span class="policy-status open">Locks after slot ${slot}</span>`;
+};
+
+const renderScript = (script) => {
+  if (!script) {
+    return renderDetailRow('Policy Script', 'Not available');
+  }
+
+  return `
+    ${renderDetailRow('Policy Script', renderScriptType(script.type))}
+    ${
+      script.type === 'timelock'
+        ? renderDetailRow('Minting', renderLockStatus(script))
+        : ''
+    }
+    ${
+      script.json
+        ? `
+      <details class="asset-metadata" open>
+        <summary>Script</summary>
+        <pre>${escapeHtml(JSON.stringify(script.json, null, 2))}</pre>
+      </details>`
+        : ''
+    }
+  `;
+};
+
+/**
+ * Renders the policy summary and script
+ * @param {Object} policy - Policy details
+ * @returns {string} HTML string
+ */
+export const renderPolicyOverview = (policy) => {
+  // Totals stop after a fixed number of pages on very large policies
+  const atLeast = policy.totals_complete ? '' : 'At least ';
+
+  return `
+    <div class="policy-overview">
+      <h3 class="section-title">Minting Policy</h3>
+      <div class="block-summary">
+        ${createHashElement(policy.policy_id, 'Policy ID')}
+        ${renderDetailRow(
+          'Assets',
+          `${atLeast}${policy.asset_count.toLocaleString()}`
+        )}
+        ${renderDetailRow(
+          'Current Supply',
+          `${atLeast}${BigInt(policy.supply).toLocaleString()}`
+        )}
+        ${
+          policy.total_minted !== null
+            ? renderDetailRow(
+                'Total Minted',
+                BigInt(policy.total_minted).toLocaleString()
+              )
+            : ''
+        }
+        ${renderScript(policy.script)}
+      </div>
+    </div>
+  `;
+};
+
+/**
+ * Renders a page of the assets minted under the policy
+ * @param {Object} data - Assets and pagination
+ * @returns {string} HTML string
+ */
+export const renderPolicyAssets = ({ assets, pagination }) => {
+  if (!assets?.length) {
+    return '<div class="no-data">No assets on this page</div>';
+  }
+
+  const rows = assets
+    .map(
+      (asset) => `
+      <tr>
+        <td><a href="${PATHS.ASSET}?unit=${asset.unit}" title="${asset.unit}">${
+        asset.name !== null
+          ? escapeHtml(asset.name)
+          : `<span class="asset-hex">${asset.asset_name || '(empty)'}</span>`
+      }</a></td>
+        <td class="hash-cell">${asset.fingerprint}</td>
+        <td>${asset.label ?? ''}</td>
+        <td>${BigInt(asset.quantity).toLocaleString()}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    <h4 class="section-title">Assets</h4>
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Asset</th>
+          <th>Fingerprint</th>
+          <th>CIP-67 Label</th>
+          <th>Quantity</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Policy assets pagination',
+      buttonClass: 'policy-page-btn',
+    })}
+  `;
+};
@@ -0,0 +1,300 @@
+/**
+ * Stake Pool Renderer
+ *
+ * Manages the display of Cardano stake pool information:
+ * - Paginated pool listings with tickers
+ * - Pool parameters, owners and relays
+ * - Per-epoch pool history
+ * - Blocks produced by the pool
+ *
+ * @module renderers/pools
+ */
+
+import { formatAda, formatDate } from '../utils.js';
+import {
+  escapeHtml,
+  renderDetailRow,
+  renderWarning,
+  renderPagination,
+  renderPoolLink,
+  toSafeHttpUrl,
+} from './shared.js';
+
+// Constants
+const PATHS = {
+  DETAILS: '../pages/details.html',
+  EPOCH: '../pages/epoch.html',
+};
+
+export const POOL_TABS = {
+  HISTORY: 'history',
+  BLOCKS: 'blocks',
+};
+
+// Blockfrost reports saturation and margin as fractions
+const formatPercent = (fraction) =>
+  fraction === null || fraction === undefined
+    ? 'N/A'
+    : `${(Number(fraction) * 100).toFixed(2)}%`;
+
+// Tickers and names come from operator-published metadata
+const poolLabel = (pool) =>
+  pool.ticker || pool.metadata?.ticker
+    ? `[${escapeHtml(pool.ticker || pool.metadata.ticker)}] ${escapeHtml(
+        pool.name || pool.metadata?.name || ''
+      )}`
+    : pool.pool_id;
+
+/**
+ * Renders a page of the pool listing
+ * @param {Object} data - Pools and pagination
+ * @returns {string} HTML string
+ */
+export const renderPoolList = ({ pools, pagination }) => {
+  if (!pools?.length) {
+    return '<div class="no-data">No stake pools on this page</div>';
+  }
+
+  const rows = pools
+    .map(
+      (pool) => `
+      <tr>
+        <td class="hash-cell" title="${pool.pool_id}">${renderPoolLink(
+        pool.pool_id,
+        poolLabel(pool)
+      )}</td>
+        <td>${formatAda(pool.live_stake || '0')} ₳</td>
+        <td>${formatPercent(pool.live_saturation)}</td>
+        <td>${formatPercent(pool.margin_cost)}</td>
+        <td>${formatAda(pool.fixed_cost || '0')} ₳</td>
+        <td>${(pool.blocks_minted || 0).toLocaleString()}</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Pool</th>
+          <th>Live Stake</th>
+          <th>Saturation</th>
+          <th>Margin</th>
+          <th>Fixed Cost</th>
+          <th>Blocks</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Stake pool pagination',
+      buttonClass: 'pool-page-btn',
+    })}
+  `;
+};
+
+const renderRelay = (relay) => {
+  const host = relay.dns || relay.ipv4 || relay.ipv6 || relay.dns_srv;
+  return `<li>${escapeHtml(host)}${
+    relay.port ? `:${escapeHtml(relay.port)}` : ''
+  }</li>`;
+};
+
+const renderListRow = (label, items, renderItem) =>
+  renderDetailRow(
+    label,
+    items?.length
+      ? `<ul class="pool-list">${items.map(renderItem).join('')}</ul>`
+      : 'None'
+  );
+
+/**
+ * Renders the pool summary
+ * @param {Object} pool - Pool details with metadata and relays
+ * @returns {string} HTML string
+ */
+export const renderPoolOverview = (pool) => {
+  const homepage = toSafeHttpUrl(pool.metadata?.homepage);
+
+  return `
+  <div class="pool-overview">
+    <div class="pool-header">
+      <h3 class="section-title">
+        ${pool.metadata ? poolLabel(pool) : 'Stake Pool'}
+        ${pool.retiring ? '<span class="pool-badge">Retiring</span>' : ''}
+      </h3>
+      ${
+        homepage
+          ? `<a class="action-btn" href="${escapeHtml(homepage)}"
+               target="_blank" rel="noopener noreferrer">Website</a>`
+          : ''
+      }
+    </div>
+    ${
+      pool.metadata?.description
+        ? `<p class="pool-description">${escapeHtml(
+            pool.metadata.description
+          )}</p>`
+        : ''
+    }
+    <div class="block-summary">
+      ${renderDetailRow('Pool ID', pool.pool_id)}
+      ${renderDetailRow('Live Stake', `${formatAda(pool.live_stake)} ₳`)}
+      ${renderDetailRow('Active Stake', `${formatAda(pool.active_stake)} ₳`)}
+      ${renderDetailRow('Saturation', formatPercent(pool.saturation))}
+      ${renderDetailRow(
+        'Delegators',
+        (pool.live_delegators || 0).toLocaleString()
+      )}
+      ${renderDetailRow(
+        'Declared Pledge',
+        `${formatAda(pool.declared_pledge)} ₳`
+      )}
+      ${renderDetailRow('Live Pledge', `${formatAda(pool.live_pledge)} ₳`)}
+      ${renderDetailRow('Margin', formatPercent(pool.margin_cost))}
+      ${renderDetailRow('Fixed Cost', `${formatAda(pool.fixed_cost)} ₳`)}
+      ${renderDetailRow(
+        'Blocks Minted',
+        (pool.blocks_minted || 0).toLocaleString()
+      )}
+      ${renderDetailRow('Reward Account', escapeHtml(pool.reward_account))}
+      ${renderListRow(
+        'Owners',
+        pool.owners,
+        (owner) => `<li>${escapeHtml(owner)}</li>`
+      )}
+      ${renderListRow('Relays', pool.relays, renderRelay)}
+    </div>
+  </div>
+`;
+};
+
+/**
+ * Renders the tab switcher between pool history and produced blocks
+ * @param {string} activeTab - One of POOL_TABS
+ * @returns {string} HTML string
+ */
+export const renderPoolTabs = (activeTab) => `
+  <div class="epoch-tabs" role="tablist">
+    <button class="epoch-tab pool-tab ${
+      activeTab === POOL_TABS.HISTORY ? 'active' : ''
+    }" role="tab" data-tab="${POOL_TABS.HISTORY}"
+            aria-selected="${activeTab === POOL_TABS.HISTORY}">
+      Epoch History
+    </button>
+    <button class="epoch-tab pool-tab ${
+      activeTab === POOL_TABS.BLOCKS ? 'active' : ''
+    }" role="tab" data-tab="${POOL_TABS.BLOCKS}"
+            aria-selected="${activeTab === POOL_TABS.BLOCKS}">
+      Blocks
+    </button>
+  </div>
+`;
+
+/**
+ * Renders a page of the pool's per-epoch history
+ * @param {Object} data - History entries and pagination
+ * @returns {string} HTML string
+ */
+export const renderPoolHistory = ({ history, pagination }) => {
+  if (!history?.length) {
+    return '<div class="no-data">No history for this pool yet</div>';
+  }
+
+  const rows = history
+    .map(
+      (entry) => `
+      <tr>
+        <td><a href="${PATHS.EPOCH}?epoch=${entry.epoch}">${
+        entry.epoch
+      }</a></td>
+        <td>${entry.blocks.toLocaleString()}</td>
+        <td>${formatAda(entry.active_stake)} ₳</td>
+        <td>${entry.delegators_count.toLocaleString()}</td>
+        <td>${formatAda(entry.rewards)} ₳</td>
+        <td>${formatAda(entry.fees)} ₳</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Epoch</th>
+          <th>Blocks</th>
+          <th>Active Stake</th>
+          <th>Delegators</th>
+          <th>Rewards</th>
+          <th>Pool Fees</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Pool history pagination',
+      buttonClass: 'pool-page-btn',
+    })}
+  `;
+};
+
+/**
+ * Renders a page of blocks produced by the pool
+ * @param {Object} data - Blocks, failed blocks and pagination
+ * @returns {string} HTML string
+ */
+export const renderPoolBlocks = ({ blocks, failed, pagination }) => {
+  if (!blocks?.length && !failed?.length) {
+    return '<div class="no-data">This pool has not produced any blocks</div>';
+  }
+
+  const rows = blocks
+    .map(
+      (block) => `
+      <tr>
+        <td><a href="${PATHS.DETAILS}?type=block&hash=${block.hash}">
+          #${block.height.toLocaleString()}
+        </a></td>
+        <td><a href="${PATHS.EPOCH}?epoch=${block.epoch}">${
+        block.epoch
+      }</a></td>
+        <td>${formatDate(block.time)}</td>
+        <td>${block.tx_count.toLocaleString()}</td>
+        <td>${formatAda(block.fees || '0')} ₳</td>
+      </tr>
+    `
+    )
+    .join('');
+
+  return `
+    ${
+      failed?.length
+        ? renderWarning(
+            `${failed.length} blocks on this page could not be loaded`,
+            'The data provider is busy or unavailable. Reload to try again.'
+          )
+        : ''
+    }
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Block</th>
+          <th>Epoch</th>
+          <th>Time</th>
+          <th>Transactions</th>
+          <th>Fees</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${renderPagination(pagination, {
+      label: 'Pool blocks pagination',
+      buttonClass: 'pool-page-btn',
+      summary: `Page ${pagination.currentPage.toLocaleString()} of
+        ${pagination.totalPages.toLocaleString()}
+        (${pagination.totalBlocks.toLocaleString()} blocks)`,
+    })}
+  `;
+};
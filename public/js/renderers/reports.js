@@ -0,0 +1,226 @@
+/**
+ * Tax Report Renderer
+ *
+ * Manages the display of yearly tax reports:
+ * - Report form (wallet, year, lot method, currency)
+ * - Realized gain and staking income summary
+ * - Disposals matched to acquisition lots
+ * - Staking rewards as income per epoch
+ * - Holdings and their cost basis at the end of the year
+ *
+ * @module renderers/reports
+ */
+
+import { formatAda } from '../utils.js';
+import { escapeHtml, renderWarning } from './shared.js';
+
+// Constants
+const PATHS = {
+  TRANSACTION: '../pages/transaction.html',
+  EPOCH: '../pages/epoch.html',
+};
+
+export const REPORT_ELEMENTS = {
+  SUBJECT: 'report-subject',
+  YEAR: 'report-year',
+  METHOD: 'report-method',
+  CURRENCY: 'report-currency',
+  GENERATE_BUTTON: 'report-generate',
+  DOWNLOAD_BUTTON: 'report-download',
+  STATUS: 'report-status',
+  RESULT: 'report-result',
+};
+
+const METHODS = {
+  fifo: 'FIFO (first in, first out)',
+  lifo: 'LIFO (last in, first out)',
+  hifo: 'HIFO (highest cost first)',
+};
+
+const SUMMARY_FIELDS = [
+  ['Proceeds', 'proceeds'],
+  ['Cost Basis', 'cost_basis'],
+  ['Realized Gain', 'realized_gain'],
+  ['Short-term Gain', 'short_term_gain'],
+  ['Long-term Gain', 'long_term_gain'],
+  ['Staking Income', 'staking_income'],
+  ['Fees Paid', 'fees_paid'],
+];
+
+// ADA prices need more precision than amounts
+const formatMoney = (value, currency, maximumFractionDigits = 2) =>
+  new Intl.NumberFormat(undefined, {
+    style: 'currency',
+    currency: currency.toUpperCase(),
+    maximumFractionDigits,
+  }).format(value);
+
+// ADA quantities are in lovelace; token quantities are raw units
+const formatQuantity = (row) =>
+  row.unit === 'lovelace'
+    ? `${formatAda(row.quantity)} ₳`
+    : Number(row.quantity).toLocaleString();
+
+const renderOptions = (options, selected) =>
+  options
+    .map(
+      ([value, label]) =>
+        `<option value="${value}" ${
+          value === selected ? 'selected' : ''
+        }>${label}</option>`
+    )
+    .join('');
+
+/**
+ * Renders the report form
+ * @param {Object} values - Current subject, year, method and currency
+ * @param {Array<string>} currencies - Currencies prices are available in
+ * @param {Array<number>} years - Selectable years, newest first
+ * @returns {string} HTML string
+ */
+export const renderTaxReportForm = (values, currencies, years) => `
+  <div class="tax-report-form ledger-export-form">
+    <label class="tax-report-subject">
+      Stake address or addresses (comma-separated)
+      <input type="text" id="${REPORT_ELEMENTS.SUBJECT}"
+        value="${escapeHtml(
+          values.subject || ''
+        )}" placeholder="stake1... or addr1...">
+    </label>
+    <label>
+      Year
+      <select id="${REPORT_ELEMENTS.YEAR}">
+        ${renderOptions(
+          years.map((year) => [String(year), year]),
+          String(values.year)
+        )}
+      </select>
+    </label>
+    <label>
+      Lot Method
+      <select id="${REPORT_ELEMENTS.METHOD}">
+        ${renderOptions(Object.entries(METHODS), values.method)}
+      </select>
+    </label>
+    <label>
+      Currency
+      <select id="${REPORT_ELEMENTS.CURRENCY}">
+        ${renderOptions(
+          currencies.map((currency) => [currency, currency.toUpperCase()]),
+          values.currency
+        )}
+      </select>
+    </label>
+    <button id="${REPORT_ELEMENTS.GENERATE_BUTTON}" class="action-btn">
+      Generate
+    </button>
+    <button id="${REPORT_ELEMENTS.DOWNLOAD_BUTTON}" class="action-btn">
+      Download CSV
+    </button>
+  </div>
+  <div id="${REPORT_ELEMENTS.STATUS}"></div>
+  <div id="${REPORT_ELEMENTS.RESULT}"></div>
+`;
+
+const renderTable = (headers, rows, empty) =>
+  rows.length
+    ? `
+    <table class="data-table">
+      <thead>
+        <tr>${headers.map((header) => `<th>${header}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (cells) =>
+              `<tr>${cells.map((cell) => `<td>${cell}</td>`).join('')}</tr>`
+          )
+          .join('')}
+      </tbody>
+    </table>
+  `
+    : `<div class="no-data">${empty}</div>`;
+
+/**
+ * Renders a generated tax report
+ * @param {Object} report - Report from the API
+ * @returns {string} HTML string
+ */
+export const renderTaxReport = (report) => {
+  const money = (value) => formatMoney(value, report.currency);
+
+  return `
+    ${report.warnings
+      .map((warning) => renderWarning('Incomplete data', escapeHtml(warning)))
+      .join('')}
+    <div class="tax-report-summary block-summary">
+      ${SUMMARY_FIELDS.map(
+        ([label, field]) => `
+        <div class="detail-row">
+          <span class="detail-label">${label}</span>
+          <span class="detail-value">${money(report.summary[field])}</span>
+        </div>`
+      ).join('')}
+    </div>
+    <p class="balance-history-note">
+      ${report.year}, ${METHODS[report.method]}, prices from
+      ${escapeHtml(report.price_source)}. Not tax advice; check the rules
+      that apply to you.
+    </p>
+
+    <h3 class="section-title">Disposals</h3>
+    ${renderTable(
+      [
+        'Date',
+        'Transaction',
+        'Asset',
+        'Quantity',
+        'Acquired',
+        'Proceeds',
+        'Cost Basis',
+        'Gain',
+        'Term',
+      ],
+      report.disposals.map((row) => [
+        row.date,
+        `<a href="${PATHS.TRANSACTION}?hash=${
+          row.tx_hash
+        }" class="hash-link">${row.tx_hash.slice(0, 16)}...</a>`,
+        escapeHtml(row.asset),
+        formatQuantity(row),
+        row.acquired ?? 'Unmatched',
+        money(row.proceeds),
+        money(row.cost_basis),
+        money(row.gain),
+        row.term ?? '-',
+      ]),
+      'No disposals in this year'
+    )}
+
+    <h3 class="section-title">Staking Income</h3>
+    ${renderTable(
+      ['Epoch', 'Paid Out', 'Amount', 'Price', 'Income'],
+      report.income.map((row) => [
+        `<a href="${PATHS.EPOCH}?epoch=${row.epoch}">${row.epoch}</a>`,
+        row.date,
+        `${formatAda(row.amount_lovelace)} ₳`,
+        formatMoney(row.price, report.currency, 4),
+        money(row.value),
+      ]),
+      report.subject.startsWith('stake')
+        ? 'No staking rewards paid out in this year'
+        : 'Staking rewards are only reported for stake addresses'
+    )}
+
+    <h3 class="section-title">Holdings at Year End</h3>
+    ${renderTable(
+      ['Asset', 'Quantity', 'Cost Basis'],
+      report.holdings.map((row) => [
+        escapeHtml(row.asset),
+        formatQuantity(row),
+        money(row.cost_basis),
+      ]),
+      'No holdings at the end of the year'
+    )}
+  `;
+};
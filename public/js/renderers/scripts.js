@@ -0,0 +1,126 @@
+/**
+ * Script and Datum Renderer
+ *
+ * Manages the display of Plutus and native script data:
+ * - Script type, Plutus version and size
+ * - Native script JSON and Plutus script CBOR
+ * - Datums as their decoded Plutus data tree and raw CBOR
+ * - Datum and reference script entries on transaction UTXOs
+ *
+ * @module renderers/scripts
+ */
+
+import { renderDetailRow, escapeHtml } from './shared.js';
+
+// Constants
+const SCRIPT_TYPES = {
+  timelock: 'Native script',
+  plutusV1: 'Plutus V1',
+  plutusV2: 'Plutus V2',
+  plutusV3: 'Plutus V3',
+};
+
+const renderCode = (summary, content, open = false) => `
+  <details class="asset-metadata" ${open ? 'open' : ''}>
+    <summary>${summary}</summary>
+    <pre>${escapeHtml(content)}</pre>
+  </details>
+`;
+
+/**
+ * Names a script type for display
+ * @param {string} type - Script type (timelock, plutusV1, ...)
+ * @returns {string} HTML-safe label
+ */
+export const renderScriptType = (type) =>
+  SCRIPT_TYPES[type] || escapeHtml(type);
+
+/**
+ * Renders a datum's decoded tree and CBOR
+ * @param {Object} datum - Datum with cbor and json (null when the CBOR is
+ *   not valid Plutus data)
+ * @returns {string} HTML string
+ */
+export const renderDatum = (datum) => `
+  ${
+    datum.json
+      ? renderCode('Decoded Datum', JSON.stringify(datum.json, null, 2), true)
+      : '<p class="metadata-note">The CBOR is not valid Plutus data</p>'
+  }
+  ${renderCode('CBOR', datum.cbor)}
+`;
+
+/**
+ * Renders a script's type, size and body
+ * @param {Object} script - Script details
+ * @returns {string} HTML string
+ */
+export const renderScriptDetails = (script) => `
+  <div class="block-summary">
+    ${renderDetailRow('Type', renderScriptType(script.type))}
+    ${
+      script.serialised_size !== null
+        ? renderDetailRow(
+            'Size',
+            `${script.serialised_size.toLocaleString()} bytes`
+          )
+        : ''
+    }
+  </div>
+  ${
+    script.json
+      ? renderCode('Script', JSON.stringify(script.json, null, 2), true)
+      : ''
+  }
+  ${script.cbor ? renderCode('CBOR', script.cbor) : ''}
+`;
+
+const renderLoadButton = (kind, hash, label) => `
+  <button class="script-data-btn" data-kind="${kind}" data-hash="${hash}">
+    ${label}
+  </button>
+  <div class="script-data-panel" hidden></div>
+`;
+
+/**
+ * Renders the datum and reference script attached to a UTXO; datums held
+ * only by hash and reference scripts load on demand
+ * @param {Object} utxo - Transaction input or output
+ * @returns {string} HTML string, empty when the UTXO has neither
+ */
+export const renderUtxoScriptData = (utxo) => {
+  if (!utxo.datum_hash && !utxo.reference_script_hash) return '';
+
+  return `
+    <div class="utxo-script-data">
+      ${
+        utxo.datum_hash
+          ? renderDetailRow(
+              utxo.inline_datum ? 'Inline Datum' : 'Datum Hash',
+              `<span class="metadata-hex">${utxo.datum_hash}</span>`
+            )
+          : ''
+      }
+      ${
+        utxo.inline_datum
+          ? renderDatum(utxo.inline_datum)
+          : utxo.datum_hash
+          ? renderLoadButton('datum', utxo.datum_hash, 'Show datum')
+          : ''
+      }
+      ${
+        utxo.reference_script_hash
+          ? `${renderDetailRow(
+              'Reference Script',
+              `<span class="metadata-hex">${utxo.reference_script_hash}</span>`
+            )}
+            ${renderLoadButton(
+              'script',
+              utxo.reference_script_hash,
+              'Inspect script'
+            )}`
+          : ''
+      }
+    </div>
+  `;
+};
@@ -12,12 +12,24 @@
  */
 
 import { formatDate, formatAda } from '../utils.js';
+import { apiPath } from '../network.js';
+import { escapeHtml, toSafeHttpUrl } from './shared.js';
 
 // Navigation and Path Utilities
 const getBasePath = () =>
   window.location.pathname.includes('/pages/') ? '.' : 'pages';
 const renderLink = (hash, type, text) =>
   `<a href="${getBasePath()}/details.html?hash=${hash}&type=${type}">${text}</a>`;
+const renderEpochLink = (epoch, text) =>
+  `<a href="${getBasePath()}/epoch.html?epoch=${epoch}">${text}</a>`;
+const renderPoolLink = (poolId, text) =>
+  `<a href="${getBasePath()}/pool.html?id=${poolId}">${text}</a>`;
+const renderAccountLink = (stakeAddress, text) =>
+  `<a href="${getBasePath()}/account.html?stake=${stakeAddress}">${text}</a>`;
+const renderPolicyLink = (policyId, text) =>
+  `<a href="${getBasePath()}/policy.html?id=${policyId}">${text}</a>`;
+const renderAssetLink = (unit, text) =>
+  `<a href="${getBasePath()}/asset.html?unit=${unit}">${text}</a>`;
 
 // Common UI Components
 const renderResultCard = (title, content) => `
@@ -75,13 +87,18 @@ const RESULT_RENDERERS = {
         `
       <p>Start Time: ${formatDate(epoch.start_time)}</p>
       <p>End Time: ${formatDate(epoch.end_time)}</p>
-      <p>Latest Block: ${renderLink(
-        epoch.latestBlock.hash,
-        'block',
-        epoch.latestBlock.hash
-      )}</p>
+      ${
+        epoch.latestBlock
+          ? `<p>Latest Block: ${renderLink(
+              epoch.latestBlock.hash,
+              'block',
+              epoch.latestBlock.hash
+            )}</p>`
+          : ''
+      }
       <p>Block Count: ${epoch.block_count}</p>
       <p>Tx Count: ${epoch.tx_count}</p>
+      <p>${renderEpochLink(epoch.epoch, 'View epoch details')}</p>
     `
       )
     ),
@@ -95,7 +112,14 @@ const RESULT_RENDERERS = {
       <p>${renderLink(addr.address, 'address', addr.address)}</p>
       <p>Balance: ${formatAda(addr.balance)} ₳</p>
       <p>Transactions: ${addr.transactions?.length || 0}</p>
-      ${addr.stake_address ? `<p>Stake Address: ${addr.stake_address}</p>` : ''}
+      ${
+        addr.stake_address
+          ? `<p>Stake Address: ${renderAccountLink(
+              addr.stake_address,
+              addr.stake_address
+            )}</p>`
+          : ''
+      }
     `
       )
     ),
@@ -106,11 +130,18 @@ const RESULT_RENDERERS = {
       renderResultCard(
         'Stake Address',
         `
-      <p>${stake.stake_address}</p>
+      <p>${renderAccountLink(stake.stake_address, stake.stake_address)}</p>
       <p>Active Stake: ${formatAda(stake.active_stake)} ₳</p>
       <p>Controlled Amount: ${formatAda(stake.controlled_amount)} ₳</p>
       <p>Rewards: ${formatAda(stake.withdrawable_amount)} ₳</p>
-      ${stake.pool_id ? `<p>Delegated to: ${stake.pool_id}</p>` : ''}
+      ${
+        stake.pool_id
+          ? `<p>Delegated to: ${renderPoolLink(
+              stake.pool_id,
+              stake.pool_id
+            )}</p>`
+          : ''
+      }
     `
       )
     ),
@@ -121,14 +152,18 @@ const RESULT_RENDERERS = {
       renderResultCard(
         'Policy ID',
         `
-      <p>${policy.policy_id}</p>
+      <p>${renderPolicyLink(policy.policy_id, policy.policy_id)}</p>
+      <p>Assets: ${policy.asset_count}${policy.totals_complete ? '' : '+'}</p>
       <h5>Assets (First 10)</h5>
       <ul class="asset-list">
         ${policy.assets
           .map(
             (asset) => `
           <li>
-            <p>Asset: ${asset.asset}</p>
+            <p>Asset: ${renderAssetLink(
+              asset.unit,
+              escapeHtml(asset.name || asset.fingerprint)
+            )}</p>
             <p>Quantity: ${asset.quantity}</p>
           </li>
         `
@@ -139,28 +174,32 @@ const RESULT_RENDERERS = {
       )
     ),
 
-  pool: (pool) =>
-    renderResultSection(
+  pool: (pool) => {
+    const homepage = toSafeHttpUrl(pool.metadata?.homepage);
+    return renderResultSection(
       'Stake Pool',
       renderResultCard(
-        pool.metadata?.name || 'Stake Pool',
+        escapeHtml(pool.metadata?.name || 'Stake Pool'),
         `
-      <p>Pool ID: ${pool.pool_id}</p>
+      <p>Pool ID: ${renderPoolLink(pool.pool_id, pool.pool_id)}</p>
       <p>Active Stake: ${formatAda(pool.active_stake)} ₳</p>
       <p>Live Stake: ${formatAda(pool.live_stake)} ₳</p>
       ${
         pool.metadata?.description
-          ? `<p>Description: ${pool.metadata.description}</p>`
+          ? `<p>Description: ${escapeHtml(pool.metadata.description)}</p>`
           : ''
       }
       ${
-        pool.metadata?.homepage
-          ? `<p><a href="${pool.metadata.homepage}" target="_blank">Website</a></p>`
+        homepage
+          ? `<p><a href="${escapeHtml(
+              homepage
+            )}" target="_blank" rel="noopener noreferrer">Website</a></p>`
           : ''
       }
     `
       )
-    ),
+    );
+  },
 };
 
 // Error Handling
@@ -172,10 +211,11 @@ const renderError = (message) => `
       <h3>Search Tips:</h3>
       <ul>
         <li>For blocks or transactions: Enter a 64-character hash</li>
-        <li>For addresses: Enter a Cardano address starting with 'addr1'</li>
-        <li>For epochs: Enter an epoch number</li>
-        <li>For stake addresses: Enter an address starting with 'stake1'</li>
+        <li>For addresses: Enter a Cardano address starting with 'addr1' (or 'addr_test1' on testnets), or a Byron address such as 'Ae2...' or 'DdzFF...'</li>
+        <li>For epochs: Enter 'epoch' followed by the number, e.g. 'epoch 450'</li>
+        <li>For stake addresses: Enter an address starting with 'stake1' (or 'stake_test1' on testnets)</li>
         <li>For pools: Enter a pool ID starting with 'pool1'</li>
+        <li>For minting policies: Enter a 56-character policy ID</li>
       </ul>
     </div>
     <button class="action-btn back-to-explorer">Back to Explorer</button>
@@ -193,10 +233,12 @@ const ERROR_MESSAGES = {
 // API Interactions
 export const search = async (query) => {
   try {
-    const response = await fetch(`/api/search?q=${encodeURIComponent(query)}`);
+    const response = await fetch(
+      apiPath(`/blocks/search?q=${encodeURIComponent(query)}`)
+    );
     if (!response.ok) throw new Error('Search request failed');
 
-    const data = await response.json();
+    const { data } = await response.json();
     if (!data?.type || !data?.result) throw new Error('No results found');
 
     return { type: data.type, result: data.result };
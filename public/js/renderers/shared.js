@@ -4,6 +4,8 @@
  * This module provides common UI components and utilities used across the Cardano Explorer:
  * - SVG icons for UI elements
  * - Reusable UI components (detail rows, hash elements, error messages)
+ * - Pool and asset links
+ * - Fiat values of ADA amounts
  * - Loading state components
  * - Formatting utilities (re-exported from utils.js)
  *
@@ -29,6 +31,7 @@ export const SVG_ICONS = {
 
 // Import formatting utilities
 import { formatAda, formatDate } from '../utils.js';
+import { formatFiat } from '../currency.js';
 
 /**
  * Renders a detail row with label and value
@@ -76,6 +79,164 @@ export const renderError = (message, details = '') => `
   </div>
 `;
 
+/**
+ * Renders a non-fatal warning, e.g. for partially loaded data
+ * @param {string} message - The warning message
+ * @param {string} [details=''] - Optional warning details
+ * @returns {string} HTML string for warning message
+ */
+export const renderWarning = (message, details = '') => `
+  <div class="warning-container" role="status">
+    <div class="warning-icon">⚠️</div>
+    <div class="warning-content">
+      <p class="warning-title">${message}</p>
+      ${details ? `<p class="warning-details">${details}</p>` : ''}
+    </div>
+  </div>
+`;
+
+/**
+ * Renders a link to a stake pool page. Block producers without a pool ID
+ * (Byron era and genesis delegates) are rendered as plain text.
+ * @param {string} poolId - Bech32 pool ID or producer key hash
+ * @param {string} [text=poolId] - Link text
+ * @returns {string} HTML string for the pool link
+ */
+export const renderPoolLink = (poolId, text = poolId) =>
+  poolId?.startsWith('pool1')
+    ? `<a href="../pages/pool.html?id=${poolId}">${text}</a>`
+    : text || 'N/A';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escapes text for use in HTML content and attribute values. Needed for
+ * anything users put on chain, such as asset names and metadata.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Accepts a URL from on-chain or off-chain metadata for use as a link
+ * target only when it is an absolute http(s) URL
+ * @param {string} url - Untrusted URL
+ * @returns {string|null} Normalized URL, or null if it is not safe to link
+ */
+export const toSafeHttpUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Renders native assets as links to their asset page, labelled with the
+ * decoded asset name when it is printable and the CIP-14 fingerprint
+ * @param {Array<Object>} assets - Assets with unit, name, fingerprint and
+ *   quantity
+ * @returns {string} HTML string for the asset list
+ */
+export const renderAssetList = (assets) =>
+  assets?.length
+    ? `
+  <div class="io-assets">
+    <span class="label">Assets:</span>
+    <div class="asset-list">
+      ${assets
+        .map(
+          (asset) => `
+        <a class="asset-item" href="../pages/asset.html?unit=${asset.unit}"
+           title="${asset.unit}">
+          <span class="asset-name">${escapeHtml(
+            asset.name || asset.fingerprint
+          )}</span>
+          ${
+            asset.name
+              ? `<span class="asset-fingerprint">${asset.fingerprint}</span>`
+              : ''
+          }
+          <span class="asset-amount">${BigInt(
+            asset.quantity
+          ).toLocaleString()}</span>
+        </a>
+      `
+        )
+        .join('')}
+    </div>
+  </div>
+`
+    : '';
+
+/**
+ * Renders first/previous/next/last page navigation. Buttons carry their
+ * target page in `data-page`; the last-page button is left out when the
+ * total is unknown.
+ * @param {Object} pagination - Server pagination (currentPage, totalPages,
+ *   hasNext, hasPrevious)
+ * @param {Object} options - Rendering options
+ * @param {string} options.label - Accessible name of the navigation
+ * @param {string} options.buttonClass - Class identifying the page buttons
+ * @param {string} [options.summary] - Text shown between the buttons
+ * @returns {string} HTML string for page navigation
+ */
+export const renderPagination = (
+  pagination,
+  { label, buttonClass, summary = '' }
+) => {
+  if (!pagination || (!pagination.hasNext && !pagination.hasPrevious)) {
+    return '';
+  }
+
+  const { currentPage, totalPages, hasNext, hasPrevious } = pagination;
+  const button = (page, enabled, ariaLabel, content) => `
+    <button class="pagination-btn ${buttonClass}" data-page="${page}"
+            ${enabled ? '' : 'disabled'}
+            aria-label="${ariaLabel}">
+      ${content}
+    </button>
+  `;
+
+  return `
+    <nav class="pagination" role="navigation" aria-label="${label}">
+      ${button(1, hasPrevious, 'First page', 'First')}
+      ${button(
+        currentPage - 1,
+        hasPrevious,
+        'Previous page',
+        SVG_ICONS.leftArrow
+      )}
+      <span class="pagination-info">
+        ${summary || `Page ${currentPage.toLocaleString()}`}
+      </span>
+      ${button(currentPage + 1, hasNext, 'Next page', SVG_ICONS.rightArrow)}
+      ${totalPages ? button(totalPages, hasNext, 'Last page', 'Last') : ''}
+    </nav>
+  `;
+};
+
+/**
+ * Renders the fiat value of an ADA amount
+ * @param {string|number} lovelace - Amount in lovelace
+ * @param {Object|null} quote - Quote from getAdaQuote
+ * @returns {string} HTML string for the fiat value, empty without a quote
+ */
+export const renderFiatValue = (lovelace, quote) =>
+  quote
+    ? `<span class="fiat-value" title="ADA price on ${quote.date}">
+        ≈ ${formatFiat(lovelace, quote)}
+      </span>`
+    : '';
+
 /**
  * Renders a loading spinner with customizable message
  * @param {string} [message='Loading...'] - Loading message to display
@@ -0,0 +1,88 @@
+/**
+ * Transaction Submission Renderer
+ *
+ * Manages the display of the transaction submission page:
+ * - Form for pasting a signed transaction's CBOR
+ * - Preview of the decoded transaction before it is submitted
+ * - Submission result linking to the transaction page
+ *
+ * @module renderers/submit
+ */
+
+import { renderDetailRow, createHashElement, escapeHtml } from './shared.js';
+import { formatAda } from '../utils.js';
+
+// Constants
+const PATHS = {
+  TRANSACTION: '../pages/transaction.html',
+};
+
+const renderSlot = (slot) =>
+  slot === null ? 'None' : Number(slot).toLocaleString();
+
+/**
+ * Renders the CBOR input with its preview and submit buttons
+ * @param {Object} ids - Element IDs for the input, buttons and result
+ * @returns {string} HTML string for the form
+ */
+export const renderSubmitForm = ({ input, preview, submit, result }) => `
+  <div class="section">
+    <div class="card">
+      <h3>Submit Transaction</h3>
+      <p class="submit-help">
+        Paste a signed transaction as hex-encoded CBOR. It is checked for
+        signatures, validity interval and size before being sent to the
+        network.
+      </p>
+      <textarea id="${input}" class="submit-input" rows="8"
+        spellcheck="false" placeholder="84a400..."></textarea>
+      <div class="submit-actions">
+        <button id="${preview}" class="action-btn">Preview</button>
+        <button id="${submit}" class="action-btn">Submit</button>
+      </div>
+      <div id="${result}"></div>
+    </div>
+  </div>
+`;
+
+/**
+ * Renders a summary of a decoded transaction for review before submission
+ * @param {Object} transaction - Decoded transaction from the API
+ * @returns {string} HTML string for the preview
+ */
+export const renderSubmitPreview = ({ hash, size, body, witnesses }) => `
+  <div class="submit-preview">
+    ${createHashElement(hash, 'Transaction Hash')}
+    <div class="block-summary">
+      ${renderDetailRow('Size', `${size.toLocaleString()} bytes`)}
+      ${renderDetailRow('Fee', `${formatAda(body.fees)} ₳`)}
+      ${renderDetailRow('Inputs', body.inputs.length)}
+      ${renderDetailRow('Outputs', body.outputs.length)}
+      ${renderDetailRow('Valid From Slot', renderSlot(body.invalid_before))}
+      ${renderDetailRow('Valid Until Slot', renderSlot(body.invalid_hereafter))}
+      ${renderDetailRow(
+        'Signatures',
+        witnesses.vkeys.length + witnesses.bootstrap.length
+      )}
+      ${renderDetailRow('Required Signers', body.required_signers.length)}
+    </div>
+  </div>
+`;
+
+/**
+ * Renders the result of an accepted submission
+ * @param {{hash: string}} result - Submission result from the API
+ * @returns {string} HTML string for the result
+ */
+export const renderSubmitResult = ({ hash }) => `
+  <div class="submit-success" role="status">
+    <p>
+      Transaction accepted by the node. It appears on the transaction page
+      once it is included in a block.
+    </p>
+    ${createHashElement(hash, 'Transaction Hash')}
+    <a class="action-btn" href="${PATHS.TRANSACTION}?hash=${escapeHtml(hash)}">
+      View Transaction
+    </a>
+  </div>
+`;
@@ -6,13 +6,25 @@
  * - Detailed transaction views with full information
  * - Input/Output (UTXO) displays with address information
  * - Asset information for token transfers
+ * - Tabs for inputs/outputs, metadata, certificates, withdrawals,
+ *   mints/burns and Plutus redeemers
  * - Navigation controls and copy functionality
  *
  * @module renderers/transactions
  */
 
 import { SVG_ICONS, formatAda, formatDate } from '../utils.js';
-import { renderDetailRow, createHashElement, renderError } from './shared.js';
+import {
+  renderDetailRow,
+  createHashElement,
+  renderError,
+  renderAssetList,
+  renderPoolLink,
+  renderFiatValue,
+  escapeHtml,
+} from './shared.js';
+import { renderTransactionMetadata } from './metadata.js';
+import { renderUtxoScriptData } from './scripts.js';
 
 // Constants
 const PATHS = {
@@ -20,6 +32,9 @@ const PATHS = {
   DETAILS: '../pages/details.html',
   TRANSACTION: '../pages/transaction.html',
   WALLET: '../pages/wallet.html',
+  ACCOUNT: '../pages/account.html',
+  EPOCH: '../pages/epoch.html',
+  ASSET: '../pages/asset.html',
 };
 
 const UI_ELEMENTS = {
@@ -31,6 +46,56 @@ const UI_ELEMENTS = {
   IO_ITEM: 'io-item',
 };
 
+const TRANSACTION_TABS = {
+  IO: 'io',
+  METADATA: 'metadata',
+  CERTIFICATES: 'certificates',
+  WITHDRAWALS: 'withdrawals',
+  MINTS: 'mints',
+  REDEEMERS: 'redeemers',
+  CBOR: 'cbor',
+};
+
+const TAB_DEFINITIONS = {
+  [TRANSACTION_TABS.IO]: {
+    label: () => 'Inputs & Outputs',
+    render: (transaction) => renderTransactionIO(transaction),
+  },
+  [TRANSACTION_TABS.METADATA]: {
+    label: (transaction) => `Metadata (${transaction.metadata?.length || 0})`,
+    render: (transaction) => renderTransactionMetadata(transaction.metadata),
+  },
+  // The remaining tabs are only shown when the transaction has entries
+  [TRANSACTION_TABS.CERTIFICATES]: {
+    label: (transaction) => `Certificates (${transaction.certificates.length})`,
+    render: (transaction) => renderCertificates(transaction.certificates),
+    hidden: (transaction) => !transaction.certificates?.length,
+  },
+  [TRANSACTION_TABS.WITHDRAWALS]: {
+    label: (transaction) => `Withdrawals (${transaction.withdrawals.length})`,
+    render: (transaction) => renderWithdrawals(transaction.withdrawals),
+    hidden: (transaction) => !transaction.withdrawals?.length,
+  },
+  [TRANSACTION_TABS.MINTS]: {
+    label: (transaction) => `Mints & Burns (${transaction.mints.length})`,
+    render: (transaction) => renderMints(transaction.mints),
+    hidden: (transaction) => !transaction.mints?.length,
+  },
+  [TRANSACTION_TABS.REDEEMERS]: {
+    label: (transaction) => `Redeemers (${transaction.redeemers.length})`,
+    render: (transaction) => renderRedeemers(transaction.redeemers),
+    hidden: (transaction) => !transaction.redeemers?.length,
+  },
+  // Fetched on demand, since most visitors never need it
+  [TRANSACTION_TABS.CBOR]: {
+    label: () => 'CBOR',
+    render: () => `
+      <button class="tx-cbor-btn">Load raw CBOR</button>
+      <div class="tx-cbor-content"></div>
+    `,
+  },
+};
+
 /**
  * Renders a list of transactions with summary information
  * @param {Array<Object>} transactions - Array of transaction objects
@@ -110,7 +175,8 @@ const renderIOItem = (item, index, isInput) => `
       `
           : ''
       }
-      ${renderAssets(item)}
+      ${renderAssetList(item.assets)}
+      ${renderUtxoScriptData(item)}
     </div>
   </div>
 `;
@@ -151,31 +217,234 @@ export const renderTransactionIO = (transaction) => `
   </div>
 `;
 
+const renderAccountLink = (stakeAddress) =>
+  stakeAddress?.startsWith('stake')
+    ? `<a href="${PATHS.ACCOUNT}?stake=${stakeAddress}">${stakeAddress}</a>`
+    : stakeAddress || 'N/A';
+
+const renderEpochLink = (epoch) =>
+  `<a href="${PATHS.EPOCH}?epoch=${epoch}">${epoch}</a>`;
+
+const CERTIFICATE_VIEWS = {
+  stake_registration: {
+    label: 'Stake Registration',
+    details: (cert) => renderAccountLink(cert.address),
+  },
+  stake_deregistration: {
+    label: 'Stake Deregistration',
+    details: (cert) => renderAccountLink(cert.address),
+  },
+  delegation: {
+    label: 'Delegation',
+    details: (cert) =>
+      `${renderAccountLink(cert.address)} to ${renderPoolLink(
+        cert.pool_id
+      )} from epoch ${renderEpochLink(cert.active_epoch)}`,
+  },
+  pool_update: {
+    label: 'Pool Registration',
+    details: (cert) => `
+      ${renderPoolLink(cert.pool_id)}<br>
+      Pledge ${formatAda(cert.pledge)} ₳, fixed cost ${formatAda(
+      cert.fixed_cost
+    )} ₳, margin ${(cert.margin_cost * 100).toFixed(2)}%<br>
+      Rewards to ${renderAccountLink(cert.reward_account)}, ${
+      cert.owners?.length || 0
+    } owner(s), active from epoch ${renderEpochLink(cert.active_epoch)}
+    `,
+  },
+  pool_retirement: {
+    label: 'Pool Retirement',
+    details: (cert) =>
+      `${renderPoolLink(cert.pool_id)} retires in epoch ${renderEpochLink(
+        cert.retiring_epoch
+      )}`,
+  },
+  mir: {
+    label: 'MIR',
+    details: (cert) =>
+      `${formatAda(cert.amount)} ₳ from the ${escapeHtml(
+        cert.pot
+      )} to ${renderAccountLink(cert.address)}`,
+  },
+};
+
+/**
+ * Renders the transaction's certificates in transaction order
+ * @param {Array<Object>} certificates - Certificates with cert_index and type
+ * @returns {string} HTML string for the certificate table
+ */
+const renderCertificates = (certificates) => `
+  <table class="data-table">
+    <thead>
+      <tr><th>#</th><th>Type</th><th>Details</th></tr>
+    </thead>
+    <tbody>
+      ${certificates
+        .map((cert) => {
+          const view = CERTIFICATE_VIEWS[cert.type];
+          return `
+        <tr>
+          <td>${cert.cert_index}</td>
+          <td>${view ? view.label : escapeHtml(cert.type)}</td>
+          <td class="hash-cell">${view ? view.details(cert) : ''}</td>
+        </tr>`;
+        })
+        .join('')}
+    </tbody>
+  </table>
+`;
+
 /**
- * Renders asset information for outputs
- * @param {Object} item - Transaction input/output item
- * @returns {string} HTML string for asset information
+ * Renders reward withdrawals
+ * @param {Array<{address: string, amount: string}>} withdrawals - Withdrawals
+ * @returns {string} HTML string for the withdrawal table
  */
-const renderAssets = (item) => {
-  if (!item.assets?.length) return '';
+const renderWithdrawals = (withdrawals) => `
+  <table class="data-table">
+    <thead>
+      <tr><th>Stake Address</th><th>Amount</th></tr>
+    </thead>
+    <tbody>
+      ${withdrawals
+        .map(
+          (withdrawal) => `
+        <tr>
+          <td class="hash-cell">${renderAccountLink(withdrawal.address)}</td>
+          <td>${formatAda(withdrawal.amount)} ₳</td>
+        </tr>`
+        )
+        .join('')}
+    </tbody>
+  </table>
+`;
+
+/**
+ * Renders the assets minted or burned by the transaction
+ * @param {Array<Object>} mints - Asset unit fields with signed quantity
+ * @returns {string} HTML string for the mint table
+ */
+const renderMints = (mints) => `
+  <table class="data-table">
+    <thead>
+      <tr><th>Asset</th><th>Fingerprint</th><th>Action</th><th>Quantity</th></tr>
+    </thead>
+    <tbody>
+      ${mints
+        .map(
+          (mint) => `
+        <tr>
+          <td><a href="${PATHS.ASSET}?unit=${mint.unit}" title="${mint.unit}">${
+            mint.name !== null
+              ? escapeHtml(mint.name)
+              : mint.asset_name || '(empty)'
+          }</a></td>
+          <td class="hash-cell">${mint.fingerprint}</td>
+          <td class="asset-action ${mint.action}">${mint.action}</td>
+          <td>${BigInt(mint.quantity).toLocaleString()}</td>
+        </tr>`
+        )
+        .join('')}
+    </tbody>
+  </table>
+`;
+
+/**
+ * Renders Plutus redeemers with their execution units
+ * @param {Array<Object>} redeemers - Redeemers
+ * @returns {string} HTML string for the redeemer table
+ */
+const renderRedeemers = (redeemers) => `
+  <table class="data-table">
+    <thead>
+      <tr>
+        <th>Index</th>
+        <th>Purpose</th>
+        <th>Script Hash</th>
+        <th>Redeemer Data Hash</th>
+        <th>Memory</th>
+        <th>CPU Steps</th>
+        <th>Fee</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${redeemers
+        .map(
+          (redeemer) => `
+        <tr>
+          <td>${redeemer.tx_index}</td>
+          <td>${escapeHtml(redeemer.purpose)}</td>
+          <td class="hash-cell" title="${redeemer.script_hash}">${
+            redeemer.script_hash
+          }</td>
+          <td class="hash-cell" title="${redeemer.redeemer_data_hash}">${
+            redeemer.redeemer_data_hash
+          }</td>
+          <td>${Number(redeemer.unit_mem).toLocaleString()}</td>
+          <td>${Number(redeemer.unit_steps).toLocaleString()}</td>
+          <td>${formatAda(redeemer.fee)} ₳</td>
+        </tr>`
+        )
+        .join('')}
+    </tbody>
+  </table>
+`;
+
+/**
+ * Renders a transaction's raw CBOR with its size and a copy button
+ * @param {{cbor: string}} data - Hex-encoded CBOR
+ * @returns {string} HTML string
+ */
+export const renderTransactionCbor = ({ cbor }) => `
+  <div class="block-summary">
+    ${renderDetailRow('Size', `${(cbor.length / 2).toLocaleString()} bytes`)}
+  </div>
+  <div class="tx-cbor">
+    <button class="copy-btn" data-hash="${escapeHtml(cbor)}" title="Copy CBOR">
+      ${SVG_ICONS.copy}
+    </button>
+    <pre class="metadata-hex">${escapeHtml(cbor)}</pre>
+  </div>
+`;
+
+/**
+ * Renders the transaction tabs with one panel per tab; only the active
+ * panel is visible
+ * @param {Object} transaction - Transaction data
+ * @param {string} [activeTab=TRANSACTION_TABS.IO] - One of TRANSACTION_TABS
+ * @returns {string} HTML string for the tabs and panels
+ */
+const renderTransactionTabs = (
+  transaction,
+  activeTab = TRANSACTION_TABS.IO
+) => {
+  const tabs = Object.values(TRANSACTION_TABS).filter(
+    (tab) => !TAB_DEFINITIONS[tab].hidden?.(transaction)
+  );
 
   return `
-    <div class="io-assets">
-      <span class="label">Assets:</span>
-      <div class="asset-list">
-        ${item.assets
-          .map(
-            (asset) => `
-          <div class="asset-item">
-            <span class="asset-policy">${asset.unit.slice(0, 56)}</span>
-            <span class="asset-name">${asset.unit.slice(56)}</span>
-            <span class="asset-amount">${asset.quantity}</span>
-          </div>
-        `
-          )
-          .join('')}
-      </div>
+    <div class="epoch-tabs" role="tablist">
+      ${tabs
+        .map(
+          (tab) => `
+        <button class="epoch-tab transaction-tab ${
+          tab === activeTab ? 'active' : ''
+        }" role="tab" data-tab="${tab}" aria-selected="${tab === activeTab}">
+          ${TAB_DEFINITIONS[tab].label(transaction)}
+        </button>`
+        )
+        .join('')}
     </div>
+    ${tabs
+      .map(
+        (tab) => `
+      <div class="transaction-tab-panel" role="tabpanel" data-tab="${tab}" ${
+          tab === activeTab ? '' : 'hidden'
+        }>
+        ${TAB_DEFINITIONS[tab].render(transaction)}
+      </div>`
+      )
+      .join('')}
   `;
 };
 
@@ -193,10 +462,12 @@ const renderBackButton = () => `
 /**
  * Renders transaction details view
  * @param {Object} transaction - Transaction data
+ * @param {Object|null} [quote] - ADA price on the transaction's day, to
+ *   show amounts in fiat
  * @returns {string} HTML string for transaction details
  * @throws {Error} If transaction data is invalid
  */
-export const renderTransactionDetails = (transaction) => {
+export const renderTransactionDetails = (transaction, quote = null) => {
   try {
     if (!transaction?.hash) {
       throw new Error('Invalid transaction data');
@@ -208,9 +479,10 @@ export const renderTransactionDetails = (transaction) => {
 
     const totalValue = formatAda(transaction.output_amount);
     const fee = formatAda(transaction.fees);
-    const totalWithFees = formatAda(
-      (BigInt(transaction.output_amount) + BigInt(transaction.fees)).toString()
-    );
+    const totalWithFeesLovelace = (
+      BigInt(transaction.output_amount) + BigInt(transaction.fees)
+    ).toString();
+    const totalWithFees = formatAda(totalWithFeesLovelace);
 
     return `
       <div class="transaction-content">
@@ -230,10 +502,17 @@ export const renderTransactionDetails = (transaction) => {
             <div class="summary-row">
               <div class="summary-item">
                 <div class="summary-label">Status</div>
-                <div class="summary-value status-confirmed">
+                ${
+                  transaction.valid_contract === false
+                    ? `<div class="summary-value status-failed"
+                           title="A Plutus script failed; only the collateral was spent">
+                  Script Failed
+                </div>`
+                    : `<div class="summary-value status-confirmed">
                   ${SVG_ICONS.checkmark}
                   Confirmed
-                </div>
+                </div>`
+                }
               </div>
               <div class="summary-item">
                 <div class="summary-label">Block Height</div>
@@ -256,18 +535,21 @@ export const renderTransactionDetails = (transaction) => {
               <div class="summary-item">
                 <div class="summary-label">Total Value</div>
                 <div class="summary-value highlight">${totalValue} ₳</div>
+                ${renderFiatValue(transaction.output_amount, quote)}
               </div>
               <div class="summary-item">
                 <div class="summary-label">Fee</div>
                 <div class="summary-value">${fee} ₳</div>
+                ${renderFiatValue(transaction.fees, quote)}
               </div>
               <div class="summary-item">
                 <div class="summary-label">Total Value + Fees</div>
                 <div class="summary-value">${totalWithFees} ₳</div>
+                ${renderFiatValue(totalWithFeesLovelace, quote)}
               </div>
             </div>
           </div>
-          ${renderTransactionIO(transaction)}
+          ${renderTransactionTabs(transaction)}
         </div>
       </div>
     `;
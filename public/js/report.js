@@ -0,0 +1,288 @@
+/**
+ * Tax Report Controller
+ *
+ * Manages the tax report page functionality:
+ * - Report form prefilled from the page URL (stake or addresses, year,
+ *   method, currency)
+ * - Report generation and display
+ * - CSV download
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * @module report
+ */
+
+import {
+  downloadTaxReport,
+  getPriceCurrencies,
+  getTaxReport,
+  search,
+} from './api.js';
+import {
+  REPORT_ELEMENTS,
+  renderTaxReport,
+  renderTaxReportForm,
+} from './renderers/reports.js';
+import {
+  renderError,
+  renderLoading,
+  renderWarning,
+} from './renderers/shared.js';
+import { validators } from './utils.js';
+import { getNetwork, withNetwork } from './network.js';
+import { getCurrency } from './currency.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'report-content',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+    },
+  },
+  FIRST_YEAR: 2017,
+  DEFAULT_METHOD: 'fifo',
+  PRICED_NETWORK: 'mainnet',
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+/**
+ * Reads the report parameters from the form
+ * @returns {Object} stake or addresses, year, method and currency
+ */
+const readForm = () => {
+  const value = (id) => document.getElementById(id).value.trim();
+  const subject = value(REPORT_ELEMENTS.SUBJECT);
+  return {
+    ...(subject.startsWith('stake')
+      ? { stake: subject }
+      : { addresses: subject }),
+    year: value(REPORT_ELEMENTS.YEAR),
+    method: value(REPORT_ELEMENTS.METHOD),
+    currency: value(REPORT_ELEMENTS.CURRENCY),
+  };
+};
+
+/**
+ * Keeps the report parameters in the page URL so reports can be shared
+ * @param {Object} params - Report parameters
+ */
+const updateUrl = (params) => {
+  const url = new URL(window.location.href);
+  ['stake', 'addresses', 'year', 'method', 'currency'].forEach((name) =>
+    params[name]
+      ? url.searchParams.set(name, params[name])
+      : url.searchParams.delete(name)
+  );
+  window.history.replaceState(null, '', url);
+};
+
+/**
+ * Generates and displays the report for the form's parameters
+ */
+const generateReport = async () => {
+  const params = readForm();
+  const status = document.getElementById(REPORT_ELEMENTS.STATUS);
+  const result = document.getElementById(REPORT_ELEMENTS.RESULT);
+  const button = document.getElementById(REPORT_ELEMENTS.GENERATE_BUTTON);
+
+  if (!params.stake && !params.addresses) {
+    status.innerHTML = renderWarning(
+      'Missing wallet',
+      'Enter a stake address or one or more addresses'
+    );
+    return;
+  }
+
+  updateUrl(params);
+  button.disabled = true;
+  status.innerHTML = '';
+  try {
+    result.innerHTML = renderLoading(
+      'Building report from the full transaction history...'
+    );
+    result.innerHTML = renderTaxReport(await getTaxReport(params));
+  } catch (error) {
+    console.error('Error generating tax report:', { params, error });
+    result.innerHTML = renderError('Failed to generate report', error.message);
+  } finally {
+    button.disabled = false;
+  }
+};
+
+/**
+ * Downloads the report for the form's parameters as CSV
+ */
+const handleDownload = async () => {
+  const params = readForm();
+  const status = document.getElementById(REPORT_ELEMENTS.STATUS);
+  const button = document.getElementById(REPORT_ELEMENTS.DOWNLOAD_BUTTON);
+
+  button.disabled = true;
+  try {
+    status.innerHTML = renderLoading('Preparing CSV...');
+    const { blob, filename } = await downloadTaxReport(params);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    status.innerHTML = '';
+  } catch (error) {
+    console.error('Error downloading tax report:', { params, error });
+    status.innerHTML = renderWarning('Download failed', error.message);
+  } finally {
+    button.disabled = false;
+  }
+};
+
+/**
+ * Initializes the report page
+ */
+const initReportPage = async () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  if (getNetwork() !== CONFIG.PRICED_NETWORK) {
+    contentElement.innerHTML = renderWarning(
+      'Tax reports are only available on mainnet',
+      'Testnet ADA has no market price'
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Loading report options...');
+    const { currencies } = await getPriceCurrencies();
+
+    const params = new URLSearchParams(window.location.search);
+    const currentYear = new Date().getUTCFullYear();
+    const years = Array.from(
+      { length: currentYear - CONFIG.FIRST_YEAR + 1 },
+      (_, index) => currentYear - index
+    );
+    const preferred = params.get('currency') || getCurrency();
+
+    contentElement.innerHTML = `
+      <div class="section">
+        <div class="card">
+          <h3 class="section-title">Tax Report</h3>
+          ${renderTaxReportForm(
+            {
+              subject: params.get('stake') || params.get('addresses'),
+              // Last year is the one usually being filed
+              year: params.get('year') || currentYear - 1,
+              method: params.get('method') || CONFIG.DEFAULT_METHOD,
+              currency: currencies.includes(preferred)
+                ? preferred
+                : currencies[0],
+            },
+            currencies,
+            years
+          )}
+        </div>
+      </div>
+    `;
+
+    document
+      .getElementById(REPORT_ELEMENTS.GENERATE_BUTTON)
+      .addEventListener('click', generateReport);
+    document
+      .getElementById(REPORT_ELEMENTS.DOWNLOAD_BUTTON)
+      .addEventListener('click', handleDownload);
+
+    if (params.get('stake') || params.get('addresses')) generateReport();
+  } catch (error) {
+    console.error('Error loading report page:', error);
+    contentElement.innerHTML = renderError(
+      'Failed to load report options',
+      error.message
+    );
+  }
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+
+  if (!validators.isValidSearchQuery(query)) {
+    contentElement.innerHTML = renderError(
+      'Invalid search query',
+      `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+    );
+    return;
+  }
+
+  try {
+    contentElement.innerHTML = renderLoading('Searching...');
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    contentElement.innerHTML = renderError('Search failed', error.message);
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initReportPage();
+  setupEventListeners();
+});
@@ -0,0 +1,262 @@
+/**
+ * Transaction Submission Controller
+ *
+ * Manages the transaction submission page functionality:
+ * - Decoded preview of a pasted signed transaction
+ * - Submission with the server's pre-flight checks
+ * - Search functionality
+ * - Error handling and loading states
+ *
+ * Intended for support staff pushing a customer's signed transaction when
+ * their wallet fails to submit it.
+ *
+ * @module submit
+ */
+
+import { decodeTransaction, submitTransaction, search } from './api.js';
+import {
+  renderSubmitForm,
+  renderSubmitPreview,
+  renderSubmitResult,
+} from './renderers/submit.js';
+import { renderLoading, renderWarning } from './renderers/shared.js';
+import { validators } from './utils.js';
+import { withNetwork } from './network.js';
+
+// Configuration Constants
+const CONFIG = {
+  UI: {
+    ELEMENTS: {
+      CONTENT: 'submit-content',
+      INPUT: 'submit-cbor',
+      PREVIEW_BUTTON: 'submit-preview-btn',
+      SUBMIT_BUTTON: 'submit-send-btn',
+      RESULT: 'submit-result',
+      SEARCH_INPUT: '#search-input',
+      SEARCH_BUTTON: '#search-btn',
+      COPY_BUTTON: '.copy-btn',
+    },
+    CLASSES: {
+      COPIED: 'copied',
+    },
+    COPY_FEEDBACK_DURATION: 2000,
+  },
+  VALIDATION: {
+    MIN_SEARCH_LENGTH: 3,
+    CBOR_REGEX: /^([0-9a-fA-F]{2})+$/,
+  },
+  ROUTES: {
+    WALLET: 'wallet.html',
+    TRANSACTION: 'transaction.html',
+    DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+  },
+};
+
+/**
+ * Copies text to clipboard with visual feedback
+ * @param {HTMLElement} btn - Button element that triggered the copy
+ * @param {string} hash - Text to copy
+ */
+const copyToClipboard = async (btn, hash) => {
+  try {
+    await navigator.clipboard.writeText(hash);
+    const originalTitle = btn.title;
+    btn.title = 'Copied!';
+    btn.classList.add(CONFIG.UI.CLASSES.COPIED);
+    setTimeout(() => {
+      btn.title = originalTitle;
+      btn.classList.remove(CONFIG.UI.CLASSES.COPIED);
+    }, CONFIG.UI.COPY_FEEDBACK_DURATION);
+  } catch (err) {
+    console.error('Failed to copy:', err);
+    btn.title = 'Failed to copy';
+  }
+};
+
+/**
+ * Shows content in the result area and wires its copy buttons
+ * @param {string} html - HTML to display
+ */
+const showResult = (html) => {
+  const result = document.getElementById(CONFIG.UI.ELEMENTS.RESULT);
+  result.innerHTML = html;
+  result
+    .querySelectorAll(CONFIG.UI.ELEMENTS.COPY_BUTTON)
+    .forEach((btn) =>
+      btn.addEventListener('click', () =>
+        copyToClipboard(btn, btn.dataset.hash)
+      )
+    );
+};
+
+/**
+ * Reads the pasted CBOR, showing a warning when it is not hex
+ * @returns {string|null} CBOR without whitespace, or null if invalid
+ */
+const readCbor = () => {
+  const cbor = document
+    .getElementById(CONFIG.UI.ELEMENTS.INPUT)
+    .value.replace(/\s+/g, '');
+
+  if (!CONFIG.VALIDATION.CBOR_REGEX.test(cbor)) {
+    showResult(
+      renderWarning(
+        'Invalid transaction CBOR',
+        'Please paste the signed transaction as a hex string'
+      )
+    );
+    return null;
+  }
+  return cbor;
+};
+
+/**
+ * Runs a request with the form buttons disabled, so a transaction is not
+ * submitted twice by repeated clicks
+ * @param {Function} request - Async function to run
+ */
+const withButtonsDisabled = async (request) => {
+  const buttons = [
+    CONFIG.UI.ELEMENTS.PREVIEW_BUTTON,
+    CONFIG.UI.ELEMENTS.SUBMIT_BUTTON,
+  ].map((id) => document.getElementById(id));
+
+  buttons.forEach((btn) => (btn.disabled = true));
+  try {
+    await request();
+  } finally {
+    buttons.forEach((btn) => (btn.disabled = false));
+  }
+};
+
+/**
+ * Decodes the pasted transaction and shows its summary
+ */
+const handlePreview = () =>
+  withButtonsDisabled(async () => {
+    const cbor = readCbor();
+    if (!cbor) return;
+
+    try {
+      showResult(renderLoading('Decoding transaction...'));
+      showResult(renderSubmitPreview(await decodeTransaction(cbor)));
+    } catch (error) {
+      console.error('Error decoding transaction:', error);
+      showResult(renderWarning('Failed to decode transaction', error.message));
+    }
+  });
+
+/**
+ * Submits the pasted transaction and shows the outcome
+ */
+const handleSubmit = () =>
+  withButtonsDisabled(async () => {
+    const cbor = readCbor();
+    if (!cbor) return;
+
+    try {
+      showResult(renderLoading('Submitting transaction...'));
+      showResult(renderSubmitResult(await submitTransaction(cbor)));
+    } catch (error) {
+      console.error('Error submitting transaction:', error);
+      showResult(renderWarning('Transaction not submitted', error.message));
+    }
+  });
+
+/**
+ * Initializes the submission page
+ */
+const initSubmitPage = () => {
+  const contentElement = document.getElementById(CONFIG.UI.ELEMENTS.CONTENT);
+  if (!contentElement) {
+    console.error('Content element not found');
+    return;
+  }
+
+  contentElement.innerHTML = renderSubmitForm({
+    input: CONFIG.UI.ELEMENTS.INPUT,
+    preview: CONFIG.UI.ELEMENTS.PREVIEW_BUTTON,
+    submit: CONFIG.UI.ELEMENTS.SUBMIT_BUTTON,
+    result: CONFIG.UI.ELEMENTS.RESULT,
+  });
+
+  document
+    .getElementById(CONFIG.UI.ELEMENTS.PREVIEW_BUTTON)
+    .addEventListener('click', handlePreview);
+  document
+    .getElementById(CONFIG.UI.ELEMENTS.SUBMIT_BUTTON)
+    .addEventListener('click', handleSubmit);
+};
+
+/**
+ * Handles search functionality
+ * @param {string} query - Search query
+ */
+const handleSearch = async (query) => {
+  if (!validators.isValidSearchQuery(query)) {
+    showResult(
+      renderWarning(
+        'Invalid search query',
+        `Please enter at least ${CONFIG.VALIDATION.MIN_SEARCH_LENGTH} characters to search`
+      )
+    );
+    return;
+  }
+
+  try {
+    const searchResult = await search(query.trim());
+
+    if (!searchResult?.type || !searchResult?.result) {
+      throw new Error('No results found');
+    }
+
+    const { type, result } = searchResult;
+    const redirectMap = {
+      address: `${CONFIG.ROUTES.WALLET}?address=${result.address}`,
+      transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=${result.hash}`,
+      block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`,
+      pool: `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`,
+    };
+
+    if (!redirectMap[type]) {
+      throw new Error('Unsupported search result type');
+    }
+
+    window.location.href = withNetwork(redirectMap[type]);
+  } catch (error) {
+    console.error('Search error:', error);
+    showResult(renderWarning('Search failed', error.message));
+  }
+};
+
+/**
+ * Sets up page event listeners
+ */
+const setupEventListeners = () => {
+  const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
+  const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
+
+  if (searchInput && searchButton) {
+    searchButton.addEventListener('click', () =>
+      handleSearch(searchInput.value)
+    );
+    searchInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        handleSearch(searchInput.value);
+      }
+    });
+  }
+};
+
+// Initialize the page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  initSubmitPage();
+  setupEventListeners();
+});
@@ -3,6 +3,8 @@
  *
  * Manages the transaction details page functionality:
  * - Transaction data loading and display
+ * - Inputs/outputs and metadata tabs
+ * - On-demand datum, reference script and raw CBOR loading
  * - Search functionality across entities
  * - Navigation and clipboard operations
  * - Event handling and user interactions
@@ -11,9 +13,21 @@
  * @module transaction
  */
 
-import { getTransactionDetails, search } from './api.js';
-import { renderTransactionDetails } from './renderers/transactions.js';
+import {
+  getTransactionDetails,
+  getTransactionCbor,
+  getDatum,
+  getScript,
+  search,
+} from './api.js';
+import {
+  renderTransactionDetails,
+  renderTransactionCbor,
+} from './renderers/transactions.js';
+import { renderDatum, renderScriptDetails } from './renderers/scripts.js';
 import { renderError, renderLoading } from './renderers/shared.js';
+import { withNetwork } from './network.js';
+import { getAdaQuote } from './currency.js';
 
 // Configuration Constants
 const CONFIG = {
@@ -25,19 +39,28 @@ const CONFIG = {
       BACK_BUTTON: '#back-to-block',
       COPY_BUTTON: '.copy-btn',
       ADDRESS_LINK: '.address-value',
+      TAB: '.transaction-tab',
+      TAB_PANEL: '.transaction-tab-panel',
+      SCRIPT_DATA_BUTTON: '.script-data-btn',
+      CBOR_BUTTON: '.tx-cbor-btn',
+      CBOR_CONTENT: '.tx-cbor-content',
     },
     MINIMUM_SEARCH_LENGTH: 3,
     COPY_FEEDBACK_DURATION: 2000,
   },
   VALIDATION: {
     HASH_REGEX: /^[0-9a-fA-F]{64}$/,
-    ADDRESS_REGEX: /^addr1[a-zA-Z0-9]+$/,
+    ADDRESS_REGEX: /^(addr|addr_test)1[a-zA-Z0-9]+$/,
     HEIGHT_REGEX: /^\d+$/,
   },
   ROUTES: {
     TRANSACTION: 'transaction.html',
     WALLET: 'wallet.html',
     DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
   },
 };
 
@@ -101,7 +124,7 @@ const handleSearch = async (query) => {
     if (queryInfo) {
       const directUrl = getDirectNavigationUrl(queryInfo);
       if (directUrl) {
-        window.location.href = directUrl;
+        window.location.href = withNetwork(directUrl);
         return;
       }
     }
@@ -121,6 +144,18 @@ const handleSearch = async (query) => {
       case 'block':
         redirectUrl = `${CONFIG.ROUTES.DETAILS}?type=block&hash=${result.hash}`;
         break;
+      case 'epoch':
+        redirectUrl = `${CONFIG.ROUTES.EPOCH}?epoch=${result.epoch}`;
+        break;
+      case 'pool':
+        redirectUrl = `${CONFIG.ROUTES.POOL}?id=${result.pool_id}`;
+        break;
+      case 'stake_address':
+        redirectUrl = `${CONFIG.ROUTES.ACCOUNT}?stake=${result.stake_address}`;
+        break;
+      case 'policy':
+        redirectUrl = `${CONFIG.ROUTES.POLICY}?id=${result.policy_id}`;
+        break;
       case 'address':
         redirectUrl = `${CONFIG.ROUTES.WALLET}?address=${result.address}`;
         break;
@@ -128,7 +163,7 @@ const handleSearch = async (query) => {
         throw new Error('Unsupported search result type');
     }
 
-    window.location.href = redirectUrl;
+    window.location.href = withNetwork(redirectUrl);
   } catch (error) {
     console.error('Search error:', error);
     contentElement.innerHTML = renderError('Search failed', error.message);
@@ -143,7 +178,9 @@ const handleBackNavigation = () => {
   const blockHash = params.get('blockHash');
 
   if (blockHash) {
-    window.location.href = `${CONFIG.ROUTES.DETAILS}?type=block&hash=${blockHash}`;
+    window.location.href = withNetwork(
+      `${CONFIG.ROUTES.DETAILS}?type=block&hash=${blockHash}`
+    );
   } else {
     window.history.back();
   }
@@ -172,9 +209,10 @@ const copyToClipboard = async (btn, text) => {
 
 /**
  * Sets up copy functionality for hash elements
+ * @param {ParentNode} [root=document] - Element containing the buttons
  */
-const setupCopyButtons = () => {
-  document.querySelectorAll(CONFIG.UI.ELEMENTS.COPY_BUTTON).forEach((btn) => {
+const setupCopyButtons = (root = document) => {
+  root.querySelectorAll(CONFIG.UI.ELEMENTS.COPY_BUTTON).forEach((btn) => {
     btn.addEventListener('click', () => copyToClipboard(btn, btn.dataset.hash));
   });
 };
@@ -187,8 +225,91 @@ const setupAddressLinks = () => {
     if (link.tagName === 'A') {
       link.addEventListener('click', (e) => {
         e.preventDefault();
-        window.location.href = link.getAttribute('href');
+        window.location.href = withNetwork(link.getAttribute('href'));
+      });
+    }
+  });
+};
+
+/**
+ * Sets up switching between the transaction tabs
+ */
+const setupTabs = () => {
+  const tabs = document.querySelectorAll(CONFIG.UI.ELEMENTS.TAB);
+
+  tabs.forEach((tab) => {
+    tab.addEventListener('click', () => {
+      tabs.forEach((btn) => {
+        const isActive = btn === tab;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-selected', isActive);
       });
+      document
+        .querySelectorAll(CONFIG.UI.ELEMENTS.TAB_PANEL)
+        .forEach((panel) => {
+          panel.hidden = panel.dataset.tab !== tab.dataset.tab;
+        });
+    });
+  });
+};
+
+const SCRIPT_DATA_LOADERS = {
+  datum: { load: getDatum, render: renderDatum, label: 'datum' },
+  script: { load: getScript, render: renderScriptDetails, label: 'script' },
+};
+
+/**
+ * Sets up the buttons that load a datum or reference script into the panel
+ * that follows them; later clicks toggle the panel
+ */
+const setupScriptDataButtons = () => {
+  document
+    .querySelectorAll(CONFIG.UI.ELEMENTS.SCRIPT_DATA_BUTTON)
+    .forEach((btn) => {
+      const panel = btn.nextElementSibling;
+      const { load, render, label } = SCRIPT_DATA_LOADERS[btn.dataset.kind];
+
+      btn.addEventListener('click', async () => {
+        if (panel.dataset.loaded) {
+          panel.hidden = !panel.hidden;
+          return;
+        }
+
+        panel.hidden = false;
+        panel.innerHTML = renderLoading(`Loading ${label}...`);
+        try {
+          panel.innerHTML = render(await load(btn.dataset.hash));
+          panel.dataset.loaded = 'true';
+        } catch (error) {
+          console.error(`Error loading ${label}:`, error);
+          panel.innerHTML = renderError(
+            `Failed to load ${label}`,
+            error.message
+          );
+        }
+      });
+    });
+};
+
+/**
+ * Sets up the button that loads the transaction's raw CBOR
+ * @param {string} hash - Transaction hash
+ */
+const setupCborButton = (hash) => {
+  const btn = document.querySelector(CONFIG.UI.ELEMENTS.CBOR_BUTTON);
+  const content = document.querySelector(CONFIG.UI.ELEMENTS.CBOR_CONTENT);
+
+  btn?.addEventListener('click', async () => {
+    btn.disabled = true;
+    content.innerHTML = renderLoading('Loading CBOR...');
+    try {
+      content.innerHTML = renderTransactionCbor(await getTransactionCbor(hash));
+      btn.remove();
+      setupCopyButtons(content);
+    } catch (error) {
+      console.error('Error loading CBOR:', error);
+      content.innerHTML = renderError('Failed to load CBOR', error.message);
+      btn.disabled = false;
     }
   });
 };
@@ -196,12 +317,15 @@ const setupAddressLinks = () => {
 /**
  * Sets up event listeners for the page
  */
-const setupEventListeners = () => {
+const setupEventListeners = (hash) => {
   const backBtn = document.querySelector(CONFIG.UI.ELEMENTS.BACK_BUTTON);
   backBtn?.addEventListener('click', handleBackNavigation);
 
   setupCopyButtons();
   setupAddressLinks();
+  setupTabs();
+  setupScriptDataButtons();
+  setupCborButton(hash);
 
   const searchInput = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_INPUT);
   const searchButton = document.querySelector(CONFIG.UI.ELEMENTS.SEARCH_BUTTON);
@@ -253,9 +377,10 @@ const initTransactionPage = async () => {
 
     const transaction = await getTransactionDetails(hash);
     transaction.block = transaction.block_hash || blockHash;
+    const quote = await getAdaQuote(transaction.block_time);
 
-    contentElement.innerHTML = renderTransactionDetails(transaction);
-    setupEventListeners();
+    contentElement.innerHTML = renderTransactionDetails(transaction, quote);
+    setupEventListeners(hash);
   } catch (error) {
     console.error('Error loading transaction:', error);
     contentElement.innerHTML = renderError(
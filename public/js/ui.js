@@ -2,7 +2,8 @@
  * UI Component Manager
  *
  * Manages the rendering and interaction of UI components for the Cardano Explorer:
- * - Block Components: Latest block display, block list, block details
+ * - Block Components: Latest block display, block list, block details,
+ *   blocks arriving from the live feed
  * - Transaction Components: Transaction lists and details
  * - State Components: Loading states, error messages
  * - Navigation: Back buttons, view transitions
@@ -35,6 +36,7 @@ const CONFIG = {
       ERROR: 'error-message',
       LOADING: 'loading',
       BLOCK_ITEM: 'block-list-item',
+      PAGINATION_BTN: 'pagination-btn',
       TX_ITEM: 'transaction-item',
       PRIMARY_BTN: 'primary-btn',
       SECONDARY_BTN: 'secondary-btn',
@@ -122,7 +124,9 @@ const createBlockInfoRows = (block) => `
     </div>
     <div class="info-row" role="listitem">
       <strong>Epoch</strong>
-      <span class="value">${block.epoch}</span>
+      <span class="value">
+        <a href="pages/epoch.html?epoch=${block.epoch}">${block.epoch}</a>
+      </span>
     </div>
     <div class="info-row" role="listitem">
       <strong>Fees</strong>
@@ -162,6 +166,31 @@ const createTransactionItem = (tx) => `
   </div>
 `;
 
+/**
+ * Creates HTML for a block list item
+ * @param {Object} block - Block summary
+ * @returns {string} HTML string
+ */
+const createBlockListItem = (block) => `
+  <div class="${CONFIG.UI.CLASSES.BLOCK_ITEM}" role="article"
+       data-block-height="${block.height}">
+    <div class="block-info">
+      <div class="block-height">#${block.height.toLocaleString()}</div>
+      <div class="block-hash" title="${block.hash}">${block.hash}</div>
+    </div>
+    <button class="view-block-btn" 
+            data-block-hash="${block.hash}"
+            aria-label="View details for block ${block.height}">
+      <img src="images/Explore.svg" alt="View Block Details">
+    </button>
+  </div>
+`;
+
+const setupViewBlockButton = (button) =>
+  button.addEventListener('click', () => {
+    window.loadBlockDetails(button.dataset.blockHash);
+  });
+
 /**
  * Sets up event listeners for block details view
  * @param {Object} block - Block data
@@ -200,16 +229,58 @@ const setupTransactionListeners = () => {
   });
 };
 
+/**
+ * Creates the list of a streamed block's transactions, noting when only
+ * some of them were sent
+ * @param {Object} block - Block data
+ * @param {Array} transactions - Transaction summaries from the live feed
+ * @returns {string} HTML string
+ */
+const createLatestTransactions = (block, transactions) => {
+  if (!block.tx_count) return '';
+
+  const shown =
+    transactions.length < block.tx_count
+      ? `<p class="tx-count-note">
+          ${
+            transactions.length
+              ? `First ${transactions.length} of ${block.tx_count} transactions`
+              : 'Transactions could not be loaded'
+          }
+        </p>`
+      : '';
+
+  return `
+    <div class="latest-block-transactions" role="list" aria-label="Latest Block Transactions">
+      ${transactions
+        .map(
+          (tx) => `
+        <div class="info-row" role="listitem">
+          <a class="hash" href="pages/transaction.html?hash=${
+            tx.hash
+          }" title="${tx.hash}">${tx.hash}</a>
+          <span class="value">${formatAda(tx.output_amount || 0)} ₳</span>
+        </div>`
+        )
+        .join('')}
+      ${shown}
+    </div>
+  `;
+};
+
 /**
  * Displays the latest block information
  * @param {Object} block - Block data to display
+ * @param {Array} [transactions] - Transaction summaries pushed with the
+ *   block by the live feed
  */
-export function displayLatestBlock(block) {
+export function displayLatestBlock(block, transactions) {
   try {
     validateBlockData(block);
     const content = `
       <div class="latest-block-info" role="region" aria-label="Latest Block Information">
         ${createBlockInfoRows(block)}
+        ${transactions ? createLatestTransactions(block, transactions) : ''}
       </div>
     `;
     getElement(CONFIG.UI.ELEMENTS.LATEST_BLOCK).innerHTML = content;
@@ -222,6 +293,47 @@ export function displayLatestBlock(block) {
   }
 }
 
+/**
+ * Creates block list navigation; older and newer windows are addressed by
+ * height cursor so they stay put while new blocks arrive
+ * @param {Object} pagination - Block list pagination
+ * @returns {string} HTML string
+ */
+const createBlockListNavigation = (pagination) => {
+  if (!pagination) return '';
+
+  const { cursors = {}, hasNext, hasPrevious } = pagination;
+  const button = (label, attrs, enabled, ariaLabel) => `
+    <button class="${CONFIG.UI.CLASSES.PAGINATION_BTN} block-page-btn" ${attrs}
+            ${enabled ? '' : 'disabled'}
+            aria-label="${ariaLabel}">
+      ${label}
+    </button>
+  `;
+
+  return `
+    <nav class="pagination" role="navigation" aria-label="Block list pagination">
+      ${button('Latest', 'data-page="1"', hasPrevious, 'Latest blocks')}
+      ${button(
+        'Newer',
+        cursors.newer ? `data-before="${cursors.newer}"` : 'data-page="1"',
+        hasPrevious,
+        'Newer blocks'
+      )}
+      <span class="pagination-info">
+        Page ${pagination.currentPage.toLocaleString()} of
+        ${pagination.totalPages.toLocaleString()}
+      </span>
+      ${button(
+        'Older',
+        `data-older data-before="${cursors.older}"`,
+        hasNext && cursors.older,
+        'Older blocks'
+      )}
+    </nav>
+  `;
+};
+
 /**
  * Displays the block list with pagination
  * @param {Object} blockData - Block list data
@@ -238,41 +350,69 @@ export function displayBlockList(blockData) {
       return;
     }
 
-    const blockListItems = blockData.blocks
-      .map(
-        (block) => `
-      <div class="${CONFIG.UI.CLASSES.BLOCK_ITEM}" role="article">
-        <div class="block-info">
-          <div class="block-height">#${block.height.toLocaleString()}</div>
-          <div class="block-hash" title="${block.hash}">${block.hash}</div>
-        </div>
-        <button class="view-block-btn" 
-                data-block-hash="${block.hash}"
-                aria-label="View details for block ${block.height}">
-          <img src="images/Explore.svg" alt="View Block Details">
-        </button>
-      </div>
-    `
-      )
-      .join('');
+    const blockListItems = blockData.blocks.map(createBlockListItem).join('');
 
+    // Only the window at the tip takes blocks from the live feed
     blockList.innerHTML = `
-      <div role="feed" aria-label="Block List">
+      <div role="feed" aria-label="Block List"
+           ${blockData.pagination?.hasPrevious ? '' : 'data-live="true"'}>
         ${blockListItems}
       </div>
+      ${createBlockListNavigation(blockData.pagination)}
     `;
 
-    document.querySelectorAll('.view-block-btn').forEach((button) => {
+    blockList.querySelectorAll('.block-page-btn').forEach((button) => {
       button.addEventListener('click', () => {
-        window.loadBlockDetails(button.dataset.blockHash);
+        const before = parseInt(button.dataset.before);
+        window.loadBlockList(
+          parseInt(button.dataset.page) || 1,
+          before > 0 ? before : undefined
+        );
       });
     });
+
+    document.querySelectorAll('.view-block-btn').forEach(setupViewBlockButton);
   } catch (error) {
     console.error('Error displaying block list:', error);
     displayError('Failed to display block list', CONFIG.UI.ELEMENTS.BLOCK_LIST);
   }
 }
 
+/**
+ * Adds a block from the live feed to the top of the block list, keeping
+ * the list length. Lists showing older blocks are left as they are.
+ * @param {Object} block - Block summary to add
+ * @returns {boolean} Whether the block was added
+ */
+export function prependBlock(block) {
+  try {
+    validateBlockData(block);
+    const blockList = getElement(CONFIG.UI.ELEMENTS.BLOCK_LIST);
+    const feed = blockList.querySelector('[role="feed"][data-live]');
+    const newest = feed?.firstElementChild;
+    if (!feed || Number(newest?.dataset.blockHeight) >= block.height) {
+      return false;
+    }
+
+    feed.insertAdjacentHTML('afterbegin', createBlockListItem(block));
+    feed.firstElementChild.classList.add('is-new');
+    setupViewBlockButton(
+      feed.firstElementChild.querySelector('.view-block-btn')
+    );
+    if (newest) feed.lastElementChild.remove();
+
+    // The older window starts below the lowest block still listed
+    const olderButton = blockList.querySelector('[data-older]');
+    if (olderButton && feed.lastElementChild) {
+      olderButton.dataset.before = feed.lastElementChild.dataset.blockHeight;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error adding block to list:', error);
+    return false;
+  }
+}
+
 /**
  * Displays detailed block information
  * @param {Object} block - Block data to display
@@ -340,6 +480,16 @@ export function displayTransactions(txData) {
             Back to Block
           </button>
         </div>
+        ${
+          txData.failed?.length
+            ? `<div class="warning-container" role="status">
+                <p class="warning-title">
+                  ${txData.failed.length} transactions could not be loaded.
+                  Reload to try again.
+                </p>
+              </div>`
+            : ''
+        }
         <div class="transactions-list" role="feed">
           ${txData.transactions.map(createTransactionItem).join('')}
         </div>
@@ -53,8 +53,9 @@ const CONSTANTS = {
   },
   REGEX: {
     HASH: /^[0-9a-fA-F]{64}$/,
-    ADDRESS: /^addr1[a-zA-Z0-9]+$/,
-    STAKE_ADDRESS: /^stake1[a-zA-Z0-9]+$/,
+    // Shelley bech32 or Byron base58
+    ADDRESS: /^((addr|addr_test)1[a-zA-Z0-9]+|[1-9A-HJ-NP-Za-km-z]{50,})$/,
+    STAKE_ADDRESS: /^(stake|stake_test)1[a-zA-Z0-9]+$/,
     POOL_ID: /^pool1[a-zA-Z0-9]+$/,
     ADA_AMOUNT: /^\d+(\.\d{0,6})?$/,
   },
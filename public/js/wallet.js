@@ -3,7 +3,14 @@
  *
  * Manages the wallet details page functionality:
  * - Wallet balance and address display
- * - Transaction history with pagination
+ * - ADA Handles held by the address
+ * - Decoded address structure (network, payment and stake credentials)
+ * - UTXOs with their tokens and minimum ADA, and a coin-selection
+ *   simulator showing which UTXOs a payment would spend
+ * - Full transaction history, fetched page by page from the server
+ * - Balance history chart by day or epoch, with month-end balances
+ * - Accounting ledger export (CSV, JSON, OFX) for a date range, with a
+ *   link to the tax report
  * - Search functionality
  * - Copy-to-clipboard operations
  * - Error handling and loading states
@@ -19,15 +26,56 @@
  * @version 1.0.0
  */
 
-import { getAddressDetails, search } from './api.js';
-import { renderError, renderLoading } from './renderers/shared.js';
-import { formatAda, SVG_ICONS, validators } from './utils.js';
+import {
+  decodeAddress,
+  downloadLedger,
+  getAddressTransactions,
+  getAddressUtxos,
+  getBalanceHistory,
+  search,
+} from './api.js';
+import {
+  renderError,
+  renderLoading,
+  renderWarning,
+  renderFiatValue,
+  escapeHtml,
+} from './renderers/shared.js';
+import { renderLineChart } from './renderers/charts.js';
+import {
+  adaToLovelace,
+  formatAda,
+  LOVELACE_TO_ADA,
+  SVG_ICONS,
+  validators,
+} from './utils.js';
+import { apiPath, withNetwork } from './network.js';
+import { getAdaQuote } from './currency.js';
+import {
+  getReservedLovelace,
+  getSpendableLovelace,
+  selectCoins,
+  SELECTION_STRATEGIES,
+} from './coinSelection.js';
 
 // Configuration Constants
 const CONFIG = {
   UI: {
     ELEMENTS: {
       CONTENT: 'wallet-content',
+      TRANSACTIONS: 'wallet-transactions',
+      BALANCE_HISTORY: 'wallet-balance-history',
+      UTXOS: 'wallet-utxos',
+      SIMULATE_TARGET: 'coin-selection-target',
+      SIMULATE_STRATEGY: 'coin-selection-strategy',
+      SIMULATE_BUTTON: 'coin-selection-btn',
+      SIMULATE_RESULT: 'coin-selection-result',
+      EXPORT_FROM: 'ledger-from',
+      EXPORT_TO: 'ledger-to',
+      EXPORT_FORMAT: 'ledger-format',
+      EXPORT_SCOPE: 'ledger-scope',
+      EXPORT_BUTTON: 'ledger-export-btn',
+      EXPORT_STATUS: 'ledger-export-status',
       SEARCH_INPUT: '#search-input',
       SEARCH_BUTTON: '#search-btn',
       ERROR_CONTAINER: 'error-container',
@@ -39,11 +87,28 @@ const CONFIG = {
       COPIED: 'copied',
       ACTIVE: 'active',
       PAGINATION_BTN: 'pagination-btn',
+      INTERVAL_TAB: 'balance-interval-tab',
+      UTXO_CARD: 'utxo-card',
+      SELECTED: 'selected',
     },
   },
   PAGINATION: {
     ITEMS_PER_PAGE: 10,
-    VISIBLE_PAGES: 5,
+  },
+  BALANCE_HISTORY: {
+    INTERVALS: { day: 'Daily', epoch: 'By Epoch' },
+    // Each request covers a bounded number of transactions; long histories
+    // take several
+    MAX_REQUESTS: 25,
+  },
+  COIN_SELECTION: {
+    STRATEGIES: {
+      [SELECTION_STRATEGIES.LARGEST_FIRST]: 'Largest first',
+      [SELECTION_STRATEGIES.RANDOM_IMPROVE]: 'Random-improve',
+    },
+  },
+  LEDGER_EXPORT: {
+    FORMATS: { csv: 'CSV', json: 'JSON', ofx: 'OFX' },
   },
   VALIDATION: {
     MIN_SEARCH_LENGTH: 3,
@@ -55,15 +120,21 @@ const CONFIG = {
     WALLET: 'wallet.html',
     TRANSACTION: 'transaction.html',
     DETAILS: 'details.html',
+    EPOCH: 'epoch.html',
+    POOL: 'pool.html',
+    ACCOUNT: 'account.html',
+    POLICY: 'policy.html',
+    REPORT: 'report.html',
   },
 };
 
 /**
  * Renders wallet overview section
  * @param {Object} data - Wallet data
+ * @param {Object|null} quote - Today's ADA price, to show the balance in fiat
  * @returns {string} HTML string
  */
-const renderWalletOverview = (data) => {
+const renderWalletOverview = (data, quote) => {
   const totalBalance = calculateTotalBalance(data.amount);
 
   return `
@@ -76,6 +147,7 @@ const renderWalletOverview = (data) => {
           )} ADA">
             ${formatAda(totalBalance)}
           </div>
+          ${renderFiatValue(totalBalance, quote)}
         </div>
         <div class="address-info">
           <h3>Address Details</h3>
@@ -103,13 +175,23 @@ const renderAddressDetails = (data) => `
       </button>
     </div>
   </div>
+  ${
+    data.handles?.length
+      ? `
+    <div class="info-row">
+      <span class="label">ADA Handles</span>
+      <div class="address-value">${escapeHtml(data.handles.join(', '))}</div>
+    </div>
+  `
+      : ''
+  }
   ${
     data.stake_address
       ? `
     <div class="info-row">
       <span class="label">Stake Address</span>
       <div class="value-with-copy">
-        <div class="address-value" title="${data.stake_address}">${data.stake_address}</div>
+        <a class="address-value" href="${CONFIG.ROUTES.ACCOUNT}?stake=${data.stake_address}" title="${data.stake_address}">${data.stake_address}</a>
         <button class="copy-btn" data-hash="${data.stake_address}" title="Copy stake address" aria-label="Copy stake address">
           ${SVG_ICONS.COPY}
         </button>
@@ -120,6 +202,91 @@ const renderAddressDetails = (data) => `
   }
 `;
 
+const ADDRESS_TYPE_LABELS = {
+  base: 'Base (payment and stake credential)',
+  pointer: 'Pointer (stake credential by certificate pointer)',
+  enterprise: 'Enterprise (no stake credential)',
+  reward: 'Reward (stake address)',
+  byron: 'Byron (bootstrap)',
+};
+
+const renderStructureRow = (label, value) => `
+  <div class="info-row">
+    <span class="label">${label}</span>
+    <div class="address-value">${value}</div>
+  </div>
+`;
+
+const renderCredential = (credential) =>
+  `${credential.type === 'script' ? 'Script' : 'Key'} hash ${credential.hash}`;
+
+/**
+ * Renders the decoded address structure, linking the stake credential to
+ * the account page
+ * @param {Object} structure - Decoded address from the API
+ * @returns {string} HTML string
+ */
+const renderAddressStructure = (structure) => `
+  <div class="address-structure" role="region" aria-label="Address Structure">
+    <h3>Address Structure</h3>
+    ${renderStructureRow(
+      'Type',
+      ADDRESS_TYPE_LABELS[structure.type] || structure.type
+    )}
+    ${renderStructureRow(
+      'Network',
+      structure.network_id === null
+        ? structure.network
+        : `${structure.network} (network ID ${structure.network_id})`
+    )}
+    ${
+      structure.payment_credential
+        ? renderStructureRow(
+            'Payment Credential',
+            renderCredential(structure.payment_credential)
+          )
+        : ''
+    }
+    ${
+      structure.stake_credential
+        ? renderStructureRow(
+            'Stake Credential',
+            `<a href="${CONFIG.ROUTES.ACCOUNT}?stake=${
+              structure.stake_address
+            }">${renderCredential(structure.stake_credential)}</a>`
+          )
+        : ''
+    }
+    ${
+      structure.stake_pointer
+        ? renderStructureRow(
+            'Stake Pointer',
+            `Slot ${structure.stake_pointer.slot}, transaction ${structure.stake_pointer.tx_index}, certificate ${structure.stake_pointer.cert_index}`
+          )
+        : ''
+    }
+    ${
+      structure.byron
+        ? `
+      ${renderStructureRow('Address Root', structure.byron.root)}
+      ${renderStructureRow('Spending Data', structure.byron.address_type)}
+      ${
+        structure.byron.protocol_magic !== null
+          ? renderStructureRow('Protocol Magic', structure.byron.protocol_magic)
+          : ''
+      }
+      ${renderStructureRow(
+        'Derivation Path',
+        structure.byron.has_derivation_path
+          ? 'Encrypted (legacy Daedalus wallet)'
+          : 'None'
+      )}
+    `
+        : ''
+    }
+  </div>
+`;
+
 /**
  * Calculates total balance from amount data
  * @param {Array|string} amount - Amount data
@@ -162,6 +329,10 @@ const handleSearch = async (query) => {
       address: `${CONFIG.ROUTES.WALLET}?address=`,
       transaction: `${CONFIG.ROUTES.TRANSACTION}?hash=`,
       block: `${CONFIG.ROUTES.DETAILS}?type=block&hash=`,
+      epoch: `${CONFIG.ROUTES.EPOCH}?epoch=`,
+      pool: `${CONFIG.ROUTES.POOL}?id=`,
+      stake_address: `${CONFIG.ROUTES.ACCOUNT}?stake=`,
+      policy: `${CONFIG.ROUTES.POLICY}?id=`,
     };
 
     const redirectUrl = redirectMap[searchResult.type];
@@ -169,61 +340,45 @@ const handleSearch = async (query) => {
       throw new Error('Unsupported search result type');
     }
 
-    window.location.href =
-      redirectUrl + (searchResult.result.hash || searchResult.result.address);
+    window.location.href = withNetwork(
+      redirectUrl +
+        (searchResult.result.hash ??
+          searchResult.result.address ??
+          searchResult.result.epoch ??
+          searchResult.result.pool_id ??
+          searchResult.result.stake_address ??
+          searchResult.result.policy_id)
+    );
   } catch (error) {
     console.error('Search error:', error);
     contentElement.innerHTML = renderError('Search failed', error.message);
   }
 };
 
+// Cursors of the history pages visited so far; the first page has none
+const transactionCursors = [undefined];
+
 /**
- * Renders pagination controls
- * @param {number} currentPage - Current page number
- * @param {number} totalItems - Total number of items
+ * Renders previous/next controls for the cursor-paginated history
+ * @param {number} pageIndex - Zero-based index of the current page
+ * @param {boolean} hasNext - Whether another page follows
  * @returns {string} HTML string
  */
-const renderPagination = (currentPage, totalItems) => {
-  const totalPages = Math.ceil(totalItems / CONFIG.PAGINATION.ITEMS_PER_PAGE);
-  if (totalPages <= 1) return '';
-
-  const pages = [];
-  const halfVisible = Math.floor(CONFIG.PAGINATION.VISIBLE_PAGES / 2);
-  let startPage = Math.max(1, currentPage - halfVisible);
-  let endPage = Math.min(
-    totalPages,
-    startPage + CONFIG.PAGINATION.VISIBLE_PAGES - 1
-  );
-
-  if (endPage - startPage + 1 < CONFIG.PAGINATION.VISIBLE_PAGES) {
-    startPage = Math.max(1, endPage - CONFIG.PAGINATION.VISIBLE_PAGES + 1);
-  }
-
-  for (let i = startPage; i <= endPage; i++) {
-    pages.push(`
-      <button class="${CONFIG.UI.CLASSES.PAGINATION_BTN} ${
-      i === currentPage ? CONFIG.UI.CLASSES.ACTIVE : ''
-    }" 
-              data-page="${i}"
-              ${i === currentPage ? 'disabled aria-current="page"' : ''}
-              aria-label="Page ${i}">
-        ${i}
-      </button>
-    `);
-  }
+const renderPagination = (pageIndex, hasNext) => {
+  if (pageIndex === 0 && !hasNext) return '';
 
   return `
     <nav class="pagination" role="navigation" aria-label="Transaction history pagination">
-      <button class="${CONFIG.UI.CLASSES.PAGINATION_BTN}" 
-              data-page="${currentPage - 1}"
-              ${currentPage === 1 ? 'disabled' : ''}
+      <button class="${CONFIG.UI.CLASSES.PAGINATION_BTN}"
+              data-page="${pageIndex - 1}"
+              ${pageIndex === 0 ? 'disabled' : ''}
               aria-label="Previous page">
         ${SVG_ICONS.LEFT_ARROW}
       </button>
-      ${pages.join('')}
-      <button class="${CONFIG.UI.CLASSES.PAGINATION_BTN}" 
-              data-page="${currentPage + 1}"
-              ${currentPage === totalPages ? 'disabled' : ''}
+      <span class="pagination-info">Page ${pageIndex + 1}</span>
+      <button class="${CONFIG.UI.CLASSES.PAGINATION_BTN}"
+              data-page="${pageIndex + 1}"
+              ${hasNext ? '' : 'disabled'}
               aria-label="Next page">
         ${SVG_ICONS.RIGHT_ARROW}
       </button>
@@ -232,21 +387,17 @@ const renderPagination = (currentPage, totalItems) => {
 };
 
 /**
- * Renders transaction list
- * @param {Array} transactions - Transaction data
- * @param {number} currentPage - Current page number
+ * Renders one page of the transaction history
+ * @param {Array} transactions - Transactions on the page
+ * @param {number} pageIndex - Zero-based index of the page
+ * @param {boolean} hasNext - Whether another page follows
  * @returns {string} HTML string
  */
-const renderTransactions = (transactions, currentPage = 1) => {
-  const start = (currentPage - 1) * CONFIG.PAGINATION.ITEMS_PER_PAGE;
-  const end = start + CONFIG.PAGINATION.ITEMS_PER_PAGE;
-  const paginatedTransactions = transactions.slice(start, end);
-
-  return `
+const renderTransactions = (transactions, pageIndex, hasNext) => `
     <div class="transactions-section" role="region" aria-label="Transaction History">
-      <h3>Recent Transactions</h3>
+      <h3>Transaction History</h3>
       <div class="transaction-list">
-        ${paginatedTransactions
+        ${transactions
           .map(
             (tx) => `
           <article class="transaction-item" role="article">
@@ -277,11 +428,493 @@ const renderTransactions = (transactions, currentPage = 1) => {
           )
           .join('')}
       </div>
-      ${renderPagination(currentPage, transactions.length)}
+      ${renderPagination(pageIndex, hasNext)}
     </div>
+`;
+
+/**
+ * Renders the balance history section with its interval tabs
+ * @returns {string} HTML string
+ */
+const renderBalanceHistorySection = () => `
+  <div class="balance-history" role="region" aria-label="Balance History">
+    <h3>Balance History</h3>
+    <div class="epoch-tabs" role="tablist">
+      ${Object.entries(CONFIG.BALANCE_HISTORY.INTERVALS)
+        .map(
+          ([interval, label]) => `
+        <button class="epoch-tab ${CONFIG.UI.CLASSES.INTERVAL_TAB}" role="tab"
+                data-interval="${interval}" aria-selected="false">
+          ${label}
+        </button>`
+        )
+        .join('')}
+    </div>
+    <div id="${CONFIG.UI.ELEMENTS.BALANCE_HISTORY}"></div>
+  </div>
+`;
+
+const toAda = (lovelace) => Number(BigInt(lovelace)) / LOVELACE_TO_ADA;
+
+const formatAdaValue = (ada) =>
+  `${ada.toLocaleString(undefined, { maximumFractionDigits: 2 })} ₳`;
+
+/**
+ * Derives each month's closing balance from daily points, carrying the
+ * balance through months without transactions
+ * @param {Array} points - Daily balance points, oldest first
+ * @returns {Array<{month: string, lovelace: string}>} Months, newest first
+ */
+const toMonthEndBalances = (points) => {
+  const closing = new Map(
+    points.map((point) => [point.period.slice(0, 7), point.lovelace])
+  );
+  const [firstYear, firstMonth] = points[0].period.split('-').map(Number);
+  const last = points[points.length - 1].period.slice(0, 7);
+
+  const months = [];
+  let lovelace = '0';
+  for (let index = 0; ; index++) {
+    const month = new Date(Date.UTC(firstYear, firstMonth - 1 + index))
+      .toISOString()
+      .slice(0, 7);
+    lovelace = closing.get(month) ?? lovelace;
+    months.push({ month, lovelace });
+    if (month === last) break;
+  }
+  return months.reverse();
+};
+
+const renderMonthEndBalances = (points) => `
+  <table class="data-table">
+    <thead>
+      <tr><th>Month</th><th>Closing Balance (₳)</th></tr>
+    </thead>
+    <tbody>
+      ${toMonthEndBalances(points)
+        .map(
+          ({ month, lovelace }) => `
+        <tr><td>${month}</td><td>${formatAda(lovelace)}</td></tr>`
+        )
+        .join('')}
+    </tbody>
+  </table>
+`;
+
+/**
+ * Renders the balance history chart, plus month-end balances for daily
+ * history
+ * @param {Object} history - Balance history from the API
+ * @returns {string} HTML string
+ */
+const renderBalanceHistory = ({ interval, points, complete, processed_to }) => {
+  if (!points.length) {
+    return '<div class="no-data">No balance history for this address</div>';
+  }
+
+  return `
+    ${renderLineChart(
+      points.map((point) => ({
+        label: interval === 'epoch' ? `Epoch ${point.period}` : point.period,
+        value: toAda(point.lovelace),
+        time: point.time,
+      })),
+      {
+        title: `ADA balance at the end of each ${interval} with transactions`,
+        formatValue: formatAdaValue,
+      }
+    )}
+    ${
+      complete
+        ? ''
+        : `<p class="balance-history-note">
+            History shown up to block ${processed_to.block_height}; reload
+            to continue reconstructing it.
+          </p>`
+    }
+    ${interval === 'day' ? renderMonthEndBalances(points) : ''}
   `;
 };
 
+// Incremented per load, so a response for a previously selected interval
+// does not overwrite the current one
+let balanceHistoryLoad = 0;
+
+/**
+ * Loads the balance history for an interval, continuing from each
+ * response's cursor until the server has covered the whole history, stops
+ * making progress or MAX_REQUESTS is reached
+ * @param {string} address - Wallet address
+ * @param {string} interval - `day` or `epoch`
+ */
+const loadBalanceHistory = async (address, interval) => {
+  const load = ++balanceHistoryLoad;
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.BALANCE_HISTORY);
+
+  document
+    .querySelectorAll(`.${CONFIG.UI.CLASSES.INTERVAL_TAB}`)
+    .forEach((btn) => {
+      const isActive = btn.dataset.interval === interval;
+      btn.classList.toggle(CONFIG.UI.CLASSES.ACTIVE, isActive);
+      btn.setAttribute('aria-selected', isActive);
+    });
+
+  try {
+    container.innerHTML = renderLoading('Reconstructing balance history...');
+    let history;
+    let points = [];
+    for (
+      let request = 0;
+      request < CONFIG.BALANCE_HISTORY.MAX_REQUESTS && !history?.complete;
+      request++
+    ) {
+      const previous = history;
+      history = await getBalanceHistory(address, interval, history?.cursor);
+      if (load !== balanceHistoryLoad) return;
+
+      // A continued history returns the points from the period it
+      // continues in, which replace the ones already loaded
+      const [first] = history.points;
+      points = [
+        ...(first
+          ? points.filter((point) => point.period < first.period)
+          : points),
+        ...history.points,
+      ];
+      if (
+        previous &&
+        previous.processed_to?.block_height ===
+          history.processed_to?.block_height &&
+        previous.processed_to?.tx_index === history.processed_to?.tx_index
+      )
+        break;
+    }
+    container.innerHTML = renderBalanceHistory({ ...history, points });
+  } catch (error) {
+    if (load !== balanceHistoryLoad) return;
+    console.error('Error loading balance history:', { address, error });
+    container.innerHTML = renderError(
+      'Failed to load balance history',
+      error.message
+    );
+  }
+};
+
+const utxoKey = (utxo) => `${utxo.tx_hash}#${utxo.output_index}`;
+
+const sumLovelace = (utxos, amount) =>
+  utxos.reduce((total, utxo) => total + amount(utxo), 0n).toString();
+
+/**
+ * Renders one UTXO with its tokens and minimum ADA
+ * @param {Object} utxo - UTXO from the API
+ * @returns {string} HTML string
+ */
+const renderUtxoCard = (utxo) => `
+  <article class="${CONFIG.UI.CLASSES.UTXO_CARD}" data-utxo="${utxoKey(utxo)}">
+    <h4>
+      <a href="${CONFIG.ROUTES.TRANSACTION}?hash=${utxo.tx_hash}" title="${
+  utxo.tx_hash
+}">${utxo.tx_hash.slice(0, 16)}…</a>#${utxo.output_index}
+    </h4>
+    <p>${formatAda(utxo.lovelace)} ₳</p>
+    <p>
+      Minimum ADA:
+      ${
+        utxo.min_lovelace === null
+          ? 'unknown'
+          : `${formatAda(utxo.min_lovelace)} ₳`
+      }
+    </p>
+    ${
+      utxo.inline_datum
+        ? '<p>Inline datum</p>'
+        : utxo.datum_hash
+        ? '<p>Datum hash</p>'
+        : ''
+    }
+    ${utxo.reference_script_hash ? '<p>Reference script</p>' : ''}
+    ${
+      utxo.assets.length
+        ? `
+    <div class="assets">
+      <h5>Tokens</h5>
+      <ul>
+        ${utxo.assets
+          .map(
+            (asset) =>
+              `<li>${escapeHtml(asset.name ?? asset.asset_name)} × ${escapeHtml(
+                asset.quantity
+              )}</li>`
+          )
+          .join('')}
+      </ul>
+    </div>`
+        : ''
+    }
+  </article>
+`;
+
+/**
+ * Renders the UTXO set: the ADA held, how much of it is kept back by
+ * tokens, the coin-selection form and one card per UTXO
+ * @param {Object} data - UTXOs from the API
+ * @returns {string} HTML string
+ */
+const renderUtxos = ({ utxos, complete }) => {
+  if (!utxos.length) {
+    return '<div class="no-data">No UTXOs at this address</div>';
+  }
+
+  return `
+    ${
+      complete
+        ? ''
+        : renderWarning(
+            'Partial UTXO set',
+            `Only the first ${utxos.length} UTXOs were loaded`
+          )
+    }
+    ${renderStructureRow(
+      'Total',
+      `${formatAda(sumLovelace(utxos, (utxo) => BigInt(utxo.lovelace)))} ₳ in ${
+        utxos.length
+      } UTXOs`
+    )}
+    ${renderStructureRow(
+      'Held With Tokens',
+      `${formatAda(sumLovelace(utxos, getReservedLovelace))} ₳`
+    )}
+    ${renderStructureRow(
+      'Spendable',
+      `${formatAda(sumLovelace(utxos, getSpendableLovelace))} ₳`
+    )}
+    <div class="ledger-export-form">
+      <label>
+        Payment (₳)
+        <input type="number" min="0" step="0.000001" id="${
+          CONFIG.UI.ELEMENTS.SIMULATE_TARGET
+        }">
+      </label>
+      <label>
+        Strategy
+        <select id="${CONFIG.UI.ELEMENTS.SIMULATE_STRATEGY}">
+          ${Object.entries(CONFIG.COIN_SELECTION.STRATEGIES)
+            .map(
+              ([strategy, label]) =>
+                `<option value="${strategy}">${label}</option>`
+            )
+            .join('')}
+        </select>
+      </label>
+      <button id="${CONFIG.UI.ELEMENTS.SIMULATE_BUTTON}" class="action-btn">
+        Simulate
+      </button>
+    </div>
+    <div id="${CONFIG.UI.ELEMENTS.SIMULATE_RESULT}"></div>
+    <div class="utxo-grid">
+      ${utxos.map(renderUtxoCard).join('')}
+    </div>
+  `;
+};
+
+/**
+ * Renders the outcome of a simulated coin selection
+ * @param {Object} selection - Result of selectCoins
+ * @returns {string} HTML string
+ */
+const renderSelection = (selection) => {
+  if (!selection.sufficient) {
+    return renderWarning(
+      'Insufficient spendable ADA',
+      // Every UTXO was selected, so reserved covers all tokens
+      `${formatAda(
+        selection.shortfall.toString()
+      )} ₳ short. At most ${formatAda(
+        selection.spendable.toString()
+      )} ₳ can be sent${
+        selection.reserved > 0n
+          ? `; ${formatAda(
+              selection.reserved.toString()
+            )} ₳ must stay with the tokens`
+          : ''
+      }.`
+    );
+  }
+
+  return `
+    ${renderStructureRow(
+      'Inputs',
+      `${selection.selected.length} UTXOs, ${formatAda(
+        selection.input.toString()
+      )} ₳`
+    )}
+    ${renderStructureRow(
+      'Change',
+      `${formatAda(selection.change.toString())} ₳, of which ${formatAda(
+        selection.reserved.toString()
+      )} ₳ stays with the tokens`
+    )}
+    <p class="balance-history-note">Fees are not included.</p>
+  `;
+};
+
+/**
+ * Simulates coin selection for the entered payment and highlights the
+ * selected UTXOs
+ * @param {Array} utxos - UTXOs from the API
+ */
+const handleCoinSelection = (utxos) => {
+  const value = (id) => document.getElementById(id)?.value;
+  const target = BigInt(
+    adaToLovelace(value(CONFIG.UI.ELEMENTS.SIMULATE_TARGET))
+  );
+  const result = document.getElementById(CONFIG.UI.ELEMENTS.SIMULATE_RESULT);
+
+  if (target <= 0n) {
+    result.innerHTML = renderWarning(
+      'Invalid payment',
+      'Enter an amount of ADA to send'
+    );
+    return;
+  }
+
+  const selection = selectCoins(utxos, target, {
+    strategy: value(CONFIG.UI.ELEMENTS.SIMULATE_STRATEGY),
+  });
+  const selected = new Set(selection.selected.map(utxoKey));
+  document
+    .querySelectorAll(`.${CONFIG.UI.CLASSES.UTXO_CARD}`)
+    .forEach((card) =>
+      card.classList.toggle(
+        CONFIG.UI.CLASSES.SELECTED,
+        selection.sufficient && selected.has(card.dataset.utxo)
+      )
+    );
+  result.innerHTML = renderSelection(selection);
+};
+
+/**
+ * Loads the address's UTXOs and wires the coin-selection simulator
+ * @param {string} address - Wallet address
+ */
+const loadUtxos = async (address) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.UTXOS);
+
+  try {
+    container.innerHTML = renderLoading('Loading UTXOs...');
+    const data = await getAddressUtxos(address);
+    container.innerHTML = renderUtxos(data);
+    document
+      .getElementById(CONFIG.UI.ELEMENTS.SIMULATE_BUTTON)
+      ?.addEventListener('click', () => handleCoinSelection(data.utxos));
+  } catch (error) {
+    console.error('Error loading UTXOs:', { address, error });
+    container.innerHTML = renderError('Failed to load UTXOs', error.message);
+  }
+};
+
+/**
+ * Renders the ledger export form. Addresses with a stake key can export
+ * the ledger of every address of the stake account instead.
+ * @param {Object} data - Wallet data
+ * @returns {string} HTML string
+ */
+const renderLedgerExport = (data) => `
+  <div class="ledger-export" role="region" aria-label="Export Ledger">
+    <h3>Export Ledger</h3>
+    <div class="ledger-export-form">
+      <label>
+        From
+        <input type="date" id="${CONFIG.UI.ELEMENTS.EXPORT_FROM}">
+      </label>
+      <label>
+        To
+        <input type="date" id="${CONFIG.UI.ELEMENTS.EXPORT_TO}">
+      </label>
+      <label>
+        Format
+        <select id="${CONFIG.UI.ELEMENTS.EXPORT_FORMAT}">
+          ${Object.entries(CONFIG.LEDGER_EXPORT.FORMATS)
+            .map(
+              ([format, label]) => `<option value="${format}">${label}</option>`
+            )
+            .join('')}
+        </select>
+      </label>
+      ${
+        data.stake_address
+          ? `
+      <label>
+        Addresses
+        <select id="${CONFIG.UI.ELEMENTS.EXPORT_SCOPE}">
+          <option value="${data.address}">This address</option>
+          <option value="${data.stake_address}">All addresses of the stake key</option>
+        </select>
+      </label>
+      `
+          : ''
+      }
+      <button id="${CONFIG.UI.ELEMENTS.EXPORT_BUTTON}" class="action-btn">
+        Export
+      </button>
+    </div>
+    <div id="${CONFIG.UI.ELEMENTS.EXPORT_STATUS}"></div>
+    <p class="balance-history-note">
+      Realized gains and staking income are in the
+      <a href="${CONFIG.ROUTES.REPORT}?${
+  data.stake_address
+    ? `stake=${data.stake_address}`
+    : `addresses=${data.address}`
+}">tax report</a>.
+    </p>
+  </div>
+`;
+
+/**
+ * Downloads the ledger for the selected range, format and addresses. Dates
+ * are whole UTC days, so the range ends at the end of the `to` day.
+ * @param {string} address - Wallet address
+ */
+const handleLedgerExport = async (address) => {
+  const value = (id) => document.getElementById(id)?.value;
+  const from = value(CONFIG.UI.ELEMENTS.EXPORT_FROM);
+  const to = value(CONFIG.UI.ELEMENTS.EXPORT_TO);
+  const format = value(CONFIG.UI.ELEMENTS.EXPORT_FORMAT);
+  const subject = value(CONFIG.UI.ELEMENTS.EXPORT_SCOPE) || address;
+  const button = document.getElementById(CONFIG.UI.ELEMENTS.EXPORT_BUTTON);
+  const status = document.getElementById(CONFIG.UI.ELEMENTS.EXPORT_STATUS);
+
+  if (from && to && from > to) {
+    status.innerHTML = renderWarning(
+      'Invalid date range',
+      'The start date must not be after the end date'
+    );
+    return;
+  }
+
+  button.disabled = true;
+  try {
+    status.innerHTML = renderLoading('Preparing ledger...');
+    const { blob, filename } = await downloadLedger(subject, format, {
+      from: from || undefined,
+      to: to ? `${to}T23:59:59Z` : undefined,
+    });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    status.innerHTML = '';
+  } catch (error) {
+    console.error('Error exporting ledger:', { subject, error });
+    status.innerHTML = renderWarning('Export failed', error.message);
+  } finally {
+    button.disabled = false;
+  }
+};
+
 /**
  * Initializes the wallet page
  */
@@ -304,7 +937,7 @@ const initWalletPage = async () => {
   try {
     contentElement.innerHTML = renderLoading('Loading wallet details...');
 
-    const response = await fetch(`/api/blocks/address/${address}`);
+    const response = await fetch(apiPath(`/blocks/address/${address}`));
     if (!response.ok) {
       throw new Error(`Failed to fetch wallet data: ${response.statusText}`);
     }
@@ -314,23 +947,45 @@ const initWalletPage = async () => {
       throw new Error('Invalid wallet data received');
     }
 
+    // The structure is supplementary; the page renders without it
+    const [structure, quote] = await Promise.all([
+      decodeAddress(address).catch((error) => {
+        console.error('Error decoding address:', error);
+        return null;
+      }),
+      getAdaQuote(),
+    ]);
+
     contentElement.innerHTML = `
       <div class="${CONFIG.UI.CLASSES.SECTION}">
         <div class="${CONFIG.UI.CLASSES.CARD}">
-          ${renderWalletOverview(data)}
-          ${
-            data.transactions?.length
-              ? renderTransactions(data.transactions, 1)
-              : ''
-          }
+          ${renderWalletOverview(data, quote)}
+          ${structure ? renderAddressStructure(structure) : ''}
+          ${renderBalanceHistorySection()}
+          <div class="utxo-section" role="region" aria-label="UTXOs">
+            <h3>UTXOs</h3>
+            <div id="${CONFIG.UI.ELEMENTS.UTXOS}"></div>
+          </div>
+          ${renderLedgerExport(data)}
+          <div id="${CONFIG.UI.ELEMENTS.TRANSACTIONS}"></div>
         </div>
       </div>
     `;
 
-    setupCopyButtons();
-    if (data.transactions?.length) {
-      setupPaginationButtons(data.transactions);
-    }
+    setupCopyButtons(contentElement);
+    contentElement
+      .querySelectorAll(`.${CONFIG.UI.CLASSES.INTERVAL_TAB}`)
+      .forEach((btn) =>
+        btn.addEventListener('click', () =>
+          loadBalanceHistory(address, btn.dataset.interval)
+        )
+      );
+    document
+      .getElementById(CONFIG.UI.ELEMENTS.EXPORT_BUTTON)
+      .addEventListener('click', () => handleLedgerExport(address));
+    loadBalanceHistory(address, 'day');
+    loadUtxos(address);
+    await loadTransactionPage(address, 0);
   } catch (error) {
     console.error('Error loading wallet:', error);
     contentElement.innerHTML = renderError(
@@ -342,9 +997,10 @@ const initWalletPage = async () => {
 
 /**
  * Sets up copy-to-clipboard functionality
+ * @param {ParentNode} [root=document] - Element whose copy buttons to wire
  */
-const setupCopyButtons = () => {
-  document.querySelectorAll('.copy-btn').forEach((btn) => {
+const setupCopyButtons = (root = document) => {
+  root.querySelectorAll('.copy-btn').forEach((btn) => {
     btn.addEventListener('click', async () => {
       try {
         await navigator.clipboard.writeText(btn.dataset.hash);
@@ -363,29 +1019,49 @@ const setupCopyButtons = () => {
   });
 };
 
+/**
+ * Loads one page of the address's transaction history from the server
+ * @param {string} address - Wallet address
+ * @param {number} pageIndex - Zero-based page index
+ */
+const loadTransactionPage = async (address, pageIndex) => {
+  const container = document.getElementById(CONFIG.UI.ELEMENTS.TRANSACTIONS);
+
+  try {
+    container.innerHTML = renderLoading('Loading transactions...');
+    const { transactions, pagination } = await getAddressTransactions(address, {
+      cursor: transactionCursors[pageIndex],
+      limit: CONFIG.PAGINATION.ITEMS_PER_PAGE,
+    });
+    transactionCursors[pageIndex + 1] = pagination.nextCursor ?? undefined;
+
+    container.innerHTML =
+      transactions.length || pageIndex > 0
+        ? renderTransactions(transactions, pageIndex, pagination.hasNext)
+        : '';
+    setupCopyButtons(container);
+    setupPaginationButtons(container, address);
+  } catch (error) {
+    console.error('Error loading transactions:', { address, error });
+    container.innerHTML = renderError(
+      'Failed to load transactions',
+      error.message
+    );
+  }
+};
+
 /**
  * Sets up pagination event listeners
- * @param {Array} transactions - Transaction data
+ * @param {HTMLElement} container - Container holding the pagination
+ * @param {string} address - Wallet address
  */
-const setupPaginationButtons = (transactions) => {
-  document
+const setupPaginationButtons = (container, address) => {
+  container
     .querySelectorAll(`.${CONFIG.UI.CLASSES.PAGINATION_BTN}`)
     .forEach((btn) => {
       btn.addEventListener('click', () => {
-        if (!btn.disabled) {
-          const page = parseInt(btn.dataset.page);
-          const transactionsSection = document.querySelector(
-            '.transactions-section'
-          );
-          if (transactionsSection) {
-            transactionsSection.outerHTML = renderTransactions(
-              transactions,
-              page
-            );
-            setupCopyButtons();
-            setupPaginationButtons(transactions);
-          }
-        }
+        const page = parseInt(btn.dataset.page);
+        if (!btn.disabled && page >= 0) loadTransactionPage(address, page);
       });
     });
 };
@@ -22,6 +22,7 @@ const CONFIG = {
     DEFAULT: 30000, // 30 seconds
     API: 15000, // 15 seconds
     DATABASE: 60000, // 60 seconds
+    EXPORT: 150000, // 2.5 minutes, for exports paced by the upstream rate limit
     MINIMUM: 1000, // 1 second minimum
     MAXIMUM: 300000, // 5 minutes maximum
   },
@@ -168,6 +169,20 @@ export const asyncHandler = (fn, options = {}) => {
   };
 };
 
+/**
+ * Creates an abort signal for the work done on behalf of a request. It
+ * fires once the response is closed: the client went away, or a response
+ * (e.g. the timeout error) was already sent, so further upstream requests
+ * would be wasted.
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} Signal for long-running services
+ */
+export const getRequestSignal = (res) => {
+  const controller = new AbortController();
+  res.once('close', () => controller.abort());
+  return controller.signal;
+};
+
 /**
  * Specialized handler for API routes with shorter timeout
  * @param {Function} fn - Route handler
@@ -194,6 +209,19 @@ export const dbHandler = (fn) =>
     },
   });
 
+/**
+ * Specialized handler for exports that load a whole history of chain data
+ * @param {Function} fn - Route handler
+ * @returns {Function} Configured async handler
+ */
+export const exportHandler = (fn) =>
+  asyncHandler(fn, {
+    timeout: CONFIG.TIMEOUTS.EXPORT,
+    onTimeout: (error) => {
+      console.warn('Export timeout:', error.message);
+    },
+  });
+
 /**
  * Creates an async handler with custom options
  * @param {Object} options - Handler options
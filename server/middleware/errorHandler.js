@@ -14,6 +14,8 @@
  */
 
 import { APIError } from '../utils/APIError.js';
+import { getProvider } from '../services/providers/index.js';
+import { getCurrentNetwork } from '../utils/network.js';
 
 // Configuration Constants
 const CONFIG = {
@@ -40,7 +42,7 @@ const CONFIG = {
     DATABASE: 'DatabaseError',
     AUTH: 'AuthenticationError',
   },
-  REQUIRED_ENV_VARS: ['BLOCKFROST_API_KEY', 'NODE_ENV'],
+  REQUIRED_ENV_VARS: ['NODE_ENV'],
 };
 
 /**
@@ -78,14 +80,20 @@ const sanitizeErrorMessage = (message) => {
 };
 
 /**
- * Validates required environment variables
+ * Validates required environment variables, including those the
+ * configured chain data provider needs for the request network
  * @throws {Error} If required variables are missing
  * @private
  */
 const validateEnvironment = () => {
-  const missingVars = CONFIG.REQUIRED_ENV_VARS.filter(
-    (varName) => !process.env[varName]
-  );
+  const { requiredEnv = [] } = getProvider();
+  const requiredVars = [
+    ...CONFIG.REQUIRED_ENV_VARS,
+    ...(typeof requiredEnv === 'function'
+      ? requiredEnv(getCurrentNetwork())
+      : requiredEnv),
+  ];
+  const missingVars = requiredVars.filter((varName) => !process.env[varName]);
 
   if (missingVars.length > 0) {
     throw new Error(
@@ -125,7 +133,7 @@ const formatErrorResponse = (error, req) => {
   const isDevelopment =
     process.env.NODE_ENV === CONFIG.ENVIRONMENTS.DEVELOPMENT;
   const statusCode =
-    error.status || error.statusCode || CONFIG.STATUS_CODES.INTERNAL_ERROR;
+    error.statusCode || error.status || CONFIG.STATUS_CODES.INTERNAL_ERROR;
 
   const baseResponse = {
     success: false,
@@ -166,8 +174,8 @@ export const errorHandler = (err, req, res, next) => {
 
   // Determine status code
   const statusCode =
-    err.status ||
     err.statusCode ||
+    err.status ||
     (err.name === CONFIG.ERROR_TYPES.VALIDATION
       ? CONFIG.STATUS_CODES.BAD_REQUEST
       : CONFIG.STATUS_CODES.INTERNAL_ERROR);
@@ -0,0 +1,43 @@
+/**
+ * Network Resolution Middleware
+ *
+ * Selects the Cardano network a request is served from:
+ * - /api/:network path prefix
+ * - `network` query parameter
+ * - DEFAULT_NETWORK fallback
+ *
+ * @module middleware/network
+ */
+
+import { APIError } from '../utils/APIError.js';
+import {
+  NETWORK_NAMES,
+  isValidNetwork,
+  getDefaultNetwork,
+  runWithNetwork,
+} from '../utils/network.js';
+
+/**
+ * Resolves the request network and runs the remaining middleware chain
+ * within that network's context
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware function
+ */
+export const resolveNetwork = (req, res, next) => {
+  const network =
+    req.params.network || req.query.network || getDefaultNetwork();
+
+  if (!isValidNetwork(network)) {
+    return next(
+      APIError.validation(
+        `Unsupported network: ${network}. Must be one of: ${NETWORK_NAMES.join(
+          ', '
+        )}`
+      )
+    );
+  }
+
+  req.network = network;
+  runWithNetwork(network, next);
+};
@@ -0,0 +1,75 @@
+/**
+ * Stake Account API Routes
+ *
+ * Handles all stake account API endpoints:
+ * - Account details
+ * - Reward and active stake history (paginated)
+ * - Delegation, registration and withdrawal history (paginated)
+ * - MIR entries and associated addresses (paginated)
+ * - Accounting ledger export across all addresses (CSV, JSON, OFX)
+ *
+ * @module routes/accounts
+ */
+
+import express from 'express';
+import {
+  asyncHandler,
+  exportHandler,
+  getRequestSignal,
+} from '../middleware/asyncHandler.js';
+import {
+  ACCOUNT_LIST_TYPES,
+  getAccountDetails,
+  getAccountList,
+  getAccountLedger,
+  assertLedgerFormat,
+  formatLedger,
+} from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+const parsePaging = ({ page, limit }) => [
+  page ? Number(page) : undefined,
+  limit ? Number(limit) : undefined,
+];
+
+router.get(
+  '/:stake',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getAccountDetails(req.params.stake),
+    });
+  })
+);
+
+router.get(
+  `/:stake/:list(${ACCOUNT_LIST_TYPES.join('|')})`,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getAccountList(
+        req.params.stake,
+        req.params.list,
+        ...parsePaging(req.query)
+      ),
+    });
+  })
+);
+
+router.get(
+  '/:stake/ledger.:format',
+  exportHandler(async (req, res) => {
+    const { stake, format } = req.params;
+    assertLedgerFormat(format);
+    const ledger = await getAccountLedger(stake, {
+      from: req.query.from,
+      to: req.query.to,
+      signal: getRequestSignal(res),
+    });
+    const { contentType, filename, body } = formatLedger(ledger, format);
+    res.attachment(filename).type(contentType).send(body);
+  })
+);
+
+export default router;
@@ -0,0 +1,100 @@
+/**
+ * Address API Routes
+ *
+ * Handles all address API endpoints:
+ * - Address decoding into network, payment and stake credentials
+ * - UTXOs with multi-asset values and minimum ADA
+ * - Cursor-paginated transaction history with block height and time ranges
+ * - Balance history by day or epoch
+ * - Accounting ledger export (CSV, JSON, OFX)
+ *
+ * Address balances, UTXOs and history are served under /blocks/address.
+ *
+ * @module routes/addresses
+ */
+
+import express from 'express';
+import {
+  asyncHandler,
+  exportHandler,
+  getRequestSignal,
+} from '../middleware/asyncHandler.js';
+import {
+  getAddressStructure,
+  getAddressUTXOs,
+  getAddressTransactionHistory,
+  getBalanceHistory,
+  getAddressLedger,
+  assertLedgerFormat,
+  formatLedger,
+} from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+router.get(
+  '/:address/decode',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: getAddressStructure(req.params.address),
+    });
+  })
+);
+
+router.get(
+  '/:address/utxos',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getAddressUTXOs(req.params.address),
+    });
+  })
+);
+
+router.get(
+  '/:address/transactions',
+  asyncHandler(async (req, res) => {
+    const { cursor, limit, order, from, to } = req.query;
+    res.json({
+      success: true,
+      data: await getAddressTransactionHistory(req.params.address, {
+        cursor,
+        limit: limit ? Number(limit) : undefined,
+        order,
+        from,
+        to,
+      }),
+    });
+  })
+);
+
+router.get(
+  '/:address/balance-history',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getBalanceHistory(
+        req.params.address,
+        req.query.interval,
+        req.query.cursor
+      ),
+    });
+  })
+);
+
+router.get(
+  '/:address/ledger.:format',
+  exportHandler(async (req, res) => {
+    const { address, format } = req.params;
+    assertLedgerFormat(format);
+    const ledger = await getAddressLedger(address, {
+      from: req.query.from,
+      to: req.query.to,
+      signal: getRequestSignal(res),
+    });
+    const { contentType, filename, body } = formatLedger(ledger, format);
+    res.attachment(filename).type(contentType).send(body);
+  })
+);
+
+export default router;
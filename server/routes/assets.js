@@ -0,0 +1,48 @@
+/**
+ * Native Asset API Routes
+ *
+ * Handles all native asset API endpoints:
+ * - Asset details with resolved CIP-25/CIP-68 metadata
+ * - Mint/burn history (paginated)
+ *
+ * @module routes/assets
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  getAssetDetails,
+  getAssetHistory,
+} from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+const parsePaging = ({ page, limit }) => [
+  page ? Number(page) : undefined,
+  limit ? Number(limit) : undefined,
+];
+
+router.get(
+  '/:unit',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getAssetDetails(req.params.unit.toLowerCase()),
+    });
+  })
+);
+
+router.get(
+  '/:unit/history',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getAssetHistory(
+        req.params.unit.toLowerCase(),
+        ...parsePaging(req.query)
+      ),
+    });
+  })
+);
+
+export default router;
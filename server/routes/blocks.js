@@ -131,7 +131,11 @@ router.get(
   asyncHandler(async (req, res) => {
     res.json({
       success: true,
-      data: await getBlockTransactions(req.params.hash),
+      data: await getBlockTransactions(
+        req.params.hash,
+        req.query.page ? Number(req.query.page) : undefined,
+        req.query.limit ? Number(req.query.limit) : undefined
+      ),
     });
   })
 );
@@ -140,9 +144,15 @@ router.get(
 router.get(
   '/',
   asyncHandler(async (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    res.json({ success: true, data: await getBlocks(page, limit) });
+    const { page, limit, before } = req.query;
+    res.json({
+      success: true,
+      data: await getBlocks(
+        page ? Number(page) : undefined,
+        limit ? Number(limit) : undefined,
+        before ? Number(before) : undefined
+      ),
+    });
   })
 );
 
@@ -0,0 +1,26 @@
+/**
+ * Datum API Routes
+ *
+ * Handles all datum API endpoints:
+ * - Datum CBOR with its decoded Plutus data tree
+ *
+ * @module routes/datums
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { getDatumDetails } from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+router.get(
+  '/:hash',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getDatumDetails(req.params.hash.toLowerCase()),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,82 @@
+/**
+ * Epoch API Routes
+ *
+ * Handles all epoch-related API endpoints:
+ * - Latest epoch
+ * - Epoch details by number
+ * - Epoch blocks (paginated)
+ * - Epoch stake distribution (paginated)
+ *
+ * @module routes/epochs
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  getLatestEpoch,
+  getEpoch,
+  getEpochBlocks,
+  getEpochStakes,
+} from '../services/blockfrost/index.js';
+import { APIError } from '../utils/APIError.js';
+
+const router = express.Router();
+
+const validateEpochNumber = (req, res, next) =>
+  /^\d+$/.test(req.params.number)
+    ? next()
+    : next(new APIError('Invalid epoch number', 400));
+
+const parsePaging = ({ page, limit }) => [
+  page ? Number(page) : undefined,
+  limit ? Number(limit) : undefined,
+];
+
+// Latest epoch endpoint - Must come before /:number
+router.get(
+  '/latest',
+  asyncHandler(async (req, res) => {
+    res.json({ success: true, data: await getLatestEpoch() });
+  })
+);
+
+router.get(
+  '/:number',
+  validateEpochNumber,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getEpoch(Number(req.params.number)),
+    });
+  })
+);
+
+router.get(
+  '/:number/blocks',
+  validateEpochNumber,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getEpochBlocks(
+        Number(req.params.number),
+        ...parsePaging(req.query)
+      ),
+    });
+  })
+);
+
+router.get(
+  '/:number/stakes',
+  validateEpochNumber,
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getEpochStakes(
+        Number(req.params.number),
+        ...parsePaging(req.query)
+      ),
+    });
+  })
+);
+
+export default router;
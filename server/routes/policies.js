@@ -0,0 +1,35 @@
+/**
+ * Minting Policy API Routes
+ *
+ * Handles all minting policy API endpoints:
+ * - Policy details with its native script and the assets minted under it
+ *   (paginated)
+ *
+ * @module routes/policies
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { getPolicy } from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+const parsePaging = ({ page, limit }) => [
+  page ? Number(page) : undefined,
+  limit ? Number(limit) : undefined,
+];
+
+router.get(
+  '/:policyId',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getPolicy(
+        req.params.policyId.toLowerCase(),
+        ...parsePaging(req.query)
+      ),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,66 @@
+/**
+ * Stake Pool API Routes
+ *
+ * Handles all stake pool API endpoints:
+ * - Pool listing (paginated)
+ * - Pool details with relays and metadata
+ * - Pool history per epoch (paginated)
+ * - Blocks produced by a pool (paginated)
+ *
+ * @module routes/pools
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  getPools,
+  getPoolDetails,
+  getPoolHistory,
+  getPoolBlocks,
+} from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+const parsePaging = ({ page, limit }) => [
+  page ? Number(page) : undefined,
+  limit ? Number(limit) : undefined,
+];
+
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getPools(...parsePaging(req.query)),
+    });
+  })
+);
+
+router.get(
+  '/:id',
+  asyncHandler(async (req, res) => {
+    res.json({ success: true, data: await getPoolDetails(req.params.id) });
+  })
+);
+
+router.get(
+  '/:id/history',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getPoolHistory(req.params.id, ...parsePaging(req.query)),
+    });
+  })
+);
+
+router.get(
+  '/:id/blocks',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getPoolBlocks(req.params.id, ...parsePaging(req.query)),
+    });
+  })
+);
+
+export default router;
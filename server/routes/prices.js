@@ -0,0 +1,44 @@
+/**
+ * Price API Routes
+ *
+ * Handles all price API endpoints:
+ * - Currencies prices are served in
+ * - Historical daily ADA prices
+ *
+ * Prices do not depend on the network; testnet ADA has no market price,
+ * so clients only apply them on mainnet.
+ *
+ * @module routes/prices
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  getAdaPrices,
+  getSupportedCurrencies,
+} from '../services/prices/index.js';
+
+const router = express.Router();
+
+router.get(
+  '/currencies',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: { currencies: getSupportedCurrencies() },
+    });
+  })
+);
+
+router.get(
+  '/',
+  asyncHandler(async (req, res) => {
+    const { currency, from, to } = req.query;
+    res.json({
+      success: true,
+      data: await getAdaPrices(currency, from, to),
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * Report API Routes
+ *
+ * Handles all report API endpoints:
+ * - Yearly tax report with realized gains and staking income (JSON, CSV)
+ *
+ * @module routes/reports
+ */
+
+import express from 'express';
+import { exportHandler, getRequestSignal } from '../middleware/asyncHandler.js';
+import { formatTaxReportCsv, getTaxReport } from '../services/reports/tax.js';
+
+const router = express.Router();
+
+router.get(
+  '/tax',
+  exportHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getTaxReport({
+        ...req.query,
+        signal: getRequestSignal(res),
+      }),
+    });
+  })
+);
+
+router.get(
+  '/tax.csv',
+  exportHandler(async (req, res) => {
+    const { contentType, filename, body } = formatTaxReportCsv(
+      await getTaxReport({ ...req.query, signal: getRequestSignal(res) })
+    );
+    res.attachment(filename).type(contentType).send(body);
+  })
+);
+
+export default router;
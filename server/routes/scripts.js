@@ -0,0 +1,27 @@
+/**
+ * Script API Routes
+ *
+ * Handles all script API endpoints:
+ * - Script details with type, Plutus version, size, CBOR and native
+ *   script JSON
+ *
+ * @module routes/scripts
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import { getScriptDetails } from '../services/blockfrost/index.js';
+
+const router = express.Router();
+
+router.get(
+  '/:hash',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getScriptDetails(req.params.hash.toLowerCase()),
+    });
+  })
+);
+
+export default router;
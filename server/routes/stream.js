@@ -0,0 +1,74 @@
+/**
+ * Live Stream Routes
+ *
+ * Server-Sent Events endpoints:
+ * - New blocks and their transaction summaries as they are produced
+ *
+ * Clients resume after a reconnect from the Last-Event-ID header, or the
+ * `lastEventId` query parameter when they open a new connection
+ * themselves.
+ *
+ * @module routes/stream
+ */
+
+import express from 'express';
+import { asyncHandler } from '../middleware/asyncHandler.js';
+import {
+  parseLastEventId,
+  subscribeToBlocks,
+} from '../services/stream/blocks.js';
+import { getCurrentNetwork } from '../utils/network.js';
+
+const router = express.Router();
+
+const SSE_CONFIG = {
+  RETRY: 5000, // ms, reconnection delay suggested to clients
+  HEARTBEAT_INTERVAL: 15000, // ms, keeps idle connections open via proxies
+};
+
+const formatEvent = ({ id, event, data }) =>
+  `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+router.get(
+  '/blocks',
+  asyncHandler(async (req, res) => {
+    const lastEventId = parseLastEventId(
+      req.get('Last-Event-ID') ?? req.query.lastEventId
+    );
+
+    // Opened on the first write, so a refused subscription can still be
+    // answered with an error status
+    const open = () => {
+      if (res.headersSent) return;
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable nginx response buffering
+      });
+      res.flushHeaders();
+      res.write(`retry: ${SSE_CONFIG.RETRY}\n\n`);
+    };
+
+    const unsubscribe = subscribeToBlocks(
+      getCurrentNetwork(),
+      lastEventId,
+      (event) => {
+        open();
+        res.write(formatEvent(event));
+      }
+    );
+    open();
+
+    const heartbeat = setInterval(
+      () => res.write(': heartbeat\n\n'),
+      SSE_CONFIG.HEARTBEAT_INTERVAL
+    );
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  })
+);
+
+export default router;
@@ -1,11 +1,23 @@
 /**
  * Transaction API Routes
+ *
+ * Handles all transaction API endpoints:
+ * - Transaction details, metadata and raw CBOR by hash
+ * - Offline decoding of pasted transaction CBOR
+ * - Submission of signed transactions after pre-flight checks
+ *
  * @module routes/transactions
  */
 
 import express from 'express';
 import { asyncHandler } from '../middleware/asyncHandler.js';
-import { getTransactionDetails } from '../services/blockfrost/index.js';
+import {
+  getTransactionDetails,
+  getTransactionMetadata,
+  getTransactionCbor,
+  decodeTransaction,
+  submitTransaction,
+} from '../services/blockfrost/index.js';
 import { APIError } from '../utils/APIError.js';
 
 const router = express.Router();
@@ -26,4 +38,49 @@ router.get(
   )
 );
 
+router.get(
+  '/:hash/metadata',
+  validateTxHash,
+  asyncHandler(async (req, res) =>
+    res.json({
+      success: true,
+      data: await getTransactionMetadata(req.params.hash),
+    })
+  )
+);
+
+router.get(
+  '/:hash/cbor',
+  validateTxHash,
+  asyncHandler(async (req, res) =>
+    res.json({
+      success: true,
+      data: await getTransactionCbor(req.params.hash),
+    })
+  )
+);
+
+// Decoding is local, so unsigned transactions can be inspected before
+// they are submitted
+router.post(
+  '/decode',
+  asyncHandler(async (req, res) =>
+    res.json({
+      success: true,
+      data: decodeTransaction(req.body?.cbor),
+    })
+  )
+);
+
+// 202: the transaction is in the mempool, not yet in a block
+router.post(
+  '/submit',
+  asyncHandler(async (req, res) =>
+    res.status(202).json({
+      success: true,
+      data: await submitTransaction(req.body?.cbor),
+    })
+  )
+);
+
 export default router;
@@ -21,11 +21,38 @@ import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import blockRoutes from './routes/blocks.js';
 import transactionRoutes from './routes/transactions.js';
+import epochRoutes from './routes/epochs.js';
+import poolRoutes from './routes/pools.js';
+import accountRoutes from './routes/accounts.js';
+import assetRoutes from './routes/assets.js';
+import policyRoutes from './routes/policies.js';
+import scriptRoutes from './routes/scripts.js';
+import datumRoutes from './routes/datums.js';
+import addressRoutes from './routes/addresses.js';
+import priceRoutes from './routes/prices.js';
+import reportRoutes from './routes/reports.js';
+import streamRoutes from './routes/stream.js';
 import { validateApiConfig, errorHandler } from './middleware/errorHandler.js';
+import { resolveNetwork } from './middleware/network.js';
+import { loadProviderModule } from './services/providers/index.js';
+import { loadCacheStoreModule } from './services/cache/index.js';
+import { loadPriceProviderModule } from './services/prices/index.js';
+import { NETWORK_NAMES, getDefaultNetwork } from './utils/network.js';
 
 // Environment Configuration
 if (process.env.NODE_ENV !== 'production') dotenv.config();
 
+// Chain Data Provider Configuration
+if (process.env.CHAIN_PROVIDER_MODULE) {
+  await loadProviderModule(process.env.CHAIN_PROVIDER_MODULE);
+}
+if (process.env.CACHE_STORE_MODULE) {
+  await loadCacheStoreModule(process.env.CACHE_STORE_MODULE);
+}
+if (process.env.PRICE_PROVIDER_MODULE) {
+  await loadPriceProviderModule(process.env.PRICE_PROVIDER_MODULE);
+}
+
 const app = express();
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -63,9 +90,25 @@ app.use(helmet(SECURITY_CONFIG));
 app.use(rateLimit(RATE_LIMIT_CONFIG));
 
 // API Routes
-app.use('/api', validateApiConfig);
-app.use('/api/blocks', blockRoutes);
-app.use('/api/tx', transactionRoutes);
+const apiRouter = express.Router();
+apiRouter.use(validateApiConfig);
+apiRouter.use('/blocks', blockRoutes);
+apiRouter.use('/tx', transactionRoutes);
+apiRouter.use('/epochs', epochRoutes);
+apiRouter.use('/pools', poolRoutes);
+apiRouter.use('/accounts', accountRoutes);
+apiRouter.use('/assets', assetRoutes);
+apiRouter.use('/policies', policyRoutes);
+apiRouter.use('/scripts', scriptRoutes);
+apiRouter.use('/datums', datumRoutes);
+apiRouter.use('/addresses', addressRoutes);
+apiRouter.use('/prices', priceRoutes);
+apiRouter.use('/reports', reportRoutes);
+apiRouter.use('/stream', streamRoutes);
+
+// Served under /api/:network/... and under /api/... (?network= or default)
+app.use(`/api/:network(${NETWORK_NAMES.join('|')})`, resolveNetwork, apiRouter);
+app.use('/api', resolveNetwork, apiRouter);
 
 // Development-only Static File Serving
 if (process.env.NODE_ENV !== 'production') {
@@ -107,7 +150,9 @@ if (process.env.NODE_ENV !== 'production') {
   app.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}`);
     console.log('Environment:', process.env.NODE_ENV);
+    console.log('Chain provider:', process.env.CHAIN_PROVIDER || 'blockfrost');
     console.log('API Key configured:', !!process.env.BLOCKFROST_API_KEY);
+    console.log('Default network:', getDefaultNetwork());
   });
 }
 
@@ -0,0 +1,102 @@
+/**
+ * Stake Account Service
+ *
+ * Handles all stake account chain data interactions:
+ * - Account details and delegation status
+ * - Paginated reward and active stake history
+ * - Paginated delegation, registration and withdrawal history
+ * - Paginated MIR entries and associated payment addresses
+ *
+ * @module services/blockfrost/accounts
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { getAddressPrefixes } from '../../utils/network.js';
+import { assertPagination, openPagination } from './utils.js';
+import { getProvider } from '../providers/index.js';
+
+const ACCOUNT_PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100, // Blockfrost's maximum page size
+};
+
+const STAKE_ADDRESS_PATTERN = /^(stake|stake_test)1[0-9a-z]+$/;
+
+// Account lists served by getAccountList, keyed by route segment
+const ACCOUNT_LISTS = {
+  rewards: 'getAccountRewards',
+  history: 'getAccountHistory',
+  delegations: 'getAccountDelegations',
+  registrations: 'getAccountRegistrations',
+  withdrawals: 'getAccountWithdrawals',
+  mirs: 'getAccountMirs',
+  addresses: 'getAccountAddresses',
+};
+
+export const ACCOUNT_LIST_TYPES = Object.keys(ACCOUNT_LISTS);
+
+const assertStakeAddress = (stakeAddress) => {
+  if (!STAKE_ADDRESS_PATTERN.test(stakeAddress || ''))
+    throw new APIError('Invalid stake address', 400);
+
+  const { stake } = getAddressPrefixes();
+  if (!stakeAddress.startsWith(`${stake}1`)) {
+    throw new APIError(
+      `Stake address does not belong to this network (expected ${stake}1...)`,
+      400
+    );
+  }
+};
+
+const rethrowNotFound = (error) => {
+  if (error.statusCode === 404)
+    throw new APIError('Stake address not found', 404);
+  throw error;
+};
+
+export const getAccountDetails = async (stakeAddress) => {
+  assertStakeAddress(stakeAddress);
+
+  try {
+    return await getProvider().getAccount(stakeAddress);
+  } catch (error) {
+    return rethrowNotFound(error);
+  }
+};
+
+/**
+ * Retrieves one page of an account list, newest first
+ * @param {string} stakeAddress - Bech32 stake address
+ * @param {string} list - One of ACCOUNT_LIST_TYPES
+ * @param {number} [page=1] - 1-based page number
+ * @param {number} [limit=20] - Entries per page
+ * @returns {Promise<Object>} stake_address, the entries and pagination
+ * @throws {APIError} 400 for invalid input, 404 for unknown accounts
+ */
+export const getAccountList = async (
+  stakeAddress,
+  list,
+  page = 1,
+  limit = ACCOUNT_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertStakeAddress(stakeAddress);
+  if (!ACCOUNT_LISTS[list])
+    throw new APIError(`Unknown account list: ${list}`, 400);
+  assertPagination(page, limit, ACCOUNT_PAGINATION.MAX_LIMIT);
+
+  try {
+    const entries = await getProvider()[ACCOUNT_LISTS[list]](stakeAddress, {
+      order: 'desc',
+      count: limit,
+      page,
+    });
+
+    return {
+      stake_address: stakeAddress,
+      [list]: entries,
+      pagination: openPagination(page, limit, entries.length),
+    };
+  } catch (error) {
+    return rethrowNotFound(error);
+  }
+};
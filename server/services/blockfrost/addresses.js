@@ -1,52 +1,152 @@
 /**
  * Address Service
  *
- * Handles all address-related Blockfrost interactions:
- * - Address UTXO retrieval
+ * Handles all address-related chain data interactions:
+ * - Address UTXOs with multi-asset values and minimum ADA
  * - Address details and balances
- * - Transaction history
- * - Asset holdings
+ * - Transaction history, cursor-paginated with block height and time
+ *   ranges
+ * - Asset holdings and ADA Handles
  * - Stake address information
+ * - Offline address decoding (network, payment and stake credentials)
  *
  * @module services/blockfrost/addresses
  */
 
 import { APIError } from '../../utils/APIError.js';
-import { fetchFromBlockfrost } from './utils.js';
+import { decodeAddress } from '../../utils/address.js';
+import { getMinLovelace, getOutputSize } from '../../utils/minUtxo.js';
+import { getProvider } from '../providers/index.js';
+import { describeAssets } from './assets.js';
+import { findHandles } from './handles.js';
+import { getBlockHeightAtTime } from './blocks.js';
 
+const ADDRESS_UTXO_CONFIG = {
+  PAGE_SIZE: 100, // Blockfrost's maximum page size
+  MAX_PAGES: 10,
+};
+
+const ADDRESS_TX_PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100, // Blockfrost's maximum page size
+  ORDERS: ['asc', 'desc'],
+};
+
+// A block height with an optional transaction index, e.g. `8000000:3`
+const BLOCK_POSITION_PATTERN = /^(\d+)(?::(\d+))?$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const getLovelace = (amount = []) =>
+  amount.find(({ unit }) => unit === 'lovelace')?.quantity ?? '0';
+
+// A reference script counts towards the output size with its CBOR, which
+// the provider does not have for every script
+const loadReferenceScript = async (provider, hash) => {
+  try {
+    const [{ type }, { cbor }] = await Promise.all([
+      provider.getScript(hash),
+      provider.getScriptCbor(hash),
+    ]);
+    return cbor ? { type, length: cbor.length / 2 } : null;
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Lists an address's UTXOs with their full multi-asset values and the
+ * minimum ADA each must hold under the current protocol parameters
+ * @param {string} address - Cardano address
+ * @returns {Promise<Object>} address, coins_per_utxo_byte, utxos with
+ *   tx_hash, output_index, lovelace, assets, datum_hash, inline_datum,
+ *   reference_script_hash, size and min_lovelace (size and min_lovelace
+ *   are null when a reference script's size is unknown), and complete,
+ *   false past MAX_PAGES pages
+ * @throws {APIError} 400 for malformed addresses, 404 for unknown
+ *   addresses
+ */
 export const getAddressUTXOs = async (address) => {
-  if (!address) throw new APIError('Invalid address', 400);
+  const addressLength = getAddressStructure(address).bytes.length / 2;
+  const provider = getProvider();
 
   try {
-    const utxos = await fetchFromBlockfrost(`/addresses/${address}/utxos`);
-    return utxos
-      .map((utxo) => {
-        const lovelaceAmount = utxo.amount?.find((a) => a.unit === 'lovelace');
-        return (
-          lovelaceAmount && {
+    const utxos = [];
+    let complete = false;
+    for (let page = 1; page <= ADDRESS_UTXO_CONFIG.MAX_PAGES; page++) {
+      const batch = await provider.getAddressUtxos(address, {
+        count: ADDRESS_UTXO_CONFIG.PAGE_SIZE,
+        page,
+      });
+      utxos.push(...batch);
+      if (batch.length < ADDRESS_UTXO_CONFIG.PAGE_SIZE) {
+        complete = true;
+        break;
+      }
+    }
+
+    const parameters = await provider.getLatestParameters();
+    const coinsPerByte = parameters?.coins_per_utxo_size ?? null;
+
+    return {
+      address,
+      coins_per_utxo_byte: coinsPerByte,
+      utxos: await Promise.all(
+        utxos.map(async (utxo) => {
+          const lovelace = getLovelace(utxo.amount);
+          const script = utxo.reference_script_hash
+            ? await loadReferenceScript(provider, utxo.reference_script_hash)
+            : undefined;
+          const size =
+            script === null
+              ? null
+              : getOutputSize({
+                  addressLength,
+                  lovelace,
+                  assets: utxo.amount.filter(({ unit }) => unit !== 'lovelace'),
+                  // An inline datum's hash is listed too, but not stored
+                  datumHash: Boolean(utxo.data_hash && !utxo.inline_datum),
+                  inlineDatumLength: utxo.inline_datum
+                    ? utxo.inline_datum.length / 2
+                    : undefined,
+                  script,
+                });
+
+          return {
             tx_hash: utxo.tx_hash,
             output_index: utxo.output_index,
-            amount: lovelaceAmount.quantity,
-            assets: utxo.amount.filter((a) => a.unit !== 'lovelace'),
-          }
-        );
-      })
-      .filter(Boolean);
+            lovelace,
+            assets: describeAssets(utxo.amount),
+            datum_hash: utxo.data_hash ?? null,
+            inline_datum: utxo.inline_datum ?? null,
+            reference_script_hash: utxo.reference_script_hash ?? null,
+            size,
+            min_lovelace:
+              size === null || coinsPerByte === null
+                ? null
+                : getMinLovelace(size, coinsPerByte).toString(),
+          };
+        })
+      ),
+      complete,
+    };
   } catch (error) {
-    throw error.status === 404 ? new APIError('Address not found', 404) : error;
+    throw error.statusCode === 404
+      ? new APIError('Address not found', 404)
+      : error;
   }
 };
 
 export const getAddressDetails = async (address) => {
   if (!address) throw new APIError('Invalid address', 400);
 
+  const provider = getProvider();
+
   try {
     const [details, utxos, transactions] = await Promise.all([
-      fetchFromBlockfrost(`/addresses/${address}`),
-      fetchFromBlockfrost(`/addresses/${address}/utxos`),
-      fetchFromBlockfrost(
-        `/addresses/${address}/transactions?order=desc&limit=20`
-      ),
+      provider.getAddress(address),
+      provider.getAddressUtxos(address),
+      provider.getAddressTransactions(address, { order: 'desc', count: 20 }),
     ]);
 
     return {
@@ -54,12 +154,13 @@ export const getAddressDetails = async (address) => {
       amount: details.amount || '0',
       stake_address: details.stake_address,
       type: details.type,
+      handles: findHandles(describeAssets(details.amount)),
       utxos: utxos
         .map((utxo) => ({
           tx_hash: utxo.tx_hash,
           output_index: utxo.output_index,
-          amount: utxo.amount || '0',
-          assets: [],
+          amount: getLovelace(utxo.amount),
+          assets: describeAssets(utxo.amount),
         }))
         .filter(Boolean),
       transactions: transactions
@@ -73,6 +174,192 @@ export const getAddressDetails = async (address) => {
         .filter(Boolean),
     };
   } catch (error) {
-    throw error.status === 404 ? new APIError('Address not found', 404) : error;
+    throw error.statusCode === 404
+      ? new APIError('Address not found', 404)
+      : error;
+  }
+};
+
+/**
+ * Decodes an address into its structure without any chain lookups
+ * @param {string} address - Bech32 (Shelley) or base58 (Byron) address
+ * @returns {Object} Decoded address, see utils/address decodeAddress
+ * @throws {APIError} 400 if the address is malformed or its checksum is
+ *   wrong
+ */
+export const getAddressStructure = (address) => {
+  try {
+    return decodeAddress(address);
+  } catch (error) {
+    throw new APIError(`Invalid address: ${error.message}`, 400);
+  }
+};
+
+const toPosition = (match) => ({
+  height: Number(match[1]),
+  index: match[2] === undefined ? null : Number(match[2]),
+});
+
+const formatPosition = ({ height, index }) =>
+  index === null ? `${height}` : `${height}:${index}`;
+
+// A range is empty once its start lies after its end
+const isEmptyRange = (from, to) =>
+  from &&
+  to &&
+  (from.height > to.height ||
+    (from.height === to.height &&
+      from.index !== null &&
+      to.index !== null &&
+      from.index > to.index));
+
+// Cursors hold the position of the last transaction returned, so pages stay
+// stable while new transactions arrive
+const encodeCursor = ({ block_height, tx_index }) =>
+  Buffer.from(`${block_height}:${tx_index}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const match = Buffer.from(cursor, 'base64url')
+    .toString()
+    .match(BLOCK_POSITION_PATTERN);
+  if (!match?.[2]) throw new APIError('Invalid cursor', 400);
+  return toPosition(match);
+};
+
+// Range bounds are block positions or ISO 8601 times; a time becomes the
+// block position of the first block at or after it (`from`) or the last
+// block at or before it (`to`). Returns undefined for no bound and null
+// for a `to` before the first block.
+const resolveBound = async (value, name) => {
+  if (value === undefined || value === '') return undefined;
+
+  const match = String(value).match(BLOCK_POSITION_PATTERN);
+  if (match) return toPosition(match);
+
+  const time = Date.parse(value) / 1000;
+  if (!ISO_DATE_PATTERN.test(value) || Number.isNaN(time))
+    throw new APIError(
+      `Invalid ${name}: expected a block height or an ISO 8601 date`,
+      400
+    );
+
+  if (name === 'from') {
+    const before = await getBlockHeightAtTime(Math.ceil(time) - 1);
+    return before === null ? undefined : { height: before + 1, index: null };
+  }
+  const height = await getBlockHeightAtTime(Math.floor(time));
+  return height === null ? null : { height, index: null };
+};
+
+/**
+ * Resolves a history range to block positions once, for callers that page
+ * through histories with the same range; times otherwise cost two block
+ * searches on every page
+ * @param {Object} [range] - `from` and `to` as for
+ *   getAddressTransactionHistory
+ * @returns {Promise<Object|null>} `from` and `to` as block positions, or
+ *   null when the range ends before the first block
+ * @throws {APIError} 400 for invalid bounds
+ */
+export const resolveHistoryRange = async ({ from, to } = {}) => {
+  const range = {
+    from: await resolveBound(from, 'from'),
+    to: await resolveBound(to, 'to'),
+  };
+  if (range.to === null) return null;
+  return {
+    from: range.from && formatPosition(range.from),
+    to: range.to && formatPosition(range.to),
+  };
+};
+
+/**
+ * Retrieves one page of an address's full transaction history
+ * @param {string} address - Cardano address
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.limit=20] - Page size, at most 100
+ * @param {string} [options.order='desc'] - `asc` or `desc` by block position
+ * @param {string} [options.from] - Earliest block height (`height[:index]`)
+ *   or ISO 8601 time, inclusive
+ * @param {string} [options.to] - Latest block height or ISO 8601 time,
+ *   inclusive
+ * @returns {Promise<Object>} address, transactions and pagination with
+ *   limit, order, nextCursor and hasNext
+ * @throws {APIError} 400 for invalid parameters, 404 for unknown addresses
+ */
+export const getAddressTransactionHistory = async (
+  address,
+  {
+    cursor,
+    limit = ADDRESS_TX_PAGINATION.DEFAULT_LIMIT,
+    order = 'desc',
+    from,
+    to,
+  } = {}
+) => {
+  getAddressStructure(address); // Rejects malformed addresses up front
+  if (
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > ADDRESS_TX_PAGINATION.MAX_LIMIT
+  )
+    throw new APIError(
+      `Limit must be between 1 and ${ADDRESS_TX_PAGINATION.MAX_LIMIT}`,
+      400
+    );
+  if (!ADDRESS_TX_PAGINATION.ORDERS.includes(order))
+    throw new APIError('Order must be asc or desc', 400);
+
+  const range = {
+    from: await resolveBound(from, 'from'),
+    to: await resolveBound(to, 'to'),
+  };
+
+  // The page continues just past the cursor in the requested order
+  let exhausted = range.to === null;
+  if (cursor) {
+    const { height, index } = decodeCursor(cursor);
+    if (order === 'asc') range.from = { height, index: index + 1 };
+    else if (index > 0) range.to = { height, index: index - 1 };
+    else if (height > 0) range.to = { height: height - 1, index: null };
+    else exhausted = true;
+  }
+
+  const page = {
+    address,
+    transactions: [],
+    pagination: { limit, order, nextCursor: null, hasNext: false },
+  };
+  if (exhausted || isEmptyRange(range.from, range.to)) return page;
+
+  try {
+    const transactions = await getProvider().getAddressTransactions(address, {
+      order,
+      count: limit,
+      from: range.from && formatPosition(range.from),
+      to: range.to && formatPosition(range.to),
+    });
+
+    // A full page is the only sign that another one follows
+    const hasNext = transactions.length === limit;
+    return {
+      ...page,
+      transactions: transactions.map((tx) => ({
+        tx_hash: tx.tx_hash,
+        block_height: tx.block_height,
+        block_time: tx.block_time,
+        tx_index: tx.tx_index,
+      })),
+      pagination: {
+        ...page.pagination,
+        nextCursor: hasNext ? encodeCursor(transactions.at(-1)) : null,
+        hasNext,
+      },
+    };
+  } catch (error) {
+    throw error.statusCode === 404
+      ? new APIError('Address not found', 404)
+      : error;
   }
 };
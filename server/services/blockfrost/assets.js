@@ -0,0 +1,209 @@
+/**
+ * Native Asset Service
+ *
+ * Handles all native asset chain data interactions:
+ * - Asset unit parsing (policy ID, hex and decoded asset name)
+ * - CIP-14 asset fingerprints
+ * - Supply, mint/burn history and on-chain metadata
+ * - CIP-25 and CIP-68 metadata resolution (name, image, decimals)
+ *
+ * @module services/blockfrost/assets
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { blake2b } from '../../utils/blake2b.js';
+import { encode as encodeBech32 } from '../../utils/bech32.js';
+import { assertPagination, openPagination } from './utils.js';
+import { getProvider } from '../providers/index.js';
+
+const ASSET_PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100, // Blockfrost's maximum page size
+};
+
+const ASSET_CONFIG = {
+  POLICY_ID_LENGTH: 56, // Hex characters in a 28-byte policy ID
+  FINGERPRINT_PREFIX: 'asset',
+  FINGERPRINT_BYTES: 20,
+  IPFS_GATEWAY: process.env.IPFS_GATEWAY || 'https://ipfs.io/ipfs/',
+};
+
+// CIP-67 asset name labels (hex prefix) used by CIP-68
+const CIP67_LABELS = {
+  '000643b0': 100, // Reference NFT holding the metadata datum
+  '000de140': 222, // NFT
+  '0014df10': 333, // Fungible token
+  '001bc280': 444, // Rich fungible token
+};
+const CIP68_REFERENCE_PREFIX = '000643b0';
+
+// Policy ID followed by an asset name of at most 32 bytes
+const UNIT_PATTERN = /^[0-9a-f]{56}([0-9a-f]{2}){0,32}$/;
+
+const assertUnit = (unit) => {
+  if (!UNIT_PATTERN.test(unit || '')) throw new APIError('Invalid asset', 400);
+};
+
+// Asset names are raw bytes; only show them as text when they are
+// printable UTF-8
+const decodeAssetName = (hex) => {
+  if (!hex) return null;
+  const text = Buffer.from(hex, 'hex').toString('utf8');
+  return Buffer.from(text, 'utf8').toString('hex') === hex &&
+    !/[\u0000-\u001f\u007f-\u009f]/.test(text)
+    ? text
+    : null;
+};
+
+/**
+ * Splits an asset unit into its parts
+ * @param {string} unit - Policy ID followed by the hex asset name
+ * @returns {Object} unit, policy_id, asset_name (hex), name (decoded text or
+ *   null), label (CIP-67 label or null) and fingerprint (CIP-14)
+ */
+export const describeUnit = (unit) => {
+  const policyId = unit.slice(0, ASSET_CONFIG.POLICY_ID_LENGTH);
+  const assetName = unit.slice(ASSET_CONFIG.POLICY_ID_LENGTH);
+  const labelPrefix = assetName.slice(0, 8);
+  const label = CIP67_LABELS[labelPrefix] ?? null;
+
+  return {
+    unit,
+    policy_id: policyId,
+    asset_name: assetName,
+    name: decodeAssetName(label === null ? assetName : assetName.slice(8)),
+    label,
+    fingerprint: encodeBech32(
+      ASSET_CONFIG.FINGERPRINT_PREFIX,
+      blake2b(Buffer.from(unit, 'hex'), ASSET_CONFIG.FINGERPRINT_BYTES)
+    ),
+  };
+};
+
+/**
+ * Describes the native assets in a Blockfrost amount list
+ * @param {Array<{unit: string, quantity: string}>} amounts - Amounts,
+ *   including lovelace
+ * @returns {Array<Object>} Non-lovelace amounts with describeUnit fields
+ */
+export const describeAssets = (amounts = []) =>
+  amounts
+    .filter((amount) => amount.unit !== 'lovelace')
+    .map((amount) => ({
+      ...describeUnit(amount.unit),
+      quantity: amount.quantity,
+    }));
+
+// Metadata text fields may be split into arrays of 64-byte chunks
+const joinChunks = (value) =>
+  Array.isArray(value) ? value.join('') : value ?? null;
+
+/**
+ * Resolves a metadata image to a displayable URL
+ * @param {string|Array<string>} image - Image URI, possibly chunked
+ * @returns {string|null} Gateway URL for ipfs:// images, the URI itself for
+ *   http(s) and data:image URIs, otherwise null
+ */
+export const resolveImageUrl = (image) => {
+  const source = joinChunks(image);
+  if (typeof source !== 'string') return null;
+  if (source.startsWith('ipfs://')) {
+    return `${ASSET_CONFIG.IPFS_GATEWAY}${source
+      .replace(/^ipfs:\/\/(ipfs\/)?/, '')
+      .trim()}`;
+  }
+  return /^(https?:\/\/|data:image\/)/.test(source) ? source : null;
+};
+
+const toDecimals = (value) =>
+  Number.isInteger(Number(value)) && Number(value) >= 0 ? Number(value) : null;
+
+/**
+ * Resolves display metadata from CIP-25/CIP-68 on-chain metadata and the
+ * off-chain token registry, preferring on-chain values
+ * @param {Object|null} onchain - On-chain metadata
+ * @param {string|null} standard - CIP-25 or CIP-68
+ * @param {Object|null} registry - Token registry metadata
+ * @returns {Object} standard, name, description, ticker, image and decimals
+ * @private
+ */
+const resolveMetadata = (onchain, standard, registry) => ({
+  standard: onchain ? standard : registry ? 'registry' : null,
+  name: joinChunks(onchain?.name) || registry?.name || null,
+  description:
+    joinChunks(onchain?.description) || registry?.description || null,
+  ticker: onchain?.ticker || registry?.ticker || null,
+  image:
+    resolveImageUrl(onchain?.image) ||
+    (registry?.logo ? `data:image/png;base64,${registry.logo}` : null),
+  decimals: toDecimals(onchain?.decimals ?? registry?.decimals ?? 0),
+});
+
+// CIP-68 user tokens keep their metadata in the matching reference token
+const loadReferenceMetadata = async ({ policy_id, asset_name }) => {
+  const unit = policy_id + CIP68_REFERENCE_PREFIX + asset_name.slice(8);
+  try {
+    const reference = await getProvider().getAsset(unit);
+    return reference.onchain_metadata || null;
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+};
+
+export const getAssetDetails = async (unit) => {
+  assertUnit(unit);
+
+  try {
+    const asset = await getProvider().getAsset(unit);
+    const parts = describeUnit(unit);
+    const isCip68 = parts.label !== null && parts.label !== 100;
+
+    const onchain = isCip68
+      ? asset.onchain_metadata || (await loadReferenceMetadata(parts))
+      : asset.onchain_metadata;
+
+    return {
+      ...parts,
+      quantity: asset.quantity,
+      initial_mint_tx_hash: asset.initial_mint_tx_hash,
+      mint_or_burn_count: asset.mint_or_burn_count,
+      onchain_metadata: onchain || null,
+      registry_metadata: asset.metadata || null,
+      metadata: resolveMetadata(
+        onchain,
+        isCip68 ? 'CIP-68' : 'CIP-25',
+        asset.metadata
+      ),
+    };
+  } catch (error) {
+    if (error.statusCode === 404) throw new APIError('Asset not found', 404);
+    throw error;
+  }
+};
+
+export const getAssetHistory = async (
+  unit,
+  page = 1,
+  limit = ASSET_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertUnit(unit);
+  assertPagination(page, limit, ASSET_PAGINATION.MAX_LIMIT);
+
+  try {
+    const history = await getProvider().getAssetHistory(unit, {
+      order: 'desc',
+      count: limit,
+      page,
+    });
+
+    return {
+      unit,
+      history,
+      pagination: openPagination(page, limit, history.length),
+    };
+  } catch (error) {
+    if (error.statusCode === 404) throw new APIError('Asset not found', 404);
+    throw error;
+  }
+};
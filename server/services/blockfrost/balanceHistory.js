@@ -0,0 +1,235 @@
+/**
+ * Address Balance History Service
+ *
+ * Reconstructs an address's balance over time from its transactions:
+ * - ADA and per-asset balance at the end of each day (UTC) or epoch
+ * - Net change of each transaction from the UTXOs it spent and created
+ * - Checkpoints of the computed history in the cache store
+ *
+ * Only final transactions (deeper than k) are checkpointed, so a rollback
+ * never leaves a stale balance behind. A request processes at most
+ * MAX_TRANSACTIONS transactions past the checkpoint; longer histories
+ * report `complete: false` with a cursor to continue from on the next
+ * request.
+ *
+ * @module services/blockfrost/balanceHistory
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import {
+  getCurrentNetwork,
+  getEpochAtTime,
+  getSecurityParam,
+} from '../../utils/network.js';
+import { getCacheStore, isCacheEnabled, TTL } from '../cache/index.js';
+import { getProvider } from '../providers/index.js';
+import { getAddressStructure } from './addresses.js';
+import { getHoldingsChange } from './transactions.js';
+
+const BALANCE_HISTORY_CONFIG = {
+  INTERVALS: ['day', 'epoch'],
+  PAGE_SIZE: 100, // Blockfrost's maximum page size
+  // Each transaction costs two provider requests on a cold cache
+  MAX_TRANSACTIONS: 200,
+  CHECKPOINT_PREFIX: 'balance-history',
+};
+
+// Maps a block time to the period whose closing balance it contributes to
+const PERIODS = {
+  day: (time) => new Date(time * 1000).toISOString().slice(0, 10),
+  epoch: (time) => getEpochAtTime(time),
+};
+
+const checkpointKey = (address, interval) =>
+  [
+    BALANCE_HISTORY_CONFIG.CHECKPOINT_PREFIX,
+    getCurrentNetwork(),
+    interval,
+    address,
+  ].join(':');
+
+// Checkpoints hold quantities as strings so any store can serialize them
+const restoreState = (checkpoint) => ({
+  position: checkpoint?.position ?? null,
+  balances: new Map(
+    Object.entries(checkpoint?.balances ?? {}).map(([unit, quantity]) => [
+      unit,
+      BigInt(quantity),
+    ])
+  ),
+  points: [...(checkpoint?.points ?? [])],
+});
+
+const toCheckpoint = ({ position, balances, points }) => ({
+  position,
+  balances: Object.fromEntries(
+    [...balances].map(([unit, quantity]) => [unit, quantity.toString()])
+  ),
+  points: [...points],
+});
+
+// Resume cursors carry the running balances after the last transaction
+// applied, so a history continues where the previous request stopped even
+// when that point was not checkpointed: it is not final yet, or the cache
+// is off
+const encodeResumeCursor = (state) => {
+  const { position, balances } = toCheckpoint(state);
+  return Buffer.from(JSON.stringify({ position, balances })).toString(
+    'base64url'
+  );
+};
+
+const decodeResumeCursor = (cursor) => {
+  try {
+    const { position, balances } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString()
+    );
+    if (
+      [position.block_height, position.tx_index].every(
+        (value) => Number.isInteger(value) && value >= 0
+      )
+    )
+      return restoreState({ position, balances });
+  } catch {
+    // Malformed cursors are rejected below
+  }
+  throw new APIError('Invalid cursor', 400);
+};
+
+const isSamePosition = (a, b) =>
+  a?.block_height === b?.block_height && a?.tx_index === b?.tx_index;
+
+const loadCheckpoint = async (key) =>
+  isCacheEnabled() ? getCacheStore().get(key) : undefined;
+
+const saveCheckpoint = async (key, state) => {
+  if (isCacheEnabled())
+    await getCacheStore().set(key, toCheckpoint(state), TTL.FOREVER);
+};
+
+// Applies a transaction to the running balances and records the balance
+// as the closing balance of the transaction's period
+const applyTransaction = (state, tx, delta, interval) => {
+  delta.forEach((quantity, unit) => {
+    const balance = (state.balances.get(unit) || 0n) + quantity;
+    if (balance === 0n) state.balances.delete(unit);
+    else state.balances.set(unit, balance);
+  });
+
+  const point = {
+    period: PERIODS[interval](tx.block_time),
+    time: tx.block_time,
+    lovelace: (state.balances.get('lovelace') || 0n).toString(),
+    assets: [...state.balances]
+      .filter(([unit]) => unit !== 'lovelace')
+      .map(([unit, quantity]) => ({ unit, quantity: quantity.toString() })),
+  };
+
+  if (state.points.at(-1)?.period === point.period)
+    state.points[state.points.length - 1] = point;
+  else state.points.push(point);
+  state.position = { block_height: tx.block_height, tx_index: tx.tx_index };
+};
+
+/**
+ * Reconstructs an address's balance at the end of each day or epoch
+ * @param {string} address - Cardano address
+ * @param {string} [interval='day'] - `day` (UTC) or `epoch`
+ * @param {string} [cursor] - Cursor of the previous, incomplete response
+ * @returns {Promise<Object>} address, interval, points with period, time,
+ *   lovelace and assets, complete, processed_to and the cursor to continue
+ *   from (null once complete). Points only cover periods with
+ *   transactions; a balance holds until the next point. A continued
+ *   history may only return the points from the period it continues in.
+ * @throws {APIError} 400 for an invalid address, interval or cursor, 404
+ *   for unknown addresses
+ */
+export const getBalanceHistory = async (address, interval = 'day', cursor) => {
+  getAddressStructure(address); // Rejects malformed addresses up front
+  if (!BALANCE_HISTORY_CONFIG.INTERVALS.includes(interval))
+    throw new APIError('Interval must be day or epoch', 400);
+  const resumed = cursor === undefined ? null : decodeResumeCursor(cursor);
+
+  const provider = getProvider();
+  const key = checkpointKey(address, interval);
+  const [checkpoint, tip] = await Promise.all([
+    loadCheckpoint(key),
+    provider.getLatestBlock(),
+  ]);
+  const finalHeight = tip.height - getSecurityParam();
+
+  // A cursor at the checkpoint continues from the checkpoint, which also
+  // holds the earlier points. Other cursors lack those points, so what
+  // they continue is not checkpointed.
+  const fromCheckpoint =
+    !resumed || isSamePosition(resumed.position, checkpoint?.position);
+  const state = fromCheckpoint ? restoreState(checkpoint) : resumed;
+
+  // The history continues just past the checkpointed transaction
+  const from =
+    state.position &&
+    `${state.position.block_height}:${state.position.tx_index + 1}`;
+
+  const owned = new Set([address]);
+  let processed = 0;
+  let complete = false;
+  let checkpointed = false;
+
+  try {
+    for (
+      let page = 1;
+      processed < BALANCE_HISTORY_CONFIG.MAX_TRANSACTIONS;
+      page++
+    ) {
+      const transactions = await provider.getAddressTransactions(address, {
+        order: 'asc',
+        count: BALANCE_HISTORY_CONFIG.PAGE_SIZE,
+        page,
+        from,
+      });
+      const batch = transactions.slice(
+        0,
+        BALANCE_HISTORY_CONFIG.MAX_TRANSACTIONS - processed
+      );
+      const changes = await Promise.all(
+        batch.map((tx) => getHoldingsChange(tx.tx_hash, owned))
+      );
+
+      for (const [n, tx] of batch.entries()) {
+        // Final transactions come first, so the state before the first
+        // recent one is the latest that cannot be rolled back
+        if (!checkpointed && tx.block_height > finalHeight) {
+          if (fromCheckpoint && processed + n) await saveCheckpoint(key, state);
+          checkpointed = true;
+        }
+        applyTransaction(state, tx, changes[n].delta, interval);
+      }
+      processed += batch.length;
+
+      // A short page that was fully applied ends the history
+      if (
+        transactions.length < BALANCE_HISTORY_CONFIG.PAGE_SIZE &&
+        batch.length === transactions.length
+      ) {
+        complete = true;
+        break;
+      }
+    }
+  } catch (error) {
+    throw error.statusCode === 404
+      ? new APIError('Address not found', 404)
+      : error;
+  }
+
+  if (fromCheckpoint && !checkpointed && processed)
+    await saveCheckpoint(key, state);
+
+  return {
+    address,
+    interval,
+    points: state.points,
+    complete,
+    processed_to: state.position,
+    cursor: complete ? null : encodeResumeCursor(state),
+  };
+};
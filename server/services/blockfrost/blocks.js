@@ -1,97 +1,269 @@
 /**
  * Block Service
  *
- * Handles all block-related Blockfrost interactions:
+ * Handles all block-related chain data interactions:
  * - Latest block retrieval
  * - Block history and pagination
  * - Block details by hash/height
- * - Block transaction details
+ * - Block transaction details, paginated over the full block
  * - Chain metrics and statistics
+ * - Block height lookup by time
  *
  * @module services/blockfrost/blocks
  */
 
 import { APIError } from '../../utils/APIError.js';
-import { fetchFromBlockfrost, calculateAmount } from './utils.js';
+import { logger } from '../../utils/logger.js';
+import { assertPagination, calculateAmount } from './utils.js';
+import { getProvider } from '../providers/index.js';
 
-export const getLatestBlock = () => fetchFromBlockfrost('/blocks/latest');
+export const getLatestBlock = () => getProvider().getLatestBlock();
 
 export const getPreviousBlocks = (hash, count) =>
-  fetchFromBlockfrost(`/blocks/${hash}/previous?count=${count}`);
+  getProvider().getPreviousBlocks(hash, count);
 
 export const getBlockByHash = async (hash) => {
   if (!hash || hash.length !== 64)
     throw new APIError('Invalid block hash', 400);
 
   try {
-    return await fetchFromBlockfrost(`/blocks/${hash}`);
+    return await getProvider().getBlock(hash);
   } catch (error) {
-    if (error.status === 404) throw new APIError('Block not found', 404);
+    if (error.statusCode === 404) throw new APIError('Block not found', 404);
     throw error;
   }
 };
 
-export const getBlockTransactions = async (hash) => {
+const BLOCK_TX_PAGINATION = {
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 100,
+  UPSTREAM_PAGE_SIZE: 100, // Blockfrost's maximum page size
+};
+
+/**
+ * Fetches a window of a block's transaction hashes, walking as many
+ * upstream pages as the window spans
+ * @param {Object} provider - Chain data provider
+ * @param {string} hash - Block hash
+ * @param {number} offset - Index of the first hash
+ * @param {number} limit - Number of hashes
+ * @returns {Promise<string[]>} Transaction hashes
+ * @private
+ */
+const getBlockTxHashes = async (provider, hash, offset, limit) => {
+  const pageSize = BLOCK_TX_PAGINATION.UPSTREAM_PAGE_SIZE;
+  const firstPage = Math.floor(offset / pageSize) + 1;
+  const lastPage = Math.floor((offset + limit - 1) / pageSize) + 1;
+
+  const pages = await Promise.all(
+    Array.from({ length: lastPage - firstPage + 1 }, (_, i) =>
+      provider.getBlockTxs(hash, {
+        order: 'desc',
+        count: pageSize,
+        page: firstPage + i,
+      })
+    )
+  );
+
+  const start = offset - (firstPage - 1) * pageSize;
+  return pages.flat().slice(start, start + limit);
+};
+
+export const getBlockTransactions = async (
+  hash,
+  page = 1,
+  limit = BLOCK_TX_PAGINATION.DEFAULT_LIMIT
+) => {
   if (!hash || hash.length !== 64)
     throw new APIError('Invalid block hash', 400);
+  assertPagination(page, limit, BLOCK_TX_PAGINATION.MAX_LIMIT);
+
+  const provider = getProvider();
 
   try {
-    const [blockData, txHashes] = await Promise.all([
-      fetchFromBlockfrost(`/blocks/${hash}`),
-      fetchFromBlockfrost(`/blocks/${hash}/txs?order=desc`),
-    ]);
-
-    if (!txHashes?.length) return { transactions: [] };
-
-    const transactions = await Promise.all(
-      txHashes.slice(0, 50).map(async (txHash) => {
-        try {
-          const [txData, utxoData] = await Promise.all([
-            fetchFromBlockfrost(`/txs/${txHash}`),
-            fetchFromBlockfrost(`/txs/${txHash}/utxos`),
-          ]);
-
-          return {
-            hash: txHash,
-            block: hash,
-            block_time: blockData.time,
-            inputs: utxoData.inputs?.length || 0,
-            outputs: utxoData.outputs?.length || 0,
-            input_amount: calculateAmount(utxoData.inputs || []),
-            output_amount: calculateAmount(utxoData.outputs || []),
-            fees: txData.fees || '0',
-          };
-        } catch (error) {
-          console.error('Error fetching transaction details:', {
-            txHash,
-            error,
-          });
-          return null;
-        }
+    const blockData = await provider.getBlock(hash);
+    const totalTransactions = blockData.tx_count || 0;
+    const totalPages = Math.max(1, Math.ceil(totalTransactions / limit));
+    const pagination = {
+      currentPage: page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrevious: page > 1,
+      totalTransactions,
+    };
+
+    const offset = (page - 1) * limit;
+    const txHashes =
+      offset < totalTransactions
+        ? await getBlockTxHashes(provider, hash, offset, limit)
+        : [];
+
+    if (!txHashes.length)
+      return { transactions: [], failed: [], incomplete: false, pagination };
+
+    const results = await Promise.allSettled(
+      txHashes.map(async (txHash) => {
+        const [txData, utxoData] = await Promise.all([
+          provider.getTx(txHash),
+          provider.getTxUtxos(txHash),
+        ]);
+
+        return {
+          hash: txHash,
+          block: hash,
+          block_time: blockData.time,
+          inputs: utxoData.inputs?.length || 0,
+          outputs: utxoData.outputs?.length || 0,
+          input_amount: calculateAmount(utxoData.inputs || []),
+          output_amount: calculateAmount(utxoData.outputs || []),
+          fees: txData.fees || '0',
+        };
       })
     );
 
-    return { transactions: transactions.filter(Boolean) };
+    // Transactions that still fail after retries are reported, not dropped
+    const transactions = [];
+    const failed = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        transactions.push(result.value);
+        return;
+      }
+      failed.push({
+        hash: txHashes[index],
+        error: result.reason?.message || 'Unknown error',
+      });
+    });
+
+    if (failed.length) {
+      logger.warn('Block transactions partially loaded', {
+        hash,
+        failed: failed.length,
+      });
+    }
+
+    return {
+      transactions,
+      failed,
+      incomplete: failed.length > 0,
+      pagination,
+    };
   } catch (error) {
     console.error('Error fetching block transactions:', { hash, error });
-    if (error.status === 404) throw new APIError('Block not found', 404);
+    if (error.statusCode === 404) throw new APIError('Block not found', 404);
     throw error;
   }
 };
 
-export const getBlocks = async (page = 1, limit = 10) => {
+/**
+ * Reduces a provider block to the fields block lists display
+ * @param {Object} block - Block from the chain data provider
+ * @returns {Object} Block summary
+ */
+export const summarizeBlock = (block) => ({
+  hash: block.hash,
+  height: block.height,
+  slot: block.slot,
+  time: block.time,
+  epoch: block.epoch,
+  tx_count: block.tx_count,
+  size: block.size,
+  fees: block.fees,
+  slot_leader: block.slot_leader,
+});
+
+/**
+ * Loads block summaries for a list of block hashes. Blocks that still fail
+ * after retries are reported in `failed` rather than dropped.
+ * @param {string[]} hashes - Block hashes
+ * @returns {Promise<{blocks: Object[], failed: Object[]}>} Loaded summaries,
+ *   in input order, and failures
+ */
+export const getBlockSummaries = async (hashes) => {
+  const results = await Promise.allSettled(
+    hashes.map((hash) => getProvider().getBlock(hash))
+  );
+
+  const blocks = [];
+  const failed = [];
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      failed.push({
+        hash: hashes[index],
+        error: result.reason?.message || 'Unknown error',
+      });
+      return;
+    }
+
+    blocks.push(summarizeBlock(result.value));
+  });
+
+  return { blocks, failed };
+};
+
+const BLOCK_LIST_PAGINATION = {
+  MAX_LIMIT: 100, // Blockfrost's maximum page of previous blocks
+};
+
+/**
+ * Lists blocks newest first, either by page (counted back from the tip) or
+ * by cursor (the blocks below a given height, stable as the chain grows)
+ * @param {number} [page=1] - Page number, ignored when `before` is given
+ * @param {number} [limit=10] - Blocks per page
+ * @param {number} [before] - List blocks below this height
+ * @returns {Promise<Object>} Blocks and pagination
+ */
+export const getBlocks = async (page = 1, limit = 10, before) => {
+  assertPagination(page, limit, BLOCK_LIST_PAGINATION.MAX_LIMIT);
+  if (before !== undefined && (!Number.isInteger(before) || before < 1))
+    throw new APIError('Invalid before height', 400);
+
   const latestBlock = await getLatestBlock();
-  const previousBlocks = await getPreviousBlocks(latestBlock.hash, limit);
-  const totalPages = Math.ceil(latestBlock.height / limit);
+  const tipHeight = latestBlock.height;
+  const topHeight =
+    before !== undefined
+      ? Math.min(before - 1, tipHeight)
+      : tipHeight - (page - 1) * limit;
+  const currentPage =
+    before !== undefined
+      ? Math.floor((tipHeight - topHeight) / limit) + 1
+      : page;
+  const totalPages = Math.ceil(tipHeight / limit);
+
+  let blocks = [];
+  if (topHeight >= 1) {
+    const topBlock =
+      topHeight === tipHeight
+        ? latestBlock
+        : await getProvider().getBlock(topHeight);
+    const count = Math.min(limit - 1, topHeight - 1);
+    const previousBlocks =
+      count > 0 ? await getPreviousBlocks(topBlock.hash, count) : [];
+    blocks = [topBlock, ...previousBlocks].sort((a, b) => b.height - a.height);
+  }
+
+  const lowestHeight = blocks.length ? blocks[blocks.length - 1].height : null;
+  const newerBefore = topHeight + limit + 1;
 
   return {
-    blocks: [latestBlock, ...previousBlocks],
+    blocks,
     pagination: {
-      currentPage: page,
+      currentPage,
+      limit,
       totalPages,
-      hasNext: page < totalPages,
-      hasPrevious: page > 1,
-      totalBlocks: latestBlock.height,
+      hasNext: lowestHeight > 1,
+      hasPrevious: topHeight < tipHeight,
+      totalBlocks: tipHeight,
+      // `before` values for the adjacent windows; a null newer cursor means
+      // the newer window starts at the tip
+      cursors: {
+        older: lowestHeight > 1 ? lowestHeight : null,
+        newer:
+          topHeight < tipHeight && newerBefore <= tipHeight
+            ? newerBefore
+            : null,
+      },
     },
   };
 };
@@ -106,9 +278,47 @@ export const getBlockByHeight = async (height) => {
     throw new APIError('Block height out of range', 404);
   }
 
-  const blockData = await fetchFromBlockfrost(`/blocks/number/${height}`);
+  const blockData = await getProvider().getBlock(height);
   if (!blockData?.hash)
     throw new APIError('Block not found at this height', 404);
 
   return [blockData.hash];
 };
+
+// Height of the first block after genesis
+const FIRST_BLOCK_HEIGHT = 1;
+
+/**
+ * Finds the last block produced at or before a time
+ *
+ * Blocks arrive at a roughly steady rate, so interpolating between two
+ * known blocks lands close to the target; alternating with bisection
+ * bounds the number of lookups when it does not.
+ * @param {number} time - Unix time in seconds
+ * @returns {Promise<number|null>} Block height, or null if no block had
+ *   been produced yet
+ */
+export const getBlockHeightAtTime = async (time) => {
+  const provider = getProvider();
+  let [low, high] = await Promise.all([
+    provider.getBlock(FIRST_BLOCK_HEIGHT),
+    provider.getLatestBlock(),
+  ]);
+  if (time < low.time) return null;
+  if (time >= high.time) return high.height;
+
+  // low.time <= time < high.time throughout
+  for (let step = 0; high.height - low.height > 1; step++) {
+    const span = high.height - low.height;
+    const offset =
+      step % 2 === 0
+        ? Math.floor(((time - low.time) / (high.time - low.time)) * span)
+        : Math.floor(span / 2);
+    const block = await provider.getBlock(
+      low.height + Math.min(Math.max(offset, 1), span - 1)
+    );
+    if (block.time <= time) low = block;
+    else high = block;
+  }
+  return low.height;
+};
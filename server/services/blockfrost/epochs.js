@@ -0,0 +1,124 @@
+/**
+ * Epoch Service
+ *
+ * Handles all epoch-related chain data interactions:
+ * - Latest epoch and epoch details
+ * - Progress through the current epoch
+ * - Paginated epoch block listings
+ * - Paginated stake distribution
+ *
+ * @module services/blockfrost/epochs
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { logger } from '../../utils/logger.js';
+import { assertPagination, openPagination } from './utils.js';
+import { getBlockSummaries } from './blocks.js';
+import { getProvider } from '../providers/index.js';
+
+const EPOCH_PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100, // Blockfrost's maximum page size
+};
+
+const assertEpochNumber = (number) => {
+  if (!Number.isInteger(number) || number < 0)
+    throw new APIError('Invalid epoch number', 400);
+};
+
+/**
+ * Adds progress through the epoch, as a percentage of its duration
+ * @param {Object} epoch - Epoch data
+ * @returns {Object} Epoch data with `progress` and `is_current`
+ * @private
+ */
+const withProgress = (epoch) => {
+  const now = Math.floor(Date.now() / 1000);
+  const duration = epoch.end_time - epoch.start_time;
+  const elapsed = Math.min(Math.max(now - epoch.start_time, 0), duration);
+
+  return {
+    ...epoch,
+    progress: duration > 0 ? Math.round((elapsed / duration) * 10000) / 100 : 0,
+    is_current: now >= epoch.start_time && now < epoch.end_time,
+  };
+};
+
+export const getLatestEpoch = async () =>
+  withProgress(await getProvider().getLatestEpoch());
+
+export const getEpoch = async (number) => {
+  assertEpochNumber(number);
+
+  try {
+    return withProgress(await getProvider().getEpoch(number));
+  } catch (error) {
+    if (error.statusCode === 404) throw new APIError('Epoch not found', 404);
+    throw error;
+  }
+};
+
+export const getEpochBlocks = async (
+  number,
+  page = 1,
+  limit = EPOCH_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertPagination(page, limit, EPOCH_PAGINATION.MAX_LIMIT);
+
+  const epoch = await getEpoch(number);
+  const totalBlocks = epoch.block_count || 0;
+  const totalPages = Math.max(1, Math.ceil(totalBlocks / limit));
+
+  const blockHashes =
+    (page - 1) * limit < totalBlocks
+      ? await getProvider().getEpochBlocks(number, {
+          order: 'desc',
+          count: limit,
+          page,
+        })
+      : [];
+
+  const { blocks, failed } = await getBlockSummaries(blockHashes);
+
+  if (failed.length) {
+    logger.warn('Epoch blocks partially loaded', {
+      epoch: number,
+      failed: failed.length,
+    });
+  }
+
+  return {
+    blocks,
+    failed,
+    incomplete: failed.length > 0,
+    pagination: {
+      currentPage: page,
+      limit,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrevious: page > 1,
+      totalBlocks,
+    },
+  };
+};
+
+export const getEpochStakes = async (
+  number,
+  page = 1,
+  limit = EPOCH_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertPagination(page, limit, EPOCH_PAGINATION.MAX_LIMIT);
+
+  const epoch = await getEpoch(number);
+  const stakes = await getProvider().getEpochStakes(number, {
+    count: limit,
+    page,
+  });
+
+  return {
+    epoch: epoch.epoch,
+    active_stake: epoch.active_stake,
+    stakes,
+    pagination: openPagination(page, limit, stakes.length),
+  };
+};
@@ -0,0 +1,85 @@
+/**
+ * ADA Handle Service
+ *
+ * Handles ADA Handle ($name) chain data interactions:
+ * - Handle name validation and normalization
+ * - Resolution of a handle to the address currently holding it
+ * - Detection of the handles held in a set of assets
+ *
+ * A handle is an NFT under the Handle minting policy whose asset name is
+ * the handle without its `$`. Handles minted since CIP-68 carry the
+ * (222) user token label in front of the name.
+ *
+ * @module services/blockfrost/handles
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { getProvider } from '../providers/index.js';
+
+const HANDLE_CONFIG = {
+  POLICY_ID: 'f0ff48bbb7bbe9d59a40f1ce90e9e9d0ff5002ec48f232b49ca0fb9a',
+  // Original handles have no label; CIP-68 handles use the (222) label
+  ASSET_NAME_PREFIXES: ['', '000de140'],
+  USER_TOKEN_LABEL: 222,
+};
+
+// Lowercase letters, digits, `-`, `_` and `.`, optionally as a sub handle
+// (`sub@root`)
+const HANDLE_PATTERN = /^[a-z0-9_.-]{1,15}(@[a-z0-9_.-]{1,15})?$/;
+
+const normalizeHandle = (handle) => {
+  const name = (handle || '').trim().replace(/^\$/, '').toLowerCase();
+  if (!HANDLE_PATTERN.test(name)) throw new APIError('Invalid handle', 400);
+  return name;
+};
+
+// Handles are NFTs, so the first holder is the only one; a burned handle
+// has none
+const findHolder = async (unit) => {
+  try {
+    const [holder] = await getProvider().getAssetAddresses(unit, {
+      count: 1,
+    });
+    return holder?.address ?? null;
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Resolves a handle to the address currently holding it
+ * @param {string} handle - Handle, with or without the leading `$`
+ * @returns {Promise<{handle: string, unit: string, address: string}>}
+ *   Normalized handle, its asset unit and holder address
+ * @throws {APIError} 400 for an invalid handle, 404 if no address holds it
+ */
+export const resolveHandle = async (handle) => {
+  const name = normalizeHandle(handle);
+  const nameHex = Buffer.from(name, 'utf8').toString('hex');
+  const units = HANDLE_CONFIG.ASSET_NAME_PREFIXES.map(
+    (prefix) => `${HANDLE_CONFIG.POLICY_ID}${prefix}${nameHex}`
+  );
+
+  const holders = await Promise.all(units.map(findHolder));
+  const index = holders.findIndex(Boolean);
+  if (index === -1) throw new APIError('Handle not found', 404);
+
+  return { handle: `$${name}`, unit: units[index], address: holders[index] };
+};
+
+/**
+ * Lists the handles among a set of assets
+ * @param {Array<Object>} assets - Assets with describeUnit fields
+ * @returns {Array<string>} Handles, with their `$`, in name order
+ */
+export const findHandles = (assets = []) =>
+  assets
+    .filter(
+      ({ policy_id, label, name }) =>
+        policy_id === HANDLE_CONFIG.POLICY_ID &&
+        (label === null || label === HANDLE_CONFIG.USER_TOKEN_LABEL) &&
+        name
+    )
+    .map(({ name }) => `$${name}`)
+    .sort();
@@ -6,4 +6,15 @@
 export * from './blocks.js';
 export * from './transactions.js';
 export * from './addresses.js';
+export * from './balanceHistory.js';
+export * from './ledger.js';
 export * from './search.js';
+export * from './epochs.js';
+export * from './pools.js';
+export * from './accounts.js';
+export * from './assets.js';
+export * from './handles.js';
+export * from './policies.js';
+export * from './scripts.js';
+export * from './txDecoder.js';
+export * from './submit.js';
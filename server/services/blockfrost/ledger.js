@@ -0,0 +1,467 @@
+/**
+ * Accounting Ledger Service
+ *
+ * Builds per-transaction ledgers for accounting exports:
+ * - One row per transaction with net ADA change, fees paid, asset changes,
+ *   counterparties and block position
+ * - A single address, or every address of a stake account combined
+ * - Optional block height or date range
+ * - CSV, JSON and OFX files
+ *
+ * A transaction between two addresses of the same stake account appears
+ * once, with the combined change; such transfers net to the fee.
+ *
+ * @module services/blockfrost/ledger
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { getProvider } from '../providers/index.js';
+import { getAccountDetails } from './accounts.js';
+import {
+  getAddressStructure,
+  getAddressTransactionHistory,
+  resolveHistoryRange,
+} from './addresses.js';
+import { describeUnit } from './assets.js';
+import { getHoldingsChange } from './transactions.js';
+
+const LEDGER_CONFIG = {
+  FORMATS: ['csv', 'json', 'ofx'],
+  PAGE_SIZE: 100, // Blockfrost's maximum page size
+  // Each transaction costs two upstream requests on a cold cache; at the
+  // sustained 10 requests per second, 500 load within the export timeout
+  MAX_TRANSACTIONS: 500,
+  MAX_ADDRESSES: 100,
+  // Transactions loaded at once; each costs two upstream requests
+  BATCH_SIZE: 20,
+  LOVELACE_PER_ADA: 1000000n,
+  // OFX field length limits
+  OFX_ACCOUNT_ID_LENGTH: 22,
+  OFX_NAME_LENGTH: 32,
+  OFX_MEMO_LENGTH: 255,
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  json: 'application/json',
+  ofx: 'application/x-ofx',
+};
+
+const tooManyTransactions = () =>
+  new APIError(
+    `Ledger exceeds ${LEDGER_CONFIG.MAX_TRANSACTIONS} transactions; narrow the date range`,
+    400
+  );
+
+/**
+ * Stops a long-running export once its request has been closed
+ * @param {AbortSignal} [signal] - Request signal
+ * @throws {APIError} 499 if the request was closed
+ * @private
+ */
+const assertActive = (signal) => {
+  // 499 (client closed request): the response can no longer be delivered
+  if (signal?.aborted) throw new APIError('Request closed', 499);
+};
+
+/**
+ * Rejects unsupported export formats before any chain data is loaded
+ * @param {string} format - Requested file format
+ * @throws {APIError} 400 unless the format is csv, json or ofx
+ */
+export const assertLedgerFormat = (format) => {
+  if (!LEDGER_CONFIG.FORMATS.includes(format))
+    throw new APIError('Format must be csv, json or ofx', 400);
+};
+
+// `range` holds block positions from resolveHistoryRange. With `latest`
+// the newest transactions are listed first and listing stops one past the
+// limit, so the caller can tell the history was cut.
+const listTransactions = async (address, range, { latest, signal }) => {
+  const transactions = [];
+  let cursor;
+  do {
+    assertActive(signal);
+    const page = await getAddressTransactionHistory(address, {
+      ...range,
+      cursor,
+      order: latest ? 'desc' : 'asc',
+      limit: LEDGER_CONFIG.PAGE_SIZE,
+    });
+    transactions.push(...page.transactions);
+    if (transactions.length > LEDGER_CONFIG.MAX_TRANSACTIONS) {
+      if (latest) return transactions;
+      throw tooManyTransactions();
+    }
+    cursor = page.pagination.nextCursor;
+  } while (cursor);
+  return transactions;
+};
+
+/**
+ * Turns a transaction's holdings change into a ledger row
+ * @param {Object} change - Result of getHoldingsChange
+ * @param {Set<string>} owned - Addresses the ledger covers
+ * @returns {Object} Ledger row
+ * @private
+ */
+const toLedgerRow = ({ tx, inputs, outputs, delta }, owned) => {
+  const netLovelace = delta.get('lovelace') || 0n;
+  const funded = inputs.some((input) => owned.has(input.address));
+  // A failed script forfeits the collateral instead of paying the fee
+  const fees =
+    tx.valid_contract === false ? -netLovelace : funded ? BigInt(tx.fees) : 0n;
+
+  return {
+    tx_hash: tx.hash,
+    block_height: tx.block_height,
+    block_time: tx.block_time,
+    timestamp: new Date(tx.block_time * 1000).toISOString(),
+    net_lovelace: netLovelace.toString(),
+    fees_lovelace: fees.toString(),
+    assets: [...delta]
+      .filter(([unit, quantity]) => unit !== 'lovelace' && quantity !== 0n)
+      .map(([unit, quantity]) => ({
+        ...describeUnit(unit),
+        quantity: quantity.toString(),
+      })),
+    counterparties: [
+      ...new Set(
+        [...inputs, ...outputs]
+          .map((entry) => entry.address)
+          .filter((address) => !owned.has(address))
+      ),
+    ],
+  };
+};
+
+/**
+ * Lists the holdings change of every transaction of a set of addresses,
+ * oldest first. A transaction between several of the addresses appears
+ * once.
+ * @param {Array<string>} addresses - Addresses to combine
+ * @param {Object} [options]
+ * @param {string} [options.from] - Earliest block height or ISO 8601 time,
+ *   as for getAddressTransactionHistory
+ * @param {string} [options.to] - Latest block height or ISO 8601 time
+ * @param {boolean} [options.latest=false] - Keep the latest MAX_TRANSACTIONS
+ *   transactions of a longer history instead of rejecting it
+ * @param {AbortSignal} [options.signal] - Stops loading when aborted
+ * @returns {Promise<Object>} `changes`, the getHoldingsChange results, and
+ *   `complete`, false when `latest` cut the history
+ * @throws {APIError} 400 for more than MAX_TRANSACTIONS transactions
+ *   without `latest`, 499 once the signal is aborted
+ */
+export const getHoldingsChanges = async (
+  addresses,
+  { from, to, latest = false, signal } = {}
+) => {
+  const owned = new Set(addresses);
+  const range = await resolveHistoryRange({ from, to });
+  if (!range) return { changes: [], complete: true };
+
+  const transactions = new Map();
+  for (const address of addresses) {
+    (await listTransactions(address, range, { latest, signal })).forEach((tx) =>
+      transactions.set(tx.tx_hash, tx)
+    );
+    if (!latest && transactions.size > LEDGER_CONFIG.MAX_TRANSACTIONS)
+      throw tooManyTransactions();
+  }
+
+  // Every address contributed its latest transactions, so the latest of
+  // their union are among them
+  const sorted = [...transactions.values()].sort(
+    (a, b) => a.block_height - b.block_height || a.tx_index - b.tx_index
+  );
+  const complete = sorted.length <= LEDGER_CONFIG.MAX_TRANSACTIONS;
+  const ordered = complete
+    ? sorted
+    : sorted.slice(-LEDGER_CONFIG.MAX_TRANSACTIONS);
+
+  // Bounded batches keep one export from queueing thousands of upstream
+  // requests ahead of everyone else's
+  const changes = [];
+  for (let i = 0; i < ordered.length; i += LEDGER_CONFIG.BATCH_SIZE) {
+    assertActive(signal);
+    changes.push(
+      ...(await Promise.all(
+        ordered
+          .slice(i, i + LEDGER_CONFIG.BATCH_SIZE)
+          .map(({ tx_hash }) => getHoldingsChange(tx_hash, owned))
+      ))
+    );
+  }
+  return { changes, complete };
+};
+
+/**
+ * Lists every payment address of a stake account
+ * @param {string} stakeAddress - Bech32 stake address
+ * @returns {Promise<Array<string>>} Addresses
+ * @throws {APIError} 400 for more than MAX_ADDRESSES addresses
+ */
+export const getAccountAddressList = async (stakeAddress) => {
+  const addresses = [];
+  for (let page = 1; ; page++) {
+    const entries = await getProvider().getAccountAddresses(stakeAddress, {
+      count: LEDGER_CONFIG.PAGE_SIZE,
+      page,
+    });
+    addresses.push(...entries.map((entry) => entry.address));
+    if (addresses.length > LEDGER_CONFIG.MAX_ADDRESSES)
+      throw new APIError(
+        `Stake account has more than ${LEDGER_CONFIG.MAX_ADDRESSES} addresses; export them individually`,
+        400
+      );
+    if (entries.length < LEDGER_CONFIG.PAGE_SIZE) return addresses;
+  }
+};
+
+const buildLedger = async (subject, addresses, balance, options) => {
+  const { from, to } = options;
+  const owned = new Set(addresses);
+  const { changes } = await getHoldingsChanges(addresses, options);
+
+  return {
+    subject,
+    addresses,
+    from: from ?? null,
+    to: to ?? null,
+    generated_at: new Date().toISOString(),
+    balance_lovelace: balance.toString(),
+    transactions: changes.map((change) => toLedgerRow(change, owned)),
+  };
+};
+
+/**
+ * Builds the ledger of a single address
+ * @param {string} address - Cardano address
+ * @param {Object} [options] - `from` and `to` block heights or ISO 8601
+ *   times, and a `signal`, as for getHoldingsChanges
+ * @returns {Promise<Object>} Ledger with subject, addresses, range,
+ *   current balance and one row per transaction, oldest first
+ * @throws {APIError} 400 for invalid input or too many transactions, 404
+ *   for unknown addresses
+ */
+export const getAddressLedger = async (address, options = {}) => {
+  getAddressStructure(address); // Rejects malformed addresses up front
+
+  let details;
+  try {
+    details = await getProvider().getAddress(address);
+  } catch (error) {
+    throw error.statusCode === 404
+      ? new APIError('Address not found', 404)
+      : error;
+  }
+
+  const lovelace =
+    details.amount?.find((amount) => amount.unit === 'lovelace')?.quantity ||
+    '0';
+  return buildLedger(address, [address], BigInt(lovelace), options);
+};
+
+/**
+ * Builds one ledger across every address of a stake account
+ * @param {string} stakeAddress - Bech32 stake address
+ * @param {Object} [options] - Range and signal as for getAddressLedger
+ * @returns {Promise<Object>} Ledger as for getAddressLedger; the balance
+ *   excludes unwithdrawn rewards
+ * @throws {APIError} 400 for invalid input, too many addresses or
+ *   transactions, 404 for unknown accounts
+ */
+export const getAccountLedger = async (stakeAddress, options = {}) => {
+  const account = await getAccountDetails(stakeAddress);
+  const addresses = await getAccountAddressList(stakeAddress);
+
+  const balance =
+    BigInt(account.controlled_amount || 0) -
+    BigInt(account.withdrawable_amount || 0);
+  return buildLedger(stakeAddress, addresses, balance, options);
+};
+
+/**
+ * Formats lovelace as a fixed six-decimal ADA amount, without float
+ * rounding
+ * @param {string|bigint} lovelace - Amount in lovelace
+ * @returns {string} ADA amount, e.g. `-1.500000`
+ */
+export const toAda = (lovelace) => {
+  const value = BigInt(lovelace);
+  const magnitude = value < 0n ? -value : value;
+  const whole = magnitude / LEDGER_CONFIG.LOVELACE_PER_ADA;
+  const fraction = (magnitude % LEDGER_CONFIG.LOVELACE_PER_ADA)
+    .toString()
+    .padStart(6, '0');
+  return `${value < 0n ? '-' : ''}${whole}.${fraction}`;
+};
+
+/**
+ * Formats a CSV field: text that a spreadsheet would read as a formula
+ * (e.g. a token name chosen by whoever minted it) is prefixed with `'`,
+ * and fields with a delimiter, quote or line break are quoted. Numbers,
+ * negative ones included, are kept as they are.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+export const toCsvField = (value) => {
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  ['date', (row) => row.timestamp],
+  ['tx_hash', (row) => row.tx_hash],
+  ['block_height', (row) => row.block_height],
+  ['net_ada', (row) => toAda(row.net_lovelace)],
+  ['fee_ada', (row) => toAda(row.fees_lovelace)],
+  [
+    'asset_changes',
+    (row) =>
+      row.assets.map((asset) => `${asset.unit}:${asset.quantity}`).join(' '),
+  ],
+  ['counterparties', (row) => row.counterparties.join(' ')],
+];
+
+const formatCsv = (ledger) =>
+  [
+    CSV_COLUMNS.map(([header]) => header),
+    ...ledger.transactions.map((row) =>
+      CSV_COLUMNS.map(([, cell]) => cell(row))
+    ),
+  ]
+    .map((fields) => fields.map(toCsvField).join(','))
+    .join('\r\n') + '\r\n';
+
+const escapeXml = (value) =>
+  String(value).replace(
+    /[<>&"']/g,
+    (char) =>
+      ({
+        '<': '&lt;',
+        '>': '&gt;',
+        '&': '&amp;',
+        '"': '&quot;',
+        "'": '&apos;',
+      }[char])
+  );
+
+// OFX dates are UTC timestamps in the form YYYYMMDDHHMMSS
+const toOfxDate = (isoTime) => isoTime.replace(/[-:T]/g, '').slice(0, 14);
+
+const toOfxTransaction = (row) => {
+  const memo = [
+    `Block ${row.block_height}`,
+    `fee ${toAda(row.fees_lovelace)} ADA`,
+    ...row.assets.map(
+      (asset) => `${asset.name || asset.unit} ${asset.quantity}`
+    ),
+  ].join('; ');
+
+  return [
+    '<STMTTRN>',
+    `<TRNTYPE>${BigInt(row.net_lovelace) < 0n ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+    `<DTPOSTED>${toOfxDate(row.timestamp)}</DTPOSTED>`,
+    `<TRNAMT>${toAda(row.net_lovelace)}</TRNAMT>`,
+    `<FITID>${row.tx_hash}</FITID>`,
+    ...(row.counterparties.length
+      ? [
+          `<NAME>${escapeXml(
+            row.counterparties[0].slice(0, LEDGER_CONFIG.OFX_NAME_LENGTH)
+          )}</NAME>`,
+        ]
+      : []),
+    `<MEMO>${escapeXml(memo.slice(0, LEDGER_CONFIG.OFX_MEMO_LENGTH))}</MEMO>`,
+    '</STMTTRN>',
+  ];
+};
+
+/**
+ * Formats a ledger as an OFX 2.2 bank statement. ADA has no ISO 4217 code,
+ * so CURDEF is ADA, and the account ID is the end of the address because
+ * OFX limits it to 22 characters.
+ * @param {Object} ledger - Ledger from getAddressLedger or getAccountLedger
+ * @returns {string} OFX document
+ * @private
+ */
+const formatOfx = (ledger) => {
+  const generated = toOfxDate(ledger.generated_at);
+  const rows = ledger.transactions;
+  const status = [
+    '<STATUS>',
+    '<CODE>0</CODE>',
+    '<SEVERITY>INFO</SEVERITY>',
+    '</STATUS>',
+  ];
+
+  return (
+    [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+      '<OFX>',
+      '<SIGNONMSGSRSV1>',
+      '<SONRS>',
+      ...status,
+      `<DTSERVER>${generated}</DTSERVER>`,
+      '<LANGUAGE>ENG</LANGUAGE>',
+      '</SONRS>',
+      '</SIGNONMSGSRSV1>',
+      '<BANKMSGSRSV1>',
+      '<STMTTRNRS>',
+      '<TRNUID>0</TRNUID>',
+      ...status,
+      '<STMTRS>',
+      '<CURDEF>ADA</CURDEF>',
+      '<BANKACCTFROM>',
+      '<BANKID>CARDANO</BANKID>',
+      `<ACCTID>${ledger.subject.slice(
+        -LEDGER_CONFIG.OFX_ACCOUNT_ID_LENGTH
+      )}</ACCTID>`,
+      '<ACCTTYPE>CHECKING</ACCTTYPE>',
+      '</BANKACCTFROM>',
+      '<BANKTRANLIST>',
+      `<DTSTART>${
+        rows.length ? toOfxDate(rows[0].timestamp) : generated
+      }</DTSTART>`,
+      `<DTEND>${
+        rows.length ? toOfxDate(rows.at(-1).timestamp) : generated
+      }</DTEND>`,
+      ...rows.flatMap(toOfxTransaction),
+      '</BANKTRANLIST>',
+      '<LEDGERBAL>',
+      `<BALAMT>${toAda(ledger.balance_lovelace)}</BALAMT>`,
+      `<DTASOF>${generated}</DTASOF>`,
+      '</LEDGERBAL>',
+      '</STMTRS>',
+      '</STMTTRNRS>',
+      '</BANKMSGSRSV1>',
+      '</OFX>',
+    ].join('\n') + '\n'
+  );
+};
+
+const FORMATTERS = {
+  csv: formatCsv,
+  json: (ledger) => JSON.stringify(ledger, null, 2),
+  ofx: formatOfx,
+};
+
+/**
+ * Formats a ledger as a downloadable file
+ * @param {Object} ledger - Ledger from getAddressLedger or getAccountLedger
+ * @param {string} format - `csv`, `json` or `ofx`
+ * @returns {{contentType: string, filename: string, body: string}} File
+ * @throws {APIError} 400 for unsupported formats
+ */
+export const formatLedger = (ledger, format) => {
+  assertLedgerFormat(format);
+  return {
+    contentType: CONTENT_TYPES[format],
+    filename: `ledger-${ledger.subject}.${format}`,
+    body: FORMATTERS[format](ledger),
+  };
+};
@@ -0,0 +1,127 @@
+/**
+ * Transaction Metadata Service
+ *
+ * Interprets transaction metadata by label:
+ * - 674: CIP-20 transaction messages (plain or encrypted)
+ * - 721: CIP-25 NFT metadata, resolved per asset
+ * - 61284/61285: CIP-15/CIP-36 Catalyst registrations and their witness
+ * - Any other label is passed through as JSON
+ *
+ * Byte strings arrive as `0x`-prefixed hex, as Blockfrost renders them.
+ *
+ * @module services/blockfrost/metadata
+ */
+
+import { encodeAddress } from '../../utils/address.js';
+import { describeUnit, resolveImageUrl } from './assets.js';
+
+const METADATA_LABELS = {
+  MESSAGE: '674',
+  NFT: '721',
+  CATALYST_REGISTRATION: '61284',
+  CATALYST_WITNESS: '61285',
+};
+
+const toHex = (value) =>
+  typeof value === 'string' && /^0x[0-9a-f]*$/i.test(value)
+    ? value.slice(2).toLowerCase()
+    : null;
+
+const joinText = (value) =>
+  Array.isArray(value) ? value.join('') : value ?? null;
+
+const interpretMessage = (json) => ({
+  standard: 'CIP-20',
+  name: 'Message',
+  message: Array.isArray(json?.msg) ? json.msg.map(String) : [],
+  encryption: json?.enc ?? null,
+});
+
+// CIP-25 v1 keys assets by their UTF-8 name, v2 by the hex name
+const interpretNft = (json) => {
+  const version = Number(json?.version) === 2 ? 2 : 1;
+
+  const nfts = Object.entries(json || {})
+    .filter(([policyId, assets]) => /^[0-9a-f]{56}$/i.test(policyId) && assets)
+    .flatMap(([policyId, assets]) =>
+      Object.entries(assets).map(([assetName, metadata]) => {
+        const hexName =
+          version === 2
+            ? toHex(assetName) ?? assetName.toLowerCase()
+            : Buffer.from(assetName, 'utf8').toString('hex');
+        const policy = policyId.toLowerCase();
+
+        return {
+          ...(/^([0-9a-f]{2}){0,32}$/.test(hexName)
+            ? describeUnit(`${policy}${hexName}`)
+            : { unit: null, policy_id: policy, name: assetName }),
+          display_name: joinText(metadata?.name),
+          description: joinText(metadata?.description),
+          image: resolveImageUrl(metadata?.image),
+        };
+      })
+    );
+
+  return { standard: 'CIP-25', name: 'NFT Metadata', version, nfts };
+};
+
+// CIP-15 registrations name one voting key; CIP-36 may split voting power
+// across weighted delegations
+const interpretRegistration = (json) => {
+  const voting = json?.['1'];
+
+  return {
+    standard: 'CIP-36',
+    name: 'Catalyst Registration',
+    voting_key: toHex(voting),
+    delegations: Array.isArray(voting)
+      ? voting.map(([key, weight]) => ({ key: toHex(key), weight }))
+      : null,
+    stake_key: toHex(json?.['2']),
+    reward_address: encodeAddress(Buffer.from(toHex(json?.['3']) ?? '', 'hex')),
+    nonce: json?.['4'] ?? null,
+    voting_purpose: json?.['5'] ?? 0,
+  };
+};
+
+const interpretWitness = (json) => ({
+  standard: 'CIP-36',
+  name: 'Catalyst Registration Witness',
+  signature: toHex(json?.['1']),
+});
+
+const INTERPRETERS = {
+  [METADATA_LABELS.MESSAGE]: interpretMessage,
+  [METADATA_LABELS.NFT]: interpretNft,
+  [METADATA_LABELS.CATALYST_REGISTRATION]: interpretRegistration,
+  [METADATA_LABELS.CATALYST_WITNESS]: interpretWitness,
+};
+
+const UNINTERPRETED = { standard: null, name: null };
+
+// Metadata is free-form, so a malformed payload under a known label is
+// shown as plain JSON rather than failing the transaction
+const interpretLabel = (label, json) => {
+  const interpret = INTERPRETERS[label];
+  if (!interpret) return UNINTERPRETED;
+
+  try {
+    return interpret(json);
+  } catch (error) {
+    return UNINTERPRETED;
+  }
+};
+
+/**
+ * Interprets a transaction's metadata
+ * @param {Array<{label: string, json_metadata: *}>} entries - Metadata
+ *   entries in Blockfrost's shape
+ * @returns {Array<Object>} Entries with label, json and, for known labels,
+ *   standard, name and the interpreted fields; standard is null otherwise
+ */
+export const interpretMetadata = (entries = []) =>
+  entries.map(({ label, json_metadata: json }) => ({
+    label: String(label),
+    ...interpretLabel(String(label), json),
+    json,
+  }));
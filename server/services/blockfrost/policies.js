@@ -0,0 +1,197 @@
+/**
+ * Minting Policy Service
+ *
+ * Handles all minting policy chain data interactions:
+ * - Policy ID validation
+ * - Paginated listing of the assets minted under a policy
+ * - Asset count and current supply across the policy
+ * - Total minted across smaller policies, from each asset's mint history
+ * - Native script lookup with timelock ("locked after slot X") status
+ *
+ * @module services/blockfrost/policies
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { assertPagination, openPagination } from './utils.js';
+import { describeUnit } from './assets.js';
+import { getProvider } from '../providers/index.js';
+
+const POLICY_PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100, // Blockfrost's maximum page size
+};
+
+const POLICY_CONFIG = {
+  // Totals walk the whole policy; larger policies report partial totals
+  MAX_TOTAL_PAGES: 20,
+  // Total minted reads every asset's history, one request per page, so
+  // only smaller policies with short histories get it
+  MAX_MINTED_ASSETS: 100,
+  MAX_HISTORY_PAGES: 5,
+};
+
+const POLICY_ID_PATTERN = /^[0-9a-f]{56}$/;
+
+export const isPolicyId = (value) => POLICY_ID_PATTERN.test(value || '');
+
+const assertPolicyId = (policyId) => {
+  if (!isPolicyId(policyId)) throw new APIError('Invalid policy ID', 400);
+};
+
+const describePolicyAssets = (assets) =>
+  assets.map(({ asset, quantity }) => ({ ...describeUnit(asset), quantity }));
+
+// Sums the policy's assets page by page, up to maxPages
+const loadTotals = async (policyId, maxPages) => {
+  const provider = getProvider();
+  const count = POLICY_PAGINATION.MAX_LIMIT;
+  const units = [];
+  let quantity = 0n;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const assets = await provider.getPolicyAssets(policyId, { count, page });
+    units.push(...assets.map(({ asset }) => asset));
+    quantity = assets.reduce(
+      (sum, asset) => sum + BigInt(asset.quantity),
+      quantity
+    );
+
+    if (assets.length < count) {
+      return { assetCount: units.length, units, quantity, complete: true };
+    }
+  }
+
+  return { assetCount: units.length, units, quantity, complete: false };
+};
+
+// Sums an asset's mints, or null when its history runs past
+// MAX_HISTORY_PAGES
+const loadMinted = async (unit) => {
+  const provider = getProvider();
+  const count = POLICY_PAGINATION.MAX_LIMIT;
+  let minted = 0n;
+
+  for (let page = 1; page <= POLICY_CONFIG.MAX_HISTORY_PAGES; page++) {
+    const history = await provider.getAssetHistory(unit, { count, page });
+    minted = history
+      .filter(({ action }) => action === 'minted')
+      .reduce((sum, { amount }) => sum + BigInt(amount), minted);
+
+    if (history.length < count) return minted;
+  }
+
+  return null;
+};
+
+// Burns are not in the policy's asset list, so the total ever minted comes
+// from the mint history of each asset
+const loadTotalMinted = async (totals) => {
+  if (!totals.complete || totals.assetCount > POLICY_CONFIG.MAX_MINTED_ASSETS) {
+    return null;
+  }
+
+  const minted = await Promise.all(totals.units.map(loadMinted));
+  return minted.includes(null)
+    ? null
+    : minted.reduce((sum, amount) => sum + amount, 0n);
+};
+
+/**
+ * Finds the slot from which a native script can no longer be satisfied
+ * @param {Object} script - Native script JSON (sig, all, any, atLeast,
+ *   before, after)
+ * @returns {number|null} The script's `before` bound, or null when it can
+ *   be satisfied indefinitely
+ * @private
+ */
+const getLockSlot = (script) => {
+  if (script.type === 'before') return script.slot;
+  if (!['all', 'any', 'atLeast'].includes(script.type)) return null;
+
+  const children = script.scripts || [];
+  const required =
+    script.type === 'all'
+      ? children.length
+      : script.type === 'any'
+      ? 1
+      : script.required;
+
+  // The script locks once more than `children - required` children have
+  // locked, i.e. at the (children - required + 1)-th earliest lock slot
+  const locking = children.length - required + 1;
+  if (locking < 1) return 0;
+
+  const lockSlots = children
+    .map(getLockSlot)
+    .filter((slot) => slot !== null)
+    .sort((a, b) => a - b);
+  return lockSlots.length >= locking ? lockSlots[locking - 1] : null;
+};
+
+// The policy ID is the hash of its script; scripts only become known to
+// Blockfrost once they have been used in a transaction
+const loadScript = async (policyId) => {
+  const provider = getProvider();
+
+  try {
+    const script = await provider.getScript(policyId);
+    if (script.type !== 'timelock') {
+      return {
+        type: script.type,
+        serialised_size: script.serialised_size ?? null,
+      };
+    }
+
+    const [{ json }, tip] = await Promise.all([
+      provider.getScriptJson(policyId),
+      provider.getLatestBlock(),
+    ]);
+    const lockSlot = json ? getLockSlot(json) : null;
+
+    return {
+      type: script.type,
+      json,
+      locked_after_slot: lockSlot,
+      locked: lockSlot !== null && tip.slot >= lockSlot,
+    };
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+};
+
+export const getPolicy = async (
+  policyId,
+  page = 1,
+  limit = POLICY_PAGINATION.DEFAULT_LIMIT,
+  { maxTotalPages = POLICY_CONFIG.MAX_TOTAL_PAGES, withTotalMinted = true } = {}
+) => {
+  assertPolicyId(policyId);
+  assertPagination(page, limit, POLICY_PAGINATION.MAX_LIMIT);
+
+  try {
+    const [assets, totals, script] = await Promise.all([
+      getProvider().getPolicyAssets(policyId, { count: limit, page }),
+      loadTotals(policyId, maxTotalPages),
+      loadScript(policyId),
+    ]);
+
+    if (!totals.assetCount) throw new APIError('Policy not found', 404);
+    const totalMinted = withTotalMinted ? await loadTotalMinted(totals) : null;
+
+    return {
+      policy_id: policyId,
+      asset_count: totals.assetCount,
+      // Current quantity across the policy, i.e. minted less burned
+      supply: totals.quantity.toString(),
+      total_minted: totalMinted === null ? null : totalMinted.toString(),
+      totals_complete: totals.complete,
+      script,
+      assets: describePolicyAssets(assets),
+      pagination: openPagination(page, limit, assets.length),
+    };
+  } catch (error) {
+    if (error.statusCode === 404) throw new APIError('Policy not found', 404);
+    throw error;
+  }
+};
@@ -0,0 +1,164 @@
+/**
+ * Stake Pool Service
+ *
+ * Handles all stake pool chain data interactions:
+ * - Paginated pool listings with tickers
+ * - Pool parameters, metadata and relays
+ * - Per-epoch pool history
+ * - Blocks produced by a pool
+ *
+ * @module services/blockfrost/pools
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { logger } from '../../utils/logger.js';
+import { assertPagination, openPagination } from './utils.js';
+import { getBlockSummaries } from './blocks.js';
+import { getProvider } from '../providers/index.js';
+
+const POOL_PAGINATION = {
+  DEFAULT_LIMIT: 20,
+  MAX_LIMIT: 100, // Blockfrost's maximum page size
+};
+
+// Bech32 pool ids share the `pool` prefix on every network
+const POOL_ID_PATTERN = /^pool1[0-9a-z]+$/;
+
+export const isPoolId = (value) => POOL_ID_PATTERN.test(value || '');
+
+const assertPoolId = (poolId) => {
+  if (!isPoolId(poolId)) throw new APIError('Invalid pool ID', 400);
+};
+
+const rethrowNotFound = (error) => {
+  if (error.statusCode === 404) throw new APIError('Pool not found', 404);
+  throw error;
+};
+
+// Pools without registered metadata have no ticker or name
+const loadPoolMetadata = (poolId) =>
+  getProvider()
+    .getPoolMetadata(poolId)
+    .then((metadata) => (metadata?.ticker || metadata?.name ? metadata : null))
+    .catch((error) => {
+      if (error.statusCode === 404) return null;
+      throw error;
+    });
+
+export const getPools = async (
+  page = 1,
+  limit = POOL_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertPagination(page, limit, POOL_PAGINATION.MAX_LIMIT);
+
+  const pools = await getProvider().getPools({ count: limit, page });
+
+  return {
+    pools: pools.map((pool) => ({
+      pool_id: pool.pool_id,
+      ticker: pool.metadata?.ticker || null,
+      name: pool.metadata?.name || null,
+      active_stake: pool.active_stake,
+      live_stake: pool.live_stake,
+      live_saturation: pool.live_saturation,
+      blocks_minted: pool.blocks_minted,
+      declared_pledge: pool.declared_pledge,
+      margin_cost: pool.margin_cost,
+      fixed_cost: pool.fixed_cost,
+    })),
+    pagination: openPagination(page, limit, pools.length),
+  };
+};
+
+export const getPoolDetails = async (poolId) => {
+  assertPoolId(poolId);
+
+  const provider = getProvider();
+
+  try {
+    const [pool, metadata, relays] = await Promise.all([
+      provider.getPool(poolId),
+      loadPoolMetadata(poolId),
+      provider.getPoolRelays(poolId),
+    ]);
+
+    return {
+      ...pool,
+      metadata,
+      relays,
+      saturation: pool.live_saturation,
+      retiring: pool.retirement?.length > 0,
+    };
+  } catch (error) {
+    return rethrowNotFound(error);
+  }
+};
+
+export const getPoolHistory = async (
+  poolId,
+  page = 1,
+  limit = POOL_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertPoolId(poolId);
+  assertPagination(page, limit, POOL_PAGINATION.MAX_LIMIT);
+
+  try {
+    const history = await getProvider().getPoolHistory(poolId, {
+      order: 'desc',
+      count: limit,
+      page,
+    });
+
+    return {
+      history,
+      pagination: openPagination(page, limit, history.length),
+    };
+  } catch (error) {
+    return rethrowNotFound(error);
+  }
+};
+
+export const getPoolBlocks = async (
+  poolId,
+  page = 1,
+  limit = POOL_PAGINATION.DEFAULT_LIMIT
+) => {
+  assertPoolId(poolId);
+  assertPagination(page, limit, POOL_PAGINATION.MAX_LIMIT);
+
+  const provider = getProvider();
+
+  try {
+    const [pool, blockHashes] = await Promise.all([
+      provider.getPool(poolId),
+      provider.getPoolBlocks(poolId, { order: 'desc', count: limit, page }),
+    ]);
+
+    const { blocks, failed } = await getBlockSummaries(blockHashes);
+    if (failed.length) {
+      logger.warn('Pool blocks partially loaded', {
+        poolId,
+        failed: failed.length,
+      });
+    }
+
+    const totalBlocks = pool.blocks_minted || 0;
+    const totalPages = Math.max(1, Math.ceil(totalBlocks / limit));
+
+    return {
+      blocks,
+      failed,
+      incomplete: failed.length > 0,
+      pagination: {
+        currentPage: page,
+        limit,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrevious: page > 1,
+        totalBlocks,
+      },
+    };
+  } catch (error) {
+    return rethrowNotFound(error);
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * Upstream Request Scheduler
+ *
+ * Schedules Blockfrost requests within the API's limits:
+ * - Concurrency cap on in-flight requests
+ * - Token bucket matching Blockfrost's burst and per-second limits
+ * - Retries for 429 and transient 5xx responses with exponential
+ *   backoff and full jitter (honouring Retry-After when present)
+ *
+ * @module services/blockfrost/scheduler
+ */
+
+import { logger } from '../../utils/logger.js';
+
+const DEFAULTS = {
+  CONCURRENCY: 10,
+  RATE_PER_SECOND: 10, // Blockfrost sustained rate
+  BURST: 500, // Blockfrost burst allowance
+  MAX_RETRIES: 4,
+  BASE_DELAY: 500, // ms
+  MAX_DELAY: 10000, // ms
+};
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const isRetryable = (error) =>
+  RETRYABLE_STATUS_CODES.includes(error?.statusCode);
+
+/**
+ * Computes the delay before a retry attempt
+ * @param {number} attempt - Retry attempt, starting at 1
+ * @param {Object} error - Error that triggered the retry
+ * @param {Object} config - Scheduler configuration
+ * @returns {number} Delay in ms
+ * @private
+ */
+const getRetryDelay = (attempt, error, config) => {
+  if (error.retryAfter)
+    return Math.min(error.retryAfter * 1000, config.maxDelay);
+
+  const backoff = Math.min(
+    config.baseDelay * 2 ** (attempt - 1),
+    config.maxDelay
+  );
+  return Math.random() * backoff;
+};
+
+/**
+ * Creates a request scheduler
+ * @param {Object} [options={}] - Scheduler options
+ * @param {number} [options.concurrency] - Maximum in-flight requests
+ * @param {number} [options.ratePerSecond] - Token refill rate
+ * @param {number} [options.burst] - Token bucket capacity
+ * @param {number} [options.maxRetries] - Retries per request
+ * @param {number} [options.baseDelay] - First backoff step in ms
+ * @param {number} [options.maxDelay] - Backoff ceiling in ms
+ * @returns {{run: Function, stats: Function}} Scheduler
+ */
+export const createScheduler = ({
+  concurrency = DEFAULTS.CONCURRENCY,
+  ratePerSecond = DEFAULTS.RATE_PER_SECOND,
+  burst = DEFAULTS.BURST,
+  maxRetries = DEFAULTS.MAX_RETRIES,
+  baseDelay = DEFAULTS.BASE_DELAY,
+  maxDelay = DEFAULTS.MAX_DELAY,
+} = {}) => {
+  const config = { baseDelay, maxDelay };
+  const queue = [];
+  let active = 0;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let drainTimer = null;
+
+  const refillTokens = () => {
+    const now = Date.now();
+    tokens = Math.min(
+      burst,
+      tokens + ((now - lastRefill) / 1000) * ratePerSecond
+    );
+    lastRefill = now;
+  };
+
+  // Starts queued tasks while slots and tokens are available; when only
+  // tokens are missing, waits for the next one to refill
+  const drain = () => {
+    refillTokens();
+
+    while (queue.length && active < concurrency && tokens >= 1) {
+      tokens -= 1;
+      active += 1;
+      const { task, resolve, reject } = queue.shift();
+
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          active -= 1;
+          drain();
+        });
+    }
+
+    if (queue.length && active < concurrency && !drainTimer) {
+      drainTimer = setTimeout(() => {
+        drainTimer = null;
+        drain();
+      }, ((1 - tokens) / ratePerSecond) * 1000);
+    }
+  };
+
+  const enqueue = (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      drain();
+    });
+
+  /**
+   * Runs a request through the scheduler, retrying retryable failures
+   * @param {Function} task - Performs one request attempt
+   * @param {Object} [context={}] - Logging context
+   * @param {Object} [options={}] - Run options
+   * @param {Function} [options.retryOn] - Decides which errors are retried,
+   *   defaults to 429 and transient 5xx responses
+   * @returns {Promise<*>} Task result
+   */
+  const run = async (task, context = {}, { retryOn = isRetryable } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await enqueue(task);
+      } catch (error) {
+        if (!retryOn(error) || attempt >= maxRetries) throw error;
+
+        const delay = getRetryDelay(attempt + 1, error, config);
+        logger.warn('Retrying upstream request', {
+          ...context,
+          status: error.statusCode,
+          attempt: attempt + 1,
+          delay: Math.round(delay),
+        });
+        await sleep(delay);
+      }
+    }
+  };
+
+  const stats = () => ({ active, queued: queue.length, tokens });
+
+  return { run, stats };
+};
@@ -0,0 +1,150 @@
+/**
+ * Script and Datum Service
+ *
+ * Handles all script and datum chain data interactions:
+ * - Script lookup with type, Plutus version and size
+ * - CBOR for Plutus scripts, JSON for native scripts
+ * - Datum lookup by hash
+ * - Plutus data decoding from CBOR into a readable JSON tree
+ *
+ * Decoded datums follow the detailed schema used by cardano-cli:
+ * `{constructor, fields}`, `{int}`, `{bytes}`, `{list}` and
+ * `{map: [{k, v}]}`.
+ *
+ * @module services/blockfrost/scripts
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { decode, CborTag } from '../../utils/cbor.js';
+import { getProvider } from '../providers/index.js';
+
+const SCRIPT_HASH_PATTERN = /^[0-9a-f]{56}$/;
+const DATUM_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+const PLUTUS_VERSIONS = {
+  plutusV1: 1,
+  plutusV2: 2,
+  plutusV3: 3,
+};
+
+// Constructors 0-6 use tags 121-127, 7-127 use tags 1280-1400 and any
+// other constructor is tag 102 wrapping [constructor, fields]
+const CONSTRUCTOR_TAGS = {
+  COMPACT: { FIRST: 121, LAST: 127, OFFSET: 121 },
+  EXTENDED: { FIRST: 1280, LAST: 1400, OFFSET: 1280 - 7 },
+  GENERAL: 102,
+};
+
+const assertScriptHash = (hash) => {
+  if (!SCRIPT_HASH_PATTERN.test(hash || ''))
+    throw new APIError('Invalid script hash', 400);
+};
+
+const assertDatumHash = (hash) => {
+  if (!DATUM_HASH_PATTERN.test(hash || ''))
+    throw new APIError('Invalid datum hash', 400);
+};
+
+// Integers beyond the safe range are kept exact as strings
+const toJsonInt = (value) =>
+  typeof value === 'bigint' ? value.toString() : value;
+
+const toConstructor = ({ tag, value }) => {
+  const { COMPACT, EXTENDED, GENERAL } = CONSTRUCTOR_TAGS;
+
+  if (tag >= COMPACT.FIRST && tag <= COMPACT.LAST)
+    return { constructor: tag - COMPACT.OFFSET, fields: value };
+  if (tag >= EXTENDED.FIRST && tag <= EXTENDED.LAST)
+    return { constructor: tag - EXTENDED.OFFSET, fields: value };
+  if (tag === GENERAL && Array.isArray(value) && value.length === 2)
+    return { constructor: toJsonInt(value[0]), fields: value[1] };
+  throw new Error(`Unexpected tag ${tag} in Plutus data`);
+};
+
+/**
+ * Converts a decoded CBOR value to the Plutus data JSON tree
+ * @param {*} value - Value from utils/cbor decode
+ * @returns {Object} Plutus data tree
+ * @throws {Error} If the value is not Plutus data
+ */
+export const toPlutusJson = (value) => {
+  if (value instanceof CborTag) {
+    const { constructor, fields } = toConstructor(value);
+    if (!Array.isArray(fields))
+      throw new Error('Constructor fields must be a list');
+    return { constructor, fields: fields.map(toPlutusJson) };
+  }
+  if (typeof value === 'number' || typeof value === 'bigint')
+    return { int: toJsonInt(value) };
+  if (Buffer.isBuffer(value)) return { bytes: value.toString('hex') };
+  if (Array.isArray(value)) return { list: value.map(toPlutusJson) };
+  if (value instanceof Map) {
+    return {
+      map: [...value].map(([k, v]) => ({
+        k: toPlutusJson(k),
+        v: toPlutusJson(v),
+      })),
+    };
+  }
+  throw new Error('Value is not Plutus data');
+};
+
+/**
+ * Decodes CBOR-encoded Plutus data into its JSON tree
+ * @param {string|Buffer} cbor - CBOR bytes, or hex
+ * @returns {Object|null} Decoded tree, or null when the bytes are not
+ *   valid Plutus data
+ */
+export const decodePlutusData = (cbor) => {
+  try {
+    return toPlutusJson(decode(cbor));
+  } catch (error) {
+    return null;
+  }
+};
+
+export const getScriptDetails = async (hash) => {
+  assertScriptHash(hash);
+
+  const provider = getProvider();
+
+  try {
+    const script = await provider.getScript(hash);
+    const native = script.type === 'timelock';
+
+    // Native scripts have a JSON form; Plutus scripts only their CBOR
+    const [json, cbor] = await Promise.all([
+      native ? provider.getScriptJson(hash) : null,
+      native ? null : provider.getScriptCbor(hash),
+    ]);
+
+    return {
+      script_hash: hash,
+      type: script.type,
+      plutus_version: PLUTUS_VERSIONS[script.type] ?? null,
+      serialised_size: script.serialised_size ?? null,
+      cbor: cbor?.cbor ?? null,
+      json: json?.json ?? null,
+    };
+  } catch (error) {
+    if (error.statusCode === 404) throw new APIError('Script not found', 404);
+    throw error;
+  }
+};
+
+export const getDatumDetails = async (hash) => {
+  assertDatumHash(hash);
+
+  try {
+    const { cbor } = await getProvider().getDatumCbor(hash);
+
+    return {
+      datum_hash: hash,
+      cbor,
+      json: decodePlutusData(cbor),
+    };
+  } catch (error) {
+    if (error.statusCode === 404) throw new APIError('Datum not found', 404);
+    throw error;
+  }
+};
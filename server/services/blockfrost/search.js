@@ -4,39 +4,92 @@
  * Handles unified search across all Cardano entities:
  * - Block search by height/hash
  * - Transaction search by hash
- * - Address search (base/stake)
+ * - Address search (Shelley bech32 and Byron base58, checksum verified)
+ * - ADA Handle search ("$name"), resolved to the holding address
  * - Stake pool search
+ * - Minting policy search by policy ID
+ * - Epoch search ("epoch 450")
  * - Validation and type detection
  *
  * @module services/blockfrost/search
  */
 
 import { APIError } from '../../utils/APIError.js';
-import { fetchFromBlockfrost } from './utils.js';
+import { getProvider } from '../providers/index.js';
+import {
+  NETWORKS,
+  getAddressPrefixes,
+  getCurrentNetwork,
+} from '../../utils/network.js';
 import { getBlockByHash } from './blocks.js';
 import { getTransactionDetails } from './transactions.js';
-import { getAddressDetails } from './addresses.js';
+import { getAddressDetails, getAddressStructure } from './addresses.js';
+import { getEpoch } from './epochs.js';
+import { getPolicy } from './policies.js';
+import { resolveHandle } from './handles.js';
 
 const SEARCH_PATTERNS = {
   HEIGHT: /^\d+$/,
   HASH: /^[0-9a-fA-F]{64}$/,
-  ADDRESS: /^addr1[a-zA-Z0-9]+$/,
-  STAKE: /^stake1[a-zA-Z0-9]+$/,
+  POLICY: /^[0-9a-fA-F]{56}$/,
+  ADDRESS: /^(addr|addr_test)1[a-zA-Z0-9]+$/,
+  BYRON_ADDRESS: /^[1-9A-HJ-NP-Za-km-z]{50,}$/,
+  STAKE: /^(stake|stake_test)1[a-zA-Z0-9]+$/,
   POOL: /^pool1[a-zA-Z0-9]+$/,
+  EPOCH: /^epoch\s*#?(\d+)$/i,
+  HANDLE: /^\$[a-zA-Z0-9_.@-]+$/,
+};
+
+// Rejects addresses whose bech32 prefix belongs to another network
+const assertNetworkPrefix = (query, expectedPrefix) => {
+  if (!query.startsWith(`${expectedPrefix}1`)) {
+    throw new APIError(
+      `Address does not belong to this network (expected ${expectedPrefix}1...)`,
+      400
+    );
+  }
+};
+
+// Byron addresses have no prefix; testnet ones carry a protocol magic
+const assertByronNetwork = ({ network }) => {
+  if ((network === 'testnet') !== NETWORKS[getCurrentNetwork()].testnet) {
+    throw new APIError(
+      `Address does not belong to this network (it is a ${network} address)`,
+      400
+    );
+  }
 };
 
 export const search = async (query) => {
   if (!query || query.length < 3)
     throw new APIError('Search query too short', 400);
 
+  const provider = getProvider();
   const cleanQuery = query.replace(/,/g, '');
 
   // Block height search
   if (SEARCH_PATTERNS.HEIGHT.test(cleanQuery)) {
-    const block = await fetchFromBlockfrost(`/blocks/${parseInt(cleanQuery)}`);
+    const block = await provider.getBlock(parseInt(cleanQuery));
     return { type: 'block', result: block };
   }
 
+  // Epoch search
+  const epochMatch = cleanQuery.match(SEARCH_PATTERNS.EPOCH);
+  if (epochMatch) {
+    const number = parseInt(epochMatch[1]);
+    const [epoch, [latestBlockHash] = []] = await Promise.all([
+      getEpoch(number),
+      provider.getEpochBlocks(number, { order: 'desc', count: 1 }),
+    ]);
+    return {
+      type: 'epoch',
+      result: {
+        ...epoch,
+        latestBlock: latestBlockHash ? { hash: latestBlockHash } : null,
+      },
+    };
+  }
+
   // Hash search (block or transaction)
   if (SEARCH_PATTERNS.HASH.test(query)) {
     const [block, transaction] = await Promise.allSettled([
@@ -52,17 +105,39 @@ export const search = async (query) => {
     throw new APIError('No block or transaction found with this hash', 404);
   }
 
+  // Policy search
+  if (SEARCH_PATTERNS.POLICY.test(query)) {
+    // A result only previews the policy, so its totals stop after a page
+    // and skip the mint history
+    const policy = await getPolicy(query.toLowerCase(), 1, 10, {
+      maxTotalPages: 1,
+      withTotalMinted: false,
+    });
+    return { type: 'policy', result: policy };
+  }
+
   // Address search
   if (SEARCH_PATTERNS.ADDRESS.test(query)) {
+    assertNetworkPrefix(query, getAddressPrefixes().address);
+    getAddressStructure(query); // Verifies the checksum
     const address = await getAddressDetails(query);
     return { type: 'address', result: { address: query, ...address } };
   }
 
+  // ADA Handle search
+  if (SEARCH_PATTERNS.HANDLE.test(query)) {
+    const { handle, address } = await resolveHandle(query);
+    const details = await getAddressDetails(address);
+    return { type: 'address', result: { ...details, address, handle } };
+  }
+
   // Stake address search
   if (SEARCH_PATTERNS.STAKE.test(query)) {
+    assertNetworkPrefix(query, getAddressPrefixes().stake);
+    getAddressStructure(query); // Verifies the checksum
     const [details, rewards] = await Promise.all([
-      fetchFromBlockfrost(`/accounts/${query}`),
-      fetchFromBlockfrost(`/accounts/${query}/rewards`),
+      provider.getAccount(query),
+      provider.getAccountRewards(query),
     ]);
     return {
       type: 'stake_address',
@@ -73,11 +148,18 @@ export const search = async (query) => {
   // Pool search
   if (SEARCH_PATTERNS.POOL.test(query)) {
     const [pool, metadata] = await Promise.all([
-      fetchFromBlockfrost(`/pools/${query}`),
-      fetchFromBlockfrost(`/pools/${query}/metadata`),
+      provider.getPool(query),
+      provider.getPoolMetadata(query),
     ]);
     return { type: 'pool', result: { ...pool, metadata } };
   }
 
+  // Byron address search
+  if (SEARCH_PATTERNS.BYRON_ADDRESS.test(query)) {
+    assertByronNetwork(getAddressStructure(query));
+    const address = await getAddressDetails(query);
+    return { type: 'address', result: { address: query, ...address } };
+  }
+
   throw new APIError('Invalid search format', 400);
 };
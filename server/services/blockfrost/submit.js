@@ -0,0 +1,107 @@
+/**
+ * Transaction Submission Service
+ *
+ * Submits signed transactions after structural pre-flight checks:
+ * - Well-formed transaction CBOR
+ * - Key witnesses present, including one per required signer
+ * - Validity interval open at the current tip (TTL not expired)
+ * - Size within the protocol maximum
+ *
+ * The checks catch the common ways a pasted transaction fails before it
+ * reaches the node; the ledger still performs full validation.
+ *
+ * @module services/blockfrost/submit
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { getCurrentNetwork } from '../../utils/network.js';
+import { getProvider } from '../providers/index.js';
+import { decodeTransaction } from './txDecoder.js';
+
+const SUBMIT_CONFIG = {
+  // Used when the provider does not report max_tx_size
+  DEFAULT_MAX_TX_SIZE: 16384,
+};
+
+const assertSigned = ({ body, witnesses }) => {
+  const keyHashes = new Set(witnesses.vkeys.map((vkey) => vkey.key_hash));
+
+  if (!keyHashes.size && !witnesses.bootstrap.length) {
+    throw new APIError(
+      'Transaction has no signatures; it must be signed before submission',
+      400
+    );
+  }
+
+  // Counted rather than listed: production error messages mask hashes
+  const missing = body.required_signers.filter((hash) => !keyHashes.has(hash));
+  if (missing.length) {
+    throw new APIError(
+      `Transaction is missing ${missing.length} of ${body.required_signers.length} required signatures`,
+      400
+    );
+  }
+};
+
+const assertValidAt = ({ body }, slot) => {
+  if (body.invalid_hereafter !== null && slot >= Number(body.invalid_hereafter))
+    throw new APIError(
+      `Transaction expired at slot ${body.invalid_hereafter} (current slot ${slot})`,
+      400
+    );
+  if (body.invalid_before !== null && slot < Number(body.invalid_before))
+    throw new APIError(
+      `Transaction is not valid before slot ${body.invalid_before} (current slot ${slot})`,
+      400
+    );
+};
+
+const assertSize = ({ size }, parameters) => {
+  const maxSize =
+    Number(parameters?.max_tx_size) || SUBMIT_CONFIG.DEFAULT_MAX_TX_SIZE;
+  if (size > maxSize)
+    throw new APIError(
+      `Transaction is ${size} bytes; the protocol maximum is ${maxSize}`,
+      400
+    );
+};
+
+/**
+ * Validates and submits a signed transaction
+ * @param {string} cbor - Hex-encoded signed transaction
+ * @returns {Promise<{hash: string, status_url: string}>} Transaction hash
+ *   and the API URL that reports it once it is in a block
+ * @throws {APIError} 400 if a pre-flight check fails or the node rejects
+ *   the transaction
+ */
+export const submitTransaction = async (cbor) => {
+  const transaction = decodeTransaction(cbor);
+  assertSigned(transaction);
+
+  const provider = getProvider();
+  const [tip, parameters] = await Promise.all([
+    provider.getLatestBlock(),
+    provider.getLatestParameters(),
+  ]);
+  assertValidAt(transaction, tip.slot);
+  assertSize(transaction, parameters);
+
+  try {
+    await provider.submitTx(Buffer.from(cbor.replace(/\s+/g, ''), 'hex'));
+  } catch (error) {
+    if (error.statusCode === 400)
+      throw new APIError(`Transaction rejected: ${error.message}`, 400);
+    // The node may have accepted it before the response was lost
+    if (error.statusCode >= 500)
+      throw new APIError(
+        `Submission outcome unknown (${error.message}); the transaction may still reach the chain, so look up its hash before resubmitting`,
+        502
+      );
+    throw error;
+  }
+
+  return {
+    hash: transaction.hash,
+    status_url: `/api/${getCurrentNetwork()}/tx/${transaction.hash}`,
+  };
+};
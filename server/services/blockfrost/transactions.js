@@ -1,31 +1,246 @@
 /**
  * Transaction Service
  *
- * Handles all transaction-related Blockfrost interactions:
+ * Handles all transaction-related chain data interactions:
  * - Transaction details retrieval
  * - UTXO processing
  * - Amount calculations
  * - Block associations
  * - Asset tracking
+ * - Metadata interpretation by label
+ * - Certificates, withdrawals, mints/burns and Plutus redeemers
+ * - Datums and reference scripts attached to UTXOs
+ * - Raw transaction CBOR
+ * - Net change of a transaction to the holdings of a set of addresses
  *
  * @module services/blockfrost/transactions
  */
 
 import { APIError } from '../../utils/APIError.js';
-import { fetchFromBlockfrost, calculateAmount } from './utils.js';
+import { calculateAmount } from './utils.js';
+import { getProvider } from '../providers/index.js';
+import { describeAssets, describeUnit } from './assets.js';
+import { interpretMetadata } from './metadata.js';
+import { decodePlutusData } from './scripts.js';
 
-export const getTransactionDetails = async (hash) => {
+const assertTxHash = (hash) => {
   if (!hash || hash.length !== 64)
     throw new APIError('Invalid transaction hash', 400);
+};
+
+// Skips list requests the transaction's counts show to be empty; providers
+// without counts are always asked
+const loadIfCounted = (count, load) => (count === 0 ? [] : load());
+
+// An inline datum also carries its hash, so datum_hash is set for both
+// inline and hash-only datums
+const describeDatum = (utxo) => ({
+  datum_hash: utxo.data_hash ?? null,
+  inline_datum: utxo.inline_datum
+    ? { cbor: utxo.inline_datum, json: decodePlutusData(utxo.inline_datum) }
+    : null,
+  reference_script_hash: utxo.reference_script_hash ?? null,
+});
+
+const sumAssets = (entries, totals, sign) => {
+  entries.forEach(({ amount }) =>
+    amount
+      .filter(({ unit }) => unit !== 'lovelace')
+      .forEach(({ unit, quantity }) =>
+        totals.set(unit, (totals.get(unit) || 0n) + sign * BigInt(quantity))
+      )
+  );
+  return totals;
+};
+
+/**
+ * Derives minted and burned assets from the difference between spent and
+ * created UTXOs; collateral and reference inputs move no assets for a
+ * valid transaction
+ * @param {Object} txData - Transaction in Blockfrost's shape
+ * @param {Object} utxoData - Transaction UTXOs in Blockfrost's shape
+ * @returns {Array<Object>} Asset unit fields with signed quantity and action
+ * @private
+ */
+const getMints = (txData, utxoData) => {
+  if (txData.asset_mint_or_burn_count === 0 || txData.valid_contract === false)
+    return [];
+
+  const inputs = utxoData.inputs.filter(
+    (input) => !input.collateral && !input.reference
+  );
+  const outputs = utxoData.outputs.filter((output) => !output.collateral);
+  const totals = sumAssets(outputs, sumAssets(inputs, new Map(), -1n), 1n);
+
+  return [...totals]
+    .filter(([, quantity]) => quantity !== 0n)
+    .map(([unit, quantity]) => ({
+      ...describeUnit(unit),
+      quantity: quantity.toString(),
+      action: quantity > 0n ? 'minted' : 'burned',
+    }));
+};
+
+/**
+ * Computes the net change a transaction made to the holdings of a set of
+ * addresses. A valid transaction spends its regular inputs; a failed
+ * script spends only the collateral and creates the collateral return
+ * output.
+ * @param {string} hash - Transaction hash
+ * @param {Set<string>} addresses - Addresses whose holdings are tracked
+ * @returns {Promise<Object>} tx in Blockfrost's shape, the inputs and
+ *   outputs the transaction actually spent and created, and delta: signed
+ *   quantity by unit
+ */
+export const getHoldingsChange = async (hash, addresses) => {
+  const provider = getProvider();
+  const [tx, utxos] = await Promise.all([
+    provider.getTx(hash),
+    provider.getTxUtxos(hash),
+  ]);
+
+  const valid = tx.valid_contract !== false;
+  const inputs = utxos.inputs.filter(
+    (input) => !input.reference && Boolean(input.collateral) !== valid
+  );
+  const outputs = utxos.outputs.filter(
+    (output) => Boolean(output.collateral) !== valid
+  );
+
+  const delta = new Map();
+  const add = (entries, sign) =>
+    entries
+      .filter((entry) => addresses.has(entry.address))
+      .forEach(({ amount }) =>
+        amount.forEach(({ unit, quantity }) =>
+          delta.set(unit, (delta.get(unit) || 0n) + sign * BigInt(quantity))
+        )
+      );
+  add(inputs, -1n);
+  add(outputs, 1n);
+
+  return { tx, inputs, outputs, delta };
+};
+
+/**
+ * Merges the certificate lists into one list in transaction order
+ * @returns {Array<Object>} Certificates with cert_index and type
+ * @private
+ */
+const getCertificates = ({
+  stakes,
+  delegations,
+  poolUpdates,
+  poolRetires,
+  mirs,
+}) =>
+  [
+    ...stakes.map(({ cert_index, address, registration }) => ({
+      cert_index,
+      type: registration ? 'stake_registration' : 'stake_deregistration',
+      address,
+    })),
+    ...delegations.map(({ cert_index, address, pool_id, active_epoch }) => ({
+      cert_index,
+      type: 'delegation',
+      address,
+      pool_id,
+      active_epoch,
+    })),
+    // Pool registrations and re-registrations both appear as updates
+    ...poolUpdates.map((update) => ({
+      cert_index: update.cert_index,
+      type: 'pool_update',
+      pool_id: update.pool_id,
+      pledge: update.pledge,
+      margin_cost: update.margin_cost,
+      fixed_cost: update.fixed_cost,
+      reward_account: update.reward_account,
+      owners: update.owners,
+      metadata: update.metadata,
+      active_epoch: update.active_epoch,
+    })),
+    ...poolRetires.map(({ cert_index, pool_id, retiring_epoch }) => ({
+      cert_index,
+      type: 'pool_retirement',
+      pool_id,
+      retiring_epoch,
+    })),
+    ...mirs.map(({ cert_index, pot, address, amount }) => ({
+      cert_index,
+      type: 'mir',
+      pot,
+      address,
+      amount,
+    })),
+  ].sort((a, b) => a.cert_index - b.cert_index);
+
+export const getTransactionMetadata = async (hash) => {
+  assertTxHash(hash);
+
+  try {
+    const metadata = await getProvider().getTxMetadata(hash);
+    return { hash, metadata: interpretMetadata(metadata) };
+  } catch (error) {
+    if (error.statusCode === 404)
+      throw new APIError('Transaction not found', 404);
+    throw error;
+  }
+};
+
+export const getTransactionCbor = async (hash) => {
+  assertTxHash(hash);
+
+  try {
+    const { cbor } = await getProvider().getTxCbor(hash);
+    return { hash, cbor };
+  } catch (error) {
+    if (error.statusCode === 404)
+      throw new APIError('Transaction not found', 404);
+    throw error;
+  }
+};
+
+export const getTransactionDetails = async (hash) => {
+  assertTxHash(hash);
+
+  const provider = getProvider();
 
   try {
     // First get transaction data
-    const txData = await fetchFromBlockfrost(`/txs/${hash}`);
+    const txData = await provider.getTx(hash);
 
-    // Then get UTXO data and block data in parallel
-    const [utxoData, blockData] = await Promise.all([
-      fetchFromBlockfrost(`/txs/${hash}/utxos`),
-      fetchFromBlockfrost(`/blocks/${txData.block}`),
+    // Then get UTXO, block, metadata and certificate data in parallel
+    const [
+      utxoData,
+      blockData,
+      metadata,
+      stakes,
+      delegations,
+      poolUpdates,
+      poolRetires,
+      mirs,
+      withdrawals,
+      redeemers,
+    ] = await Promise.all([
+      provider.getTxUtxos(hash),
+      provider.getBlock(txData.block),
+      provider.getTxMetadata(hash),
+      loadIfCounted(txData.stake_cert_count, () => provider.getTxStakes(hash)),
+      loadIfCounted(txData.delegation_count, () =>
+        provider.getTxDelegations(hash)
+      ),
+      loadIfCounted(txData.pool_update_count, () =>
+        provider.getTxPoolUpdates(hash)
+      ),
+      loadIfCounted(txData.pool_retire_count, () =>
+        provider.getTxPoolRetires(hash)
+      ),
+      loadIfCounted(txData.mir_cert_count, () => provider.getTxMirs(hash)),
+      loadIfCounted(txData.withdrawal_count, () =>
+        provider.getTxWithdrawals(hash)
+      ),
+      loadIfCounted(txData.redeemer_count, () => provider.getTxRedeemers(hash)),
     ]);
 
     const formatUtxo = (amount) =>
@@ -53,16 +268,45 @@ export const getTransactionDetails = async (hash) => {
           output_index: input.output_index,
           amount: formatUtxo(input.amount),
           address: input.address,
+          assets: describeAssets(input.amount),
+          ...describeDatum(input),
         })),
         outputs: utxoData.outputs.map((output) => ({
           address: output.address,
           amount: formatUtxo(output.amount),
-          assets: output.amount.filter((a) => a.unit !== 'lovelace'),
+          assets: describeAssets(output.amount),
+          ...describeDatum(output),
         })),
       },
+      metadata: interpretMetadata(metadata),
+      // False when a Plutus script failed and the collateral was taken
+      valid_contract: txData.valid_contract ?? true,
+      certificates: getCertificates({
+        stakes,
+        delegations,
+        poolUpdates,
+        poolRetires,
+        mirs,
+      }),
+      withdrawals: withdrawals.map(({ address, amount }) => ({
+        address,
+        amount,
+      })),
+      mints: getMints(txData, utxoData),
+      redeemers: redeemers.map((redeemer) => ({
+        tx_index: redeemer.tx_index,
+        purpose: redeemer.purpose,
+        script_hash: redeemer.script_hash,
+        redeemer_data_hash: redeemer.redeemer_data_hash,
+        datum_hash: redeemer.datum_hash ?? null,
+        unit_mem: redeemer.unit_mem,
+        unit_steps: redeemer.unit_steps,
+        fee: redeemer.fee,
+      })),
     };
   } catch (error) {
-    if (error.status === 404) throw new APIError('Transaction not found', 404);
+    if (error.statusCode === 404)
+      throw new APIError('Transaction not found', 404);
     throw error;
   }
 };
@@ -0,0 +1,617 @@
+/**
+ * Transaction CBOR Decoder
+ *
+ * Decodes raw transaction CBOR offline, without any chain lookups:
+ * - Body: inputs, outputs (with datums and reference scripts), fees,
+ *   validity interval, certificates, withdrawals, mints, collateral,
+ *   reference inputs, required signers and governance fields
+ * - Witness set: key witnesses, native and Plutus scripts, datums and
+ *   redeemers
+ * - Auxiliary data: metadata, interpreted by label, and scripts
+ * - Transaction hash, computed from the exact body bytes
+ *
+ * Handles Shelley through Conway encodings, including tag 258 sets and
+ * map-based redeemers. Field names follow the transaction details
+ * response where the two overlap.
+ *
+ * @module services/blockfrost/txDecoder
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { decode, decodeItem, CborTag } from '../../utils/cbor.js';
+import { blake2b } from '../../utils/blake2b.js';
+import { encode as encodeBech32 } from '../../utils/bech32.js';
+import { encodeAddress } from '../../utils/address.js';
+import { describeUnit } from './assets.js';
+import { interpretMetadata } from './metadata.js';
+import { toPlutusJson, decodePlutusData } from './scripts.js';
+
+const DECODER_CONFIG = {
+  // Twice the current protocol maximum, leaving room for parameter changes
+  MAX_TX_SIZE: 32768,
+};
+
+const HASH_SIZES = {
+  SCRIPT: 28,
+  KEY: 28,
+  DATUM: 32,
+  TRANSACTION: 32,
+};
+
+const TAGS = {
+  SET: 258,
+  EMBEDDED_CBOR: 24,
+  AUXILIARY_DATA: 259,
+  RATIONAL: 30,
+};
+
+const BODY_KEYS = {
+  INPUTS: 0,
+  OUTPUTS: 1,
+  FEE: 2,
+  TTL: 3,
+  CERTIFICATES: 4,
+  WITHDRAWALS: 5,
+  UPDATE: 6,
+  AUXILIARY_DATA_HASH: 7,
+  VALIDITY_START: 8,
+  MINT: 9,
+  SCRIPT_DATA_HASH: 11,
+  COLLATERAL: 13,
+  REQUIRED_SIGNERS: 14,
+  NETWORK_ID: 15,
+  COLLATERAL_RETURN: 16,
+  TOTAL_COLLATERAL: 17,
+  REFERENCE_INPUTS: 18,
+  VOTING_PROCEDURES: 19,
+  PROPOSAL_PROCEDURES: 20,
+  TREASURY: 21,
+  DONATION: 22,
+};
+
+const WITNESS_KEYS = {
+  VKEYS: 0,
+  NATIVE_SCRIPTS: 1,
+  BOOTSTRAP: 2,
+  PLUTUS_V1: 3,
+  DATUMS: 4,
+  REDEEMERS: 5,
+  PLUTUS_V2: 6,
+  PLUTUS_V3: 7,
+};
+
+// Script language tags, also the prefix byte of a script's hash preimage
+const SCRIPT_TYPES = ['timelock', 'plutusV1', 'plutusV2', 'plutusV3'];
+
+const REDEEMER_PURPOSES = [
+  'spend',
+  'mint',
+  'cert',
+  'reward',
+  'voting',
+  'proposing',
+];
+
+const NATIVE_SCRIPT_TYPES = ['sig', 'all', 'any', 'atLeast', 'after', 'before'];
+
+const toHex = (bytes) =>
+  Buffer.isBuffer(bytes) ? bytes.toString('hex') : null;
+
+const toAmount = (value) => (value === undefined ? null : String(value));
+
+// Datums and script references nest their CBOR in a tag 24 byte string
+const embeddedBytes = (value) =>
+  value instanceof CborTag &&
+  value.tag === TAGS.EMBEDDED_CBOR &&
+  Buffer.isBuffer(value.value)
+    ? value.value
+    : null;
+
+// Conway wraps sets in tag 258; earlier eras use plain arrays
+const asList = (value) => {
+  const list =
+    value instanceof CborTag && value.tag === TAGS.SET ? value.value : value;
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) throw new Error('Expected a list');
+  return list;
+};
+
+const asMap = (value) => {
+  if (value === undefined) return new Map();
+  if (!(value instanceof Map)) throw new Error('Expected a map');
+  return value;
+};
+
+/**
+ * Converts any decoded CBOR value to plain JSON, for fields without a
+ * dedicated decoder: bytes become hex, big integers strings and maps
+ * lists of `{k, v}` pairs
+ * @param {*} value - Decoded CBOR value
+ * @returns {*} JSON-safe value
+ * @private
+ */
+const toJson = (value) => {
+  if (Buffer.isBuffer(value)) return value.toString('hex');
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toJson);
+  if (value instanceof Map)
+    return [...value].map(([k, v]) => ({ k: toJson(k), v: toJson(v) }));
+  if (value instanceof CborTag)
+    return { tag: value.tag, value: toJson(value.value) };
+  return value ?? null;
+};
+
+const decodeInput = (input) => {
+  if (!Array.isArray(input) || !Buffer.isBuffer(input[0]))
+    throw new Error('Malformed transaction input');
+  return { tx_hash: toHex(input[0]), output_index: Number(input[1]) };
+};
+
+const decodeMultiAsset = (multiAsset) =>
+  [...asMap(multiAsset)].flatMap(([policyId, assets]) =>
+    [...asMap(assets)].map(([assetName, quantity]) => ({
+      ...describeUnit(`${toHex(policyId)}${toHex(assetName)}`),
+      quantity: String(quantity),
+    }))
+  );
+
+// A value is either a plain coin or [coin, multi-asset]
+const decodeValue = (value) =>
+  Array.isArray(value)
+    ? { amount: String(value[0]), assets: decodeMultiAsset(value[1]) }
+    : { amount: String(value), assets: [] };
+
+const decodeNativeScript = (script) => {
+  const [tag, ...args] = script;
+  const type = NATIVE_SCRIPT_TYPES[tag];
+
+  switch (type) {
+    case 'sig':
+      return { type, keyHash: toHex(args[0]) };
+    case 'all':
+    case 'any':
+      return { type, scripts: asList(args[0]).map(decodeNativeScript) };
+    case 'atLeast':
+      return {
+        type,
+        required: Number(args[0]),
+        scripts: asList(args[1]).map(decodeNativeScript),
+      };
+    case 'after':
+    case 'before':
+      return { type, slot: Number(args[0]) };
+    default:
+      throw new Error(`Unknown native script type ${tag}`);
+  }
+};
+
+const hashScript = (type, bytes) =>
+  toHex(
+    blake2b(
+      Buffer.concat([Buffer.from([SCRIPT_TYPES.indexOf(type)]), bytes]),
+      HASH_SIZES.SCRIPT
+    )
+  );
+
+const describePlutusScript = (type, script) => ({
+  type,
+  hash: hashScript(type, script),
+  size: script.length,
+  cbor: toHex(script),
+});
+
+// A script reference embeds the CBOR of [language, script]; native script
+// hashes cover the script's exact bytes, so they are sliced from the input
+const decodeScriptRef = (scriptRef) => {
+  const bytes = embeddedBytes(scriptRef);
+  if (!bytes) throw new Error('Malformed script reference');
+
+  const [language, script] = decode(bytes);
+  const type = SCRIPT_TYPES[language];
+  if (!type) throw new Error(`Unknown script language ${language}`);
+  if (type !== 'timelock') return describePlutusScript(type, script);
+
+  const { end } = decodeItem(bytes, 1);
+  const scriptBytes = bytes.subarray(end, decodeItem(bytes, end).end);
+  return {
+    type,
+    hash: hashScript(type, scriptBytes),
+    json: decodeNativeScript(script),
+  };
+};
+
+const decodeDatumOption = (datum) => {
+  if (!datum) return { datum_hash: null, inline_datum: null };
+
+  const [kind, content] = datum;
+  if (kind === 0) return { datum_hash: toHex(content), inline_datum: null };
+
+  const bytes = embeddedBytes(content);
+  if (kind !== 1 || !bytes) throw new Error('Malformed datum option');
+
+  return {
+    datum_hash: toHex(blake2b(bytes, HASH_SIZES.DATUM)),
+    inline_datum: { cbor: toHex(bytes), json: decodePlutusData(bytes) },
+  };
+};
+
+// Outputs are [address, value, datum hash?] before Babbage and maps after
+const decodeOutput = (output) => {
+  const fields = Array.isArray(output)
+    ? {
+        address: output[0],
+        value: output[1],
+        datum: output[2] ? [0, output[2]] : undefined,
+      }
+    : {
+        address: asMap(output).get(0),
+        value: output.get(1),
+        datum: output.get(2),
+        scriptRef: output.get(3),
+      };
+
+  if (!Buffer.isBuffer(fields.address) || fields.value === undefined)
+    throw new Error('Malformed transaction output');
+
+  const referenceScript = fields.scriptRef
+    ? decodeScriptRef(fields.scriptRef)
+    : null;
+
+  return {
+    address: encodeAddress(fields.address) ?? toHex(fields.address),
+    ...decodeValue(fields.value),
+    ...decodeDatumOption(fields.datum),
+    reference_script_hash: referenceScript?.hash ?? null,
+    reference_script: referenceScript,
+  };
+};
+
+const decodeCredential = ([kind, hash]) => ({
+  type: kind === 0 ? 'key' : 'script',
+  hash: toHex(hash),
+});
+
+const decodeDrep = ([kind, hash]) => {
+  if (kind === 2) return { type: 'always_abstain' };
+  if (kind === 3) return { type: 'always_no_confidence' };
+  return { type: kind === 0 ? 'key' : 'script', hash: toHex(hash) };
+};
+
+const toPoolId = (hash) => encodeBech32('pool', hash);
+
+const decodeAnchor = (anchor) =>
+  anchor ? { url: anchor[0], hash: toHex(anchor[1]) } : null;
+
+const decodePoolRegistration = ([
+  operator,
+  vrfKeyHash,
+  pledge,
+  cost,
+  margin,
+  rewardAccount,
+  owners,
+  relays,
+  metadata,
+]) => ({
+  pool_id: toPoolId(operator),
+  vrf_key_hash: toHex(vrfKeyHash),
+  pledge: String(pledge),
+  fixed_cost: String(cost),
+  margin:
+    margin instanceof CborTag && margin.tag === TAGS.RATIONAL
+      ? Number(margin.value[0]) / Number(margin.value[1])
+      : null,
+  reward_account: encodeAddress(rewardAccount),
+  owners: asList(owners).map(toHex),
+  relays: toJson(relays),
+  metadata: metadata ? { url: metadata[0], hash: toHex(metadata[1]) } : null,
+});
+
+// Keyed by certificate tag; types shared with the chain lookups keep the
+// names used in transaction details
+const CERTIFICATE_DECODERS = {
+  0: ([credential]) => ({
+    type: 'stake_registration',
+    credential: decodeCredential(credential),
+  }),
+  1: ([credential]) => ({
+    type: 'stake_deregistration',
+    credential: decodeCredential(credential),
+  }),
+  2: ([credential, pool]) => ({
+    type: 'delegation',
+    credential: decodeCredential(credential),
+    pool_id: toPoolId(pool),
+  }),
+  3: (fields) => ({ type: 'pool_update', ...decodePoolRegistration(fields) }),
+  4: ([pool, epoch]) => ({
+    type: 'pool_retirement',
+    pool_id: toPoolId(pool),
+    retiring_epoch: Number(epoch),
+  }),
+  5: (fields) => ({ type: 'genesis_key_delegation', fields: toJson(fields) }),
+  6: (fields) => ({ type: 'mir', fields: toJson(fields) }),
+  7: ([credential, deposit]) => ({
+    type: 'stake_registration',
+    credential: decodeCredential(credential),
+    deposit: String(deposit),
+  }),
+  8: ([credential, refund]) => ({
+    type: 'stake_deregistration',
+    credential: decodeCredential(credential),
+    refund: String(refund),
+  }),
+  9: ([credential, drep]) => ({
+    type: 'vote_delegation',
+    credential: decodeCredential(credential),
+    drep: decodeDrep(drep),
+  }),
+  10: ([credential, pool, drep]) => ({
+    type: 'stake_vote_delegation',
+    credential: decodeCredential(credential),
+    pool_id: toPoolId(pool),
+    drep: decodeDrep(drep),
+  }),
+  11: ([credential, pool, deposit]) => ({
+    type: 'stake_registration_delegation',
+    credential: decodeCredential(credential),
+    pool_id: toPoolId(pool),
+    deposit: String(deposit),
+  }),
+  12: ([credential, drep, deposit]) => ({
+    type: 'vote_registration_delegation',
+    credential: decodeCredential(credential),
+    drep: decodeDrep(drep),
+    deposit: String(deposit),
+  }),
+  13: ([credential, pool, drep, deposit]) => ({
+    type: 'stake_vote_registration_delegation',
+    credential: decodeCredential(credential),
+    pool_id: toPoolId(pool),
+    drep: decodeDrep(drep),
+    deposit: String(deposit),
+  }),
+  14: ([cold, hot]) => ({
+    type: 'committee_hot_authorization',
+    cold_credential: decodeCredential(cold),
+    hot_credential: decodeCredential(hot),
+  }),
+  15: ([cold, anchor]) => ({
+    type: 'committee_cold_resignation',
+    cold_credential: decodeCredential(cold),
+    anchor: decodeAnchor(anchor),
+  }),
+  16: ([credential, deposit, anchor]) => ({
+    type: 'drep_registration',
+    credential: decodeCredential(credential),
+    deposit: String(deposit),
+    anchor: decodeAnchor(anchor),
+  }),
+  17: ([credential, refund]) => ({
+    type: 'drep_deregistration',
+    credential: decodeCredential(credential),
+    refund: String(refund),
+  }),
+  18: ([credential, anchor]) => ({
+    type: 'drep_update',
+    credential: decodeCredential(credential),
+    anchor: decodeAnchor(anchor),
+  }),
+};
+
+const decodeCertificate = (certificate, index) => {
+  const [tag, ...fields] = certificate;
+  const decodeFields = CERTIFICATE_DECODERS[tag];
+  if (!decodeFields) throw new Error(`Unknown certificate type ${tag}`);
+  return { cert_index: index, ...decodeFields(fields) };
+};
+
+const decodeWithdrawals = (withdrawals) =>
+  [...asMap(withdrawals)].map(([rewardAccount, amount]) => ({
+    address: encodeAddress(rewardAccount) ?? toHex(rewardAccount),
+    amount: String(amount),
+  }));
+
+const decodeMints = (mint) =>
+  decodeMultiAsset(mint).map((asset) => ({
+    ...asset,
+    action: BigInt(asset.quantity) > 0n ? 'minted' : 'burned',
+  }));
+
+const decodeBody = (body) => {
+  const get = (key) => body.get(key);
+  const governance = Object.fromEntries(
+    [
+      ['voting_procedures', BODY_KEYS.VOTING_PROCEDURES],
+      ['proposal_procedures', BODY_KEYS.PROPOSAL_PROCEDURES],
+      ['treasury', BODY_KEYS.TREASURY],
+      ['donation', BODY_KEYS.DONATION],
+    ]
+      .filter(([, key]) => body.has(key))
+      .map(([name, key]) => [name, toJson(get(key))])
+  );
+  const collateralReturn = get(BODY_KEYS.COLLATERAL_RETURN);
+
+  return {
+    inputs: asList(get(BODY_KEYS.INPUTS)).map(decodeInput),
+    outputs: asList(get(BODY_KEYS.OUTPUTS)).map(decodeOutput),
+    fees: toAmount(get(BODY_KEYS.FEE)),
+    invalid_before: toAmount(get(BODY_KEYS.VALIDITY_START)),
+    invalid_hereafter: toAmount(get(BODY_KEYS.TTL)),
+    certificates: asList(get(BODY_KEYS.CERTIFICATES)).map(decodeCertificate),
+    withdrawals: decodeWithdrawals(get(BODY_KEYS.WITHDRAWALS)),
+    mints: decodeMints(get(BODY_KEYS.MINT)),
+    collateral_inputs: asList(get(BODY_KEYS.COLLATERAL)).map(decodeInput),
+    collateral_output: collateralReturn ? decodeOutput(collateralReturn) : null,
+    total_collateral: toAmount(get(BODY_KEYS.TOTAL_COLLATERAL)),
+    reference_inputs: asList(get(BODY_KEYS.REFERENCE_INPUTS)).map(decodeInput),
+    required_signers: asList(get(BODY_KEYS.REQUIRED_SIGNERS)).map(toHex),
+    network_id: get(BODY_KEYS.NETWORK_ID) ?? null,
+    auxiliary_data_hash: toHex(get(BODY_KEYS.AUXILIARY_DATA_HASH)),
+    script_data_hash: toHex(get(BODY_KEYS.SCRIPT_DATA_HASH)),
+    update: body.has(BODY_KEYS.UPDATE) ? toJson(get(BODY_KEYS.UPDATE)) : null,
+    governance: Object.keys(governance).length ? governance : null,
+  };
+};
+
+const toRedeemer = (tag, index, data, exUnits) => ({
+  purpose: REDEEMER_PURPOSES[tag] ?? String(tag),
+  index: Number(index),
+  data: toPlutusJson(data),
+  unit_mem: String(exUnits[0]),
+  unit_steps: String(exUnits[1]),
+});
+
+// Redeemers are a list of [tag, index, data, ex_units] before Conway and
+// a map from [tag, index] to [data, ex_units] after
+const decodeRedeemers = (redeemers) =>
+  redeemers instanceof Map
+    ? [...redeemers].map(([[tag, index], [data, exUnits]]) =>
+        toRedeemer(tag, index, data, exUnits)
+      )
+    : asList(redeemers).map(([tag, index, data, exUnits]) =>
+        toRedeemer(tag, index, data, exUnits)
+      );
+
+const decodePlutusScripts = (witnesses, entries) =>
+  entries.flatMap(([key, type]) =>
+    asList(witnesses.get(key)).map((script) =>
+      describePlutusScript(type, script)
+    )
+  );
+
+const decodeWitnesses = (witnesses) => ({
+  vkeys: asList(witnesses.get(WITNESS_KEYS.VKEYS)).map(([vkey, signature]) => ({
+    vkey: toHex(vkey),
+    key_hash: toHex(blake2b(vkey, HASH_SIZES.KEY)),
+    signature: toHex(signature),
+  })),
+  bootstrap: asList(witnesses.get(WITNESS_KEYS.BOOTSTRAP)).map(
+    ([vkey, signature]) => ({ vkey: toHex(vkey), signature: toHex(signature) })
+  ),
+  native_scripts: asList(witnesses.get(WITNESS_KEYS.NATIVE_SCRIPTS)).map(
+    decodeNativeScript
+  ),
+  plutus_scripts: decodePlutusScripts(witnesses, [
+    [WITNESS_KEYS.PLUTUS_V1, 'plutusV1'],
+    [WITNESS_KEYS.PLUTUS_V2, 'plutusV2'],
+    [WITNESS_KEYS.PLUTUS_V3, 'plutusV3'],
+  ]),
+  datums: asList(witnesses.get(WITNESS_KEYS.DATUMS)).map(toPlutusJson),
+  redeemers: decodeRedeemers(witnesses.get(WITNESS_KEYS.REDEEMERS)),
+});
+
+/**
+ * Converts a metadatum to the JSON shape Blockfrost serves, so the
+ * metadata interpreters apply unchanged: bytes become `0x` hex and map
+ * keys strings
+ * @param {*} value - Decoded metadatum
+ * @returns {*} JSON metadata
+ * @private
+ */
+const toJsonMetadata = (value) => {
+  if (Buffer.isBuffer(value)) return `0x${value.toString('hex')}`;
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonMetadata);
+  if (value instanceof Map) {
+    return Object.fromEntries(
+      [...value].map(([k, v]) => {
+        const key = toJsonMetadata(k);
+        return [
+          typeof key === 'object' ? JSON.stringify(key) : String(key),
+          toJsonMetadata(v),
+        ];
+      })
+    );
+  }
+  return value;
+};
+
+// Auxiliary data is a bare metadata map (Shelley), [metadata, scripts]
+// (Allegra/Mary) or a tag 259 map (Alonzo onwards)
+const decodeAuxiliaryData = (auxiliaryData) => {
+  if (auxiliaryData === null || auxiliaryData === undefined) return null;
+
+  let metadata;
+  let nativeScripts = [];
+  let plutusScripts = [];
+
+  if (auxiliaryData instanceof Map) {
+    metadata = auxiliaryData;
+  } else if (Array.isArray(auxiliaryData)) {
+    [metadata, nativeScripts] = auxiliaryData;
+  } else if (auxiliaryData.tag === TAGS.AUXILIARY_DATA) {
+    const fields = asMap(auxiliaryData.value);
+    metadata = fields.get(0);
+    nativeScripts = fields.get(1);
+    plutusScripts = decodePlutusScripts(fields, [
+      [2, 'plutusV1'],
+      [3, 'plutusV2'],
+      [4, 'plutusV3'],
+    ]);
+  } else {
+    throw new Error('Malformed auxiliary data');
+  }
+
+  return {
+    metadata: interpretMetadata(
+      [...asMap(metadata)].map(([label, json]) => ({
+        label: String(label),
+        json_metadata: toJsonMetadata(json),
+      }))
+    ),
+    native_scripts: asList(nativeScripts).map(decodeNativeScript),
+    plutus_scripts: plutusScripts,
+  };
+};
+
+const parseCbor = (cbor) => {
+  const hex = typeof cbor === 'string' ? cbor.replace(/\s+/g, '') : '';
+  if (!hex || !/^([0-9a-fA-F]{2})+$/.test(hex))
+    throw new APIError('Transaction CBOR must be a hex string', 400);
+
+  const bytes = Buffer.from(hex, 'hex');
+  if (bytes.length > DECODER_CONFIG.MAX_TX_SIZE)
+    throw new APIError('Transaction CBOR is too large', 400);
+  return bytes;
+};
+
+/**
+ * Decodes a transaction from its CBOR
+ * @param {string} cbor - Hex-encoded transaction CBOR; whitespace is ignored
+ * @returns {Object} Hash, size, validity flag, decoded body, witness set
+ *   and auxiliary data
+ * @throws {APIError} 400 if the input is not a well-formed transaction
+ */
+export const decodeTransaction = (cbor) => {
+  const bytes = parseCbor(cbor);
+
+  try {
+    const transaction = decode(bytes);
+    if (
+      !Array.isArray(transaction) ||
+      transaction.length < 3 ||
+      transaction.length > 4 ||
+      !(transaction[0] instanceof Map)
+    )
+      throw new Error('Not a transaction');
+
+    // Alonzo added the validity flag before the auxiliary data
+    const [body, witnesses, ...rest] = transaction;
+    const [isValid, auxiliaryData] = rest.length === 2 ? rest : [true, rest[0]];
+
+    // The body is the first item after the one-byte array header
+    const { start, end } = decodeItem(bytes, 1);
+
+    return {
+      hash: toHex(blake2b(bytes.subarray(start, end), HASH_SIZES.TRANSACTION)),
+      size: bytes.length,
+      valid_contract: isValid !== false,
+      body: decodeBody(body),
+      witnesses: decodeWitnesses(asMap(witnesses)),
+      auxiliary_data: decodeAuxiliaryData(auxiliaryData),
+    };
+  } catch (error) {
+    throw new APIError(`Invalid transaction CBOR: ${error.message}`, 400);
+  }
+};
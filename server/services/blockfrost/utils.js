@@ -2,8 +2,12 @@
  * Blockfrost Utilities
  *
  * Core utilities for Blockfrost API interactions:
- * - API configuration and key management
- * - HTTP request handling
+ * - Per-network API configuration and key management
+ * - HTTP request handling through the rate-limit-aware scheduler
+ * - Write requests (transaction submission), which are never coalesced
+ *   and only retried when rate limited
+ * - Coalescing of identical in-flight requests
+ * - Query string building and pagination validation
  * - Response processing
  * - Amount calculations
  * - Error handling
@@ -13,35 +17,132 @@
 
 import fetch from 'node-fetch';
 import { APIError } from '../../utils/APIError.js';
+import { getCurrentNetwork } from '../../utils/network.js';
+import { createSingleFlight } from '../../utils/singleFlight.js';
+import { createScheduler } from './scheduler.js';
 
-export const BLOCKFROST_URL = 'https://cardano-mainnet.blockfrost.io/api/v0';
+export const BLOCKFROST_URLS = {
+  mainnet: 'https://cardano-mainnet.blockfrost.io/api/v0',
+  preprod: 'https://cardano-preprod.blockfrost.io/api/v0',
+  preview: 'https://cardano-preview.blockfrost.io/api/v0',
+};
+
+// Mainnet keeps the original variable name; testnets use a suffixed one
+export const getApiKeyVar = (network = getCurrentNetwork()) =>
+  network === 'mainnet'
+    ? 'BLOCKFROST_API_KEY'
+    : `BLOCKFROST_API_KEY_${network.toUpperCase()}`;
 
-export const getApiKey = () => {
-  const apiKey = process.env.BLOCKFROST_API_KEY?.trim();
-  if (!apiKey) throw new APIError('Blockfrost API key is not configured', 500);
+export const getApiKey = (network = getCurrentNetwork()) => {
+  const apiKey = process.env[getApiKeyVar(network)]?.trim();
+  if (!apiKey)
+    throw new APIError(
+      `Blockfrost API key is not configured for ${network}`,
+      500
+    );
   return apiKey;
 };
 
-export const fetchFromBlockfrost = async (endpoint, options = {}) => {
+const readIntEnv = (name) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? undefined : value;
+};
+
+// Each network has its own project key, and so its own rate limits
+const schedulers = new Map();
+
+const getScheduler = (network) => {
+  if (!schedulers.has(network)) {
+    schedulers.set(
+      network,
+      createScheduler({
+        concurrency: readIntEnv('BLOCKFROST_MAX_CONCURRENCY'),
+        maxRetries: readIntEnv('BLOCKFROST_MAX_RETRIES'),
+      })
+    );
+  }
+  return schedulers.get(network);
+};
+
+const requestBlockfrost = async (network, endpoint, options) => {
+  let response;
   try {
-    const response = await fetch(`${BLOCKFROST_URL}${endpoint}`, {
+    response = await fetch(`${BLOCKFROST_URLS[network]}${endpoint}`, {
       ...options,
-      method: 'GET',
-      headers: { project_id: getApiKey() },
+      method: options.method || 'GET',
+      headers: { ...options.headers, project_id: getApiKey(network) },
     });
+  } catch (error) {
+    if (error instanceof APIError) throw error;
+    // Connection failures are transient, so they are retried like a 503
+    throw new APIError(`Blockfrost unreachable: ${error.message}`, 503);
+  }
+
+  // Gateway errors may come back as HTML rather than JSON
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    if (response.status === 403)
+      throw new APIError('Invalid Blockfrost API key', 403);
+
+    const error = new APIError(
+      data.message || 'Blockfrost API error',
+      response.status
+    );
+    const retryAfter = parseInt(response.headers.get('retry-after'));
+    if (retryAfter > 0) error.retryAfter = retryAfter;
+    throw error;
+  }
+
+  return data;
+};
+
+const singleFlight = createSingleFlight();
+
+export const fetchFromBlockfrost = async (endpoint, options = {}) => {
+  const network = getCurrentNetwork();
 
-    const data = await response.json();
+  try {
+    // Concurrent callers for the same endpoint share one upstream request
+    return await singleFlight(`${network}:${endpoint}`, () =>
+      getScheduler(network).run(
+        () => requestBlockfrost(network, endpoint, options),
+        { network, endpoint }
+      )
+    );
+  } catch (error) {
+    throw error instanceof APIError
+      ? error
+      : new APIError(error.message, error.status || 500);
+  }
+};
+
+// A 429 is refused before processing; any other failure of a write may
+// have been applied upstream, so repeating it is not safe
+const isRateLimited = (error) => error?.statusCode === 429;
 
-    if (!response.ok) {
-      if (response.status === 403)
-        throw new APIError('Invalid Blockfrost API key', 403);
-      throw new APIError(
-        data.message || 'Blockfrost API error',
-        response.status
-      );
-    }
+/**
+ * Posts a raw body to Blockfrost, e.g. transaction CBOR for submission
+ * @param {string} endpoint - API path
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Body MIME type
+ * @returns {Promise<*>} Parsed response
+ * @throws {APIError} With the upstream status and message on failure
+ */
+export const postToBlockfrost = async (endpoint, body, contentType) => {
+  const network = getCurrentNetwork();
 
-    return data;
+  try {
+    return await getScheduler(network).run(
+      () =>
+        requestBlockfrost(network, endpoint, {
+          method: 'POST',
+          body,
+          headers: { 'Content-Type': contentType },
+        }),
+      { network, endpoint },
+      { retryOn: isRateLimited }
+    );
   } catch (error) {
     throw error instanceof APIError
       ? error
@@ -49,6 +150,44 @@ export const fetchFromBlockfrost = async (endpoint, options = {}) => {
   }
 };
 
+export const buildQuery = (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)])
+  ).toString();
+  return query ? `?${query}` : '';
+};
+
+/**
+ * Validates page and limit parameters
+ * @param {number} page - Page number, from 1
+ * @param {number} limit - Items per page
+ * @param {number} maxLimit - Largest allowed limit
+ * @throws {APIError} 400 if either is out of range
+ */
+export const assertPagination = (page, limit, maxLimit) => {
+  if (!Number.isInteger(page) || page < 1)
+    throw new APIError('Invalid page', 400);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit)
+    throw new APIError(`Limit must be between 1 and ${maxLimit}`, 400);
+};
+
+/**
+ * Pagination for Blockfrost lists whose total size is not reported; a full
+ * page is the only sign that another one follows
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Page size
+ * @param {number} length - Number of items on the page
+ * @returns {Object} currentPage, limit, hasNext and hasPrevious
+ */
+export const openPagination = (page, limit, length) => ({
+  currentPage: page,
+  limit,
+  hasNext: length === limit,
+  hasPrevious: page > 1,
+});
+
 export const calculateAmount = (items) =>
   items
     .reduce((sum, item) => {
@@ -0,0 +1,93 @@
+/**
+ * Cache Service
+ *
+ * Response cache for upstream chain data:
+ * - Pluggable cache store (in-memory by default)
+ * - External store modules (CACHE_STORE_MODULE)
+ * - Read-through loading with value-dependent TTLs
+ *
+ * A cache store is an object with async `get(key)`, `set(key, value, ttl)`
+ * and `delete(key)` methods. `get` resolves to undefined on a miss and a
+ * ttl of Infinity keeps the entry until the store evicts it.
+ *
+ * @module services/cache
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createMemoryStore } from './memoryStore.js';
+import { logger } from '../../utils/logger.js';
+
+export const TTL = {
+  NONE: 0,
+  SHORT: 10 * 1000, // 10 seconds
+  MEDIUM: 60 * 1000, // 1 minute
+  LONG: 5 * 60 * 1000, // 5 minutes
+  FOREVER: Infinity,
+};
+
+let store = null;
+
+/**
+ * Replaces the cache store
+ * @param {Object} newStore - Store implementing get, set and delete
+ * @throws {Error} If the store is missing methods
+ */
+export const setCacheStore = (newStore) => {
+  const missingMethods = ['get', 'set', 'delete'].filter(
+    (method) => typeof newStore?.[method] !== 'function'
+  );
+  if (missingMethods.length) {
+    throw new Error(
+      `Cache store is missing methods: ${missingMethods.join(', ')}`
+    );
+  }
+  store = newStore;
+};
+
+// Created lazily so CACHE_MAX_ENTRIES is read after the environment loads
+export const getCacheStore = () =>
+  (store ??= createMemoryStore({
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || undefined,
+  }));
+
+/**
+ * Loads and installs a cache store from a module whose default export is
+ * the store object
+ * @param {string} modulePath - Module path, relative to the working directory
+ * @returns {Promise<Object>} Installed store
+ */
+export const loadCacheStoreModule = async (modulePath) => {
+  const moduleUrl = pathToFileURL(path.resolve(modulePath)).href;
+  const { default: moduleStore } = await import(moduleUrl);
+  setCacheStore(moduleStore);
+  return moduleStore;
+};
+
+export const isCacheEnabled = () => process.env.CHAIN_CACHE !== 'off';
+
+/**
+ * Returns a cached value or loads and caches it
+ * @param {string} key - Cache key
+ * @param {Function} loader - Loads the value on a miss
+ * @param {Function} resolveTtl - Maps the loaded value to a TTL in ms
+ * @returns {Promise<*>} Cached or loaded value
+ */
+export const getOrLoad = async (key, loader, resolveTtl) => {
+  const cacheStore = getCacheStore();
+  const cachedValue = await cacheStore.get(key);
+  if (cachedValue !== undefined) return cachedValue;
+
+  const value = await loader();
+
+  // A failing TTL lookup only skips caching, never the response
+  const ttl = await Promise.resolve()
+    .then(() => resolveTtl(value))
+    .catch((error) => {
+      logger.warn('Cache TTL resolution failed', { key, error: error.message });
+      return TTL.NONE;
+    });
+  if (ttl > 0) await cacheStore.set(key, value, ttl);
+
+  return value;
+};
@@ -0,0 +1,53 @@
+/**
+ * In-Memory Cache Store
+ *
+ * Default cache backend:
+ * - Per-entry TTL (Infinity keeps an entry until evicted)
+ * - Least-recently-used eviction past a maximum entry count
+ *
+ * @module services/cache/memoryStore
+ */
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * Creates an in-memory cache store
+ * @param {Object} [options={}] - Store options
+ * @param {number} [options.maxEntries=10000] - Maximum number of entries
+ * @returns {Object} Cache store with get, set and delete methods
+ */
+export const createMemoryStore = ({
+  maxEntries = DEFAULT_MAX_ENTRIES,
+} = {}) => {
+  // Map iteration order doubles as recency order: oldest entries come first
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = async (key, value, ttl = Infinity) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const remove = async (key) => {
+    entries.delete(key);
+  };
+
+  return { name: 'memory', get, set, delete: remove };
+};
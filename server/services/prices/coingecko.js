@@ -0,0 +1,66 @@
+/**
+ * CoinGecko Price Provider
+ *
+ * Default price provider backed by the CoinGecko market chart API:
+ * - ADA prices in any currency CoinGecko quotes
+ * - Optional API key (COINGECKO_API_KEY)
+ * - Configurable API URL (COINGECKO_API_URL)
+ *
+ * A day's price is the first quote of that UTC day, i.e. the opening
+ * price.
+ *
+ * @module services/prices/coingecko
+ */
+
+import fetch from 'node-fetch';
+import { APIError } from '../../utils/APIError.js';
+
+const COINGECKO_CONFIG = {
+  DEFAULT_URL: 'https://api.coingecko.com/api/v3',
+  COIN_ID: 'cardano',
+  API_KEY_HEADER: 'x-cg-demo-api-key',
+  DAY_SECONDS: 24 * 60 * 60,
+};
+
+const toUnixTime = (date) => Date.parse(date) / 1000;
+
+export const coingeckoPriceProvider = {
+  name: 'coingecko',
+
+  getDailyPrices: async (currency, from, to) => {
+    const baseUrl =
+      process.env.COINGECKO_API_URL || COINGECKO_CONFIG.DEFAULT_URL;
+    const apiKey = process.env.COINGECKO_API_KEY?.trim();
+    const query = new URLSearchParams({
+      vs_currency: currency,
+      from: toUnixTime(from),
+      to: toUnixTime(to) + COINGECKO_CONFIG.DAY_SECONDS,
+    });
+
+    let response;
+    try {
+      response = await fetch(
+        `${baseUrl}/coins/${COINGECKO_CONFIG.COIN_ID}/market_chart/range?${query}`,
+        {
+          headers: apiKey ? { [COINGECKO_CONFIG.API_KEY_HEADER]: apiKey } : {},
+        }
+      );
+    } catch (error) {
+      throw new APIError(`Price source unreachable: ${error.message}`, 503);
+    }
+    if (!response.ok)
+      throw new APIError(
+        `Price source error (HTTP ${response.status})`,
+        response.status === 429 ? 503 : 502
+      );
+
+    const { prices = [] } = await response.json();
+    const daily = new Map();
+    prices.forEach(([time, price]) => {
+      const date = new Date(time).toISOString().slice(0, 10);
+      if (date >= from && date <= to && !daily.has(date))
+        daily.set(date, price);
+    });
+    return [...daily].map(([date, price]) => ({ date, price }));
+  },
+};
@@ -0,0 +1,196 @@
+/**
+ * Price Service
+ *
+ * Historical daily ADA prices in fiat currencies:
+ * - Price provider interface definition
+ * - Provider registration and validation
+ * - Configuration-based selection (PRICE_PROVIDER)
+ * - External provider modules (PRICE_PROVIDER_MODULE)
+ * - Configurable currencies (PRICE_CURRENCIES)
+ * - Month-by-month caching of daily prices
+ *
+ * A price provider is a plain object with a `name` and
+ * `getDailyPrices(currency, from, to)`, resolving to `{ date, price }`
+ * entries for the UTC days from `from` to `to` (inclusive, YYYY-MM-DD) it
+ * has prices for. `currency` is a lowercase ISO 4217 code. Providers may
+ * declare `requiredEnv`, a list of variable names.
+ *
+ * @module services/prices
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { APIError } from '../../utils/APIError.js';
+import { getOrLoad, isCacheEnabled, TTL } from '../cache/index.js';
+import { coingeckoPriceProvider } from './coingecko.js';
+import { tablePriceProvider } from './table.js';
+
+const PRICE_CONFIG = {
+  DEFAULT_PROVIDER: 'coingecko',
+  DEFAULT_CURRENCIES: ['usd', 'eur'],
+  MAX_RANGE_DAYS: 366,
+  DAY_MS: 24 * 60 * 60 * 1000,
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const providers = new Map(
+  [coingeckoPriceProvider, tablePriceProvider].map((provider) => [
+    provider.name,
+    provider,
+  ])
+);
+
+/**
+ * Registers a price provider
+ * @param {Object} provider - Provider with a name and getDailyPrices
+ * @throws {Error} If the provider has no name or no getDailyPrices
+ */
+export const registerPriceProvider = (provider) => {
+  if (!provider?.name) throw new Error('Price provider must have a name');
+  if (typeof provider.getDailyPrices !== 'function') {
+    throw new Error(
+      `Price provider "${provider.name}" is missing methods: getDailyPrices`
+    );
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Loads and registers a price provider from a module whose default export
+ * is the provider object
+ * @param {string} modulePath - Module path, relative to the working directory
+ * @returns {Promise<Object>} Registered provider
+ */
+export const loadPriceProviderModule = async (modulePath) => {
+  const moduleUrl = pathToFileURL(path.resolve(modulePath)).href;
+  const { default: provider } = await import(moduleUrl);
+  registerPriceProvider(provider);
+  return provider;
+};
+
+/**
+ * Returns the configured price provider
+ * @returns {Object} Active provider
+ * @throws {APIError} If the provider is not registered or not configured
+ */
+export const getPriceProvider = () => {
+  const name =
+    process.env.PRICE_PROVIDER?.trim() || PRICE_CONFIG.DEFAULT_PROVIDER;
+  const provider = providers.get(name);
+  if (!provider) throw new APIError(`Unknown price provider: ${name}`, 500);
+
+  const missing = (provider.requiredEnv || []).filter(
+    (variable) => !process.env[variable]?.trim()
+  );
+  if (missing.length)
+    throw new APIError(
+      `Price provider ${name} requires ${missing.join(', ')}`,
+      500
+    );
+  return provider;
+};
+
+/**
+ * Lists the currencies prices are served in
+ * @returns {Array<string>} Lowercase ISO 4217 codes, from PRICE_CURRENCIES
+ */
+export const getSupportedCurrencies = () => {
+  const configured = (process.env.PRICE_CURRENCIES || '')
+    .split(',')
+    .map((currency) => currency.trim().toLowerCase())
+    .filter(Boolean);
+  return configured.length ? configured : PRICE_CONFIG.DEFAULT_CURRENCIES;
+};
+
+const assertCurrency = (currency) => {
+  if (!getSupportedCurrencies().includes(currency))
+    throw new APIError('Unsupported currency', 400);
+};
+
+const parseDate = (value, name) => {
+  const time = DATE_PATTERN.test(value || '') ? Date.parse(value) : NaN;
+  if (Number.isNaN(time))
+    throw new APIError(`Invalid ${name}: expected a YYYY-MM-DD date`, 400);
+  return time;
+};
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// The first days of the months overlapping a range
+const listMonths = (fromTime, toTime) => {
+  const months = [];
+  const cursor = new Date(fromTime);
+  cursor.setUTCDate(1);
+  while (cursor.getTime() <= toTime) {
+    months.push(cursor.getTime());
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+};
+
+/**
+ * Loads a calendar month of prices through the cache. Complete months in
+ * the past never change; others are refreshed as days are added.
+ * @param {Object} provider - Price provider
+ * @param {string} currency - Currency code
+ * @param {number} monthStart - Time of the month's first day
+ * @returns {Promise<Array<{date: string, price: number}>>} Daily prices
+ * @private
+ */
+const loadMonth = (provider, currency, monthStart) => {
+  const start = new Date(monthStart);
+  const end = new Date(monthStart);
+  end.setUTCMonth(end.getUTCMonth() + 1, 0);
+  const load = () =>
+    provider.getDailyPrices(currency, toDate(start), toDate(end));
+  if (!isCacheEnabled()) return load();
+
+  return getOrLoad(
+    `prices:${provider.name}:${currency}:${toDate(start).slice(0, 7)}`,
+    load,
+    (prices) =>
+      end.getTime() < Date.now() - PRICE_CONFIG.DAY_MS &&
+      prices.length === end.getUTCDate()
+        ? TTL.FOREVER
+        : TTL.LONG
+  );
+};
+
+/**
+ * Retrieves daily ADA prices for a date range
+ * @param {string} currency - Currency code, one of getSupportedCurrencies
+ * @param {string} from - First UTC day (YYYY-MM-DD)
+ * @param {string} [to=from] - Last UTC day, inclusive
+ * @returns {Promise<Object>} currency, source provider and prices as
+ *   `{ date, price }` in date order; days without a price are omitted
+ * @throws {APIError} 400 for unsupported currencies or invalid ranges
+ */
+export const getAdaPrices = async (currency, from, to = from) => {
+  const code = (currency || '').toLowerCase();
+  assertCurrency(code);
+  const fromTime = parseDate(from, 'from');
+  const toTime = parseDate(to, 'to');
+  if (fromTime > toTime) throw new APIError('from must not be after to', 400);
+  if ((toTime - fromTime) / PRICE_CONFIG.DAY_MS >= PRICE_CONFIG.MAX_RANGE_DAYS)
+    throw new APIError(
+      `Price ranges are limited to ${PRICE_CONFIG.MAX_RANGE_DAYS} days`,
+      400
+    );
+
+  const provider = getPriceProvider();
+  const months = await Promise.all(
+    listMonths(fromTime, toTime).map((month) =>
+      loadMonth(provider, code, month)
+    )
+  );
+
+  return {
+    currency: code,
+    source: provider.name,
+    prices: months
+      .flat()
+      .filter(({ date }) => date >= from && date <= to)
+      .sort((a, b) => a.date.localeCompare(b.date)),
+  };
+};
@@ -0,0 +1,83 @@
+/**
+ * Price Table Provider
+ *
+ * Offline price provider reading a local price table (PRICE_TABLE_PATH):
+ * - CSV with a `date` column and one column per currency
+ *   (`date,usd,eur`)
+ * - JSON array of rows in the same shape
+ *   (`[{ "date": "2024-01-01", "usd": 0.59 }]`)
+ *
+ * The table is read once, on first use; restart the server after
+ * replacing it.
+ *
+ * @module services/prices/table
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { APIError } from '../../utils/APIError.js';
+
+let table = null;
+
+const parseCsv = (text) => {
+  const [header, ...lines] = text.trim().split(/\r?\n/);
+  const columns = header
+    .split(',')
+    .map((column) => column.trim().toLowerCase());
+  return lines.map((line) =>
+    Object.fromEntries(
+      line.split(',').map((value, index) => [columns[index], value.trim()])
+    )
+  );
+};
+
+// Indexes the rows by currency, then by date
+const indexRows = (rows) => {
+  const byCurrency = new Map();
+  rows.forEach(({ date, ...prices }) =>
+    Object.entries(prices).forEach(([currency, value]) => {
+      const price = Number(value);
+      if (value === '' || value === null || !Number.isFinite(price)) return;
+      const code = currency.toLowerCase();
+      if (!byCurrency.has(code)) byCurrency.set(code, new Map());
+      byCurrency.get(code).set(String(date).slice(0, 10), price);
+    })
+  );
+  return byCurrency;
+};
+
+const loadTable = async () => {
+  const tablePath = path.resolve(process.env.PRICE_TABLE_PATH);
+  let text;
+  try {
+    text = await readFile(tablePath, 'utf8');
+  } catch (error) {
+    throw new APIError(`Price table not readable: ${error.code}`, 500);
+  }
+
+  try {
+    return indexRows(
+      tablePath.endsWith('.json') ? JSON.parse(text) : parseCsv(text)
+    );
+  } catch (error) {
+    throw new APIError(`Invalid price table: ${error.message}`, 500);
+  }
+};
+
+export const tablePriceProvider = {
+  name: 'table',
+  requiredEnv: ['PRICE_TABLE_PATH'],
+
+  getDailyPrices: async (currency, from, to) => {
+    // Concurrent first calls share one read; a failed read is retried
+    table ??= loadTable().catch((error) => {
+      table = null;
+      throw error;
+    });
+    const prices = (await table).get(currency) || new Map();
+
+    return [...prices]
+      .filter(([date]) => date >= from && date <= to)
+      .map(([date, price]) => ({ date, price }));
+  },
+};
@@ -0,0 +1,213 @@
+/**
+ * Blockfrost Chain Data Provider
+ *
+ * Default chain data provider backed by the Blockfrost REST API:
+ * - Block and block transaction lookups
+ * - Transaction, UTXO, metadata and raw CBOR lookups
+ * - Transaction certificates, withdrawals and redeemers
+ * - Address lookups
+ * - Stake account rewards, delegation, registration and withdrawal history
+ * - Native asset details, holders and mint/burn history
+ * - Policy asset listings and scripts (type, native script JSON, CBOR)
+ * - Plutus datums by hash
+ * - Stake pool listings, parameters, history and blocks
+ * - Epoch, epoch block and stake distribution lookups
+ * - Current protocol parameters
+ * - Transaction submission
+ *
+ * Responses are returned in Blockfrost's JSON shape, which is the
+ * canonical shape every other provider is expected to produce.
+ *
+ * @module services/providers/blockfrost
+ */
+
+import {
+  fetchFromBlockfrost,
+  postToBlockfrost,
+  buildQuery,
+  getApiKeyVar,
+} from '../blockfrost/utils.js';
+
+export const blockfrostProvider = {
+  name: 'blockfrost',
+  requiredEnv: (network) => [getApiKeyVar(network)],
+
+  // Blocks
+  getLatestBlock: () => fetchFromBlockfrost('/blocks/latest'),
+
+  getPreviousBlocks: (hashOrNumber, count) =>
+    fetchFromBlockfrost(
+      `/blocks/${hashOrNumber}/previous${buildQuery({ count })}`
+    ),
+
+  getBlock: (hashOrNumber) => fetchFromBlockfrost(`/blocks/${hashOrNumber}`),
+
+  getBlockTxs: (hash, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/blocks/${hash}/txs${buildQuery({ order, count, page })}`
+    ),
+
+  // Transactions
+  getTx: (hash) => fetchFromBlockfrost(`/txs/${hash}`),
+
+  getTxUtxos: (hash) => fetchFromBlockfrost(`/txs/${hash}/utxos`),
+
+  getTxMetadata: (hash) => fetchFromBlockfrost(`/txs/${hash}/metadata`),
+
+  getTxCbor: (hash) => fetchFromBlockfrost(`/txs/${hash}/cbor`),
+
+  getTxStakes: (hash) => fetchFromBlockfrost(`/txs/${hash}/stakes`),
+
+  getTxDelegations: (hash) => fetchFromBlockfrost(`/txs/${hash}/delegations`),
+
+  getTxPoolUpdates: (hash) => fetchFromBlockfrost(`/txs/${hash}/pool_updates`),
+
+  getTxPoolRetires: (hash) => fetchFromBlockfrost(`/txs/${hash}/pool_retires`),
+
+  getTxMirs: (hash) => fetchFromBlockfrost(`/txs/${hash}/mirs`),
+
+  getTxWithdrawals: (hash) => fetchFromBlockfrost(`/txs/${hash}/withdrawals`),
+
+  getTxRedeemers: (hash) => fetchFromBlockfrost(`/txs/${hash}/redeemers`),
+
+  // Addresses
+  getAddress: (address) => fetchFromBlockfrost(`/addresses/${address}`),
+
+  getAddressUtxos: (address, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/addresses/${address}/utxos${buildQuery({ order, count, page })}`
+    ),
+
+  // `from` and `to` are inclusive `height[:tx_index]` bounds
+  getAddressTransactions: (address, { order, count, page, from, to } = {}) =>
+    fetchFromBlockfrost(
+      `/addresses/${address}/transactions${buildQuery({
+        order,
+        count,
+        page,
+        from,
+        to,
+      })}`
+    ),
+
+  // Stake accounts
+  getAccount: (stakeAddress) =>
+    fetchFromBlockfrost(`/accounts/${stakeAddress}`),
+
+  getAccountRewards: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/rewards${buildQuery({ order, count, page })}`
+    ),
+
+  getAccountHistory: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/history${buildQuery({ order, count, page })}`
+    ),
+
+  getAccountDelegations: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/delegations${buildQuery({
+        order,
+        count,
+        page,
+      })}`
+    ),
+
+  getAccountRegistrations: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/registrations${buildQuery({
+        order,
+        count,
+        page,
+      })}`
+    ),
+
+  getAccountWithdrawals: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/withdrawals${buildQuery({
+        order,
+        count,
+        page,
+      })}`
+    ),
+
+  getAccountMirs: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/mirs${buildQuery({ order, count, page })}`
+    ),
+
+  getAccountAddresses: (stakeAddress, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/accounts/${stakeAddress}/addresses${buildQuery({ order, count, page })}`
+    ),
+
+  // Native assets
+  getAsset: (unit) => fetchFromBlockfrost(`/assets/${unit}`),
+
+  getAssetAddresses: (unit, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/assets/${unit}/addresses${buildQuery({ order, count, page })}`
+    ),
+
+  getAssetHistory: (unit, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/assets/${unit}/history${buildQuery({ order, count, page })}`
+    ),
+
+  getPolicyAssets: (policyId, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/assets/policy/${policyId}${buildQuery({ order, count, page })}`
+    ),
+
+  // Scripts
+  getScript: (scriptHash) => fetchFromBlockfrost(`/scripts/${scriptHash}`),
+
+  getScriptJson: (scriptHash) =>
+    fetchFromBlockfrost(`/scripts/${scriptHash}/json`),
+
+  getScriptCbor: (scriptHash) =>
+    fetchFromBlockfrost(`/scripts/${scriptHash}/cbor`),
+
+  getDatumCbor: (datumHash) =>
+    fetchFromBlockfrost(`/scripts/datum/${datumHash}/cbor`),
+
+  // Stake pools
+  getPools: ({ order, count, page } = {}) =>
+    fetchFromBlockfrost(`/pools/extended${buildQuery({ order, count, page })}`),
+
+  getPool: (poolId) => fetchFromBlockfrost(`/pools/${poolId}`),
+
+  getPoolMetadata: (poolId) => fetchFromBlockfrost(`/pools/${poolId}/metadata`),
+
+  getPoolRelays: (poolId) => fetchFromBlockfrost(`/pools/${poolId}/relays`),
+
+  getPoolHistory: (poolId, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/pools/${poolId}/history${buildQuery({ order, count, page })}`
+    ),
+
+  getPoolBlocks: (poolId, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/pools/${poolId}/blocks${buildQuery({ order, count, page })}`
+    ),
+
+  // Epochs
+  getLatestEpoch: () => fetchFromBlockfrost('/epochs/latest'),
+
+  getEpoch: (number) => fetchFromBlockfrost(`/epochs/${number}`),
+
+  getEpochBlocks: (number, { order, count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/epochs/${number}/blocks${buildQuery({ order, count, page })}`
+    ),
+
+  getEpochStakes: (number, { count, page } = {}) =>
+    fetchFromBlockfrost(
+      `/epochs/${number}/stakes${buildQuery({ count, page })}`
+    ),
+
+  getLatestParameters: () => fetchFromBlockfrost('/epochs/latest/parameters'),
+
+  // Resolves to the submitted transaction's hash
+  submitTx: (cbor) => postToBlockfrost('/tx/submit', cbor, 'application/cbor'),
+};
@@ -0,0 +1,205 @@
+/**
+ * Finality-Aware Provider Cache
+ *
+ * Wraps a chain data provider with the response cache:
+ * - Entities buried deeper than the security parameter (k) are final and
+ *   cached indefinitely (blocks, transactions, fully spent UTXO sets)
+ * - Mutable entities (chain tip, recent blocks, address and account
+ *   state) are cached with short TTLs
+ * - Block confirmations are counted from the current tip when served, as
+ *   they keep growing after the block itself is final
+ * - Methods without a policy pass straight through
+ *
+ * @module services/providers/cached
+ */
+
+import { getOrLoad, isCacheEnabled, TTL } from '../cache/index.js';
+import { getCurrentNetwork, getSecurityParam } from '../../utils/network.js';
+
+const isFinalHeight = (height, tipHeight) =>
+  Number.isFinite(height) && tipHeight - height >= getSecurityParam();
+
+// Average block interval in seconds, used to turn k blocks into time
+const BLOCK_INTERVAL = 20;
+
+// An epoch is final once the tip is k average block intervals past its end
+const isFinalEpoch = async (epoch, { provider }) => {
+  if (!Number.isFinite(epoch?.end_time)) return false;
+  const tip = await provider.getLatestBlock();
+  return tip.time - epoch.end_time >= getSecurityParam() * BLOCK_INTERVAL;
+};
+
+// Policy for per-epoch data that becomes immutable with the epoch
+const epochTtl =
+  (finalTtl, mutableTtl) =>
+  async (value, [number], context) =>
+    (await isFinalEpoch(await context.provider.getEpoch(number), context))
+      ? finalTtl
+      : mutableTtl;
+
+// Policy for data that is fixed once its transaction is final
+const txPartTtl = async (value, [hash], { provider, tipHeight }) => {
+  const tx = await provider.getTx(hash);
+  return isFinalHeight(tx?.block_height, await tipHeight())
+    ? TTL.FOREVER
+    : TTL.MEDIUM;
+};
+
+/**
+ * TTL policies keyed by provider method. Each policy maps the loaded value
+ * (and the call arguments) to a TTL; `tipHeight` lazily resolves the
+ * current chain height through the cached latest block.
+ */
+const CACHE_POLICIES = {
+  getLatestBlock: () => TTL.SHORT,
+
+  getBlock: (block) =>
+    block?.confirmations >= getSecurityParam() ? TTL.FOREVER : TTL.SHORT,
+
+  getPreviousBlocks: (blocks) =>
+    blocks?.length &&
+    blocks.every((block) => block.confirmations >= getSecurityParam())
+      ? TTL.FOREVER
+      : TTL.SHORT,
+
+  getBlockTxs: async (txHashes, [hash], { provider }) => {
+    const block = await provider.getBlock(hash);
+    return block?.confirmations >= getSecurityParam() ? TTL.FOREVER : TTL.SHORT;
+  },
+
+  getTx: async (tx, args, { tipHeight }) =>
+    isFinalHeight(tx?.block_height, await tipHeight())
+      ? TTL.FOREVER
+      : TTL.MEDIUM,
+
+  // Outputs gain `consumed_by_tx` when spent, so only fully spent sets of
+  // final transactions are immutable
+  getTxUtxos: async (utxos, [hash], { provider, tipHeight }) => {
+    const allSpent = utxos?.outputs?.every((output) => output.consumed_by_tx);
+    if (!allSpent) return TTL.MEDIUM;
+
+    const tx = await provider.getTx(hash);
+    return isFinalHeight(tx?.block_height, await tipHeight())
+      ? TTL.FOREVER
+      : TTL.MEDIUM;
+  },
+
+  getTxMetadata: txPartTtl,
+  getTxCbor: txPartTtl,
+  getTxStakes: txPartTtl,
+  getTxDelegations: txPartTtl,
+  getTxPoolUpdates: txPartTtl,
+  getTxPoolRetires: txPartTtl,
+  getTxMirs: txPartTtl,
+  getTxWithdrawals: txPartTtl,
+  getTxRedeemers: txPartTtl,
+
+  getAddress: () => TTL.SHORT,
+  getAddressUtxos: () => TTL.SHORT,
+  getAddressTransactions: () => TTL.SHORT,
+  getAccount: () => TTL.MEDIUM,
+  getAccountRewards: () => TTL.MEDIUM,
+  getAccountHistory: () => TTL.MEDIUM,
+  getAccountDelegations: () => TTL.MEDIUM,
+  getAccountRegistrations: () => TTL.MEDIUM,
+  getAccountWithdrawals: () => TTL.MEDIUM,
+  getAccountMirs: () => TTL.MEDIUM,
+  getAccountAddresses: () => TTL.MEDIUM,
+  // Supply and history change with every mint or burn
+  getAsset: () => TTL.MEDIUM,
+  getAssetHistory: () => TTL.MEDIUM,
+  getPolicyAssets: () => TTL.MEDIUM,
+  // Holders change with every transfer, e.g. of an ADA Handle
+  getAssetAddresses: () => TTL.SHORT,
+  // Scripts and datums are content-addressed by their hash, so they never
+  // change
+  getScript: () => TTL.FOREVER,
+  getScriptJson: () => TTL.FOREVER,
+  getScriptCbor: () => TTL.FOREVER,
+  getDatumCbor: () => TTL.FOREVER,
+  getPools: () => TTL.LONG,
+  getPool: () => TTL.LONG,
+  getPoolMetadata: () => TTL.LONG,
+  getPoolRelays: () => TTL.LONG,
+  // The current epoch's entry keeps changing until the epoch ends
+  getPoolHistory: () => TTL.MEDIUM,
+  getPoolBlocks: () => TTL.SHORT,
+
+  getLatestEpoch: () => TTL.SHORT,
+
+  getEpoch: async (epoch, args, context) =>
+    (await isFinalEpoch(epoch, context)) ? TTL.FOREVER : TTL.SHORT,
+
+  getEpochBlocks: epochTtl(TTL.FOREVER, TTL.SHORT),
+
+  // The stake distribution is a snapshot fixed when the epoch starts
+  getEpochStakes: epochTtl(TTL.FOREVER, TTL.LONG),
+  // Parameters only change at epoch boundaries
+  getLatestParameters: () => TTL.LONG,
+  // submitTx has no policy: writes always reach the provider
+};
+
+// A block loaded before the cached tip can be ahead of it, so the count
+// never drops below the one it was loaded with
+const refreshConfirmations = (block, tipHeight) =>
+  Number.isFinite(block?.height)
+    ? {
+        ...block,
+        confirmations: Math.max(
+          block.confirmations ?? 0,
+          tipHeight - block.height
+        ),
+      }
+    : block;
+
+/**
+ * Adjustments applied to cached values when they are served, keyed by
+ * provider method
+ */
+const SERVE_TRANSFORMS = {
+  getBlock: async (block, { tipHeight }) =>
+    refreshConfirmations(block, await tipHeight()),
+
+  getPreviousBlocks: async (blocks, { tipHeight }) => {
+    const height = await tipHeight();
+    return blocks?.map((block) => refreshConfirmations(block, height));
+  },
+};
+
+const cachedProviders = new WeakMap();
+
+/**
+ * Returns a provider whose methods read through the response cache
+ * @param {Object} provider - Chain data provider
+ * @returns {Object} Cached provider with the same interface
+ */
+export const withCache = (provider) => {
+  if (!isCacheEnabled()) return provider;
+  if (cachedProviders.has(provider)) return cachedProviders.get(provider);
+
+  const cachedProvider = { ...provider };
+  const context = {
+    provider: cachedProvider,
+    tipHeight: async () => (await cachedProvider.getLatestBlock()).height,
+  };
+
+  Object.entries(CACHE_POLICIES).forEach(([method, resolveTtl]) => {
+    if (typeof provider[method] !== 'function') return;
+
+    cachedProvider[method] = async (...args) => {
+      const value = await getOrLoad(
+        [provider.name, getCurrentNetwork(), method, JSON.stringify(args)].join(
+          ':'
+        ),
+        () => provider[method](...args),
+        (value) => resolveTtl(value, args, context)
+      );
+      return SERVE_TRANSFORMS[method]
+        ? SERVE_TRANSFORMS[method](value, context)
+        : value;
+    };
+  });
+
+  cachedProviders.set(provider, cachedProvider);
+  return cachedProvider;
+};
@@ -0,0 +1,126 @@
+/**
+ * Chain Data Provider Registry
+ *
+ * Selects the chain data source used by every service:
+ * - Provider interface definition
+ * - Provider registration and validation
+ * - Configuration-based selection (CHAIN_PROVIDER)
+ * - External provider modules (CHAIN_PROVIDER_MODULE)
+ * - Finality-aware response caching
+ *
+ * A provider is a plain object implementing PROVIDER_METHODS. Each method
+ * resolves to data in Blockfrost's response shape and rejects with an
+ * APIError whose statusCode carries the upstream HTTP status (404 for
+ * missing entities). Providers read the request network through
+ * getCurrentNetwork() and may declare `requiredEnv`, either a list of
+ * variable names or a function of the network returning one.
+ *
+ * @module services/providers
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { APIError } from '../../utils/APIError.js';
+import { blockfrostProvider } from './blockfrost.js';
+import { withCache } from './cached.js';
+
+const DEFAULT_PROVIDER = 'blockfrost';
+
+export const PROVIDER_METHODS = [
+  'getLatestBlock',
+  'getPreviousBlocks',
+  'getBlock',
+  'getBlockTxs',
+  'getTx',
+  'getTxUtxos',
+  'getTxMetadata',
+  'getTxCbor',
+  'getTxStakes',
+  'getTxDelegations',
+  'getTxPoolUpdates',
+  'getTxPoolRetires',
+  'getTxMirs',
+  'getTxWithdrawals',
+  'getTxRedeemers',
+  'getAddress',
+  'getAddressUtxos',
+  'getAddressTransactions',
+  'getAccount',
+  'getAccountRewards',
+  'getAccountHistory',
+  'getAccountDelegations',
+  'getAccountRegistrations',
+  'getAccountWithdrawals',
+  'getAccountMirs',
+  'getAccountAddresses',
+  'getAsset',
+  'getAssetAddresses',
+  'getAssetHistory',
+  'getPolicyAssets',
+  'getScript',
+  'getScriptJson',
+  'getScriptCbor',
+  'getDatumCbor',
+  'getPools',
+  'getPool',
+  'getPoolMetadata',
+  'getPoolRelays',
+  'getPoolHistory',
+  'getPoolBlocks',
+  'getLatestEpoch',
+  'getEpoch',
+  'getEpochBlocks',
+  'getEpochStakes',
+  'getLatestParameters',
+  'submitTx',
+];
+
+const providers = new Map([[blockfrostProvider.name, blockfrostProvider]]);
+
+/**
+ * Registers a chain data provider
+ * @param {Object} provider - Provider implementing PROVIDER_METHODS
+ * @throws {Error} If the provider has no name or is missing methods
+ */
+export const registerProvider = (provider) => {
+  if (!provider?.name) throw new Error('Chain provider must have a name');
+
+  const missingMethods = PROVIDER_METHODS.filter(
+    (method) => typeof provider[method] !== 'function'
+  );
+  if (missingMethods.length) {
+    throw new Error(
+      `Chain provider "${
+        provider.name
+      }" is missing methods: ${missingMethods.join(', ')}`
+    );
+  }
+
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Loads and registers a provider from a module whose default export is
+ * the provider object
+ * @param {string} modulePath - Module path, relative to the working directory
+ * @returns {Promise<Object>} Registered provider
+ */
+export const loadProviderModule = async (modulePath) => {
+  const moduleUrl = pathToFileURL(path.resolve(modulePath)).href;
+  const { default: provider } = await import(moduleUrl);
+  registerProvider(provider);
+  return provider;
+};
+
+/**
+ * Returns the configured chain data provider, wrapped with the response
+ * cache unless CHAIN_CACHE=off
+ * @returns {Object} Active provider
+ * @throws {APIError} If the configured provider is not registered
+ */
+export const getProvider = () => {
+  const name = process.env.CHAIN_PROVIDER?.trim() || DEFAULT_PROVIDER;
+  const provider = providers.get(name);
+  if (!provider) throw new APIError(`Unknown chain provider: ${name}`, 500);
+  return withCache(provider);
+};
@@ -0,0 +1,580 @@
+/**
+ * Tax Report Service
+ *
+ * Builds a yearly capital gains and staking income report for a stake
+ * account or a list of addresses:
+ * - Lots of ADA and native tokens from every acquisition since the first
+ *   transaction, or the latest transactions of a history over the ledger
+ *   limit
+ * - Disposals matched to lots first-in first-out, last-in first-out or
+ *   highest cost first
+ * - Realized gains at historical daily ADA prices, short or long term
+ * - Staking rewards as income when they are paid out
+ * - CSV export
+ *
+ * Valuation rules:
+ * - ADA is valued at the day's price in the report currency
+ * - Tokens have no price source. Tokens received in a transaction that
+ *   spent ADA cost that ADA's value; tokens sent in a transaction that
+ *   received ADA are sold for it. The value is split evenly between the
+ *   tokens. Other token movements (airdrops, mints) carry no value.
+ * - Every other ADA outflow, fees included, is a disposal at market value
+ * - Protocol deposits, their refunds and reward withdrawals move ADA the
+ *   wallet already holds, so they neither acquire nor dispose. Address
+ *   reports do not know the stake account, so there withdrawals are
+ *   acquisitions at market value and rewards are not listed.
+ * - Quantities without a lot to match have no cost basis and are flagged
+ *   as unmatched. When the history is cut to its latest transactions,
+ *   everything acquired before the cut has no lot, and disposals before it
+ *   are missing; the report warns about both.
+ *
+ * @module services/reports/tax
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { logger } from '../../utils/logger.js';
+import { getCurrentNetwork, getEpochStartTime } from '../../utils/network.js';
+import { getProvider } from '../providers/index.js';
+import {
+  describeUnit,
+  getAccountAddressList,
+  getAccountDetails,
+  getAddressStructure,
+  getHoldingsChanges,
+  toAda,
+  toCsvField,
+} from '../blockfrost/index.js';
+import {
+  getAdaPrices,
+  getPriceProvider,
+  getSupportedCurrencies,
+} from '../prices/index.js';
+
+const TAX_CONFIG = {
+  METHODS: ['fifo', 'lifo', 'hifo'],
+  PRICED_NETWORK: 'mainnet',
+  FIRST_YEAR: 2017, // First full year of Cardano mainnet
+  MAX_ADDRESSES: 20,
+  PAGE_SIZE: 100, // Blockfrost's maximum page size
+  LONG_TERM_DAYS: 365,
+  // Rewards earned in an epoch are paid out when the epoch after next starts
+  REWARD_DELAY_EPOCHS: 2,
+  DAY_SECONDS: 24 * 60 * 60,
+  LOVELACE_PER_ADA: 1000000,
+};
+
+// Order in which a disposal consumes the open lots of a unit
+const LOT_ORDER = {
+  fifo: (a, b) => a.acquired - b.acquired,
+  lifo: (a, b) => b.acquired - a.acquired,
+  hifo: (a, b) => b.unit_cost - a.unit_cost || a.acquired - b.acquired,
+};
+
+const toDate = (time) => new Date(time * 1000).toISOString().slice(0, 10);
+
+const toFiat = (value) => Math.round(value * 100) / 100;
+
+const adaValue = (lovelace, price) =>
+  (Number(lovelace) / TAX_CONFIG.LOVELACE_PER_ADA) * price;
+
+const parseYear = (year) => {
+  const value = Number(year);
+  const current = new Date().getUTCFullYear();
+  if (
+    !/^\d{4}$/.test(String(year)) ||
+    value < TAX_CONFIG.FIRST_YEAR ||
+    value > current
+  )
+    throw new APIError(
+      `Year must be between ${TAX_CONFIG.FIRST_YEAR} and ${current}`,
+      400
+    );
+  return value;
+};
+
+const listAll = async (load) => {
+  const entries = [];
+  for (let page = 1; ; page++) {
+    const batch = await load({
+      order: 'asc',
+      count: TAX_CONFIG.PAGE_SIZE,
+      page,
+    });
+    entries.push(...batch);
+    if (batch.length < TAX_CONFIG.PAGE_SIZE) return entries;
+  }
+};
+
+/**
+ * Resolves the addresses a report covers, with the rewards and
+ * withdrawals of a stake account
+ * @returns {Promise<Object>} subject, addresses, rewards and withdrawals by
+ *   transaction hash
+ * @private
+ */
+const loadSubject = async (stake, addresses) => {
+  if (Boolean(stake) === Boolean(addresses))
+    throw new APIError('Provide either a stake address or addresses', 400);
+  // Repeated query parameters arrive as arrays
+  if ([stake, addresses].some((value) => value && typeof value !== 'string'))
+    throw new APIError(
+      'Pass the stake address once, or addresses as one comma-separated list',
+      400
+    );
+
+  if (addresses) {
+    const list = [
+      ...new Set(
+        addresses
+          .split(',')
+          .map((address) => address.trim())
+          .filter(Boolean)
+      ),
+    ];
+    if (list.length > TAX_CONFIG.MAX_ADDRESSES)
+      throw new APIError(
+        `Reports cover at most ${TAX_CONFIG.MAX_ADDRESSES} addresses; use the stake address`,
+        400
+      );
+    list.forEach(getAddressStructure); // Rejects malformed addresses
+    return {
+      subject: list.join(','),
+      addresses: list,
+      rewards: [],
+      withdrawals: new Map(),
+    };
+  }
+
+  await getAccountDetails(stake); // Validates the stake address
+  const provider = getProvider();
+  const [list, rewards, withdrawals] = await Promise.all([
+    getAccountAddressList(stake),
+    listAll((options) => provider.getAccountRewards(stake, options)),
+    listAll((options) => provider.getAccountWithdrawals(stake, options)),
+  ]);
+
+  const withdrawn = new Map();
+  withdrawals.forEach(({ tx_hash, amount }) =>
+    withdrawn.set(tx_hash, (withdrawn.get(tx_hash) || 0n) + BigInt(amount))
+  );
+  return {
+    subject: stake,
+    addresses: list,
+    // Pool deposit refunds return the operator's own ADA
+    rewards: rewards.filter(({ type }) => type !== 'pool_deposit_refund'),
+    withdrawals: withdrawn,
+  };
+};
+
+/**
+ * Loads daily prices a month at a time, recording days without a price.
+ * Price sources keep a limited history, so a month that fails to load is
+ * recorded as unavailable instead of failing the report.
+ * @param {string} currency - Currency code
+ * @returns {Object} priceOn(date) resolving to the price, 0 when missing,
+ *   the set of missing dates and the set of unavailable months
+ * @private
+ */
+const createPriceBook = (currency) => {
+  const months = new Map();
+  const missing = new Set();
+  const unavailable = new Set();
+
+  const loadMonth = async (month) => {
+    const [year, number] = month.split('-').map(Number);
+    const last = new Date(Date.UTC(year, number, 0)).toISOString();
+    try {
+      const { prices } = await getAdaPrices(
+        currency,
+        `${month}-01`,
+        last.slice(0, 10)
+      );
+      return new Map(prices.map(({ date, price }) => [date, price]));
+    } catch (error) {
+      logger.warn('Tax report prices unavailable', {
+        month,
+        error: error.message,
+      });
+      unavailable.add(month);
+      return new Map();
+    }
+  };
+
+  return {
+    missing,
+    unavailable,
+    priceOn: async (date) => {
+      const month = date.slice(0, 7);
+      if (!months.has(month)) months.set(month, loadMonth(month));
+      const price = (await months.get(month)).get(date);
+      if (price !== undefined) return price;
+      if (!unavailable.has(month)) missing.add(date);
+      return 0;
+    },
+  };
+};
+
+const acquire = (lots, unit, quantity, cost, time) => {
+  if (!lots.has(unit)) lots.set(unit, []);
+  lots.get(unit).push({
+    acquired: time,
+    quantity,
+    unit_cost: cost / Number(quantity),
+  });
+};
+
+/**
+ * Consumes open lots for a disposal in the report's lot order
+ * @returns {Array<Object>} Matched portions with acquired time (null when
+ *   unmatched), quantity, cost and proceeds
+ * @private
+ */
+const dispose = (lots, method, unit, quantity, proceeds) => {
+  const open = (lots.get(unit) || []).sort(LOT_ORDER[method]);
+  const matches = [];
+  let remaining = quantity;
+
+  for (const lot of open) {
+    if (remaining === 0n) break;
+    const used = lot.quantity < remaining ? lot.quantity : remaining;
+    lot.quantity -= used;
+    remaining -= used;
+    matches.push({
+      acquired: lot.acquired,
+      quantity: used,
+      cost: lot.unit_cost * Number(used),
+    });
+  }
+  lots.set(
+    unit,
+    open.filter((lot) => lot.quantity > 0n)
+  );
+  if (remaining > 0n)
+    matches.push({ acquired: null, quantity: remaining, cost: 0 });
+
+  return matches.map((match) => ({
+    ...match,
+    proceeds: (proceeds * Number(match.quantity)) / Number(quantity),
+  }));
+};
+
+const describeAsset = (unit) =>
+  unit === 'lovelace' ? 'ADA' : describeUnit(unit).name || unit;
+
+/**
+ * Splits a transaction's holdings change into disposals and acquisitions
+ * with their fiat values
+ * @returns {Object} Lovelace moved, and disposed and acquired units with
+ *   quantities and values
+ * @private
+ */
+const valueTransaction = ({ tx, inputs, delta }, owned, withdrawals, price) => {
+  let lovelace = delta.get('lovelace') || 0n;
+  lovelace -= withdrawals.get(tx.hash) || 0n;
+  if (
+    tx.valid_contract !== false &&
+    inputs.some((input) => owned.has(input.address))
+  )
+    lovelace += BigInt(tx.deposit || 0);
+
+  const tokens = [...delta].filter(
+    ([unit, quantity]) => unit !== 'lovelace' && quantity !== 0n
+  );
+  const received = tokens.filter(([, quantity]) => quantity > 0n);
+  const sent = tokens.filter(([, quantity]) => quantity < 0n);
+  const value = adaValue(lovelace < 0n ? -lovelace : lovelace, price);
+
+  // The ADA side of a trade values the tokens on the other side
+  const tokenValue = (list, traded) =>
+    list.map(([unit, quantity]) => ({
+      unit,
+      quantity: quantity < 0n ? -quantity : quantity,
+      value: traded ? value / list.length : 0,
+    }));
+
+  const disposed = tokenValue(sent, lovelace > 0n);
+  const acquired = tokenValue(received, lovelace < 0n);
+  if (lovelace < 0n)
+    disposed.push({ unit: 'lovelace', quantity: -lovelace, value });
+  if (lovelace > 0n)
+    acquired.push({ unit: 'lovelace', quantity: lovelace, value });
+  return { disposed, acquired };
+};
+
+// Unmatched disposals have no holding period and count as short term
+const summarize = (disposals, income, fees) => {
+  const sum = (rows, field) =>
+    rows.reduce((total, row) => total + row[field], 0);
+  const long = disposals.filter((row) => row.term === 'long');
+  const short = disposals.filter((row) => row.term !== 'long');
+
+  return {
+    proceeds: toFiat(sum(disposals, 'proceeds')),
+    cost_basis: toFiat(sum(disposals, 'cost_basis')),
+    realized_gain: toFiat(sum(disposals, 'gain')),
+    short_term_gain: toFiat(sum(short, 'gain')),
+    long_term_gain: toFiat(sum(long, 'gain')),
+    staking_income: toFiat(sum(income, 'value')),
+    fees_paid: toFiat(fees),
+  };
+};
+
+/**
+ * Builds the tax report of a stake account or addresses for a year
+ * @param {Object} options
+ * @param {string} [options.stake] - Bech32 stake address
+ * @param {string} [options.addresses] - Comma-separated addresses, instead
+ *   of a stake address
+ * @param {string|number} options.year - Calendar year (UTC)
+ * @param {string} [options.method='fifo'] - `fifo`, `lifo` or `hifo`
+ * @param {string} [options.currency] - Report currency, defaults to the
+ *   first supported currency
+ * @param {AbortSignal} [options.signal] - Stops loading when aborted
+ * @returns {Promise<Object>} Report with summary, disposals, income,
+ *   holdings at the end of the year and warnings
+ * @throws {APIError} 400 for invalid input or off mainnet, 404 for unknown
+ *   accounts or addresses
+ */
+export const getTaxReport = async ({
+  stake,
+  addresses,
+  year,
+  method = 'fifo',
+  currency,
+  signal,
+} = {}) => {
+  if (getCurrentNetwork() !== TAX_CONFIG.PRICED_NETWORK)
+    throw new APIError(
+      'Tax reports need market prices and are only available on mainnet',
+      400
+    );
+  const reportYear = parseYear(year);
+  if (!TAX_CONFIG.METHODS.includes(method))
+    throw new APIError('Method must be fifo, lifo or hifo', 400);
+  const code = (currency || getSupportedCurrencies()[0]).toLowerCase();
+  if (!getSupportedCurrencies().includes(code))
+    throw new APIError('Unsupported currency', 400);
+  const source = getPriceProvider().name;
+
+  const yearStart = Date.UTC(reportYear, 0, 1) / 1000;
+  const yearEnd = Date.UTC(reportYear + 1, 0, 1) / 1000;
+  const subject = await loadSubject(stake, addresses);
+  const owned = new Set(subject.addresses);
+
+  // Lots acquired in earlier years count, so the history starts at the
+  // first transaction, or as far back as the ledger limit allows
+  const { changes, complete } = await getHoldingsChanges(subject.addresses, {
+    to:
+      reportYear < new Date().getUTCFullYear()
+        ? new Date((yearEnd - 1) * 1000).toISOString()
+        : undefined,
+    latest: true,
+    signal,
+  });
+  // Rewards before a cut history were spent or kept by transactions the
+  // report no longer sees, so they are not lots either
+  const historyStart = complete ? -Infinity : changes[0].tx.block_time;
+
+  const events = [
+    ...changes.map((change) => ({ time: change.tx.block_time, change })),
+    ...subject.rewards.map((reward) => ({
+      time: getEpochStartTime(reward.epoch + TAX_CONFIG.REWARD_DELAY_EPOCHS),
+      reward,
+    })),
+  ]
+    .filter(({ time }) => time < yearEnd)
+    .sort((a, b) => a.time - b.time);
+
+  const prices = createPriceBook(code);
+  const lots = new Map();
+  const disposals = [];
+  const income = [];
+  let fees = 0;
+
+  for (const { time, change, reward } of events) {
+    const date = toDate(time);
+    const price = await prices.priceOn(date);
+    const inYear = time >= yearStart;
+
+    if (reward) {
+      const value = adaValue(reward.amount, price);
+      if (time >= historyStart)
+        acquire(lots, 'lovelace', BigInt(reward.amount), value, time);
+      if (inYear)
+        income.push({
+          epoch: reward.epoch,
+          date,
+          pool_id: reward.pool_id ?? null,
+          amount_lovelace: reward.amount,
+          price,
+          value: toFiat(value),
+        });
+      continue;
+    }
+
+    const { disposed, acquired } = valueTransaction(
+      change,
+      owned,
+      subject.withdrawals,
+      price
+    );
+    disposed.forEach(({ unit, quantity, value }) =>
+      dispose(lots, method, unit, quantity, value).forEach((match) => {
+        if (!inYear) return;
+        const held = match.acquired === null ? null : time - match.acquired;
+        disposals.push({
+          tx_hash: change.tx.hash,
+          date,
+          unit,
+          asset: describeAsset(unit),
+          quantity: match.quantity.toString(),
+          acquired: match.acquired === null ? null : toDate(match.acquired),
+          proceeds: toFiat(match.proceeds),
+          cost_basis: toFiat(match.cost),
+          gain: toFiat(match.proceeds - match.cost),
+          term:
+            held === null
+              ? null
+              : held > TAX_CONFIG.LONG_TERM_DAYS * TAX_CONFIG.DAY_SECONDS
+              ? 'long'
+              : 'short',
+          unmatched: match.acquired === null,
+        });
+      })
+    );
+    acquired.forEach(({ unit, quantity, value }) =>
+      acquire(lots, unit, quantity, value, time)
+    );
+
+    if (
+      inYear &&
+      change.inputs.some((input) => owned.has(input.address)) &&
+      change.tx.valid_contract !== false
+    )
+      fees += adaValue(change.tx.fees, price);
+  }
+
+  const holdings = [...lots]
+    .map(([unit, open]) => ({
+      unit,
+      asset: describeAsset(unit),
+      quantity: open
+        .reduce((total, lot) => total + lot.quantity, 0n)
+        .toString(),
+      cost_basis: toFiat(
+        open.reduce(
+          (total, lot) => total + lot.unit_cost * Number(lot.quantity),
+          0
+        )
+      ),
+    }))
+    .filter(({ quantity }) => quantity !== '0');
+
+  const warnings = [
+    ...(complete
+      ? []
+      : [
+          `Only the latest ${
+            changes.length
+          } transactions up to the end of ${reportYear} were processed, starting ${toDate(
+            historyStart
+          )}; earlier acquisitions have no cost basis${
+            historyStart > yearStart ? ' and earlier disposals are missing' : ''
+          }`,
+        ]),
+    ...(prices.unavailable.size
+      ? [
+          `${code.toUpperCase()} prices could not be loaded for ${[
+            ...prices.unavailable,
+          ]
+            .sort()
+            .join(', ')}; valued at 0`,
+        ]
+      : []),
+    ...(prices.missing.size
+      ? [
+          `No ${code.toUpperCase()} price for ${[...prices.missing]
+            .sort()
+            .join(', ')}; valued at 0`,
+        ]
+      : []),
+    ...(disposals.some((row) => row.unmatched)
+      ? ['Some disposals have no matching acquisition and no cost basis']
+      : []),
+  ];
+
+  return {
+    subject: subject.subject,
+    addresses: subject.addresses,
+    year: reportYear,
+    method,
+    currency: code,
+    price_source: source,
+    generated_at: new Date().toISOString(),
+    summary: summarize(disposals, income, fees),
+    disposals,
+    income,
+    holdings,
+    warnings,
+  };
+};
+
+const CSV_COLUMNS = [
+  'type',
+  'date',
+  'reference',
+  'asset',
+  'quantity',
+  'acquired',
+  'proceeds',
+  'cost_basis',
+  'gain',
+  'term',
+  'income',
+];
+
+const formatQuantity = (unit, quantity) =>
+  unit === 'lovelace' ? toAda(quantity) : quantity;
+
+/**
+ * Formats a tax report as a CSV file with one row per matched disposal and
+ * per reward
+ * @param {Object} report - Report from getTaxReport
+ * @returns {{contentType: string, filename: string, body: string}} File
+ */
+export const formatTaxReportCsv = (report) => {
+  const rows = [
+    ...report.disposals.map((row) => ({
+      type: 'disposal',
+      date: row.date,
+      reference: row.tx_hash,
+      asset: row.asset,
+      quantity: formatQuantity(row.unit, row.quantity),
+      acquired: row.acquired ?? 'unmatched',
+      proceeds: row.proceeds,
+      cost_basis: row.cost_basis,
+      gain: row.gain,
+      term: row.term ?? '',
+    })),
+    ...report.income.map((row) => ({
+      type: 'staking_reward',
+      date: row.date,
+      reference: `epoch ${row.epoch}`,
+      asset: 'ADA',
+      quantity: toAda(row.amount_lovelace),
+      income: row.value,
+    })),
+  ].sort((a, b) => a.date.localeCompare(b.date));
+
+  const lines = [
+    CSV_COLUMNS,
+    ...rows.map((row) => CSV_COLUMNS.map((column) => row[column] ?? '')),
+  ];
+  return {
+    contentType: 'text/csv',
+    filename: `tax-${report.year}-${report.method}-${report.currency}.csv`,
+    body:
+      lines.map((fields) => fields.map(toCsvField).join(',')).join('\r\n') +
+      '\r\n',
+  };
+};
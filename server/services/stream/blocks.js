@@ -0,0 +1,299 @@
+/**
+ * Block Stream Service
+ *
+ * Follows the chain tip once per network and fans new blocks out to
+ * every live feed subscriber:
+ * - A single poller per network, running only while it has subscribers
+ * - Blocks missed between polls are caught up in height order
+ * - Each block is sent with summaries of its first transactions
+ * - Recent events are kept so reconnecting clients can resume from
+ *   their last event id
+ * - Rollbacks and gaps too large to replay are announced as a reset
+ *
+ * Event ids are block heights. A `block` event carries the block summary
+ * and its transactions; a `reset` event tells the client to reload what
+ * it shows, as the stream can no longer continue where it left off.
+ *
+ * @module services/stream/blocks
+ */
+
+import { APIError } from '../../utils/APIError.js';
+import { logger } from '../../utils/logger.js';
+import { runWithNetwork } from '../../utils/network.js';
+import { getProvider } from '../providers/index.js';
+import {
+  getBlockTransactions,
+  getPreviousBlocks,
+  summarizeBlock,
+} from '../blockfrost/index.js';
+
+const STREAM_CONFIG = {
+  POLL_INTERVAL: 10000, // ms, about half the average block time
+  HISTORY_SIZE: 50, // Events kept for Last-Event-ID replay
+  MAX_CATCH_UP: 20, // Blocks fetched after a gap between polls
+  TX_SUMMARY_LIMIT: 10, // Transactions summarized per block
+  MAX_SUBSCRIBERS: 500, // Per network
+};
+
+const EVENTS = {
+  BLOCK: 'block',
+  RESET: 'reset',
+};
+
+const followers = new Map();
+
+const resetEvent = (height) => ({
+  id: height,
+  event: EVENTS.RESET,
+  data: { height },
+});
+
+/**
+ * Builds the block event for a block, with its first transactions
+ * @param {Object} block - Block from the chain data provider
+ * @returns {Promise<Object>} Event with id, type and data
+ * @private
+ */
+const toBlockEvent = async (block) => {
+  let transactions = [];
+  let incomplete = false;
+  if (block.tx_count > 0) {
+    try {
+      ({ transactions, incomplete } = await getBlockTransactions(
+        block.hash,
+        1,
+        STREAM_CONFIG.TX_SUMMARY_LIMIT
+      ));
+    } catch (error) {
+      logger.warn('Block stream transactions unavailable', {
+        hash: block.hash,
+        error: error.message,
+      });
+      incomplete = true;
+    }
+  }
+
+  return {
+    id: block.height,
+    event: EVENTS.BLOCK,
+    data: { block: summarizeBlock(block), transactions, incomplete },
+  };
+};
+
+/**
+ * Loads the blocks between the last followed block and the tip, oldest
+ * first
+ * @param {Object} follower - Network follower
+ * @param {Object} tip - Latest block
+ * @returns {Promise<Object[]|null>} New blocks, or null when they do not
+ *   extend the followed chain (a rollback)
+ * @private
+ */
+const getNewBlocks = async (follower, tip) => {
+  const missed = Math.min(
+    tip.height - follower.height - 1,
+    STREAM_CONFIG.MAX_CATCH_UP - 1
+  );
+  const previous = missed > 0 ? await getPreviousBlocks(tip.hash, missed) : [];
+  const blocks = [...previous, tip].sort((a, b) => a.height - b.height);
+
+  // Blocks that link back to the followed chain prove it was not rolled
+  // back; after a longer gap only the height can be checked
+  const [first] = blocks;
+  if (first.height === follower.height + 1) {
+    return first.previous_block === follower.hash ? blocks : null;
+  }
+  return blocks;
+};
+
+/**
+ * Sends an event to one subscriber, dropping subscribers whose
+ * connection fails
+ * @param {Object} follower - Network follower
+ * @param {Object} subscriber - Subscriber
+ * @param {Object} event - Event with id, type and data
+ * @private
+ */
+const deliver = (follower, subscriber, event) => {
+  try {
+    subscriber.send(event);
+  } catch (error) {
+    logger.warn('Block stream subscriber dropped', { error: error.message });
+    follower.subscribers.delete(subscriber);
+  }
+};
+
+const broadcast = (follower, event) =>
+  [...follower.subscribers].forEach((subscriber) =>
+    deliver(follower, subscriber, event)
+  );
+
+/**
+ * Replays the events a subscriber missed since its last event id, or
+ * asks it to reset when they are no longer kept
+ * @param {Object} follower - Network follower
+ * @param {Object} subscriber - Subscriber
+ * @private
+ */
+const replay = (follower, subscriber) => {
+  const { lastEventId } = subscriber;
+  if (lastEventId === null || lastEventId === follower.height) return;
+
+  const oldest = follower.history[0]?.id ?? follower.height;
+  if (lastEventId < oldest - 1 || lastEventId > follower.height) {
+    deliver(follower, subscriber, resetEvent(follower.height));
+    return;
+  }
+
+  follower.history
+    .filter((event) => event.id > lastEventId)
+    .forEach((event) => deliver(follower, subscriber, event));
+};
+
+const remember = (follower, event) => {
+  follower.history.push(event);
+  follower.history.splice(
+    0,
+    follower.history.length - STREAM_CONFIG.HISTORY_SIZE
+  );
+  follower.height = event.id;
+  follower.hash = event.data.block.hash;
+};
+
+/**
+ * (Re)starts following from the tip, without announcing it
+ * @param {Object} follower - Network follower
+ * @param {Object} tip - Latest block
+ * @private
+ */
+const seed = async (follower, tip) => {
+  const event = await toBlockEvent(tip);
+  follower.history = [];
+  remember(follower, event);
+};
+
+/**
+ * Polls the tip once and broadcasts the blocks found since the last poll
+ * @param {Object} follower - Network follower
+ * @private
+ */
+const poll = async (follower) => {
+  const tip = await getProvider().getLatestBlock();
+
+  // Subscribers that connected before the tip was known get their replay
+  // once it is
+  if (follower.height === null) {
+    await seed(follower, tip);
+    follower.subscribers.forEach((subscriber) => replay(follower, subscriber));
+    return;
+  }
+  if (tip.hash === follower.hash) return;
+
+  const blocks =
+    tip.height > follower.height ? await getNewBlocks(follower, tip) : null;
+  if (!blocks) {
+    logger.info('Block stream rollback', {
+      network: follower.network,
+      from: follower.height,
+      to: tip.height,
+    });
+    await seed(follower, tip);
+    broadcast(follower, resetEvent(tip.height));
+    return;
+  }
+
+  // A gap longer than the catch-up window cannot be replayed in full
+  const gap = blocks[0].height > follower.height + 1;
+  if (gap) follower.history = [];
+
+  for (const block of blocks) {
+    const event = await toBlockEvent(block);
+    remember(follower, event);
+    if (!gap) broadcast(follower, event);
+  }
+  if (gap) broadcast(follower, resetEvent(tip.height));
+};
+
+/**
+ * Runs polls back to back, one interval apart, for as long as the
+ * follower has subscribers. Failed polls are logged and retried on the
+ * next interval.
+ * @param {Object} follower - Network follower
+ * @param {number} [delay] - Delay before the next poll in ms
+ * @private
+ */
+const schedule = (follower, delay = STREAM_CONFIG.POLL_INTERVAL) => {
+  follower.timer = setTimeout(
+    () =>
+      runWithNetwork(follower.network, async () => {
+        try {
+          await poll(follower);
+        } catch (error) {
+          logger.error('Block stream poll failed', {
+            network: follower.network,
+            error: error.message,
+          });
+        }
+        if (followers.get(follower.network) === follower) schedule(follower);
+      }),
+    delay
+  );
+};
+
+/**
+ * Subscribes to new blocks on a network. The network's follower starts
+ * with its first subscriber and stops with its last.
+ * @param {string} network - Network name
+ * @param {number|null} lastEventId - Height of the last block the client
+ *   received, to replay the blocks after it
+ * @param {Function} send - Called with each event (id, event, data)
+ * @returns {Function} Unsubscribes
+ * @throws {APIError} If the network has too many subscribers
+ */
+export const subscribeToBlocks = (network, lastEventId, send) => {
+  let follower = followers.get(network);
+  if (!follower) {
+    follower = {
+      network,
+      subscribers: new Set(),
+      history: [],
+      height: null,
+      hash: null,
+      timer: null,
+    };
+    followers.set(network, follower);
+    schedule(follower, 0);
+  }
+
+  if (follower.subscribers.size >= STREAM_CONFIG.MAX_SUBSCRIBERS) {
+    throw new APIError('Too many live feed connections', 503);
+  }
+
+  const subscriber = { lastEventId, send };
+  follower.subscribers.add(subscriber);
+  if (follower.height !== null) replay(follower, subscriber);
+
+  return () => {
+    follower.subscribers.delete(subscriber);
+    if (follower.subscribers.size || followers.get(network) !== follower) {
+      return;
+    }
+    clearTimeout(follower.timer);
+    followers.delete(network);
+  };
+};
+
+/**
+ * Parses a client's last event id
+ * @param {string} [value] - Last-Event-ID header or query value
+ * @returns {number|null} Block height, or null when absent
+ * @throws {APIError} If the value is not a block height
+ */
+export const parseLastEventId = (value) => {
+  if (value === undefined || value === '') return null;
+  const height = Number(value);
+  if (!Number.isInteger(height) || height < 0) {
+    throw new APIError('Invalid last event id', 400);
+  }
+  return height;
+};
@@ -0,0 +1,241 @@
+/**
+ * Cardano Address Encoding
+ *
+ * Converts between raw address bytes and their display form:
+ * - Shelley base, pointer and enterprise addresses as `addr`/`addr_test`
+ *   bech32
+ * - Reward (stake) addresses as `stake`/`stake_test` bech32
+ * - Byron bootstrap addresses as base58
+ * - Decoding of either form into its network, payment and stake parts,
+ *   with checksum verification
+ *
+ * Shelley address headers carry the address type in the high nibble and
+ * the network ID (1 = mainnet) in the low nibble. Byron addresses are CBOR
+ * `[#6.24(payload), crc32]` with the network given by an optional protocol
+ * magic attribute.
+ *
+ * @module utils/address
+ */
+
+import { encode as encodeBech32, decode as decodeBech32 } from './bech32.js';
+import { decode as decodeBase58, encode as encodeBase58 } from './base58.js';
+import { decode as decodeCbor, CborTag } from './cbor.js';
+
+const ADDRESS_TYPES = {
+  MAX_SHELLEY: 7,
+  BYRON: 8,
+  REWARD_KEY: 14,
+  REWARD_SCRIPT: 15,
+};
+
+const MAINNET_ID = 1;
+
+// A Byron address fits in a Byron-era transaction, at most 4096 bytes,
+// which is 5595 base58 characters. Base58 decoding is quadratic in the
+// length, so longer input is rejected before it is decoded.
+const BYRON_MAX_LENGTH = 5595;
+
+// Shelley header types: address kind and which credentials are scripts
+const SHELLEY_LAYOUTS = {
+  0: { type: 'base', payment: 'key', stake: 'key' },
+  1: { type: 'base', payment: 'script', stake: 'key' },
+  2: { type: 'base', payment: 'key', stake: 'script' },
+  3: { type: 'base', payment: 'script', stake: 'script' },
+  4: { type: 'pointer', payment: 'key' },
+  5: { type: 'pointer', payment: 'script' },
+  6: { type: 'enterprise', payment: 'key' },
+  7: { type: 'enterprise', payment: 'script' },
+  14: { type: 'reward', stake: 'key' },
+  15: { type: 'reward', stake: 'script' },
+};
+
+const CREDENTIAL_LENGTH = 28;
+
+const BYRON = {
+  ADDRESS_TYPES: ['pubkey', 'script', 'redeem'],
+  ATTRIBUTES: { DERIVATION_PATH: 1, PROTOCOL_MAGIC: 2 },
+  EMBEDDED_CBOR_TAG: 24,
+};
+
+const BECH32_PREFIX_PATTERN = /^(addr|addr_test|stake|stake_test)1/i;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) =>
+  (bytes.reduce(
+    (crc, byte) => CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8),
+    0xffffffff
+  ) ^
+    0xffffffff) >>>
+  0;
+
+/**
+ * Encodes address bytes for display
+ * @param {Buffer} bytes - Raw address bytes
+ * @returns {string|null} Bech32 or base58 address, or null for unknown
+ *   address types
+ */
+export const encodeAddress = (bytes) => {
+  if (!bytes?.length) return null;
+
+  const type = bytes[0] >> 4;
+  const testnet = (bytes[0] & 0x0f) !== MAINNET_ID ? '_test' : '';
+
+  if (type <= ADDRESS_TYPES.MAX_SHELLEY)
+    return encodeBech32(`addr${testnet}`, bytes);
+  if (type === ADDRESS_TYPES.BYRON) return encodeBase58(bytes);
+  if (type === ADDRESS_TYPES.REWARD_KEY || type === ADDRESS_TYPES.REWARD_SCRIPT)
+    return encodeBech32(`stake${testnet}`, bytes);
+  return null;
+};
+
+const toCredential = (type, bytes) => ({ type, hash: bytes.toString('hex') });
+
+// The reward address that a stake credential is registered under
+const toStakeAddress = ({ type, hash }, networkId) => {
+  const addressType =
+    type === 'key' ? ADDRESS_TYPES.REWARD_KEY : ADDRESS_TYPES.REWARD_SCRIPT;
+  return encodeAddress(
+    Buffer.concat([
+      Buffer.from([(addressType << 4) | networkId]),
+      Buffer.from(hash, 'hex'),
+    ])
+  );
+};
+
+// Pointers are three variable-length naturals: 7 bits per byte, high bit
+// set on every byte but the last
+const readPointer = (bytes) => {
+  const values = [];
+  let offset = 0;
+
+  while (values.length < 3) {
+    let value = 0;
+    let byte;
+    do {
+      if (offset >= bytes.length) throw new Error('Truncated stake pointer');
+      byte = bytes[offset++];
+      value = value * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+    if (!Number.isSafeInteger(value))
+      throw new Error('Stake pointer out of range');
+    values.push(value);
+  }
+  if (offset !== bytes.length) throw new Error('Trailing stake pointer bytes');
+
+  const [slot, txIndex, certIndex] = values;
+  return { slot, tx_index: txIndex, cert_index: certIndex };
+};
+
+const decodeShelley = (prefix, bytes) => {
+  const headerType = bytes[0] >> 4;
+  const networkId = bytes[0] & 0x0f;
+  const layout = SHELLEY_LAYOUTS[headerType];
+  if (!layout) throw new Error(`Unknown address type ${headerType}`);
+
+  const reward = layout.type === 'reward';
+  const testnet = networkId !== MAINNET_ID ? '_test' : '';
+  if (prefix !== `${reward ? 'stake' : 'addr'}${testnet}`)
+    throw new Error(`Prefix ${prefix} does not match the address header`);
+
+  const first = bytes.subarray(1, 1 + CREDENTIAL_LENGTH);
+  const rest = bytes.subarray(1 + CREDENTIAL_LENGTH);
+  const expectsRest = layout.type === 'base' || layout.type === 'pointer';
+  if (
+    first.length !== CREDENTIAL_LENGTH ||
+    (layout.type === 'base' && rest.length !== CREDENTIAL_LENGTH) ||
+    (!expectsRest && rest.length)
+  )
+    throw new Error(`Invalid ${layout.type} address length`);
+
+  const payment = reward ? null : toCredential(layout.payment, first);
+  let stake = null;
+  if (reward) stake = toCredential(layout.stake, first);
+  if (layout.type === 'base') stake = toCredential(layout.stake, rest);
+
+  return {
+    era: 'shelley',
+    type: layout.type,
+    header_type: headerType,
+    network: networkId === MAINNET_ID ? 'mainnet' : 'testnet',
+    network_id: networkId,
+    payment_credential: payment,
+    stake_credential: stake,
+    stake_pointer: layout.type === 'pointer' ? readPointer(rest) : null,
+    stake_address: stake && toStakeAddress(stake, networkId),
+    byron: null,
+  };
+};
+
+const decodeByron = (bytes) => {
+  const address = decodeCbor(bytes);
+  if (
+    !Array.isArray(address) ||
+    address.length !== 2 ||
+    !(address[0] instanceof CborTag) ||
+    address[0].tag !== BYRON.EMBEDDED_CBOR_TAG ||
+    !Buffer.isBuffer(address[0].value)
+  )
+    throw new Error('Not a Byron address');
+
+  const payload = address[0].value;
+  if (crc32(payload) !== address[1]) throw new Error('Invalid Byron checksum');
+
+  const [root, attributes, type] = decodeCbor(payload);
+  if (!Buffer.isBuffer(root) || !(attributes instanceof Map))
+    throw new Error('Not a Byron address');
+
+  const magic = attributes.get(BYRON.ATTRIBUTES.PROTOCOL_MAGIC);
+  const protocolMagic = Buffer.isBuffer(magic) ? decodeCbor(magic) : null;
+
+  return {
+    era: 'byron',
+    type: 'byron',
+    header_type: ADDRESS_TYPES.BYRON,
+    network: protocolMagic === null ? 'mainnet' : 'testnet',
+    network_id: null,
+    payment_credential: null,
+    stake_credential: null,
+    stake_pointer: null,
+    stake_address: null,
+    byron: {
+      root: root.toString('hex'),
+      address_type: BYRON.ADDRESS_TYPES[type] ?? null,
+      protocol_magic: protocolMagic,
+      has_derivation_path: attributes.has(BYRON.ATTRIBUTES.DERIVATION_PATH),
+    },
+  };
+};
+
+/**
+ * Decodes a bech32 or base58 address into its parts, verifying its
+ * checksum
+ * @param {string} address - Display form of the address
+ * @returns {Object} era, type, header_type, network, network_id,
+ *   payment_credential and stake_credential (`{type, hash}` or null),
+ *   stake_pointer, stake_address and, for Byron addresses, byron details
+ * @throws {Error} If the address is malformed or its checksum is wrong
+ */
+export const decodeAddress = (address) => {
+  if (typeof address !== 'string' || !address)
+    throw new Error('Address is required');
+
+  if (BECH32_PREFIX_PATTERN.test(address)) {
+    const { prefix, bytes } = decodeBech32(address);
+    if (!bytes.length) throw new Error('Empty address');
+    return {
+      address,
+      bytes: bytes.toString('hex'),
+      ...decodeShelley(prefix, bytes),
+    };
+  }
+
+  if (address.length > BYRON_MAX_LENGTH)
+    throw new Error('Invalid Byron address length');
+  const bytes = decodeBase58(address);
+  return { address, bytes: bytes.toString('hex'), ...decodeByron(bytes) };
+};
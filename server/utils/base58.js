@@ -0,0 +1,63 @@
+/**
+ * Base58 Encoding
+ *
+ * Bitcoin-alphabet base58 as used by Byron-era Cardano addresses:
+ * - Encoding bytes, with leading zero bytes kept as leading `1`s
+ * - Decoding back to bytes
+ *
+ * @module utils/base58
+ */
+
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Digits are read in chunks small enough for a Number (58^9 < 2^53), so the
+// BigInt is multiplied once per chunk rather than once per digit
+const CHUNK_DIGITS = 9;
+
+/**
+ * Encodes bytes as base58
+ * @param {Buffer|Uint8Array} bytes - Payload
+ * @returns {string} Base58 string
+ */
+export const encode = (bytes) => {
+  const input = Buffer.from(bytes);
+  let value = input.length ? BigInt(`0x${input.toString('hex')}`) : 0n;
+  let result = '';
+
+  while (value > 0n) {
+    result = ALPHABET[Number(value % 58n)] + result;
+    value /= 58n;
+  }
+
+  const zeros = input.findIndex((byte) => byte !== 0);
+  return '1'.repeat(zeros === -1 ? input.length : zeros) + result;
+};
+
+/**
+ * Decodes a base58 string
+ * @param {string} value - Base58 string
+ * @returns {Buffer} Payload
+ * @throws {Error} If the string contains characters outside the alphabet
+ */
+export const decode = (value) => {
+  if (typeof value !== 'string') throw new Error('Invalid base58 string');
+
+  let result = 0n;
+  for (let start = 0; start < value.length; start += CHUNK_DIGITS) {
+    const chunk = value.slice(start, start + CHUNK_DIGITS);
+    let chunkValue = 0;
+    for (const char of chunk) {
+      const digit = ALPHABET.indexOf(char);
+      if (digit === -1) throw new Error(`Invalid base58 character: ${char}`);
+      chunkValue = chunkValue * 58 + digit;
+    }
+    result = result * 58n ** BigInt(chunk.length) + BigInt(chunkValue);
+  }
+
+  const hex = result ? result.toString(16) : '';
+  const zeros = value.match(/^1*/)[0].length;
+  return Buffer.concat([
+    Buffer.alloc(zeros),
+    Buffer.from(hex.padStart(hex.length + (hex.length % 2), '0'), 'hex'),
+  ]);
+};
@@ -0,0 +1,112 @@
+/**
+ * Bech32 Encoding
+ *
+ * BIP-173 bech32 as used by Cardano identifiers:
+ * - Encoding bytes under a human-readable prefix (asset fingerprints,
+ *   pool IDs, addresses)
+ * - Decoding with checksum verification
+ *
+ * Cardano lifts BIP-173's 90 character limit, since Shelley addresses
+ * with pointers or scripts can be longer.
+ *
+ * @module utils/bech32
+ */
+
+const CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+const MAX_LENGTH = 1023;
+
+const polymod = (values) => {
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    GENERATOR.forEach((g, i) => {
+      if ((top >>> i) & 1) checksum ^= g;
+    });
+  }
+  return checksum >>> 0;
+};
+
+const expandPrefix = (prefix) => [
+  ...[...prefix].map((c) => c.charCodeAt(0) >> 5),
+  0,
+  ...[...prefix].map((c) => c.charCodeAt(0) & 31),
+];
+
+const createChecksum = (prefix, words) => {
+  const mod =
+    polymod([...expandPrefix(prefix), ...words, 0, 0, 0, 0, 0, 0]) ^ 1;
+  return Array.from({ length: 6 }, (_, i) => (mod >>> (5 * (5 - i))) & 31);
+};
+
+// Regroups a bit stream, e.g. 8-bit bytes into 5-bit words and back
+const convertBits = (data, fromBits, toBits, pad) => {
+  let accumulator = 0;
+  let bits = 0;
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+
+  for (const value of data) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >>> bits) & maxValue);
+    }
+    accumulator &= (1 << bits) - 1;
+  }
+
+  if (pad) {
+    if (bits > 0) result.push((accumulator << (toBits - bits)) & maxValue);
+  } else if (bits >= fromBits || (accumulator << (toBits - bits)) & maxValue) {
+    throw new Error('Invalid bech32 padding');
+  }
+  return result;
+};
+
+/**
+ * Encodes bytes as bech32
+ * @param {string} prefix - Human-readable prefix, e.g. `asset`
+ * @param {Buffer|Uint8Array} bytes - Payload
+ * @returns {string} Bech32 string
+ */
+export const encode = (prefix, bytes) => {
+  const words = convertBits(bytes, 8, 5, true);
+  return `${prefix}1${[...words, ...createChecksum(prefix, words)]
+    .map((word) => CHARSET[word])
+    .join('')}`;
+};
+
+/**
+ * Decodes a bech32 string
+ * @param {string} value - Bech32 string
+ * @returns {{prefix: string, bytes: Buffer}} Prefix and payload
+ * @throws {Error} If the string is malformed or its checksum is wrong
+ */
+export const decode = (value) => {
+  if (typeof value !== 'string' || value.length > MAX_LENGTH)
+    throw new Error('Invalid bech32 string');
+  if (value !== value.toLowerCase() && value !== value.toUpperCase())
+    throw new Error('Mixed-case bech32 string');
+
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length)
+    throw new Error('Invalid bech32 string');
+
+  const prefix = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map((c) => {
+    const word = CHARSET.indexOf(c);
+    if (word === -1) throw new Error(`Invalid bech32 character: ${c}`);
+    return word;
+  });
+
+  if (polymod([...expandPrefix(prefix), ...words]) !== 1)
+    throw new Error('Invalid bech32 checksum');
+
+  return {
+    prefix,
+    bytes: Buffer.from(convertBits(words.slice(0, -6), 5, 8, false)),
+  };
+};
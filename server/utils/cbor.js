@@ -0,0 +1,245 @@
+/**
+ * CBOR Decoding
+ *
+ * RFC 8949 decoder for the CBOR that Cardano puts on chain:
+ * - Integers (numbers when safe, BigInt otherwise, including tag 2/3
+ *   bignums), byte strings (Buffers), text, arrays and maps (Maps, since
+ *   keys may be any value)
+ * - Definite and indefinite lengths
+ * - Other tags as CborTag values
+ * - Byte offsets of each item, so callers can hash the exact bytes of a
+ *   nested item (e.g. a transaction body)
+ *
+ * Input may be user supplied, so lengths are checked against the bytes
+ * left and nesting depth is bounded.
+ *
+ * @module utils/cbor
+ */
+
+const MAX_DEPTH = 128;
+const BREAK = Symbol('break');
+
+/**
+ * A tagged CBOR item other than a bignum
+ */
+export class CborTag {
+  /**
+   * @param {number} tag - Tag number
+   * @param {*} value - Tagged item
+   */
+  constructor(tag, value) {
+    this.tag = tag;
+    this.value = value;
+  }
+}
+
+const MAX_SAFE = BigInt(Number.MAX_SAFE_INTEGER);
+
+const toSafeNumber = (value) =>
+  typeof value === 'bigint' && value <= MAX_SAFE && value >= -MAX_SAFE
+    ? Number(value)
+    : value;
+
+const decodeHalfFloat = (half) => {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * 2 ** -14 * (mantissa / 1024);
+  if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + mantissa / 1024);
+};
+
+const createReader = (bytes) => {
+  let offset = 0;
+
+  const need = (length) => {
+    if (offset + length > bytes.length)
+      throw new Error('Invalid CBOR: unexpected end of input');
+  };
+
+  const readUint = (length) => {
+    need(length);
+    const start = offset;
+    offset += length;
+    if (length === 1) return bytes[start];
+    if (length === 2) return bytes.readUInt16BE(start);
+    if (length === 4) return bytes.readUInt32BE(start);
+    return toSafeNumber(bytes.readBigUInt64BE(start));
+  };
+
+  // Returns the argument of the initial byte, or null for indefinite length
+  const readArgument = (info) => {
+    if (info < 24) return info;
+    if (info === 24) return readUint(1);
+    if (info === 25) return readUint(2);
+    if (info === 26) return readUint(4);
+    if (info === 27) return readUint(8);
+    if (info === 31) return null;
+    throw new Error(`Invalid CBOR: reserved additional info ${info}`);
+  };
+
+  // Every item takes at least one byte, which bounds declared lengths
+  const readLength = (info) => {
+    const length = readArgument(info);
+    if (
+      length !== null &&
+      (typeof length === 'bigint' || length > bytes.length)
+    )
+      throw new Error('Invalid CBOR: length exceeds input');
+    return length;
+  };
+
+  const readChunks = (major, info, depth) => {
+    const length = readLength(info);
+    if (length !== null) {
+      need(length);
+      offset += length;
+      return bytes.subarray(offset - length, offset);
+    }
+
+    const chunks = [];
+    for (;;) {
+      const chunk = readItemOrBreak(depth + 1);
+      if (chunk === BREAK) break;
+      if (major === 2 ? !Buffer.isBuffer(chunk) : typeof chunk !== 'string')
+        throw new Error('Invalid CBOR: mismatched string chunk');
+      chunks.push(major === 2 ? chunk : Buffer.from(chunk, 'utf8'));
+    }
+    return Buffer.concat(chunks);
+  };
+
+  // Maps declare their length in key/value pairs, i.e. two items each
+  const readItems = (info, depth, itemsPerEntry, readEntry) => {
+    const length = readLength(info);
+    if (length !== null) {
+      const count = length * itemsPerEntry;
+      for (let i = 0; i < count; i++) readEntry(readItem(depth + 1));
+      return;
+    }
+    for (;;) {
+      const item = readItemOrBreak(depth + 1);
+      if (item === BREAK) return;
+      readEntry(item);
+    }
+  };
+
+  const readSimple = (info) => {
+    if (info === 20) return false;
+    if (info === 21) return true;
+    if (info === 22) return null;
+    if (info === 23) return undefined;
+    if (info === 25) return decodeHalfFloat(readUint(2));
+    if (info === 26) {
+      need(4);
+      offset += 4;
+      return bytes.readFloatBE(offset - 4);
+    }
+    if (info === 27) {
+      need(8);
+      offset += 8;
+      return bytes.readDoubleBE(offset - 8);
+    }
+    if (info === 31) return BREAK;
+    return { simple: info < 24 ? info : readUint(1) };
+  };
+
+  // Only indefinite-length items read with this, as a break ends them
+  const readItemOrBreak = (depth) => {
+    if (depth > MAX_DEPTH) throw new Error('Invalid CBOR: nesting too deep');
+    need(1);
+    const initial = bytes[offset++];
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    switch (major) {
+      case 0:
+        return readArgument(info);
+      case 1: {
+        const value = readArgument(info);
+        return toSafeNumber(-1n - BigInt(value));
+      }
+      case 2:
+        return Buffer.from(readChunks(major, info, depth));
+      case 3:
+        return readChunks(major, info, depth).toString('utf8');
+      case 4: {
+        const items = [];
+        readItems(info, depth, 1, (item) => items.push(item));
+        return items;
+      }
+      case 5: {
+        const map = new Map();
+        let key;
+        let hasKey = false;
+        readItems(info, depth, 2, (item) => {
+          if (hasKey) map.set(key, item);
+          else key = item;
+          hasKey = !hasKey;
+        });
+        if (hasKey) throw new Error('Invalid CBOR: map key without value');
+        return map;
+      }
+      case 6: {
+        const tag = readArgument(info);
+        const value = readItem(depth + 1);
+        // Bignums become plain integers
+        if ((tag === 2 || tag === 3) && Buffer.isBuffer(value)) {
+          const magnitude = value.length
+            ? BigInt(`0x${value.toString('hex')}`)
+            : 0n;
+          return toSafeNumber(tag === 2 ? magnitude : -1n - magnitude);
+        }
+        return new CborTag(tag, value);
+      }
+      default:
+        return readSimple(info);
+    }
+  };
+
+  const readItem = (depth = 0) => {
+    const value = readItemOrBreak(depth);
+    if (value === BREAK) throw new Error('Invalid CBOR: unexpected break');
+    return value;
+  };
+
+  return {
+    readItem,
+    get offset() {
+      return offset;
+    },
+    set offset(value) {
+      offset = value;
+    },
+  };
+};
+
+/**
+ * Decodes the item starting at an offset
+ * @param {Buffer} bytes - CBOR bytes
+ * @param {number} [offset=0] - Offset of the item
+ * @returns {{value: *, start: number, end: number}} Decoded value and the
+ *   byte range it occupies
+ * @throws {Error} If the bytes are not valid CBOR
+ */
+export const decodeItem = (bytes, offset = 0) => {
+  const reader = createReader(bytes);
+  reader.offset = offset;
+  const value = reader.readItem();
+  return { value, start: offset, end: reader.offset };
+};
+
+/**
+ * Decodes CBOR bytes holding exactly one item
+ * @param {Buffer|string} input - CBOR bytes, or hex
+ * @returns {*} Decoded value
+ * @throws {Error} If the input is not valid CBOR or has trailing bytes
+ */
+export const decode = (input) => {
+  const bytes = Buffer.isBuffer(input) ? input : Buffer.from(input, 'hex');
+  if (typeof input === 'string' && bytes.length * 2 !== input.length)
+    throw new Error('Invalid CBOR: not a hex string');
+
+  const { value, end } = decodeItem(bytes);
+  if (end !== bytes.length) throw new Error('Invalid CBOR: trailing bytes');
+  return value;
+};
@@ -0,0 +1,122 @@
+/**
+ * Minimum UTXO Value
+ *
+ * Computes the minimum ADA an output must hold under the Babbage rule:
+ * - Serialized size of the output, from its address, value, datum and
+ *   reference script
+ * - Outputs with an inline datum or a reference script in the map format,
+ *   all others in the shorter legacy array format wallets emit
+ * - 160 bytes of ledger overhead plus the size, times coinsPerUTxOByte
+ *
+ * Sizes are counted from CBOR header lengths, so nothing is encoded.
+ *
+ * @module utils/minUtxo
+ */
+
+const MIN_UTXO_CONFIG = {
+  OVERHEAD_BYTES: 160n,
+  POLICY_ID_BYTES: 28,
+  DATUM_HASH_BYTES: 32,
+  TAG_24_BYTES: 2, // Tag 24 (embedded CBOR) takes two bytes
+};
+
+// Length of a CBOR header carrying an unsigned argument
+const headerSize = (value) => {
+  const n = BigInt(value);
+  if (n < 24n) return 1;
+  if (n < 0x100n) return 2;
+  if (n < 0x10000n) return 3;
+  if (n < 0x100000000n) return 5;
+  return 9;
+};
+
+const bytesSize = (length) => headerSize(length) + length;
+
+/**
+ * Counts the serialized size of a value: a plain coin, or the coin with a
+ * multi-asset map grouped by policy
+ * @param {string|bigint} lovelace - Coin
+ * @param {Array<{unit: string, quantity: string}>} assets - Native tokens
+ * @returns {number} Size in bytes
+ */
+export const getValueSize = (lovelace, assets = []) => {
+  const coin = headerSize(lovelace);
+  if (!assets.length) return coin;
+
+  const policies = new Map();
+  assets.forEach(({ unit, quantity }) => {
+    const policy = unit.slice(0, MIN_UTXO_CONFIG.POLICY_ID_BYTES * 2);
+    if (!policies.has(policy)) policies.set(policy, []);
+    policies.get(policy).push({
+      nameLength: unit.length / 2 - MIN_UTXO_CONFIG.POLICY_ID_BYTES,
+      quantity,
+    });
+  });
+
+  let size = 1 + coin + headerSize(policies.size);
+  policies.forEach((names) => {
+    size +=
+      bytesSize(MIN_UTXO_CONFIG.POLICY_ID_BYTES) + headerSize(names.length);
+    names.forEach(({ nameLength, quantity }) => {
+      size += bytesSize(nameLength) + headerSize(quantity);
+    });
+  });
+  return size;
+};
+
+/**
+ * Counts the serialized size of a transaction output
+ * @param {Object} output
+ * @param {number} output.addressLength - Address length in bytes
+ * @param {string|bigint} output.lovelace - Coin
+ * @param {Array<Object>} [output.assets] - Native tokens with unit and
+ *   quantity
+ * @param {boolean} [output.datumHash] - Whether it holds a datum hash
+ * @param {number} [output.inlineDatumLength] - Inline datum CBOR length
+ * @param {Object} [output.script] - Reference script: `type` (timelock or
+ *   a Plutus version) and `length` of its CBOR
+ * @returns {number} Size in bytes
+ */
+export const getOutputSize = ({
+  addressLength,
+  lovelace,
+  assets = [],
+  datumHash = false,
+  inlineDatumLength,
+  script,
+}) => {
+  const address = bytesSize(addressLength);
+  const value = getValueSize(lovelace, assets);
+  const hash = bytesSize(MIN_UTXO_CONFIG.DATUM_HASH_BYTES);
+
+  if (inlineDatumLength === undefined && !script)
+    return 1 + address + value + (datumHash ? hash : 0);
+
+  const embedded = (length) => MIN_UTXO_CONFIG.TAG_24_BYTES + bytesSize(length);
+  let size = 1 + (1 + address) + (1 + value);
+  // Datum option: [0, hash] or [1, #6.24(bytes)]
+  if (datumHash) size += 1 + 2 + hash;
+  else if (inlineDatumLength !== undefined)
+    size += 1 + 2 + embedded(inlineDatumLength);
+  // Script reference: #6.24(bytes [type, script]), with Plutus scripts as
+  // byte strings and native scripts as they are
+  if (script)
+    size +=
+      1 +
+      embedded(
+        2 +
+          (script.type === 'timelock'
+            ? script.length
+            : bytesSize(script.length))
+      );
+  return size;
+};
+
+/**
+ * Computes an output's minimum ADA
+ * @param {number} size - Serialized output size, from getOutputSize
+ * @param {string|number} coinsPerUtxoByte - Protocol parameter
+ * @returns {bigint} Minimum lovelace
+ */
+export const getMinLovelace = (size, coinsPerUtxoByte) =>
+  (MIN_UTXO_CONFIG.OVERHEAD_BYTES + BigInt(size)) * BigInt(coinsPerUtxoByte);
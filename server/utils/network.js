@@ -0,0 +1,109 @@
+/**
+ * Network Context
+ *
+ * Tracks which Cardano network a request is served from:
+ * - Supported network definitions
+ * - Default network configuration (DEFAULT_NETWORK)
+ * - Per-request network context
+ * - Network-specific address prefixes
+ * - Security parameter (k), the depth after which blocks are final
+ * - Epoch timing (system start and epoch length)
+ *
+ * @module utils/network
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Byron and Shelley epochs last equally long on mainnet and preprod, so an
+// epoch's start is systemStart + epoch * epochLength (Unix seconds)
+export const NETWORKS = {
+  mainnet: {
+    name: 'mainnet',
+    testnet: false,
+    securityParam: 2160,
+    systemStart: 1506203091,
+    epochLength: 432000,
+  },
+  preprod: {
+    name: 'preprod',
+    testnet: true,
+    securityParam: 2160,
+    systemStart: 1654041600,
+    epochLength: 432000,
+  },
+  preview: {
+    name: 'preview',
+    testnet: true,
+    securityParam: 432,
+    systemStart: 1666656000,
+    epochLength: 86400,
+  },
+};
+
+export const NETWORK_NAMES = Object.keys(NETWORKS);
+
+const networkContext = new AsyncLocalStorage();
+
+export const isValidNetwork = (network) =>
+  Object.prototype.hasOwnProperty.call(NETWORKS, network);
+
+export const getDefaultNetwork = () => {
+  const network = process.env.DEFAULT_NETWORK?.trim();
+  return isValidNetwork(network) ? network : 'mainnet';
+};
+
+/**
+ * Runs a function with the given network as the current network
+ * @param {string} network - Network name
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+export const runWithNetwork = (network, fn) => networkContext.run(network, fn);
+
+/**
+ * Returns the network of the request being served
+ * @returns {string} Network name
+ */
+export const getCurrentNetwork = () =>
+  networkContext.getStore() || getDefaultNetwork();
+
+/**
+ * Returns the number of blocks after which a block can no longer be
+ * rolled back
+ * @param {string} [network] - Network name, defaults to the current network
+ * @returns {number} Security parameter k
+ */
+export const getSecurityParam = (network = getCurrentNetwork()) =>
+  NETWORKS[network].securityParam;
+
+/**
+ * Returns the epoch in progress at a time
+ * @param {number} time - Unix time in seconds
+ * @param {string} [network] - Network name, defaults to the current network
+ * @returns {number} Epoch number
+ */
+export const getEpochAtTime = (time, network = getCurrentNetwork()) => {
+  const { systemStart, epochLength } = NETWORKS[network];
+  return Math.floor((time - systemStart) / epochLength);
+};
+
+/**
+ * Returns the time an epoch starts
+ * @param {number} epoch - Epoch number
+ * @param {string} [network] - Network name, defaults to the current network
+ * @returns {number} Unix time in seconds
+ */
+export const getEpochStartTime = (epoch, network = getCurrentNetwork()) => {
+  const { systemStart, epochLength } = NETWORKS[network];
+  return systemStart + epoch * epochLength;
+};
+
+/**
+ * Returns the bech32 address prefixes used on a network
+ * @param {string} [network] - Network name, defaults to the current network
+ * @returns {{address: string, stake: string}} Address and stake prefixes
+ */
+export const getAddressPrefixes = (network = getCurrentNetwork()) =>
+  NETWORKS[network].testnet
+    ? { address: 'addr_test', stake: 'stake_test' }
+    : { address: 'addr', stake: 'stake' };
@@ -0,0 +1,28 @@
+/**
+ * Single-Flight Requests
+ *
+ * Coalesces identical concurrent calls:
+ * - Callers with the same key share one in-flight promise
+ * - The key is released once the call settles, so later callers start a
+ *   fresh call (and failures are not remembered)
+ *
+ * @module utils/singleFlight
+ */
+
+/**
+ * Creates a single-flight group
+ * @returns {Function} `(key, fn)` running fn unless a call for key is in flight
+ */
+export const createSingleFlight = () => {
+  const inFlight = new Map();
+
+  return (key, fn) => {
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+};